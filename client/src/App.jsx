@@ -5,6 +5,9 @@ import { ThemeProvider } from './contexts/ThemeContext.jsx';
 import Navbar from './components/Navbar.jsx';
 import Login from './pages/Login.jsx';
 import Register from './pages/Register.jsx';
+import ResetPassword from './pages/ResetPassword.jsx';
+import VerifyEmail from './pages/VerifyEmail.jsx';
+import OidcCallback from './pages/OidcCallback.jsx';
 import Feed from './pages/Feed.jsx';
 import Saved from './pages/Saved.jsx';
 import Profile from './pages/Profile.jsx';
@@ -12,6 +15,7 @@ import Trending from './pages/Trending.jsx';
 import ArticleDetails from './pages/ArticleDetails.jsx';
 import Footer from './components/Footer.jsx';
 import Chatbot from './components/Chatbot.jsx';
+import VerifyEmailBanner from './components/VerifyEmailBanner.jsx';
 
 function PrivateRoute({ children }) {
   const { user, loading } = useAuth();
@@ -31,6 +35,7 @@ function Layout({ children }) {
       <Navbar />
       <main style={{ paddingTop: '80px' }}>
         <div style={{ maxWidth: '80rem', margin: '0 auto', padding: '2rem 1rem' }}>
+          <VerifyEmailBanner />
           {children}
         </div>
       </main>
@@ -110,6 +115,30 @@ export default function App() {
               </AuthLayout>
             } 
           />
+          <Route
+            path="/reset-password"
+            element={
+              <AuthLayout>
+                <ResetPassword />
+              </AuthLayout>
+            }
+          />
+          <Route
+            path="/verify-email"
+            element={
+              <AuthLayout>
+                <VerifyEmail />
+              </AuthLayout>
+            }
+          />
+          <Route
+            path="/auth/callback/:provider"
+            element={
+              <AuthLayout>
+                <OidcCallback />
+              </AuthLayout>
+            }
+          />
         </Routes>
         <Toaster 
           position="top-right"
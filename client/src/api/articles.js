@@ -23,6 +23,17 @@ export const articlesAPI = {
     }
   },
 
+  // Get articles readers also saved, or similar articles for new ones
+  getRelatedArticles: async (id, params = {}) => {
+    try {
+      const { data } = await http.get(`/articles/${id}/related`, { params });
+      return data;
+    } catch (error) {
+      console.error(`Failed to fetch related articles for ${id}:`, error);
+      throw error;
+    }
+  },
+
   // Get trending articles
   getTrendingArticles: async (params = {}) => {
     try {
@@ -0,0 +1,122 @@
+import { http } from './http.js';
+
+export const authAPI = {
+  // Request a password reset email
+  forgotPassword: async (email) => {
+    try {
+      const { data } = await http.post('/auth/forgot-password', { email });
+      return data;
+    } catch (error) {
+      console.error('Failed to request password reset:', error);
+      throw error;
+    }
+  },
+
+  // Set a new password with the token from the reset email
+  resetPassword: async (token, newPassword) => {
+    try {
+      const { data } = await http.post('/auth/reset-password', { token, newPassword });
+      return data;
+    } catch (error) {
+      console.error('Failed to reset password:', error);
+      throw error;
+    }
+  },
+
+  // Confirm an email address with the token from the verification email
+  verifyEmail: async (token) => {
+    try {
+      const { data } = await http.get(`/auth/verify-email/${encodeURIComponent(token)}`);
+      return data;
+    } catch (error) {
+      console.error('Failed to verify email:', error);
+      throw error;
+    }
+  },
+
+  // Send a new verification email to the signed-in user
+  resendVerification: async () => {
+    try {
+      const { data } = await http.post('/auth/resend-verification');
+      return data;
+    } catch (error) {
+      console.error('Failed to resend verification email:', error);
+      throw error;
+    }
+  },
+
+  // Two-factor status: { enabled, enabledAt, recoveryCodesRemaining, required }
+  getTwoFactorStatus: async () => {
+    try {
+      const { data } = await http.get('/auth/2fa');
+      return data.twoFactor;
+    } catch (error) {
+      console.error('Failed to fetch two-factor status:', error);
+      throw error;
+    }
+  },
+
+  // Start enrollment: a secret and otpauth URI for the authenticator app
+  setupTwoFactor: async () => {
+    try {
+      const { data } = await http.post('/auth/2fa/setup');
+      return data;
+    } catch (error) {
+      console.error('Failed to start two-factor setup:', error);
+      throw error;
+    }
+  },
+
+  // Confirm enrollment with a code from the app; returns recovery codes and a new access token
+  enableTwoFactor: async (code) => {
+    try {
+      const { data } = await http.post('/auth/2fa/enable', { code });
+      return data;
+    } catch (error) {
+      console.error('Failed to enable two-factor authentication:', error);
+      throw error;
+    }
+  },
+
+  disableTwoFactor: async (password, code) => {
+    try {
+      const { data } = await http.post('/auth/2fa/disable', { password, code });
+      return data;
+    } catch (error) {
+      console.error('Failed to disable two-factor authentication:', error);
+      throw error;
+    }
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const { data } = await http.post('/auth/2fa/recovery-codes', { code });
+      return data;
+    } catch (error) {
+      console.error('Failed to regenerate recovery codes:', error);
+      throw error;
+    }
+  },
+
+  // Sign-in providers configured on the server: [{ id, name }]
+  getOidcProviders: async () => {
+    try {
+      const { data } = await http.get('/auth/oidc/providers');
+      return data.providers;
+    } catch (error) {
+      console.error('Failed to fetch sign-in providers:', error);
+      throw error;
+    }
+  },
+
+  // Start signing in with a provider; returns { authorizationUrl, state }
+  startOidcLogin: async (provider) => {
+    try {
+      const { data } = await http.post(`/auth/oidc/${encodeURIComponent(provider)}/start`);
+      return data;
+    } catch (error) {
+      console.error('Failed to start provider sign-in:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,72 @@
+import { http } from './http.js';
+
+export const collectionsAPI = {
+  // Get the user's collections with article counts
+  getCollections: async () => {
+    try {
+      const { data } = await http.get('/users/collections');
+      return data;
+    } catch (error) {
+      console.error('Failed to fetch collections:', error);
+      throw error;
+    }
+  },
+
+  createCollection: async (name, description = '') => {
+    try {
+      const { data } = await http.post('/users/collections', { name, description });
+      return data;
+    } catch (error) {
+      console.error('Failed to create collection:', error);
+      throw error;
+    }
+  },
+
+  // Rename a collection or change its description
+  updateCollection: async (id, updates) => {
+    try {
+      const { data } = await http.put(`/users/collections/${id}`, updates);
+      return data;
+    } catch (error) {
+      console.error(`Failed to update collection ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Articles in a deleted collection stay saved as unsorted
+  deleteCollection: async (id) => {
+    try {
+      const { data } = await http.delete(`/users/collections/${id}`);
+      return data;
+    } catch (error) {
+      console.error(`Failed to delete collection ${id}:`, error);
+      throw error;
+    }
+  },
+
+  reorderCollections: async (ids) => {
+    try {
+      const { data } = await http.put('/users/collections/order', { ids });
+      return data;
+    } catch (error) {
+      console.error('Failed to reorder collections:', error);
+      throw error;
+    }
+  },
+
+  // Move saved articles into a collection, or back to unsorted when collectionId is empty
+  moveArticle: async (articleId, collectionId, fromCollectionId = null) => {
+    try {
+      if (collectionId) {
+        const { data } = await http.post(`/users/collections/${collectionId}/articles`, { articleIds: [articleId] });
+        return data;
+      }
+
+      const { data } = await http.delete(`/users/collections/${fromCollectionId}/articles/${articleId}`);
+      return data;
+    } catch (error) {
+      console.error(`Failed to move article ${articleId}:`, error);
+      throw error;
+    }
+  }
+};
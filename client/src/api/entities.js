@@ -0,0 +1,69 @@
+import { http } from './http.js';
+
+export const entitiesAPI = {
+  // Get articles mentioning an entity
+  getEntityArticles: async (type, name, params = {}) => {
+    try {
+      const { data } = await http.get(`/articles/entity/${type}/${encodeURIComponent(name)}`, { params });
+      return data;
+    } catch (error) {
+      console.error(`Failed to fetch articles for ${type} ${name}:`, error);
+      throw error;
+    }
+  },
+
+  // Get trending entities
+  getTrendingEntities: async (params = {}) => {
+    try {
+      const { data } = await http.get('/stats/trending/entities', { params });
+      return data;
+    } catch (error) {
+      console.error('Failed to fetch trending entities:', error);
+      throw error;
+    }
+  },
+
+  // Get entities the current user follows
+  getFollowed: async () => {
+    try {
+      const { data } = await http.get('/users/entities');
+      return data;
+    } catch (error) {
+      console.error('Failed to fetch followed entities:', error);
+      throw error;
+    }
+  },
+
+  // Follow an entity
+  follow: async (type, name) => {
+    try {
+      const { data } = await http.post('/users/entities', { type, name });
+      return data;
+    } catch (error) {
+      console.error(`Failed to follow ${type} ${name}:`, error);
+      throw error;
+    }
+  },
+
+  // Stop following an entity
+  unfollow: async (type, name) => {
+    try {
+      const { data } = await http.delete(`/users/entities/${type}/${encodeURIComponent(name)}`);
+      return data;
+    } catch (error) {
+      console.error(`Failed to unfollow ${type} ${name}:`, error);
+      throw error;
+    }
+  },
+
+  // Get recent articles mentioning followed entities
+  getFollowedFeed: async (params = {}) => {
+    try {
+      const { data } = await http.get('/users/entities/feed', { params });
+      return data;
+    } catch (error) {
+      console.error('Failed to fetch followed entity feed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,74 @@
+import { http } from './http.js';
+
+const FLUSH_INTERVAL = 5000;
+const MAX_QUEUE = 20;
+const SESSION_KEY = 'eventSessionId';
+
+// One id per browser tab session, so anonymous readers are deduplicated too
+const getSessionId = () => {
+  let sessionId = sessionStorage.getItem(SESSION_KEY);
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    sessionStorage.setItem(SESSION_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+let queue = [];
+let timer = null;
+
+export const eventsAPI = {
+  // Send a batch of engagement events
+  sendEvents: async (events) => {
+    try {
+      const { data } = await http.post('/events', { sessionId: getSessionId(), events });
+      return data;
+    } catch (error) {
+      console.error('Failed to send events:', error);
+      throw error;
+    }
+  },
+
+  // Queue an event; batches go out every few seconds or when the queue fills up
+  track: (type, articleId, details = {}) => {
+    if (!articleId) return;
+
+    queue.push({ type, articleId, ...details, occurredAt: new Date().toISOString() });
+
+    if (queue.length >= MAX_QUEUE) {
+      eventsAPI.flush();
+    } else if (!timer) {
+      timer = setTimeout(() => eventsAPI.flush(), FLUSH_INTERVAL);
+    }
+  },
+
+  // Send queued events; with keepalive the request survives the page being closed
+  flush: ({ keepalive = false } = {}) => {
+    clearTimeout(timer);
+    timer = null;
+    if (queue.length === 0) return;
+
+    const events = queue;
+    queue = [];
+
+    if (keepalive) {
+      const token = localStorage.getItem('accessToken');
+      fetch(`${http.defaults.baseURL}/events`, {
+        method: 'POST',
+        keepalive: true,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ sessionId: getSessionId(), events })
+      }).catch(() => {});
+      return;
+    }
+
+    eventsAPI.sendEvents(events).catch(() => {});
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', () => eventsAPI.flush({ keepalive: true }));
+}
@@ -23,6 +23,31 @@ http.interceptors.request.use(
   }
 );
 
+// Refresh tokens work once, so concurrent 401s share a single refresh
+let refreshing = null;
+
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  try {
+    const response = await axios.post('http://localhost:4000/api/auth/refresh-token', {
+      refreshToken
+    });
+
+    const { token, refreshToken: newRefreshToken } = response.data;
+    localStorage.setItem('accessToken', token);
+    localStorage.setItem('refreshToken', newRefreshToken);
+    return token;
+  } catch (error) {
+    // Another tab may have used the same refresh token first; pick up the tokens it stores
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    if (localStorage.getItem('refreshToken') !== refreshToken) {
+      return localStorage.getItem('accessToken');
+    }
+    throw error;
+  }
+};
+
 // Response interceptor to handle token refresh
 http.interceptors.response.use(
   (response) => response,
@@ -33,15 +58,11 @@ http.interceptors.response.use(
       originalRequest._retry = true;
       
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (refreshToken) {
-          const response = await axios.post('http://localhost:4000/api/auth/refresh-token', {
-            refreshToken
+        if (localStorage.getItem('refreshToken')) {
+          refreshing = refreshing || refreshTokens().finally(() => {
+            refreshing = null;
           });
-          
-          const { token, refreshToken: newRefreshToken } = response.data;
-          localStorage.setItem('accessToken', token);
-          localStorage.setItem('refreshToken', newRefreshToken);
+          const token = await refreshing;
           
           // Retry original request with new token
           originalRequest.headers.Authorization = `Bearer ${token}`;
@@ -58,5 +79,3 @@ http.interceptors.response.use(
     return Promise.reject(error);
   }
 );
-
-
@@ -0,0 +1,90 @@
+import { http } from './http.js';
+
+export const savedAPI = {
+  // Saved status with the article's collection, note and highlights
+  getSavedArticle: async (articleId) => {
+    try {
+      const { data } = await http.get(`/users/saved-articles/${articleId}`);
+      return data;
+    } catch (error) {
+      console.error(`Failed to fetch saved article ${articleId}:`, error);
+      throw error;
+    }
+  },
+
+  // Status is one of unread, in-progress, read or archived
+  updateStatus: async (articleId, status) => {
+    try {
+      const { data } = await http.put(`/users/saved-articles/${articleId}/status`, { status });
+      return data;
+    } catch (error) {
+      console.error(`Failed to update status of ${articleId}:`, error);
+      throw error;
+    }
+  },
+
+  // Record an open of the article and how far (percent) the reader scrolled
+  updateProgress: async (articleId, progress) => {
+    try {
+      const { data } = await http.put(`/users/saved-articles/${articleId}/progress`, { progress });
+      return data;
+    } catch (error) {
+      console.error(`Failed to update progress of ${articleId}:`, error);
+      throw error;
+    }
+  },
+
+  updateNote: async (articleId, note) => {
+    try {
+      const { data } = await http.put(`/users/saved-articles/${articleId}/note`, { note });
+      return data;
+    } catch (error) {
+      console.error(`Failed to save note for ${articleId}:`, error);
+      throw error;
+    }
+  },
+
+  // Offsets are character positions in the article's content (or description without content)
+  addHighlight: async (articleId, highlight) => {
+    try {
+      const { data } = await http.post(`/users/saved-articles/${articleId}/highlights`, highlight);
+      return data;
+    } catch (error) {
+      console.error(`Failed to add highlight to ${articleId}:`, error);
+      throw error;
+    }
+  },
+
+  removeHighlight: async (articleId, highlightId) => {
+    try {
+      const { data } = await http.delete(`/users/saved-articles/${articleId}/highlights/${highlightId}`);
+      return data;
+    } catch (error) {
+      console.error(`Failed to remove highlight ${highlightId}:`, error);
+      throw error;
+    }
+  },
+
+  // Format is one of json, csv, md, html (Netscape bookmarks) or epub
+  exportSaved: async (format) => {
+    try {
+      const response = await http.get('/users/saved-articles/export', { params: { format }, responseType: 'blob' });
+      const filename = response.headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1];
+      return { blob: response.data, filename: filename || `saved-articles.${format}` };
+    } catch (error) {
+      console.error(`Failed to export saved articles as ${format}:`, error);
+      throw error;
+    }
+  },
+
+  // HTML export from Pocket, Instapaper or a browser's bookmark manager
+  importBookmarks: async (html) => {
+    try {
+      const { data } = await http.post('/users/saved-articles/import', { html });
+      return data;
+    } catch (error) {
+      console.error('Failed to import bookmarks:', error);
+      throw error;
+    }
+  }
+};
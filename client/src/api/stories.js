@@ -0,0 +1,36 @@
+import { http } from './http.js';
+
+export const storiesAPI = {
+  // Get stories (lead article plus other coverage) with pagination
+  getStories: async (params = {}) => {
+    try {
+      const { data } = await http.get('/stories', { params });
+      return data;
+    } catch (error) {
+      console.error('Failed to fetch stories:', error);
+      throw error;
+    }
+  },
+
+  // Get active breaking-news alerts
+  getBreaking: async (params = {}) => {
+    try {
+      const { data } = await http.get('/stories/breaking', { params });
+      return data;
+    } catch (error) {
+      console.error('Failed to fetch breaking news:', error);
+      throw error;
+    }
+  },
+
+  // Get single story by ID
+  getStory: async (id) => {
+    try {
+      const { data } = await http.get(`/stories/${id}`);
+      return data;
+    } catch (error) {
+      console.error(`Failed to fetch story ${id}:`, error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,76 @@
+import { http } from './http.js';
+
+export const streamAPI = {
+  // Subscribe to breaking-news alerts; returns a function that closes the stream
+  subscribeToAlerts: (onAlert) => {
+    if (typeof EventSource === 'undefined') return () => {};
+
+    const source = new EventSource(`${http.defaults.baseURL}/stream/alerts`);
+
+    source.addEventListener('breaking', (event) => {
+      try {
+        onAlert(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Failed to parse breaking alert:', error);
+      }
+    });
+
+    // EventSource reconnects by itself after errors
+    return () => source.close();
+  },
+
+  // Subscribe to new articles matching the signed-in user's feed; returns a function that closes the stream.
+  // EventSource cannot send the access token, so each connection uses a short-lived ticket, and a
+  // reconnect after the ticket expired fetches a new one and resumes from the last article seen
+  subscribeToFeed: (onArticle) => {
+    if (typeof EventSource === 'undefined') return () => {};
+
+    let source = null;
+    let lastEventId = '';
+    let retryTimer = null;
+    let closed = false;
+
+    const connect = async () => {
+      try {
+        const { data } = await http.post('/stream/ticket');
+        if (closed) return;
+
+        const params = new URLSearchParams({ ticket: data.data.ticket });
+        if (lastEventId) params.set('lastEventId', lastEventId);
+        source = new EventSource(`${http.defaults.baseURL}/stream/feed?${params}`);
+
+        source.addEventListener('article', (event) => {
+          lastEventId = event.lastEventId || lastEventId;
+          try {
+            onArticle(JSON.parse(event.data));
+          } catch (error) {
+            console.error('Failed to parse feed article:', error);
+          }
+        });
+
+        source.onerror = () => {
+          // Network errors are retried by EventSource; a rejected ticket closes the stream
+          if (source.readyState === EventSource.CLOSED) reconnect();
+        };
+      } catch (error) {
+        console.error('Failed to open feed stream:', error);
+        reconnect();
+      }
+    };
+
+    const reconnect = () => {
+      source?.close();
+      if (closed) return;
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(connect, 30000);
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }
+};
@@ -34,6 +34,11 @@ export function AuthProvider({ children }) {
   const login = async (email, password) => {
     try {
       const { data } = await http.post('/auth/login', { email, password });
+
+      // Accounts with 2FA get a challenge to complete with completeTwoFactor
+      if (data.twoFactorRequired) {
+        return data;
+      }
       
       // Store tokens
       localStorage.setItem('accessToken', data.token);
@@ -51,6 +56,48 @@ export function AuthProvider({ children }) {
     }
   };
 
+  const completeTwoFactor = async (challengeToken, code) => {
+    try {
+      const { data } = await http.post('/auth/2fa/verify', { challengeToken, code });
+
+      localStorage.setItem('accessToken', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+      setUser(data.user);
+
+      toast.success('Login successful!');
+      if (data.recoveryCodesRemaining !== undefined) {
+        toast(`Recovery code used. ${data.recoveryCodesRemaining} left.`);
+      }
+      return data;
+    } catch (error) {
+      const message = error.response?.data?.error?.message || 'Verification failed';
+      toast.error(message);
+      throw error;
+    }
+  };
+
+  // Finish signing in with a provider from the code and state it redirected back with
+  const completeProviderLogin = async (provider, code, state) => {
+    try {
+      const { data } = await http.post(`/auth/oidc/${encodeURIComponent(provider)}/callback`, { code, state });
+
+      if (data.twoFactorRequired) {
+        return data;
+      }
+
+      localStorage.setItem('accessToken', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+      setUser(data.user);
+
+      toast.success(data.created ? 'Welcome! Your account is ready.' : 'Login successful!');
+      return data;
+    } catch (error) {
+      const message = error.response?.data?.error?.message || 'Sign-in failed';
+      toast.error(message);
+      throw error;
+    }
+  };
+
   const register = async (payload) => {
     try {
       const { data } = await http.post('/auth/register', payload);
@@ -146,6 +193,8 @@ export function AuthProvider({ children }) {
       user, 
       loading, 
       login, 
+      completeTwoFactor,
+      completeProviderLogin,
       register, 
       logout, 
       updateProfile,
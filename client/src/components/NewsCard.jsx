@@ -1,17 +1,46 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { 
   ExternalLink, 
   User,
   Clock,
   Share2,
   Bookmark,
-  BookmarkCheck
+  BookmarkCheck,
+  EyeOff
 } from 'lucide-react';
+import { eventsAPI } from '../api/events.js';
 
-export default function NewsCard({ item, onSave, onUnsave, saved, showSaveButton = true }) {
+export default function NewsCard({ item, onSave, onUnsave, onHide, saved, showSaveButton = true, list = 'feed', position }) {
   const [isBookmarked, setIsBookmarked] = useState(saved || false);
   const [isSaving, setIsSaving] = useState(false);
   const [expanded, setExpanded] = useState(false);
+  const cardRef = useRef(null);
+
+  // Count an impression once the card has been at least half visible
+  useEffect(() => {
+    const card = cardRef.current;
+    if (!card || !item._id || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        eventsAPI.track('impression', item._id, { list, position });
+        observer.disconnect();
+      }
+    }, { threshold: 0.5 });
+
+    observer.observe(card);
+    return () => observer.disconnect();
+  }, [item._id, list, position]);
+
+  const handleOpen = () => {
+    eventsAPI.track('click', item._id, { list, position });
+  };
+
+  const handleHide = () => {
+    eventsAPI.track('hide', item._id, { list, position });
+    eventsAPI.flush();
+    onHide?.(item._id);
+  };
 
   const handleSave = async () => {
     if (isSaving) return;
@@ -52,10 +81,10 @@ export default function NewsCard({ item, onSave, onUnsave, saved, showSaveButton
   };
 
   return (
-    <article className="card card--compact">
+    <article ref={cardRef} className="card card--compact">
       <div className="stack">
         <div className="row-between">
-          <a href={item.url} target="_blank" rel="noreferrer" className="headline">
+          <a href={item.url} target="_blank" rel="noreferrer" className="headline" onClick={handleOpen}>
             {item.title}
           </a>
           <div className="row">
@@ -81,6 +110,11 @@ export default function NewsCard({ item, onSave, onUnsave, saved, showSaveButton
                 )}
               </button>
             )}
+            {onHide && (
+              <button onClick={handleHide} className="icon-btn" title="Hide this story">
+                <EyeOff className="w-4 h-4" />
+              </button>
+            )}
           </div>
         </div>
         {!expanded && (
@@ -91,6 +125,22 @@ export default function NewsCard({ item, onSave, onUnsave, saved, showSaveButton
           {item.author && <span>• {item.author}</span>}
           <span>• {formatTime(item.publishedAt || item.createdAt)}</span>
         </div>
+        {item.story?.alsoCoveredBy?.length > 0 && (
+          <div className="meta">
+            <span>
+              Also covered by{' '}
+              {item.story.alsoCoveredBy.slice(0, 3).map((coverage, index) => (
+                <span key={coverage.articleId}>
+                  {index > 0 && ', '}
+                  <a href={coverage.url} target="_blank" rel="noreferrer" className="nav-link" title={coverage.title}>
+                    {coverage.source}
+                  </a>
+                </span>
+              ))}
+              {item.story.alsoCoveredBy.length > 3 && ` +${item.story.alsoCoveredBy.length - 3} more`}
+            </span>
+          </div>
+        )}
         {expanded && (
           <div className="stack">
             {item.urlToImage && (
@@ -108,7 +158,7 @@ export default function NewsCard({ item, onSave, onUnsave, saved, showSaveButton
               </div>
             )}
             <div className="row-between">
-              <a href={item.url} target="_blank" rel="noreferrer" className="nav-link">Read full article <ExternalLink className="w-3 h-3" /></a>
+              <a href={item.url} target="_blank" rel="noreferrer" className="nav-link" onClick={handleOpen}>Read full article <ExternalLink className="w-3 h-3" /></a>
               <button className="icon-btn"><Share2 className="w-4 h-4" /></button>
             </div>
           </div>
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { MailWarning, Loader2 } from 'lucide-react';
+import { useAuth } from '../auth/AuthContext.jsx';
+import { authAPI } from '../api/auth.js';
+
+// Shown until the signed-in user confirms their address; saving, imports and live updates stay locked until then
+export default function VerifyEmailBanner() {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (user?.emailVerified !== false) return null;
+
+  const onResend = async () => {
+    setSending(true);
+    try {
+      await authAPI.resendVerification();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (e) {
+      toast.error(e?.response?.data?.error?.message || 'Could not send the verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '0.75rem',
+      flexWrap: 'wrap',
+      marginBottom: '1.5rem',
+      background: 'var(--warn-100)',
+      borderColor: 'var(--warn-800)'
+    }}>
+      <MailWarning size={20} style={{ color: 'var(--warn-800)', flexShrink: 0 }} />
+      <span style={{ flex: 1, minWidth: '16rem', color: 'var(--warn-800)', fontSize: '14px' }}>
+        Confirm your email address to save articles, import bookmarks and get live updates.
+        We sent a link to <strong>{user.email}</strong>.
+      </span>
+      <button type="button" className="btn btn--secondary" onClick={onResend} disabled={sending} style={{ gap: '0.5rem' }}>
+        {sending && <Loader2 size={16} style={{ animation: 'spin 1s linear infinite' }} />}
+        Resend email
+      </button>
+    </div>
+  );
+}
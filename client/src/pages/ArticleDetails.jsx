@@ -1,6 +1,11 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { http } from '../api/http.js';
+import { articlesAPI } from '../api/articles.js';
+import { savedAPI } from '../api/saved.js';
+import { collectionsAPI } from '../api/collections.js';
+import { eventsAPI } from '../api/events.js';
+import { entitiesAPI } from '../api/entities.js';
+import { useAuth } from '../auth/AuthContext.jsx';
 import { 
   ArrowLeft, 
   Bookmark, 
@@ -8,13 +13,63 @@ import {
   Share2, 
   ExternalLink,
   Calendar,
+  BookOpen,
   User,
   Clock,
   Newspaper,
   Loader2,
-  AlertCircle
+  AlertCircle,
+  Plus,
+  Check,
+  StickyNote,
+  Highlighter,
+  X
 } from 'lucide-react';
 
+const ENTITY_LABELS = {
+  person: 'Person',
+  organization: 'Organization',
+  location: 'Place',
+  phrase: 'Topic'
+};
+
+const HIGHLIGHT_COLORS = {
+  yellow: '#fef08a',
+  green: '#bbf7d0',
+  blue: '#bfdbfe',
+  pink: '#fbcfe8'
+};
+
+// Split a passage into plain and highlighted segments; `offset` is where the passage starts in the body
+const highlightSegments = (text, offset, highlights) => {
+  const segments = [];
+  let cursor = 0;
+
+  for (const highlight of highlights) {
+    const start = Math.max(highlight.start - offset, cursor);
+    const end = Math.min(highlight.end - offset, text.length);
+    if (end <= start) continue;
+
+    if (start > cursor) segments.push({ text: text.slice(cursor, start) });
+    segments.push({ text: text.slice(start, end), highlight });
+    cursor = end;
+  }
+
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return segments;
+};
+
+// Character offset in the body of a DOM position inside a passage marked with data-offset
+const bodyOffset = (node, offset) => {
+  const passage = (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement)?.closest('[data-offset]');
+  if (!passage) return null;
+
+  const range = document.createRange();
+  range.selectNodeContents(passage);
+  range.setEnd(node, offset);
+  return Number(passage.dataset.offset) + range.toString().length;
+};
+
 export default function ArticleDetails() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -23,15 +78,24 @@ export default function ArticleDetails() {
   const [error, setError] = useState('');
   const [isBookmarked, setIsBookmarked] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [followed, setFollowed] = useState(new Set());
+  const [related, setRelated] = useState([]);
+  const [saved, setSaved] = useState(null);
+  const [note, setNote] = useState('');
+  const [noteStatus, setNoteStatus] = useState('');
+  const [highlightColor, setHighlightColor] = useState('yellow');
+  const [collections, setCollections] = useState([]);
+  // The leave handler is set up once per article, so it reads the saved state from a ref
+  const isSavedRef = useRef(false);
+  const { user, saveArticle, unsaveArticle } = useAuth();
 
   const loadArticle = async () => {
     setLoading(true);
     setError('');
     
     try {
-      const { data } = await http.get(`/news/articles/${id}`);
-      setArticle(data);
-      setIsBookmarked(data.saved || false);
+      const data = await articlesAPI.getArticle(id);
+      setArticle(data.article);
     } catch (e) {
       setError('Failed to load article');
       console.error('Error loading article:', e);
@@ -43,20 +107,135 @@ export default function ArticleDetails() {
   useEffect(() => {
     if (id) {
       loadArticle();
+      articlesAPI.getRelatedArticles(id, { limit: 4 })
+        .then(data => setRelated(data.related || []))
+        .catch(() => setRelated([]));
     }
   }, [id]);
 
+  // Opening the page counts as a click; time on page and scroll depth are reported on leave
+  useEffect(() => {
+    if (!id) return;
+
+    eventsAPI.track('click', id, { list: 'direct' });
+
+    let visibleMs = 0;
+    let visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+    let maxScroll = 0;
+    let reported = false;
+
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        visibleSince = Date.now();
+      } else if (visibleSince) {
+        visibleMs += Date.now() - visibleSince;
+        visibleSince = null;
+      }
+    };
+
+    const onScroll = () => {
+      const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+      const depth = scrollable > 0 ? Math.round(window.scrollY / scrollable * 100) : 100;
+      maxScroll = Math.max(maxScroll, Math.min(depth, 100));
+    };
+
+    const report = () => {
+      if (reported) return;
+      reported = true;
+
+      onVisibilityChange();
+      const seconds = Math.round((visibleMs + (visibleSince ? Date.now() - visibleSince : 0)) / 1000);
+      if (seconds > 0) eventsAPI.track('dwell', id, { value: seconds });
+      if (maxScroll > 0) eventsAPI.track('scroll', id, { value: maxScroll });
+      if (isSavedRef.current && maxScroll > 0) savedAPI.updateProgress(id, maxScroll).catch(() => {});
+    };
+
+    const onPageHide = () => {
+      report();
+      eventsAPI.flush({ keepalive: true });
+    };
+
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('pagehide', onPageHide);
+
+    return () => {
+      report();
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('pagehide', onPageHide);
+    };
+  }, [id]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    entitiesAPI.getFollowed()
+      .then(({ entities }) => setFollowed(new Set(entities.map(entity => `${entity.type}:${entity.key}`))))
+      .catch(() => {});
+  }, [user]);
+
+  // Saved status with the reader's collection, note and highlights
+  const loadSaved = async () => {
+    try {
+      const data = await savedAPI.getSavedArticle(id);
+      setIsBookmarked(data.isSaved);
+      setSaved(data.isSaved ? data : null);
+      setNote(data.note || '');
+      return data.isSaved;
+    } catch (error) {
+      setSaved(null);
+      return false;
+    }
+  };
+
+  useEffect(() => {
+    isSavedRef.current = isBookmarked;
+  }, [isBookmarked]);
+
+  useEffect(() => {
+    if (!user || !id) return;
+
+    // Opening a saved article starts it in the read-later queue
+    loadSaved().then(isSaved => isSaved && savedAPI.updateProgress(id, 0))
+      .then(data => data && setSaved(prev => prev && { ...prev, ...data.savedArticle }))
+      .catch(() => {});
+    collectionsAPI.getCollections()
+      .then(data => setCollections(data.collections || []))
+      .catch(() => setCollections([]));
+  }, [user, id]);
+
+  const toggleFollow = async (entity) => {
+    const key = `${entity.type}:${entity.key}`;
+    const next = new Set(followed);
+
+    try {
+      if (followed.has(key)) {
+        await entitiesAPI.unfollow(entity.type, entity.key);
+        next.delete(key);
+      } else {
+        await entitiesAPI.follow(entity.type, entity.name);
+        next.add(key);
+      }
+      setFollowed(next);
+    } catch (error) {
+      console.error('Error updating followed entity:', error);
+    }
+  };
+
   const handleSave = async () => {
     if (isSaving || !article) return;
     
     setIsSaving(true);
     try {
       if (isBookmarked) {
-        await http.delete(`/news/save/${article.id}`);
+        await unsaveArticle(article._id);
         setIsBookmarked(false);
+        setSaved(null);
+        setNote('');
       } else {
-        await http.post('/news/save', article);
-        setIsBookmarked(true);
+        await saveArticle(article._id);
+        await loadSaved();
       }
     } catch (error) {
       console.error('Error saving article:', error);
@@ -65,6 +244,73 @@ export default function ArticleDetails() {
     }
   };
 
+  const handleSaveNote = async () => {
+    setNoteStatus('saving');
+    try {
+      const data = await savedAPI.updateNote(article._id, note);
+      setSaved(prev => ({ ...prev, note: data.note }));
+      setNoteStatus('saved');
+    } catch (error) {
+      setNoteStatus('error');
+    }
+  };
+
+  const handleMoveToCollection = async (collectionId) => {
+    try {
+      await collectionsAPI.moveArticle(article._id, collectionId, saved.collectionId);
+      setSaved(prev => ({ ...prev, collectionId: collectionId || null }));
+    } catch (error) {
+      console.error('Error moving article:', error);
+    }
+  };
+
+  // Highlight the text selected in the article body
+  const handleHighlight = async () => {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return;
+
+    const range = selection.getRangeAt(0);
+    const start = bodyOffset(range.startContainer, range.startOffset);
+    const end = bodyOffset(range.endContainer, range.endOffset);
+    if (start === null || end === null || end <= start) return;
+
+    const body = article.content || article.description || '';
+    try {
+      const data = await savedAPI.addHighlight(article._id, {
+        text: body.slice(start, end),
+        start,
+        end,
+        color: highlightColor
+      });
+      setSaved(prev => ({ ...prev, highlights: data.highlights }));
+      selection.removeAllRanges();
+    } catch (error) {
+      console.error('Error adding highlight:', error);
+    }
+  };
+
+  const handleRemoveHighlight = async (highlightId) => {
+    try {
+      await savedAPI.removeHighlight(article._id, highlightId);
+      setSaved(prev => ({ ...prev, highlights: prev.highlights.filter(highlight => highlight._id !== highlightId) }));
+    } catch (error) {
+      console.error('Error removing highlight:', error);
+    }
+  };
+
+  // A passage of the body with the reader's highlights marked
+  const renderPassage = (text, offset) => highlightSegments(text, offset, saved?.highlights || []).map((segment, index) => (
+    segment.highlight ? (
+      <mark
+        key={index}
+        title={segment.highlight.note || undefined}
+        style={{ background: HIGHLIGHT_COLORS[segment.highlight.color] || HIGHLIGHT_COLORS.yellow, color: 'inherit' }}
+      >
+        {segment.text}
+      </mark>
+    ) : segment.text
+  ));
+
   const handleShare = async () => {
     if (navigator.share && article) {
       try {
@@ -178,7 +424,7 @@ export default function ArticleDetails() {
         <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 dark:text-gray-400 mb-6">
           <div className="flex items-center gap-1">
             <Newspaper className="w-4 h-4" />
-            <span className="font-medium">{article.source}</span>
+            <span className="font-medium">{article.source?.name || article.source}</span>
           </div>
           {article.author && (
             <div className="flex items-center gap-1">
@@ -190,6 +436,12 @@ export default function ArticleDetails() {
             <Clock className="w-4 h-4" />
             <span>{formatTime(article.publishedAt || article.createdAt)}</span>
           </div>
+          {article.content && article.readingTime > 0 && (
+            <div className="flex items-center gap-1">
+              <BookOpen className="w-4 h-4" />
+              <span>{article.readingTime} min read</span>
+            </div>
+          )}
         </div>
 
         {/* Categories */}
@@ -248,10 +500,10 @@ export default function ArticleDetails() {
       </div>
 
       {/* Article Image */}
-      {article.imageUrl && (
+      {(article.urlToImage || article.imageUrl) && (
         <div className="mb-8">
           <img
-            src={article.imageUrl}
+            src={article.urlToImage || article.imageUrl}
             alt={article.title}
             className="w-full h-64 lg:h-96 object-cover rounded-lg shadow-lg"
             onError={(e) => {
@@ -261,18 +513,139 @@ export default function ArticleDetails() {
         </div>
       )}
 
-      {/* Article Content */}
+      {/* Notes & Highlights (saved articles only) */}
+      {saved && (
+        <div className="card mb-8">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+              <StickyNote className="w-5 h-5" />
+              Your notes
+              {saved.status && (
+                <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+                  {saved.status === 'in-progress' ? `${Math.round(saved.progress || 0)}% read` : saved.status}
+                </span>
+              )}
+            </h3>
+            <select
+              value={saved.collectionId || ''}
+              onChange={(e) => handleMoveToCollection(e.target.value)}
+              className="input"
+              style={{ width: 'auto' }}
+              title="Collection"
+            >
+              <option value="">Unsorted</option>
+              {collections.map(collection => (
+                <option key={collection._id} value={collection._id}>{collection.name}</option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={note}
+            onChange={(e) => {
+              setNote(e.target.value);
+              setNoteStatus('');
+            }}
+            rows={3}
+            maxLength={10000}
+            placeholder="Private note about this article"
+            className="input w-full"
+          />
+          <div className="flex flex-wrap items-center gap-3 mt-3">
+            <button
+              onClick={handleSaveNote}
+              disabled={noteStatus === 'saving' || note === (saved.note || '')}
+              className="btn-secondary"
+            >
+              {noteStatus === 'saving' ? 'Saving...' : 'Save note'}
+            </button>
+            {noteStatus === 'saved' && <span className="text-sm text-green-600">Saved</span>}
+            {noteStatus === 'error' && <span className="text-sm text-red-600">Could not save note</span>}
+
+            <span className="flex-1" />
+            {Object.entries(HIGHLIGHT_COLORS).map(([color, background]) => (
+              <button
+                key={color}
+                onClick={() => setHighlightColor(color)}
+                title={color}
+                className="w-5 h-5 rounded-full"
+                style={{ background, outline: highlightColor === color ? '2px solid currentColor' : 'none' }}
+              />
+            ))}
+            <button
+              onMouseDown={(e) => e.preventDefault()} // Keep the text selection
+              onClick={handleHighlight}
+              className="btn-secondary flex items-center gap-2"
+            >
+              <Highlighter className="w-4 h-4" />
+              Highlight selection
+            </button>
+          </div>
+
+          {saved.highlights?.length > 0 && (
+            <ul className="mt-4 space-y-2">
+              {saved.highlights.map(highlight => (
+                <li key={highlight._id} className="flex items-start gap-2 text-sm">
+                  <span
+                    className="flex-1 px-1"
+                    style={{ background: HIGHLIGHT_COLORS[highlight.color] || HIGHLIGHT_COLORS.yellow, color: '#1f2937' }}
+                  >
+                    {highlight.text}
+                  </span>
+                  <button onClick={() => handleRemoveHighlight(highlight._id)} title="Remove highlight">
+                    <X className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Article Content (highlight offsets refer to the content, or the description without it) */}
       <div className="prose prose-lg max-w-none dark:prose-invert">
-        <div className="text-lg text-gray-700 dark:text-gray-300 leading-relaxed mb-8">
-          {article.description}
+        <div className="text-lg text-gray-700 dark:text-gray-300 leading-relaxed mb-8" {...(!article.content && { 'data-offset': 0 })}>
+          {article.content ? article.description : renderPassage(article.description || '', 0)}
         </div>
 
-        {/* Full Content (if available) */}
+        {/* Full Content (extracted as plain-text paragraphs) */}
         {article.content && (
-          <div 
-            className="text-gray-700 dark:text-gray-300 leading-relaxed"
-            dangerouslySetInnerHTML={{ __html: article.content }}
-          />
+          <div className="text-gray-700 dark:text-gray-300 leading-relaxed space-y-4">
+            {article.content.split('\n\n').reduce((paragraphs, paragraph) => {
+              const offset = paragraphs.length > 0 ? paragraphs[paragraphs.length - 1].end + 2 : 0;
+              return [...paragraphs, { text: paragraph, offset, end: offset + paragraph.length }];
+            }, []).map(({ text, offset }) => (
+              <p key={offset} data-offset={offset}>{renderPassage(text, offset)}</p>
+            ))}
+          </div>
+        )}
+
+        {/* Entities */}
+        {article.entities && article.entities.length > 0 && (
+          <div className="mt-8 pt-6 border-t border-gray-200 dark:border-gray-700">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-3">
+              In this story
+            </h3>
+            <div className="flex flex-wrap gap-2">
+              {article.entities.map((entity) => {
+                const isFollowed = followed.has(`${entity.type}:${entity.key}`);
+                return (
+                  <span key={`${entity.type}:${entity.key}`} className="badge flex items-center gap-2">
+                    <span>{entity.name}</span>
+                    <span className="text-xs opacity-60">{ENTITY_LABELS[entity.type]}</span>
+                    {user && (
+                      <button
+                        onClick={() => toggleFollow(entity)}
+                        title={isFollowed ? 'Unfollow' : 'Follow'}
+                        className="hover:text-blue-600 dark:hover:text-blue-400"
+                      >
+                        {isFollowed ? <Check className="w-3 h-3" /> : <Plus className="w-3 h-3" />}
+                      </button>
+                    )}
+                  </span>
+                );
+              })}
+            </div>
+          </div>
         )}
 
         {/* Tags */}
@@ -292,15 +665,15 @@ export default function ArticleDetails() {
         )}
       </div>
 
-      {/* Related Articles (if available) */}
-      {article.related && article.related.length > 0 && (
+      {/* Related Articles (co-saved first, then similar content) */}
+      {related.length > 0 && (
         <div className="mt-12 pt-8 border-t border-gray-200 dark:border-gray-700">
           <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-6">
-            Related Articles
+            {related[0].related?.reason === 'co-saved' ? 'Readers also saved' : 'Related Articles'}
           </h3>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            {article.related.map((relatedArticle) => (
-              <div key={relatedArticle.id} className="card">
+            {related.map((relatedArticle, index) => (
+              <div key={relatedArticle._id} className="card">
                 <h4 className="font-semibold text-gray-900 dark:text-gray-100 mb-2 line-clamp-2">
                   {relatedArticle.title}
                 </h4>
@@ -308,7 +681,8 @@ export default function ArticleDetails() {
                   {relatedArticle.description}
                 </p>
                 <a
-                  href={`/articles/${relatedArticle.id}`}
+                  href={`/articles/${relatedArticle._id}`}
+                  onClick={() => eventsAPI.track('click', relatedArticle._id, { list: 'related', position: index })}
                   className="text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 text-sm font-medium"
                 >
                   Read more →
@@ -2,6 +2,8 @@ import { useEffect, useState, useCallback } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { articlesAPI } from '../api/articles.js';
 import { liveNewsAPI } from '../api/liveNewsAPI.js';
+import { storiesAPI } from '../api/stories.js';
+import { streamAPI } from '../api/stream.js';
 import { useAuth } from '../auth/AuthContext.jsx';
 import NewsCard from '../components/NewsCard.jsx';
 import CategoryTabs from '../components/CategoryTabs.jsx';
@@ -12,11 +14,14 @@ import {
   AlertCircle,
   RefreshCw,
   Wifi,
-  WifiOff
+  WifiOff,
+  Layers,
+  Zap,
+  ArrowUp
 } from 'lucide-react';
 
 export default function Feed() {
-  const { saveArticle, unsaveArticle } = useAuth();
+  const { user, saveArticle, unsaveArticle } = useAuth();
   const [searchParams, setSearchParams] = useSearchParams();
   const [articles, setArticles] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -27,6 +32,9 @@ export default function Feed() {
   const [searchQuery, setSearchQuery] = useState('');
   const [useLiveNews, setUseLiveNews] = useState(true);
   const [liveNewsStatus, setLiveNewsStatus] = useState('online');
+  const [groupStories, setGroupStories] = useState(true);
+  const [breakingAlerts, setBreakingAlerts] = useState([]);
+  const [newArticles, setNewArticles] = useState([]);
   
   const [filters, setFilters] = useState({
     search: '',
@@ -39,6 +47,23 @@ export default function Feed() {
     sortOrder: 'desc'
   });
 
+  // Breaking-news alerts pushed by the server; updates to a story replace its earlier alert
+  useEffect(() => {
+    return streamAPI.subscribeToAlerts((alert) => {
+      setBreakingAlerts(prev => [alert, ...prev.filter(item => item.storyId !== alert.storyId)]);
+    });
+  }, []);
+
+  // New articles matching the reader's preferences, held until they choose to show them.
+  // Unverified accounts get no stream tickets, so they subscribe once they confirm their email
+  useEffect(() => {
+    if (!user || user.emailVerified === false) return undefined;
+
+    return streamAPI.subscribeToFeed((article) => {
+      setNewArticles(prev => [article, ...prev.filter(item => item._id !== article._id)]);
+    });
+  }, [user?._id, user?.emailVerified]);
+
   // Debounced search effect
   useEffect(() => {
     const timeoutId = setTimeout(() => {
@@ -115,8 +140,12 @@ export default function Feed() {
       order: filters.sortOrder
     };
 
-    const data = await articlesAPI.getArticles(params);
-    const newArticles = data.items || [];
+    const data = groupStories
+      ? await storiesAPI.getStories({ page: currentPage, limit: 12, q: filters.search, category: filters.category, from: filters.dateFrom, to: filters.dateTo })
+      : await articlesAPI.getArticles(params);
+    const newArticles = groupStories
+      ? (data.items || []).map(({ leadArticle, ...story }) => ({ ...leadArticle, story }))
+      : data.items || [];
     
     if (reset) {
       setArticles(newArticles);
@@ -140,7 +169,7 @@ export default function Feed() {
   useEffect(() => {
     loadArticles(true);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filters.search, filters.category, filters.country, filters.tags, filters.dateFrom, filters.dateTo, filters.sortBy, filters.sortOrder]);
+  }, [filters.search, filters.category, filters.country, filters.tags, filters.dateFrom, filters.dateTo, filters.sortBy, filters.sortOrder, groupStories]);
 
   const handleFiltersChange = (newFilters) => {
     setFilters(prev => ({ ...prev, ...newFilters }));
@@ -179,6 +208,22 @@ export default function Feed() {
     }
   };
 
+  const handleShowBreaking = async () => {
+    setBreakingAlerts([]);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    await handleRefresh();
+  };
+
+  const handleShowNewArticles = () => {
+    setArticles(prev => [...newArticles, ...prev.filter(article => !newArticles.some(item => item._id === article._id))]);
+    setNewArticles([]);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleHideArticle = (articleId) => {
+    setArticles(prev => prev.filter(article => article._id !== articleId));
+  };
+
   return (
     <div>
         {/* Search Bar */}
@@ -213,6 +258,18 @@ export default function Feed() {
               {useLiveNews ? 'Live News' : 'Local News'}
             </button>
             
+            {!useLiveNews && (
+              <button
+                onClick={() => setGroupStories(!groupStories)}
+                className={`btn ${groupStories ? 'btn--primary' : 'btn--secondary'}`}
+                style={{ display: 'flex', alignItems: 'center', gap: 8 }}
+                title="Show one card per story instead of one per article"
+              >
+                <Layers className="w-4 h-4" />
+                {groupStories ? 'Grouped by Story' : 'All Articles'}
+              </button>
+            )}
+
             <button
               onClick={handleRefresh}
               disabled={loading}
@@ -242,6 +299,36 @@ export default function Feed() {
           )}
         </div>
 
+        {/* Breaking News Banner */}
+        {breakingAlerts.length > 0 && (
+          <button
+            onClick={handleShowBreaking}
+            className="card"
+            style={{ display: 'flex', alignItems: 'center', gap: 12, width: '100%', padding: 12, marginBottom: 24, cursor: 'pointer', textAlign: 'left', borderColor: 'var(--warning)' }}
+          >
+            <Zap className="w-5 h-5" style={{ color: 'var(--warning)', flexShrink: 0 }} />
+            <span style={{ fontWeight: 600 }}>
+              {breakingAlerts.length} new {breakingAlerts.length === 1 ? 'story' : 'stories'}
+            </span>
+            <span className="muted" style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {breakingAlerts[0].title} ({breakingAlerts[0].sourceCount} sources)
+            </span>
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        )}
+
+        {/* New Articles Banner */}
+        {newArticles.length > 0 && (
+          <button
+            onClick={handleShowNewArticles}
+            className="btn btn--primary"
+            style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8, margin: '0 auto 24px' }}
+          >
+            <ArrowUp className="w-4 h-4" />
+            Show {newArticles.length} new {newArticles.length === 1 ? 'article' : 'articles'}
+          </button>
+        )}
+
         {/* Category Tabs */}
         <div style={{ marginBottom: 32 }}>
           <CategoryTabs
@@ -286,12 +373,14 @@ export default function Feed() {
         {/* Articles Grid */}
         {articles.length > 0 && (
           <div className="grid-articles">
-            {articles.map((article) => (
+            {articles.map((article, index) => (
               <NewsCard 
                 key={article._id} 
                 item={article} 
+                position={index}
                 onSave={handleSaveArticle}
                 onUnsave={handleUnsaveArticle}
+                onHide={handleHideArticle}
                 showSaveButton={true}
               />
             ))}
@@ -1,6 +1,7 @@
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../auth/AuthContext.jsx';
+import { authAPI } from '../api/auth.js';
 import { 
   Mail, 
   Lock, 
@@ -8,17 +9,42 @@ import {
   EyeOff, 
   Loader2, 
   AlertCircle,
-  ArrowRight
+  ArrowRight,
+  ShieldCheck
 } from 'lucide-react';
 
 export default function Login() {
-  const { login } = useAuth();
+  const { login, completeTwoFactor } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  // Provider sign-ins for accounts with 2FA arrive here with their challenge
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || '');
+  const [code, setCode] = useState('');
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    authAPI.getOidcProviders().then(setProviders).catch(() => setProviders([]));
+  }, []);
+
+  const signInWithProvider = async (provider) => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const { authorizationUrl, state } = await authAPI.startOidcLogin(provider);
+      // Checked on the callback page, so a sign-in started elsewhere cannot be completed in this browser
+      sessionStorage.setItem(`oidcState:${provider}`, state);
+      window.location.assign(authorizationUrl);
+    } catch (e) {
+      setError(e?.response?.data?.error?.message || 'Could not reach the sign-in provider');
+      setLoading(false);
+    }
+  };
 
   const onSubmit = async (e) => {
     e.preventDefault();
@@ -26,9 +52,24 @@ export default function Login() {
     setLoading(true);
     
     try {
-      await login(email, password);
+      if (challengeToken) {
+        await completeTwoFactor(challengeToken, code);
+        navigate('/');
+        return;
+      }
+
+      const result = await login(email, password);
+      if (result?.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
+      }
       navigate('/');
     } catch (e) {
+      // An expired challenge means starting over from the password
+      if (challengeToken && e?.response?.data?.error?.message?.includes('challenge')) {
+        setChallengeToken('');
+        setCode('');
+      }
       const errorMessage = e?.response?.data?.error?.message || e?.response?.data?.message || e?.response?.data?.error || 'Login failed';
       setError(typeof errorMessage === 'string' ? errorMessage : 'Login failed');
     } finally {
@@ -54,55 +95,94 @@ export default function Login() {
       {/* Login Form */}
       <div className="card">
         <form onSubmit={onSubmit} className="stack">
-          {/* Email Field */}
-          <div className="fieldset">
-            <label htmlFor="email" style={{ fontSize: '14px', fontWeight: '600', color: 'var(--fg)' }}>
-              Email address
-            </label>
-            <div style={{ position: 'relative' }}>
-              <Mail className="input-icon" />
-              <input
-                id="email"
-                type="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                placeholder="Enter your email"
-                className="input input--with-icon"
-                required
-                disabled={loading}
-              />
+          {challengeToken ? (
+            /* Authentication Code Field */
+            <div className="fieldset">
+              <label htmlFor="code" style={{ fontSize: '14px', fontWeight: '600', color: 'var(--fg)' }}>
+                Authentication code
+              </label>
+              <div style={{ position: 'relative' }}>
+                <ShieldCheck className="input-icon" />
+                <input
+                  id="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="6-digit code or a recovery code"
+                  className="input input--with-icon"
+                  required
+                  autoFocus
+                  disabled={loading}
+                />
+              </div>
+              <p style={{ color: 'var(--muted)', fontSize: '12px' }}>
+                Enter the code from your authenticator app, or one of your recovery codes.
+              </p>
             </div>
-          </div>
+          ) : (
+            <>
+              {/* Email Field */}
+              <div className="fieldset">
+                <label htmlFor="email" style={{ fontSize: '14px', fontWeight: '600', color: 'var(--fg)' }}>
+                  Email address
+                </label>
+                <div style={{ position: 'relative' }}>
+                  <Mail className="input-icon" />
+                  <input
+                    id="email"
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="Enter your email"
+                    className="input input--with-icon"
+                    required
+                    disabled={loading}
+                  />
+                </div>
+              </div>
 
-          {/* Password Field */}
-          <div className="fieldset">
-            <label htmlFor="password" style={{ fontSize: '14px', fontWeight: '600', color: 'var(--fg)' }}>
-              Password
-            </label>
-            <div style={{ position: 'relative' }}>
-              <Lock className="input-icon" />
-              <input
-                id="password"
-                type={showPassword ? 'text' : 'password'}
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                placeholder="Enter your password"
-                className="input input--with-icon"
-                style={{ paddingRight: '2.5rem' }}
-                required
-                disabled={loading}
-              />
-              <button
-                type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                className="icon-btn"
-                style={{ position: 'absolute', right: '0.75rem', top: '50%', transform: 'translateY(-50%)' }}
-                disabled={loading}
-              >
-                {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
-              </button>
-            </div>
-          </div>
+              {/* Password Field */}
+              <div className="fieldset">
+                <label htmlFor="password" style={{ fontSize: '14px', fontWeight: '600', color: 'var(--fg)' }}>
+                  Password
+                </label>
+                <div style={{ position: 'relative' }}>
+                  <Lock className="input-icon" />
+                  <input
+                    id="password"
+                    type={showPassword ? 'text' : 'password'}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Enter your password"
+                    className="input input--with-icon"
+                    style={{ paddingRight: '2.5rem' }}
+                    required
+                    disabled={loading}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="icon-btn"
+                    style={{ position: 'absolute', right: '0.75rem', top: '50%', transform: 'translateY(-50%)' }}
+                    disabled={loading}
+                  >
+                    {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ marginTop: '-0.5rem', textAlign: 'right' }}>
+                <Link
+                  to="/reset-password"
+                  style={{ color: 'var(--primary-500)', fontSize: '14px', textDecoration: 'none' }}
+                >
+                  Forgot password?
+                </Link>
+              </div>
+            </>
+          )}
 
           {/* Error Message */}
           {error && (
@@ -130,17 +210,36 @@ export default function Login() {
             {loading ? (
               <>
                 <Loader2 size={20} style={{ animation: 'spin 1s linear infinite' }} />
-                Signing in...
+                {challengeToken ? 'Verifying...' : 'Signing in...'}
               </>
             ) : (
               <>
-                Sign in
+                {challengeToken ? 'Verify' : 'Sign in'}
                 <ArrowRight size={16} />
               </>
             )}
           </button>
         </form>
 
+        {/* Sign-in Providers */}
+        {providers.length > 0 && !challengeToken && (
+          <div className="stack" style={{ marginTop: '1.5rem' }}>
+            <p style={{ color: 'var(--muted)', fontSize: '14px', textAlign: 'center' }}>or</p>
+            {providers.map(provider => (
+              <button
+                key={provider.id}
+                type="button"
+                onClick={() => signInWithProvider(provider.id)}
+                disabled={loading}
+                className="btn btn--secondary"
+                style={{ width: '100%' }}
+              >
+                Continue with {provider.name}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Register Link */}
         <div style={{ marginTop: '1.5rem', textAlign: 'center' }}>
           <p style={{ color: 'var(--muted)' }}>
@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext.jsx';
+import { Loader2, AlertCircle } from 'lucide-react';
+
+// Where a sign-in provider sends the browser back with ?code=&state=
+export default function OidcCallback() {
+  const { provider } = useParams();
+  const [searchParams] = useSearchParams();
+  const { completeProviderLogin } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  // Codes and states work once, so the exchange must not run twice
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    const storageKey = `oidcState:${provider}`;
+    const expectedState = sessionStorage.getItem(storageKey);
+    sessionStorage.removeItem(storageKey);
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+
+    if (searchParams.get('error')) {
+      setError(searchParams.get('error_description') || 'Sign-in was cancelled');
+      return;
+    }
+
+    // The state must be the one this browser started with, or someone else's sign-in is being completed here
+    if (!code || !state || state !== expectedState) {
+      setError('This sign-in link is invalid or was already used');
+      return;
+    }
+
+    completeProviderLogin(provider, code, state)
+      .then((data) => {
+        if (data.twoFactorRequired) {
+          navigate('/login', { replace: true, state: { challengeToken: data.challengeToken } });
+        } else {
+          navigate('/', { replace: true });
+        }
+      })
+      .catch((e) => {
+        setError(e?.response?.data?.error?.message || 'Sign-in failed');
+      });
+  }, [provider, searchParams, completeProviderLogin, navigate]);
+
+  return (
+    <div style={{ maxWidth: '28rem', margin: '0 auto' }}>
+      <div className="card" style={{ textAlign: 'center' }}>
+        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: '1rem', color: error ? 'var(--danger-800)' : 'var(--muted)' }}>
+          {error ? <AlertCircle size={40} /> : <Loader2 size={40} style={{ animation: 'spin 1s linear infinite' }} />}
+        </div>
+        <h1 style={{ fontSize: '20px', fontWeight: '700', color: 'var(--fg)', marginBottom: '0.5rem' }}>
+          {error ? 'Sign-in failed' : 'Signing you in...'}
+        </h1>
+        {error && (
+          <>
+            <p style={{ color: 'var(--muted)', marginBottom: '1.5rem' }}>{error}</p>
+            <Link to="/login" className="btn btn--primary">
+              Back to sign in
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../auth/AuthContext.jsx';
 import { http } from '../api/http.js';
+import { authAPI } from '../api/auth.js';
 import { 
   User, 
   Mail, 
@@ -13,7 +14,13 @@ import {
   Camera,
   Tag,
   Bookmark,
-  TrendingUp
+  TrendingUp,
+  Rss,
+  Download,
+  Upload,
+  Monitor,
+  LogOut,
+  ShieldCheck
 } from 'lucide-react';
 
 export default function Profile() {
@@ -24,6 +31,16 @@ export default function Profile() {
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState('');
   const [error, setError] = useState('');
+  const [sources, setSources] = useState(user?.preferences?.sources || []);
+  const [opmlMessage, setOpmlMessage] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [sessionMessage, setSessionMessage] = useState('');
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [twoFactorMessage, setTwoFactorMessage] = useState('');
   const [stats, setStats] = useState({
     savedArticles: 0,
     categories: [],
@@ -32,6 +49,8 @@ export default function Profile() {
 
   useEffect(() => {
     loadStats();
+    loadSessions();
+    loadTwoFactor();
   }, []);
 
   const loadStats = async () => {
@@ -74,6 +93,118 @@ export default function Profile() {
     }
   };
 
+  const exportOpml = async () => {
+    setOpmlMessage('');
+
+    try {
+      const { data } = await http.get('/users/sources/opml', { responseType: 'blob' });
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'sources.opml';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setOpmlMessage('Failed to export sources');
+    }
+  };
+
+  const importOpml = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setOpmlMessage('');
+
+    try {
+      const { data } = await http.post('/users/sources/opml', { opml: await file.text() });
+      setSources(prev => [...prev, ...data.sources]);
+      setOpmlMessage(`Following ${data.sources.length} new sources` +
+        (data.feedsCreated ? ` (${data.feedsCreated} new feeds await approval)` : '') +
+        (data.skipped ? `, ${data.skipped} skipped` : ''));
+    } catch (e) {
+      setOpmlMessage(e.response?.data?.error?.message || 'Failed to import OPML file');
+    }
+  };
+
+  const loadSessions = async () => {
+    try {
+      const { data } = await http.get('/auth/sessions');
+      setSessions(data.sessions);
+    } catch (e) {
+      console.error('Error loading sessions:', e);
+    }
+  };
+
+  const revokeSession = async (id) => {
+    setSessionMessage('');
+
+    try {
+      await http.delete(`/auth/sessions/${id}`);
+      setSessions(prev => prev.filter(session => session.id !== id));
+    } catch (e) {
+      setSessionMessage(e.response?.data?.error?.message || 'Failed to sign out device');
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    setSessionMessage('');
+
+    try {
+      const { data } = await http.delete('/auth/sessions');
+      setSessions(prev => prev.filter(session => session.current));
+      setSessionMessage(`Signed out ${data.revoked} other ${data.revoked === 1 ? 'device' : 'devices'}`);
+    } catch (e) {
+      setSessionMessage(e.response?.data?.error?.message || 'Failed to sign out other devices');
+    }
+  };
+
+  const loadTwoFactor = async () => {
+    try {
+      setTwoFactor(await authAPI.getTwoFactorStatus());
+    } catch (e) {
+      console.error('Error loading two-factor status:', e);
+    }
+  };
+
+  // Runs one two-factor action, clearing the form and showing any new recovery codes
+  const runTwoFactorAction = async (action, fallbackMessage) => {
+    setTwoFactorMessage('');
+
+    try {
+      const data = await action();
+      setTwoFactorCode('');
+      setTwoFactorPassword('');
+      setRecoveryCodes(data?.recoveryCodes || []);
+      if (data?.message) setTwoFactorMessage(data.message);
+      await loadTwoFactor();
+      return data;
+    } catch (e) {
+      setTwoFactorMessage(e.response?.data?.error?.message || fallbackMessage);
+      return null;
+    }
+  };
+
+  const startTwoFactorSetup = async () => {
+    const data = await runTwoFactorAction(() => authAPI.setupTwoFactor(), 'Failed to start two-factor setup');
+    if (data) setEnrollment(data);
+  };
+
+  const enableTwoFactor = async () => {
+    const data = await runTwoFactorAction(() => authAPI.enableTwoFactor(twoFactorCode), 'Failed to enable two-factor authentication');
+    if (data) {
+      setEnrollment(null);
+      // This session now counts as verified with 2FA
+      if (data.token) localStorage.setItem('accessToken', data.token);
+    }
+  };
+
+  const disableTwoFactor = () =>
+    runTwoFactorAction(() => authAPI.disableTwoFactor(twoFactorPassword, twoFactorCode), 'Failed to disable two-factor authentication');
+
+  const regenerateRecoveryCodes = () =>
+    runTwoFactorAction(() => authAPI.regenerateRecoveryCodes(twoFactorCode), 'Failed to generate new recovery codes');
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Unknown';
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -264,6 +395,195 @@ export default function Profile() {
               )}
             </button>
           </div>
+
+          {/* Followed Sources */}
+          <div className="card">
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 16 }}>
+              <Rss className="w-5 h-5 text-blue-600" />
+              <h3 style={{ fontSize: 18, fontWeight: 700 }}>
+                Followed Sources
+              </h3>
+            </div>
+
+            {sources.length > 0 ? (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+                {sources.map(source => (
+                  <span key={source} className="meta" style={{ border: '1px solid var(--border)', borderRadius: 999, padding: '2px 10px' }}>
+                    {source}
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <p className="muted" style={{ fontSize: 14 }}>
+                You are not following any sources yet
+              </p>
+            )}
+
+            <p className="muted" style={{ fontSize: 12, marginTop: 12 }}>
+              Move your subscriptions from another feed reader with an OPML file
+            </p>
+
+            <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+              <label className="btn btn--secondary" style={{ display: 'inline-flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+                <Upload className="w-4 h-4" />
+                Import OPML
+                <input type="file" accept=".opml,.xml,text/xml,text/x-opml" onChange={importOpml} style={{ display: 'none' }} />
+              </label>
+              <button onClick={exportOpml} className="btn btn--secondary" style={{ display: 'inline-flex', alignItems: 'center', gap: 8 }}>
+                <Download className="w-4 h-4" />
+                Export OPML
+              </button>
+            </div>
+
+            {opmlMessage && (
+              <p className="muted" style={{ fontSize: 14, marginTop: 8 }}>{opmlMessage}</p>
+            )}
+          </div>
+
+          {/* Signed-in Devices */}
+          <div className="card">
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 16 }}>
+              <Monitor className="w-5 h-5 text-blue-600" />
+              <h3 style={{ fontSize: 18, fontWeight: 700 }}>
+                Signed-in Devices
+              </h3>
+            </div>
+
+            <div className="stack">
+              {sessions.map(session => (
+                <div key={session.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12 }}>
+                  <div>
+                    <div style={{ fontWeight: 600, fontSize: 14 }}>
+                      {session.device}
+                      {session.current && (
+                        <span className="meta" style={{ marginLeft: 8, color: 'var(--success-800)' }}>This device</span>
+                      )}
+                    </div>
+                    <div className="meta" style={{ fontSize: 12 }}>
+                      {session.ip ? `${session.ip} · ` : ''}Last active {formatDate(session.lastUsedAt)} · Signed in {formatDate(session.createdAt)}
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <button onClick={() => revokeSession(session.id)} className="btn btn--secondary" style={{ display: 'inline-flex', alignItems: 'center', gap: 8 }}>
+                      <LogOut className="w-4 h-4" />
+                      Sign out
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {sessions.some(session => !session.current) && (
+              <button onClick={revokeOtherSessions} className="btn btn--secondary" style={{ display: 'inline-flex', alignItems: 'center', gap: 8, marginTop: 16 }}>
+                <LogOut className="w-4 h-4" />
+                Sign out all other devices
+              </button>
+            )}
+
+            {sessionMessage && (
+              <p className="muted" style={{ fontSize: 14, marginTop: 8 }}>{sessionMessage}</p>
+            )}
+          </div>
+
+          {/* Two-Factor Authentication */}
+          {twoFactor && (
+            <div className="card">
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 16 }}>
+                <ShieldCheck className="w-5 h-5 text-blue-600" />
+                <h3 style={{ fontSize: 18, fontWeight: 700 }}>
+                  Two-Factor Authentication
+                </h3>
+                {twoFactor.enabled && (
+                  <span className="meta" style={{ color: 'var(--success-800)' }}>On</span>
+                )}
+              </div>
+
+              {twoFactor.required && !twoFactor.enabled && (
+                <p style={{ fontSize: 14, color: 'var(--warn-800)', marginBottom: 12 }}>
+                  Admin features stay locked until you turn on two-factor authentication
+                </p>
+              )}
+
+              {!twoFactor.enabled && !enrollment && (
+                <>
+                  <p className="muted" style={{ fontSize: 14 }}>
+                    Ask for a code from an authenticator app each time you sign in
+                  </p>
+                  <button onClick={startTwoFactorSetup} className="btn btn--primary" style={{ marginTop: 12 }}>
+                    Set up two-factor authentication
+                  </button>
+                </>
+              )}
+
+              {!twoFactor.enabled && enrollment && (
+                <div className="stack">
+                  <p className="muted" style={{ fontSize: 14 }}>
+                    Add this key to your authenticator app, or <a href={enrollment.otpauthUri} style={{ color: 'var(--primary-500)' }}>open it in the app</a> on this device, then enter the code it shows.
+                  </p>
+                  <code style={{ fontSize: 14, wordBreak: 'break-all' }}>{enrollment.secret}</code>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    placeholder="6-digit code"
+                    className="input"
+                  />
+                  <button onClick={enableTwoFactor} disabled={!twoFactorCode} className="btn btn--primary">
+                    Turn on
+                  </button>
+                </div>
+              )}
+
+              {twoFactor.enabled && (
+                <div className="stack">
+                  <p className="muted" style={{ fontSize: 14 }}>
+                    Turned on {formatDate(twoFactor.enabledAt)} · {twoFactor.recoveryCodesRemaining} recovery {twoFactor.recoveryCodesRemaining === 1 ? 'code' : 'codes'} left
+                  </p>
+                  <input
+                    type="text"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    placeholder="Authentication or recovery code"
+                    className="input"
+                  />
+                  <input
+                    type="password"
+                    value={twoFactorPassword}
+                    onChange={(e) => setTwoFactorPassword(e.target.value)}
+                    placeholder="Password (to turn off)"
+                    className="input"
+                  />
+                  <div style={{ display: 'flex', gap: 8 }}>
+                    <button onClick={regenerateRecoveryCodes} disabled={!twoFactorCode} className="btn btn--secondary">
+                      New recovery codes
+                    </button>
+                    <button onClick={disableTwoFactor} disabled={!twoFactorCode || !twoFactorPassword} className="btn btn--secondary">
+                      Turn off
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {recoveryCodes.length > 0 && (
+                <div style={{ marginTop: 16, padding: 12, background: 'var(--info-100)', border: '1px solid var(--info-800)', borderRadius: 10 }}>
+                  <p style={{ fontSize: 14, color: 'var(--info-800)', marginBottom: 8 }}>
+                    Save these recovery codes somewhere safe. Each works once, and they will not be shown again.
+                  </p>
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 4 }}>
+                    {recoveryCodes.map(code => (
+                      <code key={code} style={{ fontSize: 14 }}>{code}</code>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {twoFactorMessage && (
+                <p className="muted" style={{ fontSize: 14, marginTop: 8 }}>{twoFactorMessage}</p>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Stats Sidebar */}
@@ -0,0 +1,212 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { authAPI } from '../api/auth.js';
+import {
+  Mail,
+  Lock,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  ArrowRight
+} from 'lucide-react';
+
+const labelStyle = { fontSize: '14px', fontWeight: '600', color: 'var(--fg)' };
+
+const getErrorMessage = (e, fallback) => {
+  const message = e?.response?.data?.error?.message || e?.response?.data?.message;
+  return typeof message === 'string' ? message : fallback;
+};
+
+function Message({ tone, children }) {
+  const color = tone === 'success' ? 'var(--success-800)' : 'var(--danger-800)';
+  const Icon = tone === 'success' ? CheckCircle : AlertCircle;
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '0.5rem',
+      padding: '0.75rem',
+      background: tone === 'success' ? 'var(--success-100)' : 'var(--danger-100)',
+      border: `1px solid ${color}`,
+      borderRadius: '10px'
+    }}>
+      <Icon size={20} style={{ color, flexShrink: 0 }} />
+      <span style={{ color, fontSize: '14px' }}>{children}</span>
+    </div>
+  );
+}
+
+// Without a token: ask for the account email. With one (from the emailed link): choose a new password
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const onRequest = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword(email);
+      setSent(true);
+    } catch (e) {
+      setError(getErrorMessage(e, 'Could not send the reset email'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onReset = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authAPI.resetPassword(token, password);
+      toast.success('Password updated. Sign in with your new password.');
+      navigate('/login');
+    } catch (e) {
+      setError(getErrorMessage(e, 'Could not reset your password'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '28rem', margin: '0 auto' }}>
+      <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+        <div className="brand__logo" style={{ width: '64px', height: '64px', fontSize: '24px', margin: '0 auto 1rem' }}>
+          N
+        </div>
+        <h1 style={{ fontSize: '24px', fontWeight: '700', color: 'var(--fg)', marginBottom: '0.5rem' }}>
+          {token ? 'Choose a new password' : 'Reset your password'}
+        </h1>
+        <p style={{ color: 'var(--muted)' }}>
+          {token
+            ? 'Your new password replaces the old one straight away'
+            : 'We\'ll email you a link to choose a new password'}
+        </p>
+      </div>
+
+      <div className="card">
+        {token ? (
+          <form onSubmit={onReset} className="stack">
+            <div className="fieldset">
+              <label htmlFor="password" style={labelStyle}>New password</label>
+              <div style={{ position: 'relative' }}>
+                <Lock className="input-icon" />
+                <input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="At least 8 characters"
+                  className="input input--with-icon"
+                  minLength={8}
+                  autoComplete="new-password"
+                  required
+                  disabled={loading}
+                />
+              </div>
+              <p className="muted" style={{ fontSize: '12px' }}>
+                Use upper and lower case letters and a number
+              </p>
+            </div>
+
+            <div className="fieldset">
+              <label htmlFor="confirm" style={labelStyle}>Confirm password</label>
+              <div style={{ position: 'relative' }}>
+                <Lock className="input-icon" />
+                <input
+                  id="confirm"
+                  type="password"
+                  value={confirm}
+                  onChange={(e) => setConfirm(e.target.value)}
+                  placeholder="Repeat the new password"
+                  className="input input--with-icon"
+                  autoComplete="new-password"
+                  required
+                  disabled={loading}
+                />
+              </div>
+            </div>
+
+            {error && <Message tone="error">{error}</Message>}
+
+            <button type="submit" disabled={loading} className="btn btn--primary" style={{ width: '100%', gap: '0.5rem' }}>
+              {loading ? (
+                <>
+                  <Loader2 size={20} style={{ animation: 'spin 1s linear infinite' }} />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  Update password
+                  <ArrowRight size={16} />
+                </>
+              )}
+            </button>
+          </form>
+        ) : sent ? (
+          <Message tone="success">
+            If an account exists for {email}, a reset link is on its way. Check your inbox.
+          </Message>
+        ) : (
+          <form onSubmit={onRequest} className="stack">
+            <div className="fieldset">
+              <label htmlFor="email" style={labelStyle}>Email address</label>
+              <div style={{ position: 'relative' }}>
+                <Mail className="input-icon" />
+                <input
+                  id="email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="Enter your email"
+                  className="input input--with-icon"
+                  required
+                  disabled={loading}
+                />
+              </div>
+            </div>
+
+            {error && <Message tone="error">{error}</Message>}
+
+            <button type="submit" disabled={loading} className="btn btn--primary" style={{ width: '100%', gap: '0.5rem' }}>
+              {loading ? (
+                <>
+                  <Loader2 size={20} style={{ animation: 'spin 1s linear infinite' }} />
+                  Sending...
+                </>
+              ) : (
+                <>
+                  Send reset link
+                  <ArrowRight size={16} />
+                </>
+              )}
+            </button>
+          </form>
+        )}
+
+        <div style={{ marginTop: '1.5rem', textAlign: 'center' }}>
+          <Link to="/login" style={{ color: 'var(--primary-500)', fontWeight: '600', textDecoration: 'none' }}>
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
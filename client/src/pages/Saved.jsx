@@ -1,29 +1,88 @@
 import { useEffect, useState } from 'react';
-import { http } from '../api/http.js';
-import NewsCard from '../components/NewsCard.jsx';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext.jsx';
+import { collectionsAPI } from '../api/collections.js';
+import { savedAPI } from '../api/saved.js';
 import { 
   Bookmark, 
   Search, 
-  Filter,
   Loader2,
   AlertCircle,
   RefreshCw,
-  Trash2
+  Trash2,
+  FolderPlus,
+  Pencil,
+  ChevronUp,
+  ChevronDown,
+  StickyNote,
+  Highlighter,
+  Clock,
+  ListOrdered,
+  Check,
+  Archive,
+  Download,
+  Upload
 } from 'lucide-react';
 
+const STATUSES = [
+  { value: '', label: 'All' },
+  { value: 'unread', label: 'Unread' },
+  { value: 'in-progress', label: 'In progress' },
+  { value: 'read', label: 'Read' },
+  { value: 'archived', label: 'Archived' }
+];
+
+const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON' },
+  { value: 'csv', label: 'CSV' },
+  { value: 'md', label: 'Markdown' },
+  { value: 'html', label: 'Bookmarks (HTML)' },
+  { value: 'epub', label: 'EPUB' }
+];
+
 export default function Saved() {
+  const { getSavedArticles, unsaveArticle } = useAuth();
   const [items, setItems] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [unsortedCount, setUnsortedCount] = useState(0);
+  // '' shows every saved article, 'unsorted' those in no collection
+  const [selected, setSelected] = useState('');
+  const [newCollection, setNewCollection] = useState('');
+  const [status, setStatus] = useState('');
+  const [statusCounts, setStatusCounts] = useState({});
+  // The queue lists shortest reads first
+  const [queue, setQueue] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [exportFormat, setExportFormat] = useState('json');
+  const [transferring, setTransferring] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  const loadCollections = async () => {
+    try {
+      const data = await collectionsAPI.getCollections();
+      setCollections(data.collections || []);
+      setUnsortedCount(data.unsorted || 0);
+    } catch (e) {
+      console.error('Error loading collections:', e);
+    }
+  };
 
   const load = async () => {
     setLoading(true);
     setError('');
     
     try {
-      const { data } = await http.get('/news/saved');
-      setItems(data.savedArticles || []);
+      const data = await getSavedArticles({
+        limit: 100,
+        ...(selected && { collection: selected }),
+        ...(status && { status }),
+        ...(queue && { sort: 'readingTime' })
+      });
+      setStatusCounts(data.statusCounts || {});
+      // Articles removed from the catalogue are not populated
+      setItems((data.items || []).filter(item => item.articleId));
     } catch (e) {
       setError('Failed to load saved articles');
       console.error('Error loading saved articles:', e);
@@ -33,29 +92,157 @@ export default function Saved() {
   };
 
   useEffect(() => { 
-    load(); 
+    loadCollections();
   }, []);
 
-  const remove = async (id) => {
+  useEffect(() => { 
+    load(); 
+  }, [selected, status, queue]);
+
+  const remove = async (articleId) => {
     try {
-      await http.delete(`/news/saved/${encodeURIComponent(id)}`);
-      setItems(prev => prev.filter(item => item.id !== id));
+      await unsaveArticle(articleId);
+      setItems(prev => prev.filter(item => item.articleId._id !== articleId));
+      loadCollections();
     } catch (e) {
       console.error('Error removing article:', e);
     }
   };
 
   const handleRefresh = () => {
+    loadCollections();
     load();
   };
 
-  const filteredItems = items.filter(item => 
-    item.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    item.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    item.source.toLowerCase().includes(searchTerm.toLowerCase())
+  const handleExport = async () => {
+    setTransferring(true);
+    setNotice('');
+
+    try {
+      const { blob, filename } = await savedAPI.exportSaved(exportFormat);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setNotice('Failed to export saved articles');
+    } finally {
+      setTransferring(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setTransferring(true);
+    setNotice('');
+
+    try {
+      const result = await savedAPI.importBookmarks(await file.text());
+      setNotice(`Imported ${result.imported} articles` +
+        (result.alreadySaved ? `, ${result.alreadySaved} already saved` : '') +
+        (result.skipped ? `, ${result.skipped} skipped` : ''));
+      handleRefresh();
+    } catch (e) {
+      setNotice(e.response?.data?.error?.message || 'Failed to import bookmarks');
+    } finally {
+      setTransferring(false);
+    }
+  };
+
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+    if (!newCollection.trim()) return;
+
+    try {
+      const { collection } = await collectionsAPI.createCollection(newCollection.trim());
+      setCollections(prev => [...prev, collection]);
+      setNewCollection('');
+    } catch (e) {
+      setError(e.response?.data?.error?.message || 'Failed to create collection');
+    }
+  };
+
+  const handleRenameCollection = async (collection) => {
+    const name = window.prompt('Rename collection', collection.name);
+    if (!name || name.trim() === collection.name) return;
+
+    try {
+      await collectionsAPI.updateCollection(collection._id, { name: name.trim() });
+      setCollections(prev => prev.map(item => item._id === collection._id ? { ...item, name: name.trim() } : item));
+    } catch (e) {
+      setError(e.response?.data?.error?.message || 'Failed to rename collection');
+    }
+  };
+
+  const handleMoveCollection = async (index, direction) => {
+    const order = [...collections];
+    const [moved] = order.splice(index, 1);
+    order.splice(index + direction, 0, moved);
+    setCollections(order);
+
+    try {
+      await collectionsAPI.reorderCollections(order.map(collection => collection._id));
+    } catch (e) {
+      loadCollections();
+    }
+  };
+
+  const handleDeleteCollection = async (collection) => {
+    if (!window.confirm(`Delete "${collection.name}"? Its articles stay saved as unsorted.`)) return;
+
+    try {
+      await collectionsAPI.deleteCollection(collection._id);
+      if (selected === collection._id) setSelected('');
+      loadCollections();
+      load();
+    } catch (e) {
+      console.error('Error deleting collection:', e);
+    }
+  };
+
+  const handleStatusChange = async (item, nextStatus) => {
+    try {
+      await savedAPI.updateStatus(item.articleId._id, nextStatus);
+      load();
+    } catch (e) {
+      console.error('Error updating reading status:', e);
+    }
+  };
+
+  // Open the queue on unread articles
+  const handleToggleQueue = () => {
+    if (!queue && !status) setStatus('unread');
+    setQueue(!queue);
+  };
+
+  const handleMoveArticle = async (item, collectionId) => {
+    try {
+      await collectionsAPI.moveArticle(item.articleId._id, collectionId, item.collectionId);
+      if (selected) {
+        setItems(prev => prev.filter(other => other._id !== item._id));
+      } else {
+        setItems(prev => prev.map(other => other._id === item._id ? { ...other, collectionId: collectionId || null } : other));
+      }
+      loadCollections();
+    } catch (e) {
+      console.error('Error moving article:', e);
+    }
+  };
+
+  const filteredItems = items.filter(({ articleId: article }) => 
+    article.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    article.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    article.source?.name?.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
-  if (loading) {
+  const totalSaved = unsortedCount + collections.reduce((sum, collection) => sum + (collection.articleCount || 0), 0);
+
+  if (loading && items.length === 0 && !error) {
     return (
       <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '3rem 0' }}>
         <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
@@ -93,17 +280,124 @@ export default function Saved() {
             Saved Articles
           </h1>
           <p className="muted" style={{ marginTop: 4 }}>
-            {items.length} {items.length === 1 ? 'article' : 'articles'} saved
+            {totalSaved} {totalSaved === 1 ? 'article' : 'articles'} saved
           </p>
         </div>
         
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="input"
+            style={{ width: 'auto' }}
+            aria-label="Export format"
+          >
+            {EXPORT_FORMATS.map(format => (
+              <option key={format.value} value={format.value}>{format.label}</option>
+            ))}
+          </select>
+          <button onClick={handleExport} disabled={transferring} className="btn btn--secondary" title="Export saved articles">
+            <Download className="w-4 h-4" />
+            Export
+          </button>
+          <label className="btn btn--secondary" title="Import a Pocket, Instapaper or browser bookmarks export" style={{ cursor: 'pointer' }}>
+            <Upload className="w-4 h-4" />
+            Import
+            <input type="file" accept=".html,.htm,text/html" onChange={handleImport} disabled={transferring} style={{ display: 'none' }} />
+          </label>
+          <button
+            onClick={handleRefresh}
+            disabled={loading}
+            className="btn btn--secondary"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {notice && (
+        <p className="muted" style={{ marginBottom: 16 }}>{notice}</p>
+      )}
+
+      {/* Collections */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginBottom: 16 }}>
+        <button
+          onClick={() => setSelected('')}
+          className={`btn ${selected === '' ? 'btn--primary' : 'btn--secondary'}`}
+        >
+          All
+        </button>
+        <button
+          onClick={() => setSelected('unsorted')}
+          className={`btn ${selected === 'unsorted' ? 'btn--primary' : 'btn--secondary'}`}
+        >
+          Unsorted ({unsortedCount})
+        </button>
+        {collections.map((collection, index) => (
+          <span key={collection._id} style={{ display: 'inline-flex', alignItems: 'center', gap: 2 }}>
+            <button
+              onClick={() => setSelected(collection._id)}
+              className={`btn ${selected === collection._id ? 'btn--primary' : 'btn--secondary'}`}
+              title={collection.description || collection.name}
+            >
+              {collection.name} ({collection.articleCount || 0})
+            </button>
+            {selected === collection._id && (
+              <>
+                <button onClick={() => handleMoveCollection(index, -1)} disabled={index === 0} className="btn btn--secondary" title="Move left" style={{ padding: '0.25rem' }}>
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleMoveCollection(index, 1)} disabled={index === collections.length - 1} className="btn btn--secondary" title="Move right" style={{ padding: '0.25rem' }}>
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleRenameCollection(collection)} className="btn btn--secondary" title="Rename" style={{ padding: '0.25rem' }}>
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleDeleteCollection(collection)} className="btn btn--secondary" title="Delete collection" style={{ padding: '0.25rem' }}>
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </>
+            )}
+          </span>
+        ))}
+        <form onSubmit={handleCreateCollection} style={{ display: 'inline-flex', gap: 4 }}>
+          <input
+            type="text"
+            value={newCollection}
+            onChange={(e) => setNewCollection(e.target.value)}
+            placeholder="New collection"
+            maxLength={100}
+            className="input"
+            style={{ width: 160 }}
+          />
+          <button type="submit" className="btn btn--secondary" title="Create collection">
+            <FolderPlus className="w-4 h-4" />
+          </button>
+        </form>
+      </div>
+
+      {/* Reading Status */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginBottom: 16 }}>
+        {STATUSES.map(option => (
+          <button
+            key={option.value}
+            onClick={() => setStatus(option.value)}
+            className={`btn ${status === option.value ? 'btn--primary' : 'btn--secondary'}`}
+            style={{ padding: '0.25rem 0.75rem', fontSize: '13px' }}
+          >
+            {option.label}{option.value && ` (${statusCounts[option.value] || 0})`}
+          </button>
+        ))}
+        <span style={{ flex: 1 }} />
         <button
-          onClick={handleRefresh}
-          disabled={loading}
-          className="btn btn--secondary"
+          onClick={handleToggleQueue}
+          className={`btn ${queue ? 'btn--primary' : 'btn--secondary'}`}
+          style={{ display: 'flex', alignItems: 'center', gap: 8 }}
+          title="Shortest reads first"
         >
-          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
-          Refresh
+          <ListOrdered className="w-4 h-4" />
+          Reading queue
         </button>
       </div>
 
@@ -128,10 +422,10 @@ export default function Saved() {
             <Bookmark className="w-8 h-8" style={{ color: 'var(--muted)' }} />
           </div>
           <h3 style={{ fontSize: 18, fontWeight: 600, marginBottom: 8 }}>
-            No saved articles yet
+            {selected ? 'Nothing here yet' : 'No saved articles yet'}
           </h3>
           <p className="muted" style={{ marginBottom: 16 }}>
-            Start saving articles from your feed to see them here
+            {selected ? 'Move saved articles into this collection from All' : 'Start saving articles from your feed to see them here'}
           </p>
           <a href="/" className="btn btn--primary">
             Browse Articles
@@ -157,43 +451,94 @@ export default function Saved() {
       {/* Articles Grid */}
       {filteredItems.length > 0 && (
         <div className="grid-articles">
-          {filteredItems.map((article) => (
-            <div key={article.id} className="card">
-              <div className="card__media">
-                <img 
-                  src={article.urlToImage || '/placeholder-image.jpg'} 
-                  alt={article.title}
-                  className="card__img"
-                />
-              </div>
-              <div style={{ padding: '1rem' }}>
-                <a href={article.url} target="_blank" rel="noreferrer" className="headline">
-                  {article.title}
-                </a>
-                <p className="clamp-3" style={{ margin: '0.5rem 0' }}>
-                  {article.description}
-                </p>
-                <div className="meta" style={{ marginTop: '0.75rem' }}>
-                  <span>{article.source}</span>
-                  {article.author && <span>• {article.author}</span>}
-                  <span>• {new Date(article.publishedAt).toLocaleDateString()}</span>
+          {filteredItems.map((item) => {
+            const article = item.articleId;
+            return (
+              <div key={item._id} className="card">
+                <div className="card__media">
+                  <img 
+                    src={article.urlToImage || '/placeholder-image.jpg'} 
+                    alt={article.title}
+                    className="card__img"
+                  />
                 </div>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '0.75rem' }}>
-                  <span className="pill" style={{ textTransform: 'capitalize' }}>
-                    {article.category || 'general'}
-                  </span>
-                  <button 
-                    type="button" 
-                    onClick={() => remove(article.id)} 
-                    className="btn btn--secondary" 
-                    style={{ padding: '0.25rem 0.5rem', fontSize: '12px' }}
-                  >
-                    Remove
-                  </button>
+                <div style={{ padding: '1rem' }}>
+                  <Link to={`/articles/${article._id}`} className="headline">
+                    {article.title}
+                  </Link>
+                  <p className="clamp-3" style={{ margin: '0.5rem 0' }}>
+                    {article.description}
+                  </p>
+                  {item.note && (
+                    <p className="muted clamp-3" style={{ display: 'flex', gap: 6, margin: '0.5rem 0', fontStyle: 'italic' }}>
+                      <StickyNote className="w-4 h-4" style={{ flexShrink: 0 }} />
+                      {item.note}
+                    </p>
+                  )}
+                  <div className="meta" style={{ marginTop: '0.75rem' }}>
+                    {article.meta?.readingTime > 0 && (
+                      <span style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                        <Clock className="w-3 h-3" /> {article.meta.readingTime} min •
+                      </span>
+                    )}
+                    <span>{article.source?.name}</span>
+                    {article.author && <span>• {article.author}</span>}
+                    <span>• {new Date(article.publishedAt).toLocaleDateString()}</span>
+                    {item.highlights?.length > 0 && (
+                      <span style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                        • <Highlighter className="w-3 h-3" /> {item.highlights.length}
+                      </span>
+                    )}
+                  </div>
+                  {item.progress > 0 && item.status !== 'read' && (
+                    <div title={`${Math.round(item.progress)}% read`} style={{ height: 4, background: 'var(--border)', borderRadius: 999, marginTop: '0.5rem' }}>
+                      <div style={{ width: `${item.progress}%`, height: '100%', background: 'var(--primary)', borderRadius: 999 }} />
+                    </div>
+                  )}
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8, marginTop: '0.75rem' }}>
+                    <button
+                      type="button"
+                      onClick={() => handleStatusChange(item, item.status === 'read' ? 'unread' : 'read')}
+                      className="btn btn--secondary"
+                      style={{ padding: '0.25rem 0.5rem', fontSize: '12px' }}
+                      title={item.status === 'read' ? 'Mark unread' : 'Mark read'}
+                    >
+                      <Check className="w-3 h-3" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleStatusChange(item, item.status === 'archived' ? 'unread' : 'archived')}
+                      className="btn btn--secondary"
+                      style={{ padding: '0.25rem 0.5rem', fontSize: '12px' }}
+                      title={item.status === 'archived' ? 'Unarchive' : 'Archive'}
+                    >
+                      <Archive className="w-3 h-3" />
+                    </button>
+                    <select
+                      value={item.collectionId || ''}
+                      onChange={(e) => handleMoveArticle(item, e.target.value)}
+                      className="input"
+                      style={{ padding: '0.25rem 0.5rem', fontSize: '12px', width: 'auto' }}
+                      title="Move to collection"
+                    >
+                      <option value="">Unsorted</option>
+                      {collections.map(collection => (
+                        <option key={collection._id} value={collection._id}>{collection.name}</option>
+                      ))}
+                    </select>
+                    <button 
+                      type="button" 
+                      onClick={() => remove(article._id)} 
+                      className="btn btn--secondary" 
+                      style={{ padding: '0.25rem 0.5rem', fontSize: '12px' }}
+                    >
+                      Remove
+                    </button>
+                  </div>
                 </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       )}
 
@@ -206,12 +551,12 @@ export default function Saved() {
                 {items.length}
               </div>
               <div className="muted">
-                Total Saved
+                Shown
               </div>
             </div>
             <div>
               <div style={{ fontSize: 24, fontWeight: 800, color: 'var(--fg)' }}>
-                {new Set(items.map(item => item.source)).size}
+                {new Set(items.map(item => item.articleId.source?.name)).size}
               </div>
               <div className="muted">
                 Sources
@@ -219,12 +564,20 @@ export default function Saved() {
             </div>
             <div>
               <div style={{ fontSize: 24, fontWeight: 800, color: 'var(--fg)' }}>
-                {new Set(items.flatMap(item => item.categories || [])).size}
+                {new Set(items.map(item => item.articleId.category).filter(Boolean)).size}
               </div>
               <div className="muted">
                 Categories
               </div>
             </div>
+            <div>
+              <div style={{ fontSize: 24, fontWeight: 800, color: 'var(--fg)' }}>
+                {items.reduce((sum, item) => sum + (item.highlights?.length || 0), 0)}
+              </div>
+              <div className="muted">
+                Highlights
+              </div>
+            </div>
           </div>
         </div>
       )}
@@ -25,6 +25,12 @@ import {
   Legend
 } from 'recharts';
 
+const MODES = [
+  { value: 'hot', label: 'Hot' },
+  { value: 'rising', label: 'Rising' },
+  { value: 'top', label: 'Top' }
+];
+
 const COLORS = [
   '#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6',
   '#EC4899', '#06B6D4', '#84CC16', '#F97316', '#6366F1'
@@ -33,13 +39,14 @@ const COLORS = [
 export default function Trending() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [mode, setMode] = useState('hot');
   const [stats, setStats] = useState({
     categories: [],
     sources: [],
     tags: [],
     totalArticles: 0,
     totalUsers: 0,
-    trendingToday: []
+    articles: []
   });
 
   const loadStats = async () => {
@@ -47,7 +54,7 @@ export default function Trending() {
     setError('');
     
     try {
-      const { data } = await http.get('/stats/trending');
+      const { data } = await http.get('/stats/trending', { params: { mode } });
       setStats(data);
     } catch (e) {
       setError('Failed to load trending data');
@@ -59,7 +66,7 @@ export default function Trending() {
 
   useEffect(() => {
     loadStats();
-  }, []);
+  }, [mode]);
 
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -160,7 +167,7 @@ export default function Trending() {
             <div>
               <p style={{ fontSize: 14, fontWeight: 600, color: 'var(--muted)' }}>Trending Today</p>
               <p style={{ fontSize: 24, fontWeight: 800, color: 'var(--fg)' }}>
-                {stats.trendingToday?.length || 0}
+                {stats.articles?.length || 0}
               </p>
             </div>
             <div style={{ width: 48, height: 48, background: 'var(--warning-100)', borderRadius: 8, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
@@ -246,41 +253,60 @@ export default function Trending() {
       </div>
 
       {/* Trending Articles */}
-      {stats.trendingToday && stats.trendingToday.length > 0 && (
-        <div className="card">
-          <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 24 }}>
+      <div className="card">
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, marginBottom: 24 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
             <TrendingUp className="w-5 h-5" style={{ color: 'var(--primary)' }} />
             <h3 style={{ fontSize: 18, fontWeight: 600, color: 'var(--fg)' }}>
-              Trending Today
+              Trending Articles
             </h3>
           </div>
-          
+          <div className="row">
+            {MODES.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setMode(option.value)}
+                className={`btn ${mode === option.value ? 'btn--primary' : 'btn--secondary'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {stats.articles && stats.articles.length > 0 ? (
           <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
-            {stats.trendingToday.map((article, index) => (
-              <div key={article.id} style={{ display: 'flex', alignItems: 'center', gap: 16, padding: 16, background: 'var(--border)', borderRadius: 12 }}>
+            {stats.articles.map((article, index) => (
+              <div key={article._id} style={{ display: 'flex', alignItems: 'center', gap: 16, padding: 16, background: 'var(--border)', borderRadius: 12 }}>
                 <div style={{ flexShrink: 0, width: 32, height: 32, background: 'var(--primary-100)', borderRadius: 999, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
                   <span style={{ fontSize: 14, fontWeight: 700, color: 'var(--primary)' }}>
                     {index + 1}
                   </span>
                 </div>
                 <div style={{ flex: 1, minWidth: 0 }}>
-                  <h4 style={{ fontWeight: 600, color: 'var(--fg)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  <a href={`/articles/${article._id}`} style={{ display: 'block', fontWeight: 600, color: 'var(--fg)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
                     {article.title}
-                  </h4>
+                  </a>
                   <p style={{ fontSize: 14, color: 'var(--muted)' }}>
-                    {article.source} • {article.views || 0} views
+                    {article.source?.name || article.source} • {article.views || 0} views • {article.saves || 0} saves
                   </p>
                 </div>
-                <div style={{ flexShrink: 0 }}>
-                  <span style={{ fontSize: 14, fontWeight: 600, color: 'var(--success)' }}>
-                    +{article.trendScore || 0}%
-                  </span>
-                </div>
+                {mode === 'rising' && article.trending && (
+                  <div style={{ flexShrink: 0 }}>
+                    <span style={{ fontSize: 14, fontWeight: 600, color: 'var(--success)' }}>
+                      {article.trending.velocity}/h
+                    </span>
+                  </div>
+                )}
               </div>
             ))}
           </div>
-        </div>
-      )}
+        ) : (
+          <p className="muted">
+            {mode === 'rising' ? 'Nothing is taking off right now' : 'No trending articles yet'}
+          </p>
+        )}
+      </div>
 
       {/* Tags Cloud */}
       {stats.tags && stats.tags.length > 0 && (
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext.jsx';
+import { authAPI } from '../api/auth.js';
+import { Loader2, CheckCircle, AlertCircle } from 'lucide-react';
+
+// Landing page for the link in the verification email
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, fetchProfile } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This link is missing its verification token');
+
+  useEffect(() => {
+    if (!token) return;
+
+    let cancelled = false;
+    authAPI.verifyEmail(token)
+      .then(() => {
+        if (cancelled) return;
+        setStatus('verified');
+        if (localStorage.getItem('accessToken')) fetchProfile();
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setStatus('error');
+        setMessage(e?.response?.data?.error?.message || 'Could not verify your email address');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, fetchProfile]);
+
+  const color = status === 'verified' ? 'var(--success-800)' : status === 'error' ? 'var(--danger-800)' : 'var(--muted)';
+
+  return (
+    <div style={{ maxWidth: '28rem', margin: '0 auto' }}>
+      <div className="card" style={{ textAlign: 'center' }}>
+        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: '1rem', color }}>
+          {status === 'verifying' && <Loader2 size={40} style={{ animation: 'spin 1s linear infinite' }} />}
+          {status === 'verified' && <CheckCircle size={40} />}
+          {status === 'error' && <AlertCircle size={40} />}
+        </div>
+        <h1 style={{ fontSize: '20px', fontWeight: '700', color: 'var(--fg)', marginBottom: '0.5rem' }}>
+          {status === 'verifying' && 'Confirming your email...'}
+          {status === 'verified' && 'Email confirmed'}
+          {status === 'error' && 'Verification failed'}
+        </h1>
+        <p style={{ color: 'var(--muted)', marginBottom: '1.5rem' }}>
+          {status === 'verified' && 'Thanks! Saving articles, imports and live updates are now available.'}
+          {status === 'error' && `${message}. You can request a new link from the banner after signing in.`}
+        </p>
+        {status !== 'verifying' && (
+          <Link to={user ? '/' : '/login'} className="btn btn--primary">
+            {user ? 'Go to your feed' : 'Sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -19,6 +19,9 @@ import userRoutes from './routes/users.js';
 import statsRoutes from './routes/stats.js';
 import adminRoutes from './routes/admin.js';
 import liveNewsRoutes from './routes/liveNews.js';
+import storyRoutes from './routes/stories.js';
+import eventRoutes from './routes/events.js';
+import streamRoutes from './routes/stream.js';
 
 const app = express();
 
@@ -56,7 +59,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  exposedHeaders: ['Content-Disposition'] // Export file names
 };
 
 app.use(cors(corsOptions));
@@ -93,6 +97,9 @@ app.use('/api/users', userRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/live-news', liveNewsRoutes);
+app.use('/api/stories', storyRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/stream', streamRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -75,7 +75,243 @@ export const TFIDF_CONFIG = {
     'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might',
     'must', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he',
     'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them'
-  ]
+  ],
+  // Shared document-frequency corpus (CorpusTerm/CorpusState)
+  CORPUS_KEY: 'articles',
+  CORPUS_HALF_LIFE_DAYS: parseInt(process.env.TFIDF_HALF_LIFE_DAYS) || 30,
+  CORPUS_MIN_DF: 0.1, // Decayed terms below this are pruned
+  CORPUS_CACHE_TTL: 300, // Seconds each instance reuses fetched frequencies
+  CORPUS_BATCH_SIZE: 500
+};
+
+export const DEDUPE_CONFIG = {
+  SIMHASH_BITS: 64,
+  // The band count is derived from this: n bands guarantee a shared band only up to n - 1
+  // differing bits. 0.95 allows 3 bits, served by four 16-bit bands, which a random article
+  // rarely shares. Lower thresholds need narrower bands that match most of the lookback window
+  SIMILARITY_THRESHOLD: parseFloat(process.env.DEDUPE_SIMILARITY_THRESHOLD) || 0.95,
+  LOOKBACK_DAYS: parseInt(process.env.DEDUPE_LOOKBACK_DAYS) || 3,
+  MAX_CANDIDATES: 200
+};
+
+export const STORY_CONFIG = {
+  SIMILARITY_THRESHOLD: parseFloat(process.env.STORY_SIMILARITY_THRESHOLD) || 0.35,
+  WINDOW_HOURS: parseInt(process.env.STORY_WINDOW_HOURS) || 48,
+  MAX_CANDIDATES: 500
+};
+
+export const SOURCE_POLLING = {
+  NEWSAPI_INTERVAL_MINUTES: parseInt(process.env.NEWSAPI_POLL_INTERVAL_MINUTES) || 120,
+  FEED_INTERVAL_MINUTES: parseInt(process.env.FEED_POLL_INTERVAL_MINUTES) || 30,
+  PROVIDER_INTERVAL_MINUTES: parseInt(process.env.PROVIDER_POLL_INTERVAL_MINUTES) || 60,
+  MAX_BACKOFF_MINUTES: 24 * 60,
+  MAX_SOURCES_PER_TICK: 10
+};
+
+export const PROVIDER_HEALTH = {
+  FAILURE_THRESHOLD: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 5,
+  OPEN_SECONDS: parseInt(process.env.PROVIDER_CIRCUIT_OPEN_SECONDS) || 300
+};
+
+export const EXTRACTION_CONFIG = {
+  BATCH_SIZE: parseInt(process.env.EXTRACTION_BATCH_SIZE) || 25,
+  CONCURRENCY: 3,
+  TIMEOUT: 10000,
+  MAX_HTML_BYTES: 2 * 1024 * 1024,
+  MAX_ATTEMPTS: 3,
+  RETRY_AFTER_MINUTES: 60,
+  LOOKBACK_DAYS: parseInt(process.env.EXTRACTION_LOOKBACK_DAYS) || 7,
+  MIN_TEXT_LENGTH: 250, // Shorter bodies are usually paywalls or landing pages
+  MAX_CONTENT_LENGTH: 100000
+};
+
+export const SENTIMENT_CONFIG = {
+  // AFINN comparative score (average per token) at or beyond which an article is labelled
+  POSITIVE_THRESHOLD: parseFloat(process.env.SENTIMENT_POSITIVE_THRESHOLD) || 0.05,
+  NEGATIVE_THRESHOLD: parseFloat(process.env.SENTIMENT_NEGATIVE_THRESHOLD) || -0.05,
+  BACKFILL_BATCH_SIZE: 500
+};
+
+export const ENTITY_TYPES = ['person', 'organization', 'location', 'phrase'];
+
+export const ENTITY_CONFIG = {
+  MAX_ENTITIES: 15, // Per article
+  MAX_FOLLOWED: 50, // Per user
+  MIN_PHRASE_COUNT: 2, // Lowercase phrases must repeat to count
+  BACKFILL_BATCH_SIZE: 500
+};
+
+export const RECOMMENDATION_CONFIG = {
+  PROFILE_SIGNALS: 200, // Most recent saves and reads used to build a profile
+  PROFILE_HALF_LIFE_DAYS: 30, // A save or read loses half its weight after this long
+  SIGNAL_WEIGHTS: {
+    SAVE: 3,
+    VIEW: 1,
+    DWELL_PER_MINUTE: 0.5, // Capped at MAX_DWELL_MINUTES
+    PREFERENCE: 2 // Explicit interests, categories and sources
+  },
+  MAX_DWELL_MINUTES: 6,
+  CANDIDATE_DAYS: 7,
+  CANDIDATE_LIMIT: 300,
+  SIMILARITY_WEIGHTS: {
+    CATEGORY: 0.35,
+    TAGS: 0.45,
+    SOURCE: 0.2
+  },
+  SCORE_WEIGHTS: {
+    SIMILARITY: 0.6,
+    FRESHNESS: 0.25,
+    POPULARITY: 0.15
+  },
+  FRESHNESS_HALF_LIFE_HOURS: 24,
+  POPULARITY_SCALE: 1000, // Views + 3 × saves that count as fully popular
+  SOURCE_PENALTY: 0.7, // Score multiplier per article already picked from the same source
+  CATEGORY_PENALTY: 0.85,
+  MAX_SOURCE_SHARE: 0.3, // No source gets more than this share of the results
+  HISTORY_TTL_DAYS: 90,
+  COLLABORATIVE_WEIGHT: 0.3 // Share of the score from similar readers, when the user has any
+};
+
+export const COLLABORATIVE_CONFIG = {
+  LOOKBACK_DAYS: parseInt(process.env.COLLABORATIVE_LOOKBACK_DAYS) || 90, // Saves considered
+  MAX_USER_SAVES: 200, // Most recent saves per user, so heavy savers don't dominate
+  MIN_CO_SAVES: 2, // Readers two articles must share before they count as related
+  MAX_RELATED: 20, // Stored per article
+  NEIGHBORS: 20, // Similar readers consulted per recommendation request
+  SEED_SAVES: 50, // A user's most recent saves used to look up related articles
+  CONTENT_LOOKBACK_DAYS: 14, // Cold-start fallback window for content similarity
+  BATCH_SIZE: 500
+};
+
+export const EVENT_TYPES = ['impression', 'click', 'dwell', 'scroll', 'hide'];
+
+export const EVENT_CONFIG = {
+  RETENTION_DAYS: parseInt(process.env.EVENT_RETENTION_DAYS) || 30, // Raw events; daily rollups live in Analytics
+  MAX_BATCH: 50,
+  MAX_DWELL_SECONDS: 3600,
+  MAX_CLOCK_SKEW_HOURS: 24, // Client timestamps further off than this use the server time
+  TOP_ARTICLES: 50, // Articles kept per daily engagement rollup
+  BOT_PATTERN: /bot|crawl|spider|slurp|preview|headless|lighthouse|curl|wget|python-requests|axios\//i
+};
+
+export const TRENDING_CONFIG = {
+  WINDOW_DAYS: 7, // Articles published this recently get trending scores
+  GRAVITY: parseFloat(process.env.TRENDING_GRAVITY) || 1.8, // Higher values favour newer articles
+  AGE_OFFSET_HOURS: 2,
+  WEIGHTS: { VIEW: 1, SAVE: 5, SHARE: 8, SOURCE: 10 }, // SOURCE counts each other outlet covering the story
+  RECENT_HOURS: 6, // Velocity window
+  BASELINE_HOURS: 48, // Window before it that velocity is compared against
+  MIN_RECENT: 3, // Weighted engagement needed in the velocity window to count as rising
+  RISING_MIN_SCORE: 2, // Standard deviations above the baseline
+  BATCH_SIZE: 500
+};
+
+export const BREAKING_CONFIG = {
+  WINDOW_MINUTES: parseInt(process.env.BREAKING_WINDOW_MINUTES) || 30, // Reports must land this close together
+  MIN_SOURCES: parseInt(process.env.BREAKING_MIN_SOURCES) || 3, // Distinct sources within the window
+  MAX_STORY_AGE_HOURS: 6, // Older stories picking up coverage are not breaking
+  ALERT_TTL_HOURS: 24,
+  RECENT_ALERTS: 20
+};
+
+export const STREAM_CONFIG = {
+  CHANNEL: 'news-aggregator:stream', // Redis pub/sub channel shared by all server instances
+  MAX_CONNECTIONS_PER_USER: parseInt(process.env.STREAM_MAX_CONNECTIONS_PER_USER) || 3,
+  HEARTBEAT_SECONDS: 25, // Comment lines that keep idle connections open through proxies
+  CONNECTION_TTL_SECONDS: 75, // Connections not refreshed by a heartbeat this long are not counted
+  RETRY_MS: 5000,
+  TICKET_TTL_SECONDS: 60, // EventSource cannot send headers, so feed streams authenticate with a short-lived ticket
+  REPLAY_LIMIT: 100, // Articles resent after a reconnect with Last-Event-ID
+  REPLAY_MAX_HOURS: 24
+};
+
+export const COLLECTION_CONFIG = {
+  MAX_COLLECTIONS: 50, // Per user
+  MAX_NOTE_LENGTH: 10000,
+  MAX_HIGHLIGHTS: 200, // Per saved article
+  HIGHLIGHT_COLORS: ['yellow', 'green', 'blue', 'pink']
+};
+
+export const READING_STATUSES = ['unread', 'in-progress', 'read', 'archived'];
+
+export const READING_CONFIG = {
+  READ_PROGRESS: 90, // Scrolling this far (percent) marks an article read
+  UNKNOWN_READING_TIME: 1e6 // Sorts articles without an estimate to the end of the queue
+};
+
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  md: { contentType: 'text/markdown', extension: 'md' },
+  html: { contentType: 'text/html', extension: 'html' },
+  epub: { contentType: 'application/epub+zip', extension: 'epub' }
+};
+
+export const IMPORT_CONFIG = {
+  MAX_BOOKMARKS: 2000, // Per import
+  MAX_FILE_SIZE: 5 * 1024 * 1024, // Characters of bookmark HTML
+  ARCHIVE_FOLDERS: ['archive', 'read archive'], // Imported as read
+  UNREAD_FOLDERS: ['unread', 'read later'], // Imported unsorted
+  // Folders browsers put every bookmark under; not turned into collections
+  ROOT_FOLDERS: ['bookmarks', 'bookmarks bar', 'bookmarks toolbar', 'bookmarks menu', 'other bookmarks', 'pocket export', 'instapaper: export', 'instapaper']
+};
+
+export const MAIL_CONFIG = {
+  // smtp, file or console; production refuses to start with anything but smtp
+  TRANSPORT: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+  FROM: process.env.MAIL_FROM || process.env.EMAIL_FROM_ADDRESS || 'noreply@news-aggregator.com',
+  FILE_DIR: process.env.MAIL_FILE_DIR || 'mail', // Where the file transport writes .eml files
+  APP_URL: process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173' // Client base for links in emails
+};
+
+export const PASSWORD_RESET_CONFIG = {
+  TOKEN_TTL_MINUTES: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  RESEND_INTERVAL_SECONDS: 60 // Further requests within this window send no new email
+};
+
+export const SESSION_CONFIG = {
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7, // Idle devices are signed out after this
+  MAX_AGE_DAYS: parseInt(process.env.SESSION_MAX_AGE_DAYS) || 30, // Rotation never extends a session past this
+  REUSE_GRACE_SECONDS: 10, // A just-rotated token replayed this soon is a race between tabs, not theft
+  DENYLIST_TTL_SECONDS: 24 * 60 * 60, // Must cover JWT_EXPIRES_IN; revoked access tokens stay denied this long
+  STATE_CACHE_SECONDS: 30 // Redis caches a session's revocation check this long
+};
+
+export const TWO_FACTOR_CONFIG = {
+  ISSUER: process.env.TWO_FACTOR_ISSUER || 'News Aggregator', // Account name shown in authenticator apps
+  STEP_SECONDS: 30,
+  DIGITS: 6,
+  WINDOW: 1, // Steps of clock drift accepted either side
+  CHALLENGE_TTL_SECONDS: 300, // Time to enter a code after the password was accepted
+  RECOVERY_CODES: 10,
+  REQUIRED_FOR_ADMINS: process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS !== 'false'
+};
+
+export const OIDC_CONFIG = {
+  // Enabled provider ids; each reads OIDC_<ID>_ISSUER, _CLIENT_ID, _CLIENT_SECRET, _NAME and _SCOPES
+  PROVIDERS: (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(provider => provider.trim().toLowerCase())
+    .filter(Boolean),
+  STATE_TTL_SECONDS: 600, // Time to finish signing in at the provider
+  DISCOVERY_TTL_SECONDS: 60 * 60, // Provider metadata and signing keys are cached this long
+  CLOCK_TOLERANCE_SECONDS: 60, // Allowed skew when checking ID token times
+  REQUEST_TIMEOUT_MS: 10000
+};
+
+export const EMAIL_VERIFICATION_CONFIG = {
+  TOKEN_TTL_HOURS: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+  RESEND_INTERVAL_SECONDS: 60,
+  // Features closed to unverified accounts: save, import, notifications. Empty to allow everything
+  REQUIRED_FOR: (process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? 'save,import,notifications')
+    .split(',')
+    .map(feature => feature.trim())
+    .filter(Boolean)
+};
+
+export const OPML_CONFIG = {
+  MAX_OUTLINES: 500, // Feeds per import
+  MAX_FILE_SIZE: 1024 * 1024 // Characters of OPML
 };
 
 export const CATEGORY_KEYWORDS = {
@@ -99,6 +335,7 @@ export const CATEGORY_KEYWORDS = {
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
@@ -119,6 +356,8 @@ export const ERROR_CODES = {
   DUPLICATE_ERROR: 'DUPLICATE_ERROR',
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
   EXTERNAL_API_ERROR: 'EXTERNAL_API_ERROR',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
   INTERNAL_ERROR: 'INTERNAL_ERROR'
 };
 
@@ -134,7 +373,9 @@ export const SCHEDULED_JOBS = {
 };
 
 export const CRON_SCHEDULES = {
-  FETCH_NEWS: process.env.FETCH_NEWS_CRON || '0 */2 * * *', // Every 2 hours
+  POLL_SOURCES: process.env.POLL_SOURCES_CRON || '*/5 * * * *', // Every 5 minutes; each source has its own interval
   CLEANUP_ARTICLES: '0 2 * * *', // Daily at 2 AM
-  UPDATE_TRENDING: '*/15 * * * *' // Every 15 minutes
+  UPDATE_TRENDING: '*/15 * * * *', // Every 15 minutes
+  EXTRACT_CONTENT: process.env.EXTRACT_CONTENT_CRON || '*/10 * * * *', // Every 10 minutes
+  COMPUTE_RELATED: process.env.RELATED_ARTICLES_CRON || '30 * * * *' // Hourly
 };
@@ -7,13 +7,21 @@ import { User } from '../models/User.js';
 import { Article } from '../models/Article.js';
 import { SavedArticle } from '../models/SavedArticle.js';
 import { Analytics } from '../models/Analytics.js';
+import { Feed } from '../models/Feed.js';
+import { SourceState } from '../models/SourceState.js';
 import { newsService } from '../services/newsService.js';
 import { cacheService } from '../services/cacheService.js';
 import { dedupeService } from '../services/dedupeService.js';
+import { taggerService } from '../services/taggerService.js';
+import { feedService } from '../services/feedService.js';
+import { providerHealthService } from '../services/providerHealthService.js';
+import { streamService } from '../services/streamService.js';
 import { jobScheduler } from '../jobs/index.js';
 import { fetchJob } from '../jobs/fetchJob.js';
 import { cleanupJob } from '../jobs/cleanupJob.js';
 import { analyticsJob } from '../jobs/analyticsJob.js';
+import { extractionJob } from '../jobs/extractionJob.js';
+import { relatedArticlesJob } from '../jobs/relatedArticlesJob.js';
 import { getConnectionStatus } from '../config/db.js';
 import { redisHealthCheck } from '../config/redis.js';
 import { logger } from '../config/logger.js';
@@ -30,13 +38,19 @@ export const getHealth = catchAsync(async (req, res) => {
     redisStatus,
     fetchJobStatus,
     cleanupJobStatus,
-    analyticsJobStatus
+    analyticsJobStatus,
+    extractionJobStatus,
+    relatedJobStatus,
+    providerStatus
   ] = await Promise.all([
     getConnectionStatus(),
     redisHealthCheck(),
     fetchJob.getStatus(),
     cleanupJob.getStatus(),
-    analyticsJob.getStatus()
+    analyticsJob.getStatus(),
+    extractionJob.getStatus(),
+    relatedArticlesJob.getStatus(),
+    providerHealthService.getStatus()
   ]);
 
   const health = {
@@ -66,13 +80,29 @@ export const getHealth = catchAsync(async (req, res) => {
           status: analyticsJobStatus.isRunning ? 'running' : 'idle',
           lastRun: analyticsJobStatus.lastRun,
           nextRun: analyticsJobStatus.nextRun
+        },
+        extraction: {
+          status: extractionJobStatus.isRunning ? 'running' : 'idle',
+          lastRun: extractionJobStatus.lastRun,
+          lastResult: extractionJobStatus.lastResult
+        },
+        related: {
+          status: relatedJobStatus.isRunning ? 'running' : 'idle',
+          lastRun: relatedJobStatus.lastRun,
+          lastResult: relatedJobStatus.lastResult
         }
-      }
+      },
+      providers: providerStatus
     }
   };
 
   // Determine overall status
-  if (dbStatus.state !== 'connected' || redisStatus.status !== 'healthy') {
+  // No configured news provider can be called right now
+  const usableProviders = Object.values(providerStatus).filter(provider =>
+    ['healthy', 'degraded'].includes(provider.status)
+  );
+
+  if (dbStatus.state !== 'connected' || redisStatus.status !== 'healthy' || usableProviders.length === 0) {
     health.status = 'degraded';
   }
 
@@ -90,7 +120,8 @@ export const getMetrics = catchAsync(async (req, res) => {
     totalSavedArticles,
     totalAnalytics,
     fetchStats,
-    dedupeStats
+    dedupeStats,
+    taggerStats
   ] = await Promise.all([
     Article.countDocuments(),
     Article.countDocuments({ isActive: true }),
@@ -98,7 +129,8 @@ export const getMetrics = catchAsync(async (req, res) => {
     SavedArticle.countDocuments(),
     Analytics.countDocuments(),
     fetchJob.getStats(),
-    dedupeService.getStats()
+    dedupeService.getStats(),
+    taggerService.getStats()
   ]);
 
   const metrics = {
@@ -117,6 +149,8 @@ export const getMetrics = catchAsync(async (req, res) => {
       fetch: fetchStats
     },
     deduplication: dedupeStats,
+    tagging: taggerStats,
+    streams: streamService.getStats(),
     system: {
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
@@ -198,6 +232,36 @@ export const runAnalyticsJob = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Run full-text extraction job manually
+ */
+export const runExtractionJob = catchAsync(async (req, res) => {
+  const limit = parseInt(req.query.limit) || undefined;
+
+  logger.info('Manual extraction job requested', { limit, userId: req.user._id });
+
+  const result = await extractionJob.run(limit);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Extraction job completed successfully',
+    result
+  });
+});
+
+/**
+ * Run collaborative filtering job manually
+ */
+export const runRelatedArticlesJob = catchAsync(async (req, res) => {
+  logger.info('Manual related articles job requested', { userId: req.user._id });
+
+  const result = await relatedArticlesJob.run();
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Related articles job completed successfully',
+    result
+  });
+});
+
 /**
  * Get job status
  */
@@ -285,6 +349,18 @@ export const getNewsSources = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get per-source polling state (validators, schedule, backoff)
+ */
+export const getSourceStatus = catchAsync(async (req, res) => {
+  const sources = await fetchJob.getSourceStates();
+
+  res.status(HTTP_STATUS.OK).json({
+    sources,
+    nextPollAt: fetchJob.getNextRunTime()
+  });
+});
+
 /**
  * Get news source categories
  */
@@ -296,6 +372,137 @@ export const getNewsCategories = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get registered RSS/Atom feeds
+ */
+export const getFeeds = catchAsync(async (req, res) => {
+  const { category, isActive, pendingApproval } = req.query;
+
+  const query = {};
+  if (category) query.category = category;
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+  if (pendingApproval !== undefined) query.pendingApproval = pendingApproval === 'true';
+
+  const feeds = await Feed.find(query).sort({ name: 1 }).lean();
+
+  res.status(HTTP_STATUS.OK).json({
+    feeds,
+    total: feeds.length
+  });
+});
+
+/**
+ * Get a registered feed by ID
+ */
+export const getFeed = catchAsync(async (req, res) => {
+  const feed = await Feed.findById(req.params.id).lean();
+
+  if (!feed) {
+    throw new AppError(
+      'Feed not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  res.status(HTTP_STATUS.OK).json({ feed });
+});
+
+/**
+ * Register a new feed
+ */
+export const createFeed = catchAsync(async (req, res) => {
+  const feed = await Feed.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  logger.info(`Feed registered: ${feed.url}`, { createdBy: req.user._id });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    message: 'Feed created successfully',
+    feed
+  });
+});
+
+/**
+ * Update a registered feed
+ * Activating a feed registered by an OPML import approves it
+ */
+export const updateFeed = catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const feed = await Feed.findByIdAndUpdate(
+    id,
+    req.body.isActive ? { ...req.body, pendingApproval: false } : req.body,
+    { new: true, runValidators: true }
+  );
+
+  if (!feed) {
+    throw new AppError(
+      'Feed not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  logger.info(`Feed updated: ${id}`, { updatedBy: req.user._id });
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Feed updated successfully',
+    feed
+  });
+});
+
+/**
+ * Delete a registered feed (articles already fetched are kept)
+ */
+export const deleteFeed = catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const feed = await Feed.findByIdAndDelete(id);
+
+  if (!feed) {
+    throw new AppError(
+      'Feed not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  await SourceState.deleteOne({ key: `feed:${id}` });
+
+  logger.info(`Feed deleted: ${id}`, { deletedBy: req.user._id });
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Feed deleted successfully'
+  });
+});
+
+/**
+ * Poll a single feed immediately
+ */
+export const fetchFeed = catchAsync(async (req, res) => {
+  const feed = await Feed.findById(req.params.id);
+
+  if (!feed) {
+    throw new AppError(
+      'Feed not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  logger.info(`Manual feed poll requested: ${feed.url}`, { userId: req.user._id });
+
+  const result = await feedService.pollFeed(feed);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: result.success ? 'Feed fetched successfully' : 'Feed fetch failed',
+    result
+  });
+});
+
 /**
  * Get all users (admin only)
  */
@@ -4,7 +4,11 @@
  */
 
 import { Article } from '../models/Article.js';
+import { ReadingHistory } from '../models/ReadingHistory.js';
+import { SavedArticle } from '../models/SavedArticle.js';
 import { newsService } from '../services/newsService.js';
+import { entityService } from '../services/entityService.js';
+import { collaborativeService } from '../services/collaborativeService.js';
 import { cacheService } from '../services/cacheService.js';
 import { paginator } from '../utils/paginator.js';
 import { logger } from '../config/logger.js';
@@ -58,7 +62,8 @@ export const getArticles = catchAsync(async (req, res) => {
     date,
     from,
     to,
-    author
+    author,
+    sentiment
   } = req.query;
 
   // Build cache key
@@ -94,6 +99,10 @@ export const getArticles = catchAsync(async (req, res) => {
   if (author) {
     query.author = new RegExp(author, 'i');
   }
+
+  if (sentiment) {
+    query['meta.sentiment'] = { $in: sentiment.split(',') };
+  }
   
   if (date) {
     const dateObj = new Date(date);
@@ -173,10 +182,17 @@ export const getArticle = catchAsync(async (req, res) => {
   const cacheKey = `article:${id}`;
   const cached = await cacheService.get(cacheKey);
   if (cached) {
+    await recordReading(req.user, cached.article);
     return res.status(HTTP_STATUS.OK).json(cached);
   }
 
-  const article = await Article.findOne({ _id: id, isActive: true }).lean();
+  let article = await Article.findOne({ _id: id, isActive: true }).lean();
+
+  // Readers keep their saved articles after cleanup retires them, as well as imported
+  // bookmarks, which never enter the shared feeds
+  if (!article && req.user && (await SavedArticle.exists({ userId: req.user._id, articleId: id }))) {
+    article = await Article.findById(id).lean();
+  }
 
   if (!article) {
     throw new AppError(
@@ -186,11 +202,13 @@ export const getArticle = catchAsync(async (req, res) => {
     );
   }
 
-  // Increment view count
-  await Article.findByIdAndUpdate(id, { $inc: { views: 1 } });
+  // Views are counted from deduplicated click events (POST /api/events)
+  await recordReading(req.user, article);
 
-  // Cache the result
-  await cacheService.set(cacheKey, { article }, 600); // 10 minutes
+  // Cache the result (inactive articles are only served to their savers)
+  if (article.isActive) {
+    await cacheService.set(cacheKey, { article }, 600); // 10 minutes
+  }
 
   res.status(HTTP_STATUS.OK).json({ article });
 });
@@ -199,9 +217,9 @@ export const getArticle = catchAsync(async (req, res) => {
  * Get trending articles
  */
 export const getTrendingArticles = catchAsync(async (req, res) => {
-  const { period = 7, limit = 10 } = req.query;
+  const { period = 7, limit = 10, mode = 'hot' } = req.query;
 
-  const cacheKey = `trending:articles:${period}:${limit}`;
+  const cacheKey = `trending:articles:${mode}:${period}:${limit}`;
   
   // Try cache first
   const cached = await cacheService.get(cacheKey);
@@ -209,10 +227,11 @@ export const getTrendingArticles = catchAsync(async (req, res) => {
     return res.status(HTTP_STATUS.OK).json(cached);
   }
 
-  const articles = await Article.findTrending(parseInt(period), parseInt(limit));
+  const articles = await Article.findTrending(parseInt(period), parseInt(limit), mode).lean();
 
   const response = {
     articles,
+    mode,
     period: parseInt(period),
     limit: parseInt(limit),
     generatedAt: new Date().toISOString()
@@ -377,6 +396,52 @@ export const getArticlesByTag = catchAsync(async (req, res) => {
   res.status(HTTP_STATUS.OK).json(response);
 });
 
+/**
+ * Get articles mentioning an entity
+ */
+export const getArticlesByEntity = catchAsync(async (req, res) => {
+  const { type, name } = req.params;
+  const { page, limit } = req.query;
+  const key = entityService.normalizeKey(name);
+
+  const cacheKey = `articles:entity:${type}:${key}:${JSON.stringify(req.query)}`;
+
+  // Try cache first
+  const cached = await cacheService.get(cacheKey);
+  if (cached) {
+    return res.status(HTTP_STATUS.OK).json(cached);
+  }
+
+  const query = {
+    isActive: true,
+    entities: { $elemMatch: { type, key } }
+  };
+
+  // Get pagination parameters
+  const { page: pageNum, limit: limitNum, skip } = paginator.normalizeParams({ page, limit });
+
+  // Execute query
+  const [articles, total] = await Promise.all([
+    Article.find(query)
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Article.countDocuments(query)
+  ]);
+
+  const response = paginator.createResponse(articles, total, { page: pageNum, limit: limitNum });
+
+  // Report the entity as the articles spell it
+  const match = articles[0]?.entities.find(entity => entity.type === type && entity.key === key);
+  response.entity = { type, key, name: match?.name || name };
+
+  // Cache for 5 minutes
+  await cacheService.set(cacheKey, response, 300);
+
+  res.status(HTTP_STATUS.OK).json(response);
+});
+
 /**
  * Create a new article (admin only)
  */
@@ -462,6 +527,7 @@ export const deleteArticle = catchAsync(async (req, res) => {
   await cacheService.invalidatePattern([
     'articles:*',
     `article:${id}`,
+    'stories:*',
     'trending:*'
   ]);
 
@@ -472,6 +538,45 @@ export const deleteArticle = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get articles related to an article: "readers who saved this also saved",
+ * filled with content-similar articles when there are too few co-saves
+ */
+export const getRelatedArticles = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { limit } = req.query;
+
+  const cacheKey = `related:${id}:${limit}`;
+  const cached = await cacheService.get(cacheKey);
+  if (cached) {
+    return res.status(HTTP_STATUS.OK).json(cached);
+  }
+
+  const article = await Article.findOne({ _id: id, isActive: true })
+    .select('category tags entities')
+    .lean();
+
+  if (!article) {
+    throw new AppError(
+      'Article not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  const related = await collaborativeService.getRelated(article, parseInt(limit));
+
+  const response = {
+    articleId: id,
+    related
+  };
+
+  // Cache for 30 minutes (lists are recomputed hourly)
+  await cacheService.set(cacheKey, response, 1800);
+
+  res.status(HTTP_STATUS.OK).json(response);
+});
+
 /**
  * Get article statistics
  */
@@ -523,3 +628,18 @@ export const shareArticle = catchAsync(async (req, res) => {
     shares: article.shares
   });
 });
+
+/**
+ * Add an opened article to a signed-in reader's history for recommendations
+ * Failures are logged rather than failing the article request
+ */
+async function recordReading(user, article) {
+  if (!user) return;
+
+  try {
+    await ReadingHistory.recordView(user._id, article);
+    await cacheService.invalidatePattern(`recommendations:${user._id}:*`);
+  } catch (error) {
+    logger.error('Error recording reading history:', error);
+  }
+}
@@ -5,10 +5,99 @@
 
 import { User } from '../models/User.js';
 import { logger } from '../config/logger.js';
-import { generateToken, generateRefreshToken, verifyRefreshToken } from '../middleware/auth.js';
+import { passwordResetService } from '../services/passwordResetService.js';
+import { emailVerificationService } from '../services/emailVerificationService.js';
+import { sessionService } from '../services/sessionService.js';
+import { twoFactorService } from '../services/twoFactorService.js';
+import { oidcService } from '../services/oidcService.js';
+import {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} from '../middleware/auth.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { catchAsync } from '../middleware/errorHandler.js';
-import { HTTP_STATUS, ERROR_CODES } from '../config/constants.js';
+import { HTTP_STATUS, ERROR_CODES, USER_ROLES, TWO_FACTOR_CONFIG } from '../config/constants.js';
+
+const getClient = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+/**
+ * Start a session for this device and sign its tokens
+ */
+const startSession = async (user, req, { twoFactor = false } = {}) => {
+  const grant = await sessionService.create(user, { ...getClient(req), twoFactor });
+
+  return {
+    token: generateToken(user, grant),
+    refreshToken: generateRefreshToken(user, grant)
+  };
+};
+
+/**
+ * Finish a sign-in once every factor has been checked
+ */
+const completeLogin = async (user, req, res, { twoFactor = false, ...details } = {}) => {
+  // Reset login attempts on successful login
+  await user.resetLoginAttempts();
+
+  // Generate tokens
+  const { token, refreshToken } = await startSession(user, req, { twoFactor });
+
+  // Update last login
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  logger.info(`User logged in successfully: ${user._id}`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified !== false,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      role: user.role,
+      interests: user.interests,
+      preferences: user.preferences,
+      lastLoginAt: user.lastLoginAt
+    },
+    token,
+    refreshToken,
+    ...details
+  });
+};
+
+/**
+ * With 2FA the first factor only earns a challenge for POST /auth/2fa/verify
+ */
+const sendTwoFactorChallenge = (user, res) => {
+  logger.info(`Two-factor challenge issued for user: ${user._id}`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    challengeToken: generateTwoFactorChallenge(user),
+    expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_TTL_SECONDS
+  });
+};
+
+/**
+ * Check a TOTP or recovery code for the signed-in user
+ */
+const requireTwoFactorCode = async (userId, code) => {
+  const result = await twoFactorService.verify(userId, code);
+  if (!result) {
+    throw new AppError(
+      'Invalid authentication code',
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+  return result;
+};
 
 /**
  * Register a new user
@@ -33,6 +122,7 @@ export const register = catchAsync(async (req, res) => {
     name,
     email,
     password,
+    emailVerified: false,
     interests: interests || [],
     preferences: preferences || {}
   };
@@ -41,8 +131,7 @@ export const register = catchAsync(async (req, res) => {
   await user.save();
 
   // Generate tokens
-  const token = generateToken(user);
-  const refreshToken = generateRefreshToken(user);
+  const { token, refreshToken } = await startSession(user, req);
 
   // Update last login
   user.lastLoginAt = new Date();
@@ -50,12 +139,16 @@ export const register = catchAsync(async (req, res) => {
 
   logger.info(`User registered successfully: ${user._id}`);
 
+  // A mail failure must not fail the registration; the user can resend from their profile
+  await emailVerificationService.sendVerification(user);
+
   res.status(HTTP_STATUS.CREATED).json({
     message: 'User registered successfully',
     user: {
       id: user._id,
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified !== false,
       role: user.role,
       interests: user.interests,
       preferences: user.preferences,
@@ -107,37 +200,154 @@ export const login = catchAsync(async (req, res) => {
     );
   }
 
-  // Reset login attempts on successful login
-  await user.resetLoginAttempts();
+  // Wrong codes after a correct password still count towards the lockout
+  if (user.twoFactor?.enabled) {
+    return sendTwoFactorChallenge(user, res);
+  }
 
-  // Generate tokens
-  const token = generateToken(user);
-  const refreshToken = generateRefreshToken(user);
+  await completeLogin(user, req, res);
+});
 
-  // Update last login
-  user.lastLoginAt = new Date();
-  await user.save();
+const OIDC_ERRORS = {
+  unknown_provider: ['Unknown sign-in provider', HTTP_STATUS.NOT_FOUND, ERROR_CODES.NOT_FOUND],
+  unavailable: ['Sign-in provider is unavailable, please try again later', HTTP_STATUS.SERVICE_UNAVAILABLE, ERROR_CODES.EXTERNAL_API_ERROR],
+  invalid_state: ['Sign-in expired or was already completed, please try again', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR],
+  exchange_failed: ['Sign-in with the provider failed', HTTP_STATUS.UNAUTHORIZED, ERROR_CODES.AUTHENTICATION_ERROR],
+  invalid_id_token: ['Sign-in with the provider failed', HTTP_STATUS.UNAUTHORIZED, ERROR_CODES.AUTHENTICATION_ERROR],
+  email_required: ['The provider did not share an email address', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR],
+  email_unverified: [
+    'An account with this email already exists; sign in with your password instead',
+    HTTP_STATUS.CONFLICT,
+    ERROR_CODES.DUPLICATE_ERROR
+  ],
+  account_unverified: [
+    'An account with this email exists but has not verified it; sign in with your password and verify your email first',
+    HTTP_STATUS.CONFLICT,
+    ERROR_CODES.DUPLICATE_ERROR
+  ]
+};
+
+const throwOidcError = (reason) => {
+  throw new AppError(...OIDC_ERRORS[reason]);
+};
 
-  logger.info(`User logged in successfully: ${user._id}`);
+/**
+ * Sign-in providers configured with OIDC_PROVIDERS
+ */
+export const getOidcProviders = catchAsync(async (req, res) => {
+  res.status(HTTP_STATUS.OK).json({
+    providers: oidcService.listProviders()
+  });
+});
+
+/**
+ * Start signing in with a provider; the client sends the browser to authorizationUrl
+ */
+export const startOidcLogin = catchAsync(async (req, res) => {
+  const { authorizationUrl, state, reason } = await oidcService.createAuthorization(req.params.provider);
+  if (reason) {
+    throwOidcError(reason);
+  }
 
   res.status(HTTP_STATUS.OK).json({
-    message: 'Login successful',
-    user: {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      interests: user.interests,
-      preferences: user.preferences,
-      lastLoginAt: user.lastLoginAt
-    },
-    token,
-    refreshToken
+    authorizationUrl,
+    state
+  });
+});
+
+/**
+ * Finish signing in with the code and state the provider redirected back with
+ * Links the identity to an account with the same verified email, or creates one
+ */
+export const completeOidcLogin = catchAsync(async (req, res) => {
+  const { provider } = req.params;
+
+  const { claims, reason } = await oidcService.completeAuthorization(provider, req.body);
+  if (reason) {
+    throwOidcError(reason);
+  }
+
+  const result = await oidcService.findOrCreateUser(provider, claims);
+  if (result.reason) {
+    throwOidcError(result.reason);
+  }
+
+  const { user, linked, created } = result;
+  if (!user.isActive) {
+    throw new AppError(
+      'Account is deactivated',
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.AUTHENTICATION_ERROR
+    );
+  }
+
+  if (created && user.emailVerified === false) {
+    await emailVerificationService.sendVerification(user);
+  }
+
+  // The provider stands in for the password; a second factor is still asked for
+  if (user.twoFactor?.enabled) {
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await completeLogin(user, req, res, { linked, created });
+});
+
+/**
+ * Second login step: exchange the challenge token and a TOTP or recovery code for a session
+ */
+export const verifyTwoFactorLogin = catchAsync(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  let claims;
+  try {
+    claims = verifyTwoFactorChallenge(challengeToken);
+  } catch (error) {
+    throw new AppError(
+      error.message,
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.AUTHENTICATION_ERROR
+    );
+  }
+
+  const user = await User.findById(claims.userId);
+  if (!user || !user.isActive || !user.twoFactor?.enabled) {
+    throw new AppError(
+      'Invalid two-factor challenge',
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.AUTHENTICATION_ERROR
+    );
+  }
+
+  if (user.isLocked) {
+    throw new AppError(
+      'Account is temporarily locked due to multiple failed login attempts',
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.AUTHENTICATION_ERROR
+    );
+  }
+
+  const result = await twoFactorService.verify(user._id, code);
+  if (!result) {
+    await user.incLoginAttempts();
+
+    logger.warn(`Failed two-factor attempt for user: ${user._id}`);
+    throw new AppError(
+      'Invalid authentication code',
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.AUTHENTICATION_ERROR
+    );
+  }
+
+  await completeLogin(user, req, res, {
+    twoFactor: true,
+    ...(result.method === 'recovery' && { recoveryCodesRemaining: result.recoveryCodesRemaining })
   });
 });
 
 /**
  * Refresh access token
+ * Each refresh token works once; replaying an old one signs the device out
  */
 export const refreshToken = catchAsync(async (req, res) => {
   const { refreshToken: token } = req.body;
@@ -150,42 +360,54 @@ export const refreshToken = catchAsync(async (req, res) => {
     );
   }
 
+  let claims;
   try {
-    // Verify refresh token
-    const decoded = verifyRefreshToken(token);
-    
-    // Get user
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
-      throw new AppError(
-        'Invalid refresh token',
-        HTTP_STATUS.UNAUTHORIZED,
-        ERROR_CODES.AUTHENTICATION_ERROR
-      );
-    }
+    claims = verifyRefreshToken(token);
+  } catch (error) {
+    throw new AppError(
+      'Invalid refresh token',
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.AUTHENTICATION_ERROR
+    );
+  }
 
-    // Generate new tokens
-    const newToken = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+  const { userId, grant, reason } = await sessionService.rotate(claims, getClient(req));
+  if (!grant) {
+    const messages = {
+      superseded: 'Refresh token has already been used',
+      reuse: 'Refresh token reuse detected, please sign in again'
+    };
+    throw new AppError(
+      messages[reason] || 'Invalid refresh token',
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.AUTHENTICATION_ERROR
+    );
+  }
 
-    res.status(HTTP_STATUS.OK).json({
-      message: 'Token refreshed successfully',
-      token: newToken,
-      refreshToken: newRefreshToken
-    });
-  } catch (error) {
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
     throw new AppError(
       'Invalid refresh token',
       HTTP_STATUS.UNAUTHORIZED,
       ERROR_CODES.AUTHENTICATION_ERROR
     );
   }
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Token refreshed successfully',
+    token: generateToken(user, grant),
+    refreshToken: generateRefreshToken(user, grant)
+  });
 });
 
 /**
  * Logout user
  */
 export const logout = catchAsync(async (req, res) => {
+  if (req.auth?.sessionId) {
+    await sessionService.revokeSession(req.user._id, req.auth.sessionId, 'logout');
+  }
+
   logger.info(`User logged out: ${req.user._id}`);
 
   res.status(HTTP_STATUS.OK).json({
@@ -193,6 +415,54 @@ export const logout = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * List the user's signed-in devices
+ */
+export const getSessions = catchAsync(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id);
+
+  res.status(HTTP_STATUS.OK).json({
+    sessions: sessions.map(session => ({
+      ...session,
+      current: session.id.toString() === req.auth?.sessionId
+    }))
+  });
+});
+
+/**
+ * Sign out one device
+ */
+export const revokeSession = catchAsync(async (req, res) => {
+  const revoked = await sessionService.revokeSession(req.user._id, req.params.id);
+  if (!revoked) {
+    throw new AppError(
+      'Session not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  logger.info(`Session ${req.params.id} revoked by user ${req.user._id}`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Session revoked'
+  });
+});
+
+/**
+ * Sign out every device except this one
+ */
+export const revokeOtherSessions = catchAsync(async (req, res) => {
+  const revoked = await sessionService.revokeAll(req.user._id, { except: req.auth?.sessionId });
+
+  logger.info(`User ${req.user._id} revoked ${revoked} other sessions`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Other sessions revoked',
+    revoked
+  });
+});
+
 /**
  * Get current user profile
  */
@@ -214,6 +484,9 @@ export const getProfile = catchAsync(async (req, res) => {
       id: user._id,
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified !== false,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      identities: (user.identities || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
       role: user.role,
       avatarUrl: user.avatarUrl,
       interests: user.interests,
@@ -261,6 +534,8 @@ export const updateProfile = catchAsync(async (req, res) => {
       id: user._id,
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified !== false,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
       role: user.role,
       avatarUrl: user.avatarUrl,
       interests: user.interests,
@@ -301,6 +576,9 @@ export const changePassword = catchAsync(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Other devices may be signed in by whoever knew the old password
+  await sessionService.revokeAll(userId, { except: req.auth?.sessionId, reason: 'password_change' });
+
   logger.info(`Password changed for user: ${userId}`);
 
   res.status(HTTP_STATUS.OK).json({
@@ -314,28 +592,12 @@ export const changePassword = catchAsync(async (req, res) => {
 export const forgotPassword = catchAsync(async (req, res) => {
   const { email } = req.body;
 
-  const user = await User.findOne({ email });
-  if (!user) {
-    // Don't reveal if email exists or not
-    return res.status(HTTP_STATUS.OK).json({
-      message: 'If the email exists, a reset link has been sent'
-    });
-  }
-
-  // Generate reset token
-  const resetToken = generateToken(user, '1h');
-  
-  // In a real application, you would:
-  // 1. Store the reset token in the database with expiration
-  // 2. Send an email with the reset link
-  // 3. Log the reset attempt
-  
-  logger.info(`Password reset requested for user: ${user.email}`);
+  // Not awaited: the same response, in the same time, whether or not the account exists.
+  // requestReset handles its own errors
+  passwordResetService.requestReset(email, { ip: req.ip });
 
   res.status(HTTP_STATUS.OK).json({
-    message: 'If the email exists, a reset link has been sent',
-    // In development, return the token for testing
-    ...(process.env.NODE_ENV === 'development' && { resetToken })
+    message: 'If the email exists, a reset link has been sent'
   });
 });
 
@@ -345,12 +607,14 @@ export const forgotPassword = catchAsync(async (req, res) => {
 export const resetPassword = catchAsync(async (req, res) => {
   const { token, newPassword } = req.body;
 
-  // In a real application, you would:
-  // 1. Verify the token from the database
-  // 2. Check if it's not expired
-  // 3. Update the password
-  
-  logger.info('Password reset attempt');
+  const user = await passwordResetService.resetPassword(token, newPassword);
+  if (!user) {
+    throw new AppError(
+      'Password reset link is invalid or has expired',
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
 
   res.status(HTTP_STATUS.OK).json({
     message: 'Password reset successfully'
@@ -363,14 +627,23 @@ export const resetPassword = catchAsync(async (req, res) => {
 export const verifyEmail = catchAsync(async (req, res) => {
   const { token } = req.params;
 
-  // In a real application, you would:
-  // 1. Verify the token from the database
-  // 2. Update the user's email verification status
-  
-  logger.info(`Email verification attempt with token: ${token}`);
+  const user = await emailVerificationService.verify(token);
+  if (!user) {
+    throw new AppError(
+      'Verification link is invalid or has expired',
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
 
   res.status(HTTP_STATUS.OK).json({
-    message: 'Email verified successfully'
+    message: 'Email verified successfully',
+    user: {
+      id: user._id,
+      email: user.email,
+      emailVerified: true,
+      emailVerifiedAt: user.emailVerifiedAt
+    }
   });
 });
 
@@ -378,26 +651,133 @@ export const verifyEmail = catchAsync(async (req, res) => {
  * Resend verification email
  */
 export const resendVerification = catchAsync(async (req, res) => {
-  const { email } = req.body;
+  if (req.user.emailVerified !== false) {
+    throw new AppError(
+      'Email is already verified',
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
 
-  const user = await User.findOne({ email });
-  if (!user) {
-    return res.status(HTTP_STATUS.NOT_FOUND).json({
-      error: 'User not found'
-    });
+  const { sent, retryAfter } = await emailVerificationService.sendVerification(req.user);
+
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    throw new AppError(
+      `Please wait ${retryAfter} seconds before requesting another email`,
+      HTTP_STATUS.TOO_MANY_REQUESTS,
+      ERROR_CODES.RATE_LIMIT_EXCEEDED
+    );
   }
 
-  // In a real application, you would:
-  // 1. Generate a new verification token
-  // 2. Send verification email
-  
-  logger.info(`Verification email resent for user: ${user.email}`);
+  if (!sent) {
+    throw new AppError(
+      'Verification email could not be sent, please try again later',
+      HTTP_STATUS.SERVICE_UNAVAILABLE,
+      ERROR_CODES.INTERNAL_ERROR
+    );
+  }
 
   res.status(HTTP_STATUS.OK).json({
     message: 'Verification email sent'
   });
 });
 
+/**
+ * Two-factor status for the profile page
+ */
+export const getTwoFactorStatus = catchAsync(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user._id);
+
+  res.status(HTTP_STATUS.OK).json({
+    twoFactor: {
+      ...status,
+      required: TWO_FACTOR_CONFIG.REQUIRED_FOR_ADMINS && req.user.role === USER_ROLES.ADMIN
+    }
+  });
+});
+
+/**
+ * Start 2FA enrollment: a new secret for the authenticator app
+ */
+export const setupTwoFactor = catchAsync(async (req, res) => {
+  const enrollment = await twoFactorService.startEnrollment(req.user);
+  if (!enrollment) {
+    throw new AppError(
+      'Two-factor authentication is already enabled',
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Scan the code with your authenticator app, then enter the code it shows',
+    secret: enrollment.secret,
+    otpauthUri: enrollment.otpauthUri
+  });
+});
+
+/**
+ * Finish enrollment with a code from the app
+ * The current session counts as verified, so it gets a new access token saying so
+ */
+export const enableTwoFactor = catchAsync(async (req, res) => {
+  const recoveryCodes = await twoFactorService.confirmEnrollment(req.user._id, req.body.code);
+  if (!recoveryCodes) {
+    throw new AppError(
+      'Invalid authentication code',
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  const grant = req.auth?.sessionId ? await sessionService.elevate(req.auth.sessionId) : null;
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Two-factor authentication enabled',
+    recoveryCodes,
+    ...(grant && { token: generateToken(req.user, grant) })
+  });
+});
+
+/**
+ * Turn 2FA off; needs both the password and a current code
+ */
+export const disableTwoFactor = catchAsync(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!user || !(await user.comparePassword(password))) {
+    throw new AppError(
+      'Current password is incorrect',
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.AUTHENTICATION_ERROR
+    );
+  }
+
+  await requireTwoFactorCode(user._id, code);
+  await twoFactorService.disable(user._id);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * Replace the recovery codes, e.g. after using some
+ */
+export const regenerateRecoveryCodes = catchAsync(async (req, res) => {
+  await requireTwoFactorCode(req.user._id, req.body.code);
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+  logger.info(`Recovery codes regenerated for user ${req.user._id}`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'New recovery codes generated',
+    recoveryCodes
+  });
+});
+
 // Legacy functions for backward compatibility
 export async function me(req, res) {
   return getProfile(req, res);
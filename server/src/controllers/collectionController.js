@@ -0,0 +1,186 @@
+/**
+ * Collection Controller for Personalized News Aggregator
+ * User-defined folders for saved articles
+ */
+
+import { Collection } from '../models/Collection.js';
+import { SavedArticle } from '../models/SavedArticle.js';
+import { collectionService } from '../services/collectionService.js';
+import { cacheService } from '../services/cacheService.js';
+import { logger } from '../config/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import { HTTP_STATUS, ERROR_CODES, COLLECTION_CONFIG } from '../config/constants.js';
+
+const notFound = () => new AppError(
+  'Collection not found',
+  HTTP_STATUS.NOT_FOUND,
+  ERROR_CODES.NOT_FOUND
+);
+
+const duplicateName = () => new AppError(
+  'A collection with this name already exists',
+  HTTP_STATUS.CONFLICT,
+  ERROR_CODES.DUPLICATE_ERROR
+);
+
+/**
+ * Get the user's collections in order with article counts
+ */
+export const getCollections = catchAsync(async (req, res) => {
+  const result = await collectionService.getCollections(req.user._id);
+
+  res.status(HTTP_STATUS.OK).json(result);
+});
+
+/**
+ * Create a collection at the end of the user's list
+ */
+export const createCollection = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { name, description = '' } = req.body;
+
+  const count = await Collection.countDocuments({ userId });
+  if (count >= COLLECTION_CONFIG.MAX_COLLECTIONS) {
+    throw new AppError(
+      `Cannot have more than ${COLLECTION_CONFIG.MAX_COLLECTIONS} collections`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  if (await Collection.findByName(userId, name)) {
+    throw duplicateName();
+  }
+
+  const collection = await Collection.create({ userId, name, description, position: count });
+
+  logger.info(`Collection ${collection._id} created by user ${userId}`);
+
+  res.status(HTTP_STATUS.CREATED).json({
+    message: 'Collection created',
+    collection: { ...collection.toJSON(), articleCount: 0 }
+  });
+});
+
+/**
+ * Rename a collection or change its description
+ */
+export const updateCollection = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { id } = req.params;
+  const { name } = req.body;
+
+  if (name) {
+    const existing = await Collection.findByName(userId, name);
+    if (existing && existing._id.toString() !== id) {
+      throw duplicateName();
+    }
+  }
+
+  const collection = await Collection.findOneAndUpdate(
+    { _id: id, userId },
+    { $set: req.body },
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!collection) {
+    throw notFound();
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Collection updated',
+    collection
+  });
+});
+
+/**
+ * Reorder the user's collections
+ */
+export const reorderCollections = catchAsync(async (req, res) => {
+  const collections = await collectionService.reorder(req.user._id, req.body.ids);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Collections reordered',
+    collections
+  });
+});
+
+/**
+ * Delete a collection; its articles stay saved as unsorted
+ */
+export const deleteCollection = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+
+  const result = await collectionService.remove(userId, req.params.id);
+  if (!result) {
+    throw notFound();
+  }
+
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Collection deleted',
+    unsorted: result.moved
+  });
+});
+
+/**
+ * Move saved articles into a collection (from unsorted or another collection)
+ */
+export const addToCollection = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { id } = req.params;
+  const { articleIds } = req.body;
+
+  if (!(await Collection.exists({ _id: id, userId }))) {
+    throw notFound();
+  }
+
+  const result = await SavedArticle.updateMany(
+    { userId, articleId: { $in: articleIds } },
+    { $set: { collectionId: id } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new AppError(
+      'Saved article not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Articles moved',
+    moved: result.matchedCount
+  });
+});
+
+/**
+ * Take a saved article out of a collection, leaving it unsorted
+ */
+export const removeFromCollection = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { id, articleId } = req.params;
+
+  const result = await SavedArticle.updateOne(
+    { userId, articleId, collectionId: id },
+    { $set: { collectionId: null } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new AppError(
+      'Article is not in this collection',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Article removed from collection'
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Event Controller for Personalized News Aggregator
+ * Implicit feedback from the reader's browser
+ */
+
+import { eventService } from '../services/eventService.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import { HTTP_STATUS } from '../config/constants.js';
+
+/**
+ * Record a batch of impression, click, dwell, scroll and hide events
+ */
+export const trackEvents = catchAsync(async (req, res) => {
+  const { sessionId, events } = req.body;
+
+  if (eventService.isBot(req.get('user-agent'))) {
+    return res.status(HTTP_STATUS.ACCEPTED).json({ accepted: 0, duplicates: 0, ignored: events.length });
+  }
+
+  const result = await eventService.record(events, { userId: req.user?._id || null, sessionId });
+
+  res.status(HTTP_STATUS.ACCEPTED).json({ ...result, ignored: 0 });
+});
@@ -75,16 +75,22 @@ export const getAvailableSources = catchAsync(async (req, res) => {
 
 /**
  * Health check for all news services
+ * Circuit breaker and quota state per provider; ?probe=true also makes a live call
  */
 export const healthCheck = catchAsync(async (req, res) => {
   try {
-    const healthStatus = await liveNewsService.healthCheck();
+    const healthStatus = await liveNewsService.healthCheck({ probe: req.query.probe === 'true' });
     
     const healthyServices = Object.values(healthStatus).filter(
       status => status.status === 'healthy'
     ).length;
     
     const totalServices = Object.keys(healthStatus).length;
+
+    const byStatus = {};
+    Object.values(healthStatus).forEach(({ status }) => {
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    });
     
     res.json({
       success: true,
@@ -94,6 +100,7 @@ export const healthCheck = catchAsync(async (req, res) => {
           total: totalServices,
           healthy: healthyServices,
           unhealthy: totalServices - healthyServices,
+          byStatus,
           status: healthyServices > 0 ? 'operational' : 'degraded'
         }
       },
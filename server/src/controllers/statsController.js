@@ -3,6 +3,7 @@
  * Analytics and trending data endpoints
  */
 
+import { Article } from '../models/Article.js';
 import { analyticsService } from '../services/analyticsService.js';
 import { cacheService } from '../services/cacheService.js';
 import { logger } from '../config/logger.js';
@@ -14,9 +15,9 @@ import { HTTP_STATUS, ERROR_CODES } from '../config/constants.js';
  * Get trending data
  */
 export const getTrending = catchAsync(async (req, res) => {
-  const { period = 7, limit = 10 } = req.query;
+  const { period = 7, limit = 10, mode = 'hot' } = req.query;
 
-  const cacheKey = `trending:${period}:${limit}`;
+  const cacheKey = `trending:${mode}:${period}:${limit}`;
   
   // Try cache first
   const cached = await cacheService.get(cacheKey);
@@ -24,14 +25,21 @@ export const getTrending = catchAsync(async (req, res) => {
     return res.status(HTTP_STATUS.OK).json(cached);
   }
 
-  const trendingData = await analyticsService.getTrendingData(parseInt(period), {
-    limit: parseInt(limit)
-  });
+  const [trendingData, articles] = await Promise.all([
+    analyticsService.getTrendingData(parseInt(period), {
+      limit: parseInt(limit)
+    }),
+    Article.findTrending(parseInt(period), parseInt(limit), mode)
+      .select('title url urlToImage source category tags publishedAt views saves shares trending story')
+      .lean()
+  ]);
+
+  const response = { ...trendingData, mode, articles };
 
   // Cache for 1 minute
-  await cacheService.set(cacheKey, trendingData, 60);
+  await cacheService.set(cacheKey, response, 60);
 
-  res.status(HTTP_STATUS.OK).json(trendingData);
+  res.status(HTTP_STATUS.OK).json(response);
 });
 
 /**
@@ -120,6 +128,40 @@ export const getTrendingTags = catchAsync(async (req, res) => {
   res.status(HTTP_STATUS.OK).json(response);
 });
 
+/**
+ * Get trending entities (people, organizations, locations, phrases)
+ */
+export const getTrendingEntities = catchAsync(async (req, res) => {
+  const { period = 7, limit = 10, type } = req.query;
+
+  const cacheKey = `trending:entities:${period}:${limit}:${type || 'all'}`;
+
+  // Try cache first
+  const cached = await cacheService.get(cacheKey);
+  if (cached) {
+    return res.status(HTTP_STATUS.OK).json(cached);
+  }
+
+  const entities = await analyticsService.getTrendingEntities(
+    parseInt(period),
+    parseInt(limit),
+    type
+  );
+
+  const response = {
+    entities,
+    type: type || null,
+    period: parseInt(period),
+    limit: parseInt(limit),
+    generatedAt: new Date().toISOString()
+  };
+
+  // Cache for 5 minutes
+  await cacheService.set(cacheKey, response, 300);
+
+  res.status(HTTP_STATUS.OK).json(response);
+});
+
 /**
  * Get trending sources
  */
@@ -0,0 +1,110 @@
+/**
+ * Story Controller for Personalized News Aggregator
+ * Clustered coverage of the same event across sources
+ */
+
+import { Story } from '../models/Story.js';
+import { storyService } from '../services/storyService.js';
+import { breakingService } from '../services/breakingService.js';
+import { cacheService } from '../services/cacheService.js';
+import { paginator } from '../utils/paginator.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import { HTTP_STATUS, ERROR_CODES, CACHE_TTL } from '../config/constants.js';
+
+/**
+ * Get stories with their lead article and other coverage
+ */
+export const getStories = catchAsync(async (req, res) => {
+  const { page, limit, category, q, from, to, minArticles } = req.query;
+
+  const cacheKey = `stories:${JSON.stringify(req.query)}`;
+  const cached = await cacheService.get(cacheKey);
+  if (cached) {
+    return res.status(HTTP_STATUS.OK).json(cached);
+  }
+
+  const query = { isActive: true };
+
+  if (category) {
+    query.category = category;
+  }
+
+  if (minArticles) {
+    query.articleCount = { $gte: parseInt(minArticles) };
+  }
+
+  if (q) {
+    query.title = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+
+  if (from || to) {
+    query.lastPublishedAt = {};
+    if (from) {
+      query.lastPublishedAt.$gte = new Date(from);
+    }
+    if (to) {
+      query.lastPublishedAt.$lte = new Date(to);
+    }
+  }
+
+  const { page: pageNum, limit: limitNum, skip } = paginator.normalizeParams({ page, limit });
+
+  const { stories, total } = await storyService.findStories(query, { skip, limit: limitNum });
+
+  const items = await storyService.hydrateStories(stories);
+  const response = paginator.createResponse(items, total, { page: pageNum, limit: limitNum });
+
+  await cacheService.set(cacheKey, response, CACHE_TTL.ARTICLES_LIST);
+
+  res.status(HTTP_STATUS.OK).json(response);
+});
+
+/**
+ * Get active breaking-news alerts
+ */
+export const getBreakingStories = catchAsync(async (req, res) => {
+  const { category, limit } = req.query;
+
+  const cacheKey = `breaking:${category || 'all'}:${limit}`;
+  const cached = await cacheService.get(cacheKey);
+  if (cached) {
+    return res.status(HTTP_STATUS.OK).json(cached);
+  }
+
+  const alerts = await breakingService.getActive({ category: category || null, limit });
+  const response = { alerts };
+
+  await cacheService.set(cacheKey, response, CACHE_TTL.TRENDING_STATS);
+
+  res.status(HTTP_STATUS.OK).json(response);
+});
+
+/**
+ * Get a single story by ID
+ */
+export const getStory = catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const cacheKey = `stories:detail:${id}`;
+  const cached = await cacheService.get(cacheKey);
+  if (cached) {
+    return res.status(HTTP_STATUS.OK).json(cached);
+  }
+
+  const story = await Story.findOne({ _id: id, isActive: true }).lean();
+  const [formatted] = story ? await storyService.hydrateStories([story]) : [];
+
+  if (!formatted) {
+    throw new AppError(
+      'Story not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  const response = { story: formatted };
+  await cacheService.set(cacheKey, response, CACHE_TTL.ARTICLE_DETAIL);
+
+  res.status(HTTP_STATUS.OK).json(response);
+});
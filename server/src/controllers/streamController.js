@@ -0,0 +1,68 @@
+/**
+ * Stream Controller for Personalized News Aggregator
+ * Server-Sent Events endpoints
+ */
+
+import { streamService } from '../services/streamService.js';
+import { recommendationService } from '../services/recommendationService.js';
+import { generateStreamTicket } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import { HTTP_STATUS, ERROR_CODES, STREAM_CONFIG } from '../config/constants.js';
+
+/**
+ * Stream breaking-news alerts as they are detected
+ */
+export const streamAlerts = (req, res) => {
+  streamService.open(req, res);
+};
+
+/**
+ * Issue a short-lived ticket for opening the feed stream
+ */
+export const createStreamTicket = catchAsync(async (req, res) => {
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: {
+      ticket: generateStreamTicket(req.user, req.auth?.sessionId),
+      expiresIn: STREAM_CONFIG.TICKET_TTL_SECONDS
+    }
+  });
+});
+
+/**
+ * Stream newly ingested articles matching the user's categories, interests and followed entities
+ * Reconnecting clients get the articles they missed after Last-Event-ID
+ */
+export const streamFeed = catchAsync(async (req, res) => {
+  const connectionId = await streamService.acquireSlot(req.userId);
+  if (!connectionId) {
+    throw new AppError(
+      `At most ${STREAM_CONFIG.MAX_CONNECTIONS_PER_USER} feed streams can be open at once`,
+      HTTP_STATUS.TOO_MANY_REQUESTS,
+      ERROR_CODES.RATE_LIMIT_EXCEEDED
+    );
+  }
+
+  const filter = streamService.buildFeedFilter(req.user, interest => recommendationService.getInterestTags(interest));
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  let missed;
+  try {
+    missed = await streamService.getMissedArticles(lastEventId, filter);
+  } catch (error) {
+    await streamService.releaseSlot(req.userId, connectionId);
+    throw error;
+  }
+
+  const client = streamService.open(req, res, {
+    channel: 'feed',
+    userId: req.userId,
+    sessionId: req.auth?.sessionId,
+    connectionId,
+    filter
+  });
+  for (const message of missed) {
+    streamService.send(client, message);
+  }
+});
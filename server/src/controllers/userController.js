@@ -6,20 +6,28 @@
 import { User } from '../models/User.js';
 import { Article } from '../models/Article.js';
 import { SavedArticle } from '../models/SavedArticle.js';
+import { Collection } from '../models/Collection.js';
 import { cacheService } from '../services/cacheService.js';
 import { analyticsService } from '../services/analyticsService.js';
+import { entityService } from '../services/entityService.js';
+import { recommendationService } from '../services/recommendationService.js';
+import { collectionService } from '../services/collectionService.js';
+import { readLaterService } from '../services/readLaterService.js';
+import { exportService } from '../services/exportService.js';
+import { importService } from '../services/importService.js';
+import { opmlService } from '../services/opmlService.js';
 import { paginator } from '../utils/paginator.js';
 import { logger } from '../config/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { catchAsync } from '../middleware/errorHandler.js';
-import { HTTP_STATUS, ERROR_CODES } from '../config/constants.js';
+import { HTTP_STATUS, ERROR_CODES, ENTITY_CONFIG, COLLECTION_CONFIG } from '../config/constants.js';
 
 /**
  * Save an article for a user
  */
 export const saveArticle = catchAsync(async (req, res) => {
   const userId = req.user._id; // Use authenticated user's ID
-  const { articleId } = req.body;
+  const { articleId, collectionId = null, note = '' } = req.body;
 
   // Check if article exists
   const article = await Article.findById(articleId);
@@ -41,10 +49,20 @@ export const saveArticle = catchAsync(async (req, res) => {
     );
   }
 
+  if (collectionId && !(await Collection.exists({ _id: collectionId, userId }))) {
+    throw new AppError(
+      'Collection not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
   // Save article
   const savedArticle = new SavedArticle({
     userId,
     articleId,
+    collectionId,
+    note,
     category: article.category,
     tags: article.tags,
     source: article.source?.name,
@@ -65,6 +83,10 @@ export const saveArticle = catchAsync(async (req, res) => {
   // Increment article save count
   await Article.findByIdAndUpdate(articleId, { $inc: { saves: 1 } });
 
+  // Saves shape the reader's profile
+  await cacheService.invalidatePattern(`recommendations:${userId}:*`);
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
+
   logger.info(`Article ${articleId} saved by user ${userId}`);
 
   res.status(HTTP_STATUS.CREATED).json({
@@ -72,6 +94,7 @@ export const saveArticle = catchAsync(async (req, res) => {
     savedArticle: {
       id: savedArticle._id,
       articleId,
+      collectionId,
       savedAt: savedArticle.savedAt
     }
   });
@@ -103,6 +126,9 @@ export const unsaveArticle = catchAsync(async (req, res) => {
   // Decrement article save count
   await Article.findByIdAndUpdate(articleId, { $inc: { saves: -1 } });
 
+  await cacheService.invalidatePattern(`recommendations:${userId}:*`);
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
+
   logger.info(`Article ${articleId} unsaved by user ${userId}`);
 
   res.status(HTTP_STATUS.OK).json({
@@ -115,7 +141,7 @@ export const unsaveArticle = catchAsync(async (req, res) => {
  */
 export const getSavedArticles = catchAsync(async (req, res) => {
   const userId = req.user._id; // Use authenticated user's ID
-  const { page, limit, category, tags, source } = req.query;
+  const { page, limit, category, tags, source, collection, status, sort } = req.query;
 
   const cacheKey = `saved:${userId}:${JSON.stringify(req.query)}`;
   
@@ -130,18 +156,28 @@ export const getSavedArticles = catchAsync(async (req, res) => {
     category,
     tags: tags ? tags.split(',') : undefined,
     source,
+    collectionId: collection === 'unsorted' ? null : collection,
+    status,
     limit: parseInt(limit) || 20,
     skip: ((parseInt(page) || 1) - 1) * (parseInt(limit) || 20)
   };
 
-  // Get saved articles
-  const savedArticles = await SavedArticle.getUserSavedArticles(userId, options);
+  let savedArticles;
+  let total;
 
-  // Get total count
-  const total = await SavedArticle.countDocuments({ userId });
+  if (sort === 'readingTime') {
+    // Reading queue: shortest estimated read first
+    ({ items: savedArticles, total } = await readLaterService.getQueue(userId, options));
+  } else {
+    savedArticles = await SavedArticle.getUserSavedArticles(userId, options);
+    total = await SavedArticle.countDocuments(SavedArticle.getUserQuery(userId, options));
+  }
 
   // Create response
-  const response = paginator.createResponse(savedArticles, total, { page, limit });
+  const response = {
+    ...paginator.createResponse(savedArticles, total, { page, limit }),
+    statusCounts: await readLaterService.getStatusCounts(userId)
+  };
 
   // Cache for 5 minutes
   await cacheService.set(cacheKey, response, 300);
@@ -150,25 +186,288 @@ export const getSavedArticles = catchAsync(async (req, res) => {
 });
 
 /**
- * Check if article is saved by user
+ * Check if article is saved by user, with its collection, note and highlights
  */
 export const isArticleSaved = catchAsync(async (req, res) => {
-  const { id: userId, articleId } = req.params;
+  const userId = req.user._id;
+  const { articleId } = req.params;
 
-  // Verify user can check saved status for themselves or is admin
-  if (req.user._id.toString() !== userId && req.user.role !== 'admin') {
+  const savedArticle = await SavedArticle.hasUserSavedArticle(userId, articleId);
+
+  res.status(HTTP_STATUS.OK).json({
+    isSaved: !!savedArticle,
+    savedAt: savedArticle?.savedAt || null,
+    collectionId: savedArticle?.collectionId || null,
+    note: savedArticle?.note || '',
+    highlights: savedArticle?.highlights || [],
+    status: savedArticle ? savedArticle.status || 'unread' : null,
+    progress: savedArticle?.progress || 0,
+    lastOpenedAt: savedArticle?.lastOpenedAt || null
+  });
+});
+
+/**
+ * Mark a saved article unread, in progress, read or archived
+ */
+export const updateReadingStatus = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { articleId } = req.params;
+
+  const savedArticle = await SavedArticle.findOneAndUpdate(
+    { userId, articleId },
+    { $set: readLaterService.getStatusUpdate(req.body.status) },
+    { new: true, runValidators: true }
+  ).select('status progress lastOpenedAt readAt').lean();
+
+  if (!savedArticle) {
     throw new AppError(
-      'Access denied',
-      HTTP_STATUS.FORBIDDEN,
-      ERROR_CODES.AUTHORIZATION_ERROR
+      'Saved article not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
     );
   }
 
-  const savedArticle = await SavedArticle.hasUserSavedArticle(userId, articleId);
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
 
   res.status(HTTP_STATUS.OK).json({
-    isSaved: !!savedArticle,
-    savedAt: savedArticle?.savedAt || null
+    message: 'Reading status updated',
+    savedArticle
+  });
+});
+
+/**
+ * Record that the reader opened a saved article and how far they scrolled
+ */
+export const updateReadingProgress = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { articleId } = req.params;
+
+  const current = await SavedArticle.findOne({ userId, articleId }).select('status progress').lean();
+  if (!current) {
+    throw new AppError(
+      'Saved article not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  const savedArticle = await SavedArticle.findOneAndUpdate(
+    { _id: current._id },
+    { $set: readLaterService.getProgressUpdate(current, req.body.progress) },
+    { new: true }
+  ).select('status progress lastOpenedAt readAt').lean();
+
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Reading progress updated',
+    savedArticle
+  });
+});
+
+/**
+ * Replace the private note on a saved article
+ */
+export const updateSavedNote = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { articleId } = req.params;
+
+  const savedArticle = await SavedArticle.findOneAndUpdate(
+    { userId, articleId },
+    { $set: { note: req.body.note } },
+    { new: true, runValidators: true }
+  ).select('note updatedAt').lean();
+
+  if (!savedArticle) {
+    throw new AppError(
+      'Saved article not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Note saved',
+    note: savedArticle.note,
+    updatedAt: savedArticle.updatedAt
+  });
+});
+
+/**
+ * Highlight a passage of a saved article
+ */
+export const addHighlight = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { articleId } = req.params;
+
+  const savedArticle = await SavedArticle.findOne({ userId, articleId }).select('highlights');
+  if (!savedArticle) {
+    throw new AppError(
+      'Saved article not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  if (savedArticle.highlights.length >= COLLECTION_CONFIG.MAX_HIGHLIGHTS) {
+    throw new AppError(
+      `Cannot add more than ${COLLECTION_CONFIG.MAX_HIGHLIGHTS} highlights to an article`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  // Offsets must point at the quoted text so highlights can be drawn back onto the article
+  const article = await Article.findById(articleId).select('content description').lean();
+  const problem = collectionService.findHighlightError(collectionService.getArticleBody(article), req.body);
+  if (problem) {
+    throw new AppError(
+      problem,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  // Kept in reading order
+  const highlight = savedArticle.highlights.create(req.body);
+  savedArticle.highlights.push(highlight);
+  savedArticle.highlights.sort((a, b) => a.start - b.start);
+  await savedArticle.save();
+
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
+
+  res.status(HTTP_STATUS.CREATED).json({
+    message: 'Highlight added',
+    highlight,
+    highlights: savedArticle.highlights
+  });
+});
+
+/**
+ * Remove a highlight from a saved article
+ */
+export const removeHighlight = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { articleId, highlightId } = req.params;
+
+  const result = await SavedArticle.updateOne(
+    { userId, articleId },
+    { $pull: { highlights: { _id: highlightId } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new AppError(
+      'Highlight not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  await cacheService.invalidatePattern(`saved:${userId}:*`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Highlight removed'
+  });
+});
+
+/**
+ * Download all saved articles with their collections, notes and highlights
+ */
+export const exportSavedArticles = catchAsync(async (req, res) => {
+  const { format } = req.query;
+
+  res.status(HTTP_STATUS.OK).set(exportService.getHeaders(format));
+
+  try {
+    await exportService.write(res, req.user, format);
+    res.end();
+  } catch (error) {
+    // Once streaming has started the error can no longer become a JSON response
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      throw error;
+    }
+
+    logger.error(`Export for user ${req.user._id} failed:`, error);
+    res.destroy(error);
+  }
+});
+
+/**
+ * Save the links from a Pocket, Instapaper or browser bookmark export
+ */
+export const importSavedArticles = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+
+  const result = await importService.importBookmarks(req.user, req.body.html);
+
+  if (result.imported === 0 && result.alreadySaved === 0 && result.skipped === 0) {
+    throw new AppError(
+      'No links found in the uploaded file',
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  if (result.imported > 0) {
+    await cacheService.invalidatePattern(`recommendations:${userId}:*`);
+    await cacheService.invalidatePattern(`saved:${userId}:*`);
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    message: `Imported ${result.imported} articles`,
+    ...result
+  });
+});
+
+/**
+ * Download the user's followed sources as OPML
+ */
+export const exportSourcesOpml = catchAsync(async (req, res) => {
+  const opml = await opmlService.buildOpml(req.user);
+
+  res.status(HTTP_STATUS.OK)
+    .set({
+      'Content-Type': 'text/x-opml; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="sources.opml"'
+    })
+    .send(opml);
+});
+
+/**
+ * Follow the feeds in an OPML file from another reader
+ */
+export const importSourcesOpml = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+
+  let outlines;
+  try {
+    outlines = await opmlService.parse(req.body.opml);
+  } catch (error) {
+    throw new AppError(
+      `Invalid OPML file: ${error.message.split('\n')[0]}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  if (outlines.length === 0) {
+    throw new AppError(
+      'No feeds found in the OPML file',
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  const result = await opmlService.importSources(req.user, outlines);
+
+  await cacheService.invalidatePattern(`recommendations:${userId}:*`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: `Following ${result.sources.length} new sources`,
+    ...result
   });
 });
 
@@ -322,20 +621,11 @@ export const getUserAnalytics = catchAsync(async (req, res) => {
 });
 
 /**
- * Get user's reading recommendations
+ * Get user's reading recommendations, ranked from their saves, reads and preferences
  */
 export const getRecommendations = catchAsync(async (req, res) => {
-  const { id: userId } = req.params;
-  const { limit = 10 } = req.query;
-
-  // Verify user can access recommendations for themselves or is admin
-  if (req.user._id.toString() !== userId && req.user.role !== 'admin') {
-    throw new AppError(
-      'Access denied',
-      HTTP_STATUS.FORBIDDEN,
-      ERROR_CODES.AUTHORIZATION_ERROR
-    );
-  }
+  const userId = req.user._id;
+  const { limit } = req.query;
 
   const cacheKey = `recommendations:${userId}:${limit}`;
   
@@ -356,42 +646,163 @@ export const getRecommendations = catchAsync(async (req, res) => {
     );
   }
 
-  // Build recommendation query based on user preferences
-  const query = { isActive: true };
-  
-  // Add category preferences
-  if (user.preferences?.categories?.length > 0) {
-    query.category = { $in: user.preferences.categories };
+  const { recommendations, profile, coldStart } = await recommendationService.getRecommendations(user, {
+    limit: parseInt(limit)
+  });
+
+  const response = {
+    recommendations,
+    basedOn: {
+      interests: user.interests,
+      preferences: user.preferences,
+      profile
+    },
+    coldStart,
+    generatedAt: new Date().toISOString()
+  };
+
+  // Cache for 15 minutes
+  await cacheService.set(cacheKey, response, 900);
+
+  res.status(HTTP_STATUS.OK).json(response);
+});
+
+/**
+ * Get the entities a user follows
+ */
+export const getFollowedEntities = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user._id).select('followedEntities').lean();
+
+  res.status(HTTP_STATUS.OK).json({
+    entities: user?.followedEntities || []
+  });
+});
+
+/**
+ * Follow a person, organization, location or phrase
+ */
+export const followEntity = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { type, name } = req.body;
+  const key = entityService.normalizeKey(name);
+
+  const user = await User.findById(userId).select('followedEntities');
+
+  if (user.followedEntities.some(entity => entity.type === type && entity.key === key)) {
+    throw new AppError(
+      'Entity already followed',
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.DUPLICATE_ERROR
+    );
   }
-  
-  // Add source preferences
-  if (user.preferences?.sources?.length > 0) {
-    query['source.name'] = { $in: user.preferences.sources };
+
+  if (user.followedEntities.length >= ENTITY_CONFIG.MAX_FOLLOWED) {
+    throw new AppError(
+      `Cannot follow more than ${ENTITY_CONFIG.MAX_FOLLOWED} entities`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
   }
 
-  // Get recommended articles
-  const recommendations = await Article.find(query)
-    .sort({ publishedAt: -1, saves: -1 })
-    .limit(parseInt(limit))
+  // Prefer the spelling used in coverage over the user's input
+  const article = await Article.findOne({ entities: { $elemMatch: { type, key } } })
+    .select('entities')
     .lean();
+  const match = article?.entities.find(entity => entity.type === type && entity.key === key);
+
+  const entity = { type, key, name: match?.name || name, followedAt: new Date() };
+  user.followedEntities.push(entity);
+  await user.save();
 
-  // Filter out already saved articles
-  const savedArticleIds = await SavedArticle.distinct('articleId', { userId });
-  const filteredRecommendations = recommendations.filter(
-    article => !savedArticleIds.some(id => id.equals(article._id))
+  await cacheService.invalidatePattern(`entity-feed:${userId}:*`);
+
+  logger.info(`User ${userId} followed ${type} ${key}`);
+
+  res.status(HTTP_STATUS.CREATED).json({
+    message: 'Entity followed successfully',
+    entity
+  });
+});
+
+/**
+ * Stop following an entity
+ */
+export const unfollowEntity = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { type, name } = req.params;
+  const key = entityService.normalizeKey(name);
+
+  const result = await User.updateOne(
+    { _id: userId },
+    { $pull: { followedEntities: { type, key } } }
   );
 
-  const response = {
-    recommendations: filteredRecommendations,
-    basedOn: {
-      interests: user.interests,
-      preferences: user.preferences
-    },
-    generatedAt: new Date().toISOString()
+  if (result.modifiedCount === 0) {
+    throw new AppError(
+      'Followed entity not found',
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND
+    );
+  }
+
+  await cacheService.invalidatePattern(`entity-feed:${userId}:*`);
+
+  logger.info(`User ${userId} unfollowed ${type} ${key}`);
+
+  res.status(HTTP_STATUS.OK).json({
+    message: 'Entity unfollowed'
+  });
+});
+
+/**
+ * Get recent articles mentioning any followed entity
+ */
+export const getFollowedEntityFeed = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { page, limit } = req.query;
+
+  const cacheKey = `entity-feed:${userId}:${JSON.stringify(req.query)}`;
+
+  // Try cache first
+  const cached = await cacheService.get(cacheKey);
+  if (cached) {
+    return res.status(HTTP_STATUS.OK).json(cached);
+  }
+
+  const user = await User.findById(userId).select('followedEntities').lean();
+  const followed = user?.followedEntities || [];
+  const { page: pageNum, limit: limitNum, skip } = paginator.normalizeParams({ page, limit });
+
+  if (followed.length === 0) {
+    return res.status(HTTP_STATUS.OK).json(paginator.createResponse([], 0, { page: pageNum, limit: limitNum }));
+  }
+
+  const query = {
+    isActive: true,
+    $or: followed.map(({ type, key }) => ({ entities: { $elemMatch: { type, key } } }))
   };
 
-  // Cache for 30 minutes
-  await cacheService.set(cacheKey, response, 1800);
+  const [articles, total] = await Promise.all([
+    Article.find(query)
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Article.countDocuments(query)
+  ]);
+
+  // Tell the client which followed entities each article matched
+  const followedKeys = new Set(followed.map(({ type, key }) => `${type}:${key}`));
+  articles.forEach(article => {
+    article.matchedEntities = (article.entities || [])
+      .filter(({ type, key }) => followedKeys.has(`${type}:${key}`))
+      .map(({ type, key, name }) => ({ type, key, name }));
+  });
+
+  const response = paginator.createResponse(articles, total, { page: pageNum, limit: limitNum });
+
+  // Cache for 5 minutes
+  await cacheService.set(cacheKey, response, 300);
 
   res.status(HTTP_STATUS.OK).json(response);
 });
@@ -4,6 +4,8 @@
  */
 
 import { analyticsService } from '../services/analyticsService.js';
+import { eventService } from '../services/eventService.js';
+import { trendingService } from '../services/trendingService.js';
 import { cacheService } from '../services/cacheService.js';
 import { logger } from '../config/logger.js';
 
@@ -32,6 +34,7 @@ class AnalyticsJob {
       const results = {
         trendingData: null,
         systemAnalytics: null,
+        engagement: null,
         cacheInvalidated: false,
         totalDuration: 0
       };
@@ -43,6 +46,9 @@ class AnalyticsJob {
       
       // Update system analytics
       results.systemAnalytics = await this.updateSystemAnalytics();
+
+      // Roll up engagement events
+      results.engagement = await this.updateEngagement();
       
       // Invalidate relevant caches
       results.cacheInvalidated = await this.invalidateCaches();
@@ -75,6 +81,9 @@ class AnalyticsJob {
     try {
       logger.info('Updating trending data...');
 
+      // Recompute hot and rising scores on articles
+      const scores = await trendingService.computeScores();
+
       // Update trending data for different periods
       const periods = [1, 7, 30]; // 1 day, 1 week, 1 month
       const trendingData = {};
@@ -85,6 +94,8 @@ class AnalyticsJob {
         });
       }
 
+      trendingData.scores = scores;
+
       // Store trending data
       await analyticsService.storeTrendingData(new Date(), trendingData);
 
@@ -117,6 +128,32 @@ class AnalyticsJob {
     }
   }
 
+  /**
+   * Roll up today's engagement events, and yesterday's so late batches are counted
+   */
+  async updateEngagement() {
+    try {
+      logger.info('Updating engagement analytics...');
+
+      const { Analytics } = await import('../models/Analytics.js');
+      const today = eventService.getDay(new Date());
+      const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
+
+      const engagement = {};
+      for (const day of [yesterday, today]) {
+        const rollup = await eventService.getDailyEngagement(day);
+        await Analytics.storeEngagement(day, rollup);
+        engagement[day.toISOString().slice(0, 10)] = rollup.totals;
+      }
+
+      logger.info('Engagement analytics updated successfully');
+      return engagement;
+    } catch (error) {
+      logger.error('Error updating engagement analytics:', error);
+      return null;
+    }
+  }
+
   /**
    * Invalidate relevant caches
    */
@@ -190,8 +227,12 @@ class AnalyticsJob {
     switch (taskName) {
       case 'trending':
         return await this.updateTrendingData();
+      case 'trending-scores':
+        return await trendingService.computeScores();
       case 'system':
         return await this.updateSystemAnalytics();
+      case 'engagement':
+        return await this.updateEngagement();
       case 'cache':
         return await this.invalidateCaches();
       default:
@@ -7,6 +7,10 @@ import { Article } from '../models/Article.js';
 import { SavedArticle } from '../models/SavedArticle.js';
 import { Analytics } from '../models/Analytics.js';
 import { dedupeService } from '../services/dedupeService.js';
+import { storyService } from '../services/storyService.js';
+import { sentimentService } from '../services/sentimentService.js';
+import { entityService } from '../services/entityService.js';
+import { taggerService } from '../services/taggerService.js';
 import { logger } from '../config/logger.js';
 
 class CleanupJob {
@@ -36,6 +40,7 @@ class CleanupJob {
         duplicates: 0,
         oldAnalytics: 0,
         oldSavedArticles: 0,
+        corpusTermsPruned: 0,
         totalDuration: 0
       };
 
@@ -53,6 +58,9 @@ class CleanupJob {
       // Clean up old saved articles tracking
       results.oldSavedArticles = await this.cleanupOldSavedArticles();
 
+      // Fade old articles out of the TF-IDF corpus
+      results.corpusTermsPruned = await taggerService.decayCorpus();
+
       results.totalDuration = Date.now() - startTime;
       this.lastResult = results;
 
@@ -95,6 +103,9 @@ class CleanupJob {
       const cleanedCount = result.modifiedCount;
       logger.info(`Marked ${cleanedCount} old articles as inactive`);
 
+      const storyCount = await storyService.deactivateOldStories(cutoffDate);
+      logger.info(`Marked ${storyCount} old stories as inactive`);
+
       return cleanedCount;
     } catch (error) {
       logger.error('Error cleaning up old articles:', error);
@@ -216,6 +227,18 @@ class CleanupJob {
         return await this.cleanupOldArticles();
       case 'duplicates':
         return await this.removeDuplicates();
+      case 'fingerprints':
+        return await dedupeService.backfillFingerprints();
+      case 'stories':
+        return await storyService.clusterUnassigned();
+      case 'sentiment':
+        return await sentimentService.backfill();
+      case 'entities':
+        return await entityService.backfill();
+      case 'corpus':
+        return await taggerService.rebuildCorpus();
+      case 'corpus-decay':
+        return await taggerService.decayCorpus();
       case 'analytics':
         return await this.cleanupOldAnalytics();
       case 'saved-articles':
@@ -0,0 +1,62 @@
+/**
+ * Extraction Job for Personalized News Aggregator
+ * Scheduled job for extracting full article text from source pages
+ */
+
+import { extractionService } from '../services/extractionService.js';
+import { logger } from '../config/logger.js';
+import { EXTRACTION_CONFIG } from '../config/constants.js';
+
+class ExtractionJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Run the extraction job
+   * @param {number} limit - Maximum number of articles to process
+   */
+  async run(limit = EXTRACTION_CONFIG.BATCH_SIZE) {
+    if (this.isRunning) {
+      logger.warn('Extraction job is already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    this.lastRun = new Date();
+
+    try {
+      const startTime = Date.now();
+      const results = await extractionService.processPending(limit);
+
+      results.totalDuration = Date.now() - startTime;
+      this.lastResult = results;
+
+      if (results.processed > 0) {
+        logger.info('Extraction job completed', results);
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('Extraction job failed:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+export const extractionJob = new ExtractionJob();
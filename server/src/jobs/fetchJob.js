@@ -4,15 +4,22 @@
  */
 
 import { newsService } from '../services/newsService.js';
+import { feedService } from '../services/feedService.js';
+import { providerRegistry } from '../services/apis/providerRegistry.js';
 import { analyticsService } from '../services/analyticsService.js';
+import { extractionJob } from './extractionJob.js';
+import { Feed } from '../models/Feed.js';
+import { SourceState } from '../models/SourceState.js';
 import { logger } from '../config/logger.js';
-import { NEWS_CATEGORIES } from '../config/constants.js';
+import { httpCache } from '../utils/httpCache.js';
+import { NEWS_CATEGORIES, SOURCE_POLLING } from '../config/constants.js';
 
 class FetchJob {
   constructor() {
     this.isRunning = false;
     this.lastRun = null;
     this.lastResult = null;
+    this.nextSourcePollAt = null;
   }
 
   /**
@@ -37,6 +44,9 @@ class FetchJob {
       const pageSize = parseInt(process.env.FETCH_PAGE_SIZE) || 50;
       const maxPages = parseInt(process.env.FETCH_MAX_PAGES) || 3;
 
+      // Poll registered RSS/Atom feeds alongside the API sources
+      const feedResult = await this.runFeeds();
+
       // Run the fetch
       const result = await newsService.fetchNews({
         categories,
@@ -46,6 +56,7 @@ class FetchJob {
         maxPages
       });
 
+      result.feeds = feedResult;
       this.lastResult = result;
 
       // Log results
@@ -53,6 +64,7 @@ class FetchJob {
         totalFetched: result.totalFetched,
         totalSaved: result.totalSaved,
         totalSkipped: result.totalSkipped,
+        feedsSaved: feedResult?.totalSaved || 0,
         duration: result.duration
       });
 
@@ -75,6 +87,179 @@ class FetchJob {
     }
   }
 
+  /**
+   * Poll every source whose own schedule says it is due
+   * Each provider category and registered feed keeps its own interval,
+   * cache validators and failure backoff in SourceState
+   */
+  async runDueSources() {
+    if (this.isRunning) {
+      logger.warn('Fetch job is already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const sources = await this.getConfiguredSources();
+      const states = await SourceState.ensureSources(sources);
+      const sourcesByKey = new Map(sources.map(source => [source.key, source]));
+
+      const now = new Date();
+      const due = states
+        .filter(state => state.isDue(now))
+        .sort((a, b) => a.nextPollAt - b.nextPollAt)
+        .slice(0, SOURCE_POLLING.MAX_SOURCES_PER_TICK);
+
+      const result = {
+        polled: due.length,
+        notModified: 0,
+        skipped: 0,
+        failed: 0,
+        totalFetched: 0,
+        totalSaved: 0,
+        totalSkipped: 0
+      };
+
+      if (due.length > 0) {
+        this.lastRun = now;
+        logger.info(`Polling ${due.length} due sources`);
+      }
+
+      for (const state of due) {
+        const sourceResult = await this.pollSource(sourcesByKey.get(state.key), state);
+
+        if (!sourceResult.success) {
+          result.failed++;
+          continue;
+        }
+        if (sourceResult.notModified) {
+          result.notModified++;
+        }
+        if (sourceResult.skipped) {
+          result.skipped++;
+        }
+        result.totalFetched += sourceResult.totalFetched;
+        result.totalSaved += sourceResult.totalSaved;
+        result.totalSkipped += sourceResult.totalSkipped;
+      }
+
+      this.nextSourcePollAt = states.length > 0
+        ? new Date(Math.min(...states.map(state => state.nextPollAt.getTime())))
+        : null;
+
+      if (due.length > 0) {
+        this.lastResult = result;
+        logger.info('Source polling completed', result);
+        await this.storeFetchAnalytics(result);
+      }
+
+      // Extract full text for the new articles without holding up polling
+      if (result.totalSaved > 0) {
+        extractionJob.run().catch(error => logger.error('Background extraction failed:', error));
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Source polling failed:', error);
+      await this.storeErrorAnalytics(error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * List the sources the scheduler is responsible for
+   * @returns {Promise<Array>} [{ key, type, target, pollIntervalMinutes, feed, provider, category }]
+   */
+  async getConfiguredSources() {
+    const sources = [];
+
+    // Each available provider, NewsAPI included, is polled per category with conditional requests
+    for (const provider of providerRegistry.getAvailable()) {
+      for (const category of this.getFetchCategories()) {
+        sources.push({
+          key: `provider:${provider.name}:${category}`,
+          type: 'provider',
+          target: `${provider.name}:${category}`,
+          pollIntervalMinutes: provider.name === 'newsapi'
+            ? SOURCE_POLLING.NEWSAPI_INTERVAL_MINUTES
+            : SOURCE_POLLING.PROVIDER_INTERVAL_MINUTES,
+          provider: provider.name,
+          category
+        });
+      }
+    }
+
+    const feeds = await Feed.findActive();
+    for (const feed of feeds) {
+      sources.push({
+        key: `feed:${feed._id}`,
+        type: 'feed',
+        target: feed._id.toString(),
+        pollIntervalMinutes: feed.pollIntervalMinutes || SOURCE_POLLING.FEED_INTERVAL_MINUTES,
+        feed
+      });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Poll one source and record the outcome on its state
+   * @param {Object} source - Configured source
+   * @param {Object} state - SourceState document
+   * @returns {Promise<Object>} Poll result
+   */
+  async pollSource(source, state) {
+    try {
+      let result;
+
+      if (source.type === 'feed') {
+        result = await feedService.pollFeed(source.feed, state);
+      } else {
+        result = await newsService.pollProvider(source.provider, source.category, state);
+      }
+
+      if (result.success === false) {
+        throw Object.assign(new Error(result.error), { retryAt: result.retryAt });
+      }
+
+      if (result.skipped) {
+        await state.recordSkipped(result.reason || 'Provider over quota or unavailable', result.retryAt);
+        return { success: true, ...result };
+      }
+
+      await state.recordSuccess({ ...result.validators, notModified: result.notModified });
+      return { success: true, ...result };
+    } catch (error) {
+      // Never retry sooner than the source's Retry-After
+      const retryAt = error.retryAt || httpCache.getErrorRetryAt(error);
+      const retryAfter = retryAt ? Math.max(0, Math.ceil((retryAt.getTime() - Date.now()) / 1000)) : 0;
+      await state.recordFailure(error, retryAfter);
+
+      logger.warn(`Source ${state.key} failed, next poll at ${state.nextPollAt.toISOString()}`, {
+        consecutiveFailures: state.consecutiveFailures,
+        error: error.message
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Poll registered feeds; a feed failure never blocks the API fetch
+   */
+  async runFeeds() {
+    try {
+      return await feedService.pollFeeds();
+    } catch (error) {
+      logger.error('Feed polling failed:', error);
+      return null;
+    }
+  }
+
   /**
    * Get categories to fetch from environment or defaults
    */
@@ -165,16 +350,17 @@ class FetchJob {
   }
 
   /**
-   * Get next run time (approximate)
+   * Get next run time (earliest next poll across all sources)
    */
   getNextRunTime() {
-    if (!this.lastRun) return null;
-    
-    // Assuming job runs every 2 hours
-    const nextRun = new Date(this.lastRun);
-    nextRun.setHours(nextRun.getHours() + 2);
-    
-    return nextRun;
+    return this.nextSourcePollAt;
+  }
+
+  /**
+   * Get per-source polling state
+   */
+  async getSourceStates() {
+    return SourceState.find().sort({ nextPollAt: 1 }).lean();
   }
 
   /**
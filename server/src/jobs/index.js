@@ -9,6 +9,8 @@ import { CRON_SCHEDULES } from '../config/constants.js';
 import { fetchJob } from './fetchJob.js';
 import { cleanupJob } from './cleanupJob.js';
 import { analyticsJob } from './analyticsJob.js';
+import { extractionJob } from './extractionJob.js';
+import { relatedArticlesJob } from './relatedArticlesJob.js';
 
 class JobScheduler {
   constructor() {
@@ -27,14 +29,20 @@ class JobScheduler {
 
     logger.info('Starting scheduled jobs...');
 
-    // Start news fetching job
-    this.startJob('fetch-news', CRON_SCHEDULES.FETCH_NEWS, fetchJob.run);
+    // Start news fetching job (polls each source on its own interval)
+    this.startJob('fetch-news', CRON_SCHEDULES.POLL_SOURCES, () => fetchJob.runDueSources());
     
     // Start cleanup job
-    this.startJob('cleanup-articles', CRON_SCHEDULES.CLEANUP_ARTICLES, cleanupJob.run);
+    this.startJob('cleanup-articles', CRON_SCHEDULES.CLEANUP_ARTICLES, () => cleanupJob.run());
     
     // Start analytics update job
-    this.startJob('update-analytics', CRON_SCHEDULES.UPDATE_TRENDING, analyticsJob.run);
+    this.startJob('update-analytics', CRON_SCHEDULES.UPDATE_TRENDING, () => analyticsJob.run());
+
+    // Start full-text extraction job (also kicked after polls that save new articles)
+    this.startJob('extract-content', CRON_SCHEDULES.EXTRACT_CONTENT, () => extractionJob.run());
+
+    // Start collaborative filtering job (co-saved article lists)
+    this.startJob('compute-related', CRON_SCHEDULES.COMPUTE_RELATED, () => relatedArticlesJob.run());
 
     this.isRunning = true;
     logger.info('All scheduled jobs started');
@@ -147,6 +155,10 @@ class JobScheduler {
         return await cleanupJob.run();
       case 'update-analytics':
         return await analyticsJob.run();
+      case 'extract-content':
+        return await extractionJob.run();
+      case 'compute-related':
+        return await relatedArticlesJob.run();
       default:
         throw new Error(`Unknown job: ${name}`);
     }
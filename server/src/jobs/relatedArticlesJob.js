@@ -0,0 +1,56 @@
+/**
+ * Related Articles Job for Personalized News Aggregator
+ * Scheduled job for recomputing "readers who saved this also saved" lists
+ */
+
+import { collaborativeService } from '../services/collaborativeService.js';
+import { logger } from '../config/logger.js';
+
+class RelatedArticlesJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Run the related articles job
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn('Related articles job is already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    this.lastRun = new Date();
+
+    try {
+      const startTime = Date.now();
+      const results = await collaborativeService.computeRelated();
+
+      results.totalDuration = Date.now() - startTime;
+      this.lastResult = results;
+
+      return results;
+    } catch (error) {
+      logger.error('Related articles job failed:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+export const relatedArticlesJob = new RelatedArticlesJob();
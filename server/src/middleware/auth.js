@@ -5,11 +5,42 @@
 
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
-import { ERROR_CODES, USER_ROLES } from '../config/constants.js';
+import { sessionService } from '../services/sessionService.js';
+import { ERROR_CODES, USER_ROLES, STREAM_CONFIG, EMAIL_VERIFICATION_CONFIG, SESSION_CONFIG, TWO_FACTOR_CONFIG } from '../config/constants.js';
 import { logger } from '../config/logger.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
 
+const USER_TOKEN_OPTIONS = {
+  issuer: 'news-aggregator',
+  audience: 'news-aggregator-users'
+};
+
+const TWO_FACTOR_CHALLENGE_OPTIONS = {
+  issuer: 'news-aggregator',
+  audience: 'news-aggregator-2fa'
+};
+
+/**
+ * Verify an access token: signature, issuer, audience, type and revocation
+ * Refresh and stream tokens are signed with the same secret and must not pass as access tokens
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET, USER_TOKEN_OPTIONS);
+
+  if (decoded.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+
+  if (await sessionService.isRevoked(decoded)) {
+    const error = new Error('Token has been revoked');
+    error.name = 'TokenRevokedError';
+    throw error;
+  }
+
+  return decoded;
+};
+
 /**
  * Extract token from Authorization header
  */
@@ -40,7 +71,7 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -66,6 +97,7 @@ export const authenticateToken = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.userId = user._id;
+    req.auth = { sessionId: decoded.sid || null, jti: decoded.jti || null, twoFactor: decoded.mfa === true };
     
     next();
   } catch (error) {
@@ -89,6 +121,15 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
     
+    if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({
+        error: {
+          message: 'Token has been revoked',
+          code: ERROR_CODES.AUTHENTICATION_ERROR
+        }
+      });
+    }
+    
     return res.status(500).json({
       error: {
         message: 'Authentication failed',
@@ -111,12 +152,13 @@ export const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     const user = await User.findById(decoded.userId).select('-password');
     
     if (user && user.isActive) {
       req.user = user;
       req.userId = user._id;
+      req.auth = { sessionId: decoded.sid || null, jti: decoded.jti || null, twoFactor: decoded.mfa === true };
     } else {
       req.user = null;
       req.userId = null;
@@ -131,8 +173,63 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate an event stream from its ?ticket= query parameter
+ * EventSource cannot send an Authorization header
+ */
+export const authenticateStreamTicket = async (req, res, next) => {
+  try {
+    const ticket = req.query.ticket;
+
+    if (!ticket) {
+      return res.status(401).json({
+        error: {
+          message: 'Stream ticket required',
+          code: ERROR_CODES.AUTHENTICATION_ERROR
+        }
+      });
+    }
+
+    const decoded = jwt.verify(ticket, JWT_SECRET, { audience: 'news-aggregator-stream' });
+    const user = decoded.type === 'stream' ? await User.findById(decoded.userId).select('-password') : null;
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: {
+          message: 'Invalid stream ticket',
+          code: ERROR_CODES.AUTHENTICATION_ERROR
+        }
+      });
+    }
+
+    // A ticket issued before logout or a password reset must not open a stream
+    if (decoded.sid && !(await sessionService.isActive(decoded.sid))) {
+      return res.status(401).json({
+        error: {
+          message: 'Session has been revoked',
+          code: ERROR_CODES.AUTHENTICATION_ERROR
+        }
+      });
+    }
+
+    req.user = user;
+    req.userId = user._id;
+    req.auth = { sessionId: decoded.sid || null };
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: {
+        message: error.name === 'TokenExpiredError' ? 'Stream ticket expired' : 'Invalid stream ticket',
+        code: ERROR_CODES.AUTHENTICATION_ERROR
+      }
+    });
+  }
+};
+
 /**
  * Require admin role
+ * With TWO_FACTOR_REQUIRED_FOR_ADMINS the admin must also have 2FA enabled and have used it to sign in
  */
 export const requireAdmin = (req, res, next) => {
   if (!req.user) {
@@ -153,6 +250,17 @@ export const requireAdmin = (req, res, next) => {
     });
   }
 
+  if (TWO_FACTOR_CONFIG.REQUIRED_FOR_ADMINS && !(req.user.twoFactor?.enabled && req.auth?.twoFactor)) {
+    return res.status(403).json({
+      error: {
+        message: req.user.twoFactor?.enabled
+          ? 'Sign in again with your authentication code to use admin features'
+          : 'Admins must enable two-factor authentication',
+        code: ERROR_CODES.TWO_FACTOR_REQUIRED
+      }
+    });
+  }
+
   next();
 };
 
@@ -185,6 +293,34 @@ export const requireRole = (roles) => {
   };
 };
 
+/**
+ * Require a verified email address for a feature listed in EMAIL_VERIFICATION_REQUIRED_FOR
+ * Accounts from before verification existed have no emailVerified value and pass
+ */
+export const requireVerifiedEmail = (feature) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: {
+          message: 'Authentication required',
+          code: ERROR_CODES.AUTHENTICATION_ERROR
+        }
+      });
+    }
+
+    if (req.user.emailVerified === false && EMAIL_VERIFICATION_CONFIG.REQUIRED_FOR.includes(feature)) {
+      return res.status(403).json({
+        error: {
+          message: 'Please verify your email address to use this feature',
+          code: ERROR_CODES.EMAIL_NOT_VERIFIED
+        }
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Check if user owns resource or is admin
  */
@@ -216,18 +352,23 @@ export const requireOwnershipOrAdmin = (userIdParam = 'id') => {
 
 /**
  * Generate JWT token
+ * @param {Object} user - User document
+ * @param {Object} grant - { sessionId, accessJti, twoFactor } from sessionService; tokens without one cannot be revoked
  */
-export const generateToken = (user) => {
+export const generateToken = (user, { sessionId, accessJti, twoFactor } = {}) => {
   const payload = {
     userId: user._id,
     email: user.email,
-    role: user.role
+    role: user.role,
+    type: 'access',
+    ...(sessionId && { sid: sessionId.toString() }),
+    ...(twoFactor && { mfa: true })
   };
 
   const options = {
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
-    issuer: 'news-aggregator',
-    audience: 'news-aggregator-users'
+    ...USER_TOKEN_OPTIONS,
+    ...(accessJti && { jwtid: accessJti })
   };
 
   return jwt.sign(payload, JWT_SECRET, options);
@@ -235,32 +376,96 @@ export const generateToken = (user) => {
 
 /**
  * Generate refresh token
+ * @param {Object} user - User document
+ * @param {Object} grant - { sessionId, refreshJti } from sessionService
+ */
+export const generateRefreshToken = (user, { sessionId, refreshJti }) => {
+  const payload = {
+    userId: user._id,
+    type: 'refresh',
+    sid: sessionId.toString()
+  };
+
+  const options = {
+    expiresIn: `${SESSION_CONFIG.REFRESH_TOKEN_TTL_DAYS}d`,
+    ...USER_TOKEN_OPTIONS,
+    jwtid: refreshJti
+  };
+
+  return jwt.sign(payload, JWT_SECRET, options);
+};
+
+/**
+ * Generate a short-lived ticket for opening an event stream
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session of the access token it was requested with; revoking it ends the stream
  */
-export const generateRefreshToken = (user) => {
+export const generateStreamTicket = (user, sessionId = null) => {
   const payload = {
     userId: user._id,
-    type: 'refresh'
+    type: 'stream',
+    ...(sessionId && { sid: sessionId.toString() })
   };
 
   const options = {
-    expiresIn: '7d',
+    expiresIn: STREAM_CONFIG.TICKET_TTL_SECONDS,
     issuer: 'news-aggregator',
-    audience: 'news-aggregator-users'
+    audience: 'news-aggregator-stream'
   };
 
   return jwt.sign(payload, JWT_SECRET, options);
 };
 
+/**
+ * Generate the token a client exchanges, with a TOTP or recovery code, for a session
+ * Issued by login once the password is accepted for an account with 2FA
+ */
+export const generateTwoFactorChallenge = (user) => {
+  const payload = {
+    userId: user._id,
+    type: '2fa'
+  };
+
+  const options = {
+    expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_TTL_SECONDS,
+    ...TWO_FACTOR_CHALLENGE_OPTIONS
+  };
+
+  return jwt.sign(payload, JWT_SECRET, options);
+};
+
+/**
+ * Verify a two-factor challenge token
+ */
+export const verifyTwoFactorChallenge = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET, TWO_FACTOR_CHALLENGE_OPTIONS);
+  } catch (error) {
+    throw new Error(error.name === 'TokenExpiredError' ? 'Two-factor challenge expired' : 'Invalid two-factor challenge');
+  }
+
+  if (decoded.type !== '2fa') {
+    throw new Error('Invalid two-factor challenge');
+  }
+  return decoded;
+};
+
 /**
  * Verify refresh token
  */
 export const verifyRefreshToken = (token) => {
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded;
+    decoded = jwt.verify(token, JWT_SECRET, USER_TOKEN_OPTIONS);
   } catch (error) {
     throw new Error('Invalid refresh token');
   }
+
+  if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+    throw new Error('Invalid refresh token');
+  }
+  return decoded;
 };
 
 // Legacy function for backward compatibility
@@ -4,7 +4,7 @@
  */
 
 import Joi from 'joi';
-import { ERROR_CODES, HTTP_STATUS, NEWS_CATEGORIES, USER_ROLES } from '../config/constants.js';
+import { COLLECTION_CONFIG, ENTITY_TYPES, ERROR_CODES, EVENT_CONFIG, EVENT_TYPES, EXPORT_FORMATS, HTTP_STATUS, IMPORT_CONFIG, NEWS_CATEGORIES, OPML_CONFIG, READING_STATUSES, USER_ROLES } from '../config/constants.js';
 import { AppError } from './errorHandler.js';
 
 /**
@@ -57,7 +57,12 @@ const commonSchemas = {
   sort: Joi.string().valid('publishedAt', 'fetchedAt', 'views', 'saves', 'shares', 'score'),
   order: Joi.string().valid('asc', 'desc').default('desc'),
   category: Joi.string().valid(...NEWS_CATEGORIES).allow('').optional(),
-  role: Joi.string().valid(...Object.values(USER_ROLES))
+  role: Joi.string().valid(...Object.values(USER_ROLES)),
+  trendingMode: Joi.string().valid('hot', 'rising', 'top').default('hot'),
+  entityType: Joi.string().valid(...ENTITY_TYPES),
+  entityName: Joi.string().trim().min(1).max(100),
+  // A 6-digit authenticator code or a recovery code like "k3f9q-x7m2p"
+  twoFactorCode: Joi.string().trim().min(6).max(20).required()
 };
 
 // Authentication schemas
@@ -92,8 +97,8 @@ export const authSchemas = {
   }),
 
   resetPassword: Joi.object({
-    token: Joi.string().required(),
-    password: commonSchemas.password
+    token: Joi.string().max(200).required(),
+    newPassword: commonSchemas.password
   }),
 
   changePassword: Joi.object({
@@ -101,6 +106,25 @@ export const authSchemas = {
     newPassword: commonSchemas.password
   }),
 
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().max(1000).required(),
+    code: commonSchemas.twoFactorCode
+  }),
+
+  twoFactorCode: Joi.object({
+    code: commonSchemas.twoFactorCode
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: commonSchemas.password,
+    code: commonSchemas.twoFactorCode
+  }),
+
+  oidcCallback: Joi.object({
+    code: Joi.string().max(2000).required(),
+    state: Joi.string().max(200).required()
+  }),
+
   updateProfile: Joi.object({
     name: commonSchemas.optionalName,
     avatarUrl: commonSchemas.imageUrl.optional(),
@@ -142,13 +166,24 @@ export const articleSchemas = {
     date: Joi.date().iso().optional(),
     from: Joi.string().trim().allow('').optional(),
     to: Joi.string().trim().allow('').optional(),
-    author: Joi.string().trim().optional()
+    author: Joi.string().trim().optional(),
+    sentiment: Joi.string().trim().pattern(/^(positive|negative|neutral)(,(positive|negative|neutral))*$/).optional()
   }),
 
   save: Joi.object({
     articleId: commonSchemas.mongoId
   }),
 
+  related: Joi.object({
+    limit: commonSchemas.limit.max(50).default(10)
+  }),
+
+  trending: Joi.object({
+    period: Joi.number().integer().min(1).max(30).default(7),
+    limit: commonSchemas.limit.max(50).default(10),
+    mode: commonSchemas.trendingMode
+  }),
+
   create: Joi.object({
     title: Joi.string().min(1).max(500).trim().required(),
     description: Joi.string().max(2000).trim().optional(),
@@ -181,6 +216,24 @@ export const articleSchemas = {
   })
 };
 
+// Story schemas
+export const storySchemas = {
+  query: Joi.object({
+    page: commonSchemas.page,
+    limit: commonSchemas.limit,
+    category: commonSchemas.category.optional(),
+    q: Joi.string().trim().max(200).allow('').optional(),
+    from: Joi.string().trim().allow('').optional(),
+    to: Joi.string().trim().allow('').optional(),
+    minArticles: Joi.number().integer().min(1).optional()
+  }),
+
+  breaking: Joi.object({
+    category: commonSchemas.category.optional(),
+    limit: commonSchemas.limit.max(50).default(20)
+  })
+};
+
 // User schemas
 export const userSchemas = {
   update: Joi.object({
@@ -206,7 +259,96 @@ export const userSchemas = {
       Joi.string().trim(),
       Joi.array().items(Joi.string().trim())
     ).optional(),
-    source: Joi.string().trim().optional()
+    source: Joi.string().trim().optional(),
+    collection: Joi.alternatives().try(
+      commonSchemas.optionalMongoId,
+      Joi.string().valid('unsorted')
+    ).optional(),
+    status: Joi.string().valid(...READING_STATUSES).optional(),
+    sort: Joi.string().valid('savedAt', 'readingTime').default('savedAt')
+  }),
+
+  save: Joi.object({
+    articleId: commonSchemas.mongoId,
+    collectionId: commonSchemas.optionalMongoId.allow(null).optional(),
+    note: Joi.string().trim().max(COLLECTION_CONFIG.MAX_NOTE_LENGTH).allow('').optional()
+  }),
+
+  note: Joi.object({
+    note: Joi.string().trim().max(COLLECTION_CONFIG.MAX_NOTE_LENGTH).allow('').required()
+  }),
+
+  readingStatus: Joi.object({
+    status: Joi.string().valid(...READING_STATUSES).required()
+  }),
+
+  readingProgress: Joi.object({
+    progress: Joi.number().min(0).max(100).required()
+  }),
+
+  highlight: Joi.object({
+    text: Joi.string().min(1).max(5000).required(),
+    start: Joi.number().integer().min(0).required(),
+    end: Joi.number().integer().min(1).required(),
+    color: Joi.string().valid(...COLLECTION_CONFIG.HIGHLIGHT_COLORS).default('yellow'),
+    note: Joi.string().trim().max(1000).allow('').optional()
+  }),
+
+  followEntity: Joi.object({
+    type: commonSchemas.entityType.required(),
+    name: commonSchemas.entityName.required()
+  }),
+
+  exportSaved: Joi.object({
+    format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('json')
+  }),
+
+  importSaved: Joi.object({
+    html: Joi.string().max(IMPORT_CONFIG.MAX_FILE_SIZE).required()
+  }),
+
+  importOpml: Joi.object({
+    opml: Joi.string().max(OPML_CONFIG.MAX_FILE_SIZE).required()
+  }),
+
+  recommendations: Joi.object({
+    limit: commonSchemas.limit.max(50).default(10)
+  })
+};
+
+// Collection schemas
+export const collectionSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().trim().max(500).allow('').optional()
+  }).min(1),
+
+  reorder: Joi.object({
+    ids: Joi.array().items(commonSchemas.mongoId).max(COLLECTION_CONFIG.MAX_COLLECTIONS).unique().required()
+  }),
+
+  moveArticles: Joi.object({
+    articleIds: Joi.array().items(commonSchemas.mongoId).min(1).max(100).unique().required()
+  })
+};
+
+// Event schemas
+export const eventSchemas = {
+  batch: Joi.object({
+    sessionId: Joi.string().trim().min(8).max(64).required(),
+    events: Joi.array().items(Joi.object({
+      type: Joi.string().valid(...EVENT_TYPES).required(),
+      articleId: commonSchemas.mongoId,
+      value: Joi.number().min(0).optional(),
+      list: Joi.string().trim().max(30).optional(),
+      position: Joi.number().integer().min(0).optional(),
+      occurredAt: commonSchemas.optionalDate.optional()
+    })).min(1).max(EVENT_CONFIG.MAX_BATCH).required()
   })
 };
 
@@ -214,7 +356,14 @@ export const userSchemas = {
 export const statsSchemas = {
   trending: Joi.object({
     period: Joi.number().integer().min(1).max(365).default(7),
-    limit: commonSchemas.limit.max(50)
+    limit: commonSchemas.limit.max(50),
+    mode: commonSchemas.trendingMode
+  }),
+
+  trendingEntities: Joi.object({
+    period: Joi.number().integer().min(1).max(365).default(7),
+    limit: commonSchemas.limit.max(50),
+    type: commonSchemas.entityType.optional()
   }),
 
   analytics: Joi.object({
@@ -237,6 +386,28 @@ export const adminSchemas = {
     fetchInterval: Joi.number().integer().min(60).max(86400).optional(),
     maxArticlesPerFetch: Joi.number().integer().min(10).max(1000).optional(),
     cacheTimeout: Joi.number().integer().min(60).max(3600).optional()
+  }),
+
+  feedCreate: Joi.object({
+    name: Joi.string().min(1).max(100).trim().required(),
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).trim().required(),
+    category: Joi.string().valid(...NEWS_CATEGORIES).default('general'),
+    isActive: Joi.boolean().default(true),
+    pollIntervalMinutes: Joi.number().integer().min(5).max(1440).optional()
+  }),
+
+  feedUpdate: Joi.object({
+    name: Joi.string().min(1).max(100).trim().optional(),
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).trim().optional(),
+    category: Joi.string().valid(...NEWS_CATEGORIES).optional(),
+    isActive: Joi.boolean().optional(),
+    pollIntervalMinutes: Joi.number().integer().min(5).max(1440).optional()
+  }).min(1),
+
+  feedQuery: Joi.object({
+    category: Joi.string().valid(...NEWS_CATEGORIES).optional(),
+    isActive: Joi.string().valid('true', 'false').optional(),
+    pendingApproval: Joi.string().valid('true', 'false').optional()
   })
 };
 
@@ -248,6 +419,10 @@ export const validateAuth = {
   forgotPassword: validate(authSchemas.forgotPassword),
   resetPassword: validate(authSchemas.resetPassword),
   changePassword: validate(authSchemas.changePassword),
+  twoFactorLogin: validate(authSchemas.twoFactorLogin),
+  twoFactorCode: validate(authSchemas.twoFactorCode),
+  disableTwoFactor: validate(authSchemas.disableTwoFactor),
+  oidcCallback: validate(authSchemas.oidcCallback),
   updateProfile: validate(authSchemas.updateProfile)
 };
 
@@ -255,24 +430,55 @@ export const validateArticle = {
   fetch: validate(articleSchemas.fetch),
   query: validate(articleSchemas.query, 'query'),
   save: validate(articleSchemas.save),
+  related: validate(articleSchemas.related, 'query'),
+  trending: validate(articleSchemas.trending, 'query'),
   create: validate(articleSchemas.create),
   update: validate(articleSchemas.update)
 };
 
+export const validateStory = {
+  query: validate(storySchemas.query, 'query'),
+  breaking: validate(storySchemas.breaking, 'query')
+};
+
 export const validateUser = {
   update: validate(userSchemas.update),
   savedArticles: validate(userSchemas.savedArticles, 'query'),
-  save: validate(articleSchemas.save)
+  save: validate(userSchemas.save),
+  note: validate(userSchemas.note),
+  highlight: validate(userSchemas.highlight),
+  readingStatus: validate(userSchemas.readingStatus),
+  readingProgress: validate(userSchemas.readingProgress),
+  exportSaved: validate(userSchemas.exportSaved, 'query'),
+  importSaved: validate(userSchemas.importSaved),
+  importOpml: validate(userSchemas.importOpml),
+  followEntity: validate(userSchemas.followEntity),
+  recommendations: validate(userSchemas.recommendations, 'query')
+};
+
+export const validateCollection = {
+  create: validate(collectionSchemas.create),
+  update: validate(collectionSchemas.update),
+  reorder: validate(collectionSchemas.reorder),
+  moveArticles: validate(collectionSchemas.moveArticles)
+};
+
+export const validateEvent = {
+  batch: validate(eventSchemas.batch)
 };
 
 export const validateStats = {
   trending: validate(statsSchemas.trending, 'query'),
+  trendingEntities: validate(statsSchemas.trendingEntities, 'query'),
   analytics: validate(statsSchemas.analytics, 'query')
 };
 
 export const validateAdmin = {
   userUpdate: validate(adminSchemas.userUpdate),
-  systemConfig: validate(adminSchemas.systemConfig)
+  systemConfig: validate(adminSchemas.systemConfig),
+  feedCreate: validate(adminSchemas.feedCreate),
+  feedUpdate: validate(adminSchemas.feedUpdate),
+  feedQuery: validate(adminSchemas.feedQuery, 'query')
 };
 
 // Parameter validation
@@ -286,7 +492,22 @@ export const validateParams = {
   }), 'params'),
 
   articleId: validate(Joi.object({
-    id: commonSchemas.mongoId
+    articleId: commonSchemas.mongoId
+  }), 'params'),
+
+  highlight: validate(Joi.object({
+    articleId: commonSchemas.mongoId,
+    highlightId: commonSchemas.mongoId
+  }), 'params'),
+
+  collectionArticle: validate(Joi.object({
+    id: commonSchemas.mongoId,
+    articleId: commonSchemas.mongoId
+  }), 'params'),
+
+  entity: validate(Joi.object({
+    type: commonSchemas.entityType.required(),
+    name: commonSchemas.entityName.required()
   }), 'params')
 };
 
@@ -15,7 +15,8 @@ const analyticsSchema = new mongoose.Schema(
         'user_activity',
         'article_performance',
         'trending_data',
-        'system_health'
+        'system_health',
+        'engagement'
       ],
       index: true
     },
@@ -130,6 +131,44 @@ analyticsSchema.statics.getTrendingData = function(period = 7) {
   }).sort({ date: -1 });
 };
 
+/**
+ * Static method to store a day of engagement events (day is a UTC day start)
+ */
+analyticsSchema.statics.storeEngagement = function(day, engagement) {
+  return this.findOneAndUpdate(
+    {
+      type: 'engagement',
+      date: day,
+      period: 'daily'
+    },
+    {
+      type: 'engagement',
+      date: day,
+      period: 'daily',
+      data: engagement,
+      metadata: {
+        source: 'event_rollup',
+        version: process.env.npm_package_version || '2.0.0',
+        environment: process.env.NODE_ENV || 'development'
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Static method to get daily engagement rollups
+ */
+analyticsSchema.statics.getEngagement = function(period = 7) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - period);
+
+  return this.find({
+    type: 'engagement',
+    date: { $gte: startDate }
+  }).sort({ date: -1 });
+};
+
 /**
  * Static method to store user activity
  */
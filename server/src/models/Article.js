@@ -4,7 +4,7 @@
  */
 
 import mongoose from 'mongoose';
-import { NEWS_CATEGORIES } from '../config/constants.js';
+import { ENTITY_TYPES, NEWS_CATEGORIES, TRENDING_CONFIG } from '../config/constants.js';
 
 const sourceSchema = new mongoose.Schema({
   id: {
@@ -40,6 +40,117 @@ const metaSchema = new mongoose.Schema({
     type: String,
     enum: ['positive', 'negative', 'neutral'],
     default: 'neutral'
+  },
+  sentimentScore: {
+    type: Number, // AFINN comparative score, null until analyzed
+    default: null
+  }
+}, { _id: false });
+
+const fingerprintSchema = new mongoose.Schema({
+  contentHash: {
+    type: String, // SHA-256 of title|source|date
+    trim: true
+  },
+  simhash: {
+    type: String, // 64-bit SimHash as 16 hex characters
+    trim: true
+  },
+  bands: {
+    type: [String], // "<band>:<hex>" buckets for near-duplicate candidate lookup
+    default: []
+  }
+}, { _id: false });
+
+const entitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ENTITY_TYPES,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Entity name cannot exceed 100 characters']
+  },
+  key: {
+    type: String, // Normalized name used for lookups and URLs
+    required: true,
+    trim: true
+  },
+  count: {
+    type: Number, // Mentions in the article
+    min: 1,
+    default: 1
+  }
+}, { _id: false });
+
+const extractionSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  extractedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Metadata found on the source page
+  leadImage: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  byline: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Recomputed by the analytics job for articles inside the trending window
+const trendingSchema = new mongoose.Schema({
+  // Weighted engagement and coverage divided by a power of the article's age
+  hot: {
+    type: Number,
+    default: 0
+  },
+  // How far recent engagement runs above the article's own baseline, in standard deviations
+  rising: {
+    type: Number,
+    default: 0
+  },
+  // Weighted engagement per hour, recently and over the baseline window
+  velocity: {
+    type: Number,
+    default: 0
+  },
+  baseline: {
+    type: Number,
+    default: 0
+  },
+  computedAt: {
+    type: Date,
+    default: null
   }
 }, { _id: false });
 
@@ -91,6 +202,11 @@ const articleSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, 'Author name cannot exceed 200 characters']
     },
+    apiSource: {
+      type: String, // Provider that ingested the article (newsapi, guardian, nyt, bbc, rss)
+      trim: true,
+      default: null
+    },
     category: {
       type: String,
       enum: [...NEWS_CATEGORIES, null],
@@ -120,6 +236,27 @@ const articleSchema = new mongoose.Schema(
       type: metaSchema,
       default: () => ({})
     },
+    fingerprint: {
+      type: fingerprintSchema,
+      default: () => ({})
+    },
+    entities: {
+      type: [entitySchema],
+      default: undefined // Unset until extracted so older articles can be backfilled
+    },
+    extraction: {
+      type: extractionSchema,
+      default: () => ({})
+    },
+    story: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+      default: null
+    },
+    trending: {
+      type: trendingSchema,
+      default: undefined // Unset outside the trending window
+    },
     views: {
       type: Number,
       default: 0,
@@ -167,12 +304,20 @@ articleSchema.index({ isActive: 1 });
 articleSchema.index({ views: -1 });
 articleSchema.index({ saves: -1 });
 articleSchema.index({ shares: -1 });
+articleSchema.index({ 'fingerprint.contentHash': 1 });
+articleSchema.index({ story: 1 });
 
 // Compound indexes
 articleSchema.index({ publishedAt: -1, category: 1 });
 articleSchema.index({ publishedAt: -1, 'source.name': 1 });
 articleSchema.index({ publishedAt: -1, tags: 1 });
 articleSchema.index({ isActive: 1, publishedAt: -1 });
+articleSchema.index({ 'fingerprint.bands': 1, publishedAt: -1 });
+articleSchema.index({ 'extraction.status': 1, publishedAt: -1 });
+articleSchema.index({ 'meta.sentiment': 1, publishedAt: -1 });
+articleSchema.index({ 'entities.key': 1, 'entities.type': 1, publishedAt: -1 });
+articleSchema.index({ 'trending.hot': -1, publishedAt: -1 });
+articleSchema.index({ 'trending.rising': -1, publishedAt: -1 });
 
 // Text index for full-text search
 articleSchema.index({
@@ -231,15 +376,26 @@ articleSchema.statics.findByCategory = function(category, options = {}) {
 /**
  * Static method to find trending articles
  */
-articleSchema.statics.findTrending = function(period = 7, limit = 10) {
+articleSchema.statics.findTrending = function(period = 7, limit = 10, mode = 'hot') {
   const date = new Date();
   date.setDate(date.getDate() - period);
   
-  return this.find({
+  const query = {
     publishedAt: { $gte: date },
     isActive: true
-  })
-    .sort({ saves: -1, views: -1, publishedAt: -1 })
+  };
+
+  // hot: time-decayed score; rising: well above its own baseline; top: all-time counts
+  let sort = { 'trending.hot': -1, publishedAt: -1 };
+  if (mode === 'rising') {
+    query['trending.rising'] = { $gte: TRENDING_CONFIG.RISING_MIN_SCORE };
+    sort = { 'trending.rising': -1, publishedAt: -1 };
+  } else if (mode === 'top') {
+    sort = { saves: -1, views: -1, publishedAt: -1 };
+  }
+
+  return this.find(query)
+    .sort(sort)
     .limit(limit);
 };
 
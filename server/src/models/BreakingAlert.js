@@ -0,0 +1,98 @@
+/**
+ * BreakingAlert model for Personalized News Aggregator
+ * A story several sources started reporting within minutes of each other
+ */
+
+import mongoose from 'mongoose';
+import { NEWS_CATEGORIES } from '../config/constants.js';
+
+const breakingAlertSchema = new mongoose.Schema(
+  {
+    story: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+      required: [true, 'Story is required']
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [500, 'Title cannot exceed 500 characters']
+    },
+    leadArticle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      required: [true, 'Lead article is required']
+    },
+    // Articles in the burst, earliest first
+    articles: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article'
+    }],
+    sources: {
+      type: [String],
+      default: []
+    },
+    sourceCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    category: {
+      type: String,
+      enum: [...NEWS_CATEGORIES, null],
+      default: null
+    },
+    tags: {
+      type: [String],
+      default: []
+    },
+    // First report in the burst
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// One alert per story; later reports update it
+breakingAlertSchema.index({ story: 1 }, { unique: true });
+
+// Indexes for performance
+breakingAlertSchema.index({ detectedAt: -1 });
+breakingAlertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to find alerts that have not expired, newest first
+ */
+breakingAlertSchema.statics.findActive = function(category = null, limit = 20) {
+  const query = { expiresAt: { $gt: new Date() } };
+
+  if (category) {
+    query.category = category;
+  }
+
+  return this.find(query)
+    .sort({ detectedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+export const BreakingAlert = mongoose.model('BreakingAlert', breakingAlertSchema);
@@ -0,0 +1,69 @@
+/**
+ * Collection model for Personalized News Aggregator
+ * User-defined folders for saved articles
+ */
+
+import mongoose from 'mongoose';
+
+const collectionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+      default: ''
+    },
+    // Order in the user's list, lowest first
+    position: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Names are unique per user, ignoring case
+collectionSchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Indexes for performance
+collectionSchema.index({ userId: 1, position: 1 });
+
+/**
+ * Static method to get a user's collections in display order
+ */
+collectionSchema.statics.findByUser = function(userId) {
+  return this.find({ userId })
+    .sort({ position: 1, createdAt: 1 })
+    .lean();
+};
+
+/**
+ * Static method to find a collection by name, ignoring case
+ */
+collectionSchema.statics.findByName = function(userId, name) {
+  return this.findOne({ userId, name })
+    .collation({ locale: 'en', strength: 2 })
+    .lean();
+};
+
+export const Collection = mongoose.model('Collection', collectionSchema);
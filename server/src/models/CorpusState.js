@@ -0,0 +1,66 @@
+/**
+ * CorpusState model for Personalized News Aggregator
+ * Totals and timestamps for the shared TF-IDF corpus (see CorpusTerm)
+ */
+
+import mongoose from 'mongoose';
+
+const corpusStateSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Corpus key is required'],
+      unique: true,
+      trim: true
+    },
+    // Decayed number of articles in the corpus, the N in log(N / df)
+    totalDocs: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // When the corpus was last rebuilt from stored articles
+    builtAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastDecayAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastDocumentAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Static method to record new articles in the corpus
+ * @param {string} key - Corpus key
+ * @param {number} count - Number of articles added
+ */
+corpusStateSchema.statics.addDocuments = function(key, count) {
+  const now = new Date();
+
+  return this.updateOne(
+    { key },
+    {
+      $inc: { totalDocs: count },
+      $set: { lastDocumentAt: now },
+      $setOnInsert: { builtAt: now, lastDecayAt: now }
+    },
+    { upsert: true }
+  );
+};
+
+export const CorpusState = mongoose.model('CorpusState', corpusStateSchema);
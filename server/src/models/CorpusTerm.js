@@ -0,0 +1,85 @@
+/**
+ * CorpusTerm model for Personalized News Aggregator
+ * Shared TF-IDF document frequencies, one document per stemmed term
+ */
+
+import mongoose from 'mongoose';
+
+const corpusTermSchema = new mongoose.Schema(
+  {
+    term: {
+      type: String,
+      required: [true, 'Term is required'],
+      unique: true
+    },
+    // Number of articles containing the term, decayed over time so it is fractional
+    df: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for performance
+corpusTermSchema.index({ df: 1 });
+
+/**
+ * Static method to add document frequencies for a batch of articles
+ * @param {Map<string, number>} counts - Term => number of new articles containing it
+ */
+corpusTermSchema.statics.incrementTerms = async function(counts) {
+  if (counts.size === 0) {
+    return;
+  }
+
+  await this.bulkWrite(Array.from(counts, ([term, count]) => ({
+    updateOne: {
+      filter: { term },
+      update: { $inc: { df: count } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+/**
+ * Static method to load document frequencies for a set of terms
+ * @param {string[]} terms - Stemmed terms
+ * @returns {Promise<Map<string, number>>} Term => df (0 for unseen terms)
+ */
+corpusTermSchema.statics.getFrequencies = async function(terms) {
+  const frequencies = new Map(terms.map(term => [term, 0]));
+  if (terms.length === 0) {
+    return frequencies;
+  }
+
+  const rows = await this.find({ term: { $in: terms } }).select('term df').lean();
+  for (const row of rows) {
+    frequencies.set(row.term, row.df);
+  }
+
+  return frequencies;
+};
+
+/**
+ * Static method to decay every term and drop the ones that have faded out
+ * @param {number} factor - Multiplier between 0 and 1
+ * @param {number} minDf - Terms below this document frequency are removed
+ * @returns {Promise<number>} Number of terms removed
+ */
+corpusTermSchema.statics.decay = async function(factor, minDf) {
+  await this.updateMany({}, { $mul: { df: factor } });
+  const result = await this.deleteMany({ df: { $lt: minDf } });
+  return result.deletedCount;
+};
+
+export const CorpusTerm = mongoose.model('CorpusTerm', corpusTermSchema);
@@ -0,0 +1,65 @@
+/**
+ * EmailVerificationToken model for Personalized News Aggregator
+ * Emailed links confirming a user owns their address; only a hash of each token is stored
+ */
+
+import mongoose from 'mongoose';
+
+const emailVerificationTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    // SHA-256 of the token sent by email
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true
+    },
+    // Address the link was sent to; the token only verifies that address
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for performance
+emailVerificationTokenSchema.index({ userId: 1, createdAt: -1 });
+
+// Expired tokens are removed by MongoDB
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to claim an unused, unexpired token
+ */
+emailVerificationTokenSchema.statics.consume = function(tokenHash, now = new Date()) {
+  return this.findOneAndUpdate(
+    { tokenHash, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+export const EmailVerificationToken = mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
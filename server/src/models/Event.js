@@ -0,0 +1,79 @@
+/**
+ * Event model for Personalized News Aggregator
+ * Implicit feedback (impressions, clicks, dwell, scroll depth, hides), bucketed by day
+ */
+
+import mongoose from 'mongoose';
+import { EVENT_TYPES, EVENT_CONFIG } from '../config/constants.js';
+
+const eventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: EVENT_TYPES,
+      required: [true, 'Event type is required']
+    },
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      required: [true, 'Article ID is required']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    sessionId: {
+      type: String,
+      required: [true, 'Session ID is required']
+    },
+    // "u:<userId>" for signed-in readers, "s:<sessionId>" otherwise; events dedupe per actor
+    actor: {
+      type: String,
+      required: true
+    },
+    // UTC day the event happened, the partition key for dedupe and rollups
+    day: {
+      type: Date,
+      required: true
+    },
+    // Longest dwell in seconds or deepest scroll in percent; null for other types
+    value: {
+      type: Number,
+      default: null
+    },
+    // Where the article was shown: list name ("feed", "article", ...) and position in it
+    context: {
+      list: String,
+      position: Number
+    },
+    // Times the event was reported, including duplicates
+    count: {
+      type: Number,
+      default: 1
+    },
+    firstAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One event per actor, type, article and day
+eventSchema.index({ day: 1, actor: 1, type: 1, articleId: 1 }, { unique: true });
+
+// Indexes for performance
+eventSchema.index({ day: 1, type: 1 });
+eventSchema.index({ lastAt: 1 });
+eventSchema.index({ userId: 1, type: 1 });
+eventSchema.index({ type: 1, firstAt: -1 });
+eventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_CONFIG.RETENTION_DAYS * 24 * 60 * 60 });
+
+export const Event = mongoose.model('Event', eventSchema);
@@ -0,0 +1,96 @@
+/**
+ * Feed model for Personalized News Aggregator
+ * Registry of RSS/Atom/RDF feeds polled alongside the news APIs
+ */
+
+import mongoose from 'mongoose';
+import { NEWS_CATEGORIES, SOURCE_POLLING } from '../config/constants.js';
+
+const feedSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Feed name is required'],
+      trim: true,
+      maxlength: [100, 'Feed name cannot exceed 100 characters']
+    },
+    url: {
+      type: String,
+      required: [true, 'Feed URL is required'],
+      unique: true,
+      trim: true,
+      validate: {
+        validator(v) {
+          return /^https?:\/\/.+/.test(v);
+        },
+        message: 'Feed URL must be a valid HTTP/HTTPS URL'
+      }
+    },
+    category: {
+      type: String,
+      enum: NEWS_CATEGORIES,
+      default: 'general'
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    pollIntervalMinutes: {
+      type: Number,
+      min: [5, 'Poll interval must be at least 5 minutes'],
+      max: [1440, 'Poll interval cannot exceed 1440 minutes'],
+      default: SOURCE_POLLING.FEED_INTERVAL_MINUTES
+    },
+    // Result of the most recent poll
+    lastFetchedAt: {
+      type: Date,
+      default: null
+    },
+    lastStatus: {
+      type: String,
+      enum: ['success', 'not_modified', 'error', null],
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    lastItemCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Registered by a reader's OPML import: inactive until an admin activates it
+    pendingApproval: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for performance
+feedSchema.index({ isActive: 1 });
+feedSchema.index({ category: 1 });
+feedSchema.index({ pendingApproval: 1 });
+
+/**
+ * Static method to find feeds that should be polled
+ */
+feedSchema.statics.findActive = function() {
+  return this.find({ isActive: true }).sort({ lastFetchedAt: 1 });
+};
+
+export const Feed = mongoose.model('Feed', feedSchema);
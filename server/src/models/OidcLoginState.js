@@ -0,0 +1,62 @@
+/**
+ * OidcLoginState model for Personalized News Aggregator
+ * Sign-ins in progress at an OpenID Connect provider; only a hash of each state is stored
+ */
+
+import mongoose from 'mongoose';
+
+const oidcLoginStateSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the state parameter the client carries through the provider
+    stateHash: {
+      type: String,
+      required: [true, 'State hash is required'],
+      unique: true
+    },
+    provider: {
+      type: String,
+      required: [true, 'Provider is required']
+    },
+    // PKCE verifier and ID token nonce; they never leave the server
+    codeVerifier: {
+      type: String,
+      required: true
+    },
+    nonce: {
+      type: String,
+      required: true
+    },
+    redirectUri: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.stateHash;
+        delete ret.codeVerifier;
+        delete ret.nonce;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Abandoned sign-ins are removed by MongoDB
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to claim a pending sign-in; deleting it makes each state single-use
+ */
+oidcLoginStateSchema.statics.consume = function(stateHash, provider, now = new Date()) {
+  return this.findOneAndDelete({ stateHash, provider, expiresAt: { $gt: now } });
+};
+
+export const OidcLoginState = mongoose.model('OidcLoginState', oidcLoginStateSchema);
@@ -0,0 +1,61 @@
+/**
+ * PasswordResetToken model for Personalized News Aggregator
+ * Single-use password reset links; only a hash of each token is stored
+ */
+
+import mongoose from 'mongoose';
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    // SHA-256 of the token sent by email
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    },
+    requestedIp: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for performance
+passwordResetTokenSchema.index({ userId: 1, createdAt: -1 });
+
+// Expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to claim an unused, unexpired token; the update makes it single-use
+ * even when two requests race
+ */
+passwordResetTokenSchema.statics.consume = function(tokenHash, now = new Date()) {
+  return this.findOneAndUpdate(
+    { tokenHash, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+export const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
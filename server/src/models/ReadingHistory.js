@@ -0,0 +1,83 @@
+/**
+ * ReadingHistory model for Personalized News Aggregator
+ * Articles each user has opened, with view counts and time spent, for recommendations
+ */
+
+import mongoose from 'mongoose';
+import { RECOMMENDATION_CONFIG } from '../config/constants.js';
+
+const readingHistorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      required: [true, 'Article ID is required']
+    },
+    // Copied from the article so profiles can be built without a join
+    category: String,
+    tags: [String],
+    source: String,
+    views: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    dwellSeconds: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    firstViewedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastViewedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+readingHistorySchema.index({ userId: 1, articleId: 1 }, { unique: true });
+readingHistorySchema.index({ userId: 1, lastViewedAt: -1 });
+
+// Forget reads nobody has returned to for a while
+readingHistorySchema.index(
+  { lastViewedAt: 1 },
+  { expireAfterSeconds: RECOMMENDATION_CONFIG.HISTORY_TTL_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Static method to record that a user opened an article
+ * @param {string} userId - Reader
+ * @param {Object} article - Article with _id, category, tags and source
+ */
+readingHistorySchema.statics.recordView = function(userId, article) {
+  const now = new Date();
+
+  return this.updateOne(
+    { userId, articleId: article._id },
+    {
+      $inc: { views: 1 },
+      $set: {
+        category: article.category,
+        tags: article.tags || [],
+        source: article.source?.name,
+        lastViewedAt: now
+      },
+      $setOnInsert: { firstViewedAt: now }
+    },
+    { upsert: true }
+  );
+};
+
+export const ReadingHistory = mongoose.model('ReadingHistory', readingHistorySchema);
@@ -0,0 +1,57 @@
+/**
+ * RelatedArticles model for Personalized News Aggregator
+ * Precomputed "readers who saved this also saved" lists, one document per article
+ */
+
+import mongoose from 'mongoose';
+
+const relatedArticleSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // Cosine similarity of the two articles' savers, 0-1
+  score: {
+    type: Number,
+    required: true
+  },
+  coSaves: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const relatedArticlesSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      required: [true, 'Article ID is required'],
+      unique: true
+    },
+    // Highest score first
+    related: {
+      type: [relatedArticleSchema],
+      default: []
+    },
+    computedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for performance
+relatedArticlesSchema.index({ computedAt: 1 });
+
+export const RelatedArticles = mongoose.model('RelatedArticles', relatedArticlesSchema);
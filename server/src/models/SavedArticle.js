@@ -4,6 +4,41 @@
  */
 
 import mongoose from 'mongoose';
+import { COLLECTION_CONFIG, READING_CONFIG, READING_STATUSES } from '../config/constants.js';
+
+// A passage of the article's body (content, or description when there is none)
+const highlightSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      maxlength: [5000, 'Highlight cannot exceed 5000 characters']
+    },
+    // Character offsets into the body, end exclusive
+    start: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    end: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    color: {
+      type: String,
+      enum: COLLECTION_CONFIG.HIGHLIGHT_COLORS,
+      default: 'yellow'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Highlight note cannot exceed 1000 characters'],
+      default: ''
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
 
 const savedArticleSchema = new mongoose.Schema(
   {
@@ -36,6 +71,43 @@ const savedArticleSchema = new mongoose.Schema(
       type: String,
       index: true
     },
+    // Unsorted when null
+    collectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Collection',
+      default: null
+    },
+    // Private to the user
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [COLLECTION_CONFIG.MAX_NOTE_LENGTH, `Note cannot exceed ${COLLECTION_CONFIG.MAX_NOTE_LENGTH} characters`],
+      default: ''
+    },
+    highlights: {
+      type: [highlightSchema],
+      default: []
+    },
+    // Read-later state
+    status: {
+      type: String,
+      enum: READING_STATUSES,
+      default: 'unread'
+    },
+    progress: {
+      type: Number, // Furthest scroll depth, percent
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    lastOpenedAt: {
+      type: Date,
+      default: null
+    },
+    readAt: {
+      type: Date,
+      default: null
+    },
     // Metadata for analytics
     metadata: {
       deviceType: {
@@ -60,11 +132,14 @@ savedArticleSchema.index({ savedAt: -1 });
 savedArticleSchema.index({ category: 1, savedAt: -1 });
 savedArticleSchema.index({ tags: 1, savedAt: -1 });
 savedArticleSchema.index({ source: 1, savedAt: -1 });
+savedArticleSchema.index({ userId: 1, collectionId: 1, savedAt: -1 });
+savedArticleSchema.index({ userId: 1, status: 1, savedAt: -1 });
 
 /**
- * Static method to get saved articles for a user
+ * Static method to build the filter for a user's saved articles
+ * `collectionId` null selects unsorted articles
  */
-savedArticleSchema.statics.getUserSavedArticles = function(userId, options = {}) {
+savedArticleSchema.statics.getUserQuery = function(userId, options = {}) {
   const query = { userId };
   
   if (options.category) {
@@ -78,14 +153,106 @@ savedArticleSchema.statics.getUserSavedArticles = function(userId, options = {})
   if (options.source) {
     query.source = options.source;
   }
+
+  if (options.collectionId !== undefined) {
+    query.collectionId = options.collectionId;
+  }
+
+  if (options.status) {
+    // Articles saved before read-later tracking have no status and count as unread
+    query.status = options.status === 'unread' ? { $in: ['unread', null] } : options.status;
+  }
   
-  return this.find(query)
+  return query;
+};
+
+/**
+ * Static method to get saved articles for a user
+ */
+savedArticleSchema.statics.getUserSavedArticles = function(userId, options = {}) {
+  return this.find(this.getUserQuery(userId, options))
     .populate('articleId', 'title description url urlToImage source author category tags publishedAt meta')
     .sort({ savedAt: -1 })
     .limit(options.limit || 20)
     .skip(options.skip || 0);
 };
 
+/**
+ * Static method to get saved articles shortest read first, using the article's current
+ * reading time (it grows when full text is extracted after saving)
+ */
+savedArticleSchema.statics.getReadingQueue = function(userId, options = {}) {
+  const query = this.getUserQuery(new mongoose.Types.ObjectId(userId), options);
+  if (query.collectionId) {
+    query.collectionId = new mongoose.Types.ObjectId(query.collectionId);
+  }
+
+  return this.aggregate([
+    { $match: query },
+    {
+      $lookup: {
+        from: 'articles',
+        let: { articleId: '$articleId' },
+        as: 'articleId',
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$articleId'] } } },
+          { $project: { title: 1, description: 1, url: 1, urlToImage: 1, source: 1, author: 1, category: 1, tags: 1, publishedAt: 1, meta: 1 } }
+        ]
+      }
+    },
+    { $unwind: '$articleId' },
+    {
+      $addFields: {
+        readingTime: {
+          $cond: [
+            { $gt: ['$articleId.meta.readingTime', 0] },
+            '$articleId.meta.readingTime',
+            READING_CONFIG.UNKNOWN_READING_TIME
+          ]
+        }
+      }
+    },
+    { $sort: { readingTime: 1, savedAt: -1 } },
+    { $skip: options.skip || 0 },
+    { $limit: options.limit || 20 },
+    { $project: { readingTime: 0 } }
+  ]);
+};
+
+/**
+ * Static method to count a user's saved articles per status
+ */
+savedArticleSchema.statics.getStatusCounts = function(userId) {
+  return this.aggregate([
+    {
+      $match: { userId: new mongoose.Types.ObjectId(userId) }
+    },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+/**
+ * Static method to count a user's saved articles per collection (null for unsorted)
+ */
+savedArticleSchema.statics.getCollectionCounts = function(userId) {
+  return this.aggregate([
+    {
+      $match: { userId: new mongoose.Types.ObjectId(userId) }
+    },
+    {
+      $group: {
+        _id: '$collectionId',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
 /**
  * Static method to get analytics data
  */
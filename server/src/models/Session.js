@@ -0,0 +1,97 @@
+/**
+ * Session model for Personalized News Aggregator
+ * One signed-in device: its current refresh token and the access tokens issued to it
+ */
+
+import mongoose from 'mongoose';
+
+const accessTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    // jti of the only refresh token that may be used next; every refresh replaces it
+    refreshJti: {
+      type: String,
+      required: true
+    },
+    // The token it replaced, accepted without revoking during REUSE_GRACE_SECONDS after rotatedAt
+    previousRefreshJti: {
+      type: String,
+      default: null
+    },
+    rotatedAt: {
+      type: Date,
+      default: null
+    },
+    // Recent access tokens, denylisted when the session is revoked
+    accessTokens: {
+      type: [accessTokenSchema],
+      default: []
+    },
+    device: {
+      type: String,
+      maxlength: 100
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500
+    },
+    ip: String,
+    // Signed in with a second factor; carried into every token the session issues
+    twoFactor: {
+      type: Boolean,
+      default: false
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'reuse', 'password_change', 'password_reset'],
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.refreshJti;
+        delete ret.previousRefreshJti;
+        delete ret.accessTokens;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for performance
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model('Session', sessionSchema);
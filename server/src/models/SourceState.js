@@ -0,0 +1,180 @@
+/**
+ * SourceState model for Personalized News Aggregator
+ * Per-source polling state: cache validators, schedule and backoff
+ */
+
+import mongoose from 'mongoose';
+import { SOURCE_POLLING } from '../config/constants.js';
+
+const sourceStateSchema = new mongoose.Schema(
+  {
+    // Stable identifier such as "provider:newsapi:technology", "provider:guardian:science" or "feed:<feedId>"
+    // ("newsapi:<category>" states predate NewsAPI polling through the provider registry)
+    key: {
+      type: String,
+      required: [true, 'Source key is required'],
+      unique: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['newsapi', 'provider', 'feed'],
+      required: [true, 'Source type is required']
+    },
+    // "<provider>:<category>" for provider plugins, feed ID for feeds (category for old NewsAPI states)
+    target: {
+      type: String,
+      required: [true, 'Source target is required']
+    },
+    etag: {
+      type: String,
+      default: null
+    },
+    lastModified: {
+      type: String,
+      default: null
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null
+    },
+    lastSuccessAt: {
+      type: Date,
+      default: null
+    },
+    lastStatus: {
+      type: String,
+      enum: ['success', 'not_modified', 'skipped', 'error', null],
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    nextPollAt: {
+      type: Date,
+      default: Date.now
+    },
+    pollIntervalMinutes: {
+      type: Number,
+      min: 1,
+      required: [true, 'Poll interval is required']
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    backoffMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for performance
+sourceStateSchema.index({ nextPollAt: 1 });
+sourceStateSchema.index({ type: 1 });
+
+/**
+ * Static method to load or create state for configured sources
+ * @param {Array} sources - [{ key, type, target, pollIntervalMinutes }]
+ */
+sourceStateSchema.statics.ensureSources = async function(sources) {
+  if (sources.length === 0) {
+    return [];
+  }
+
+  await this.bulkWrite(sources.map(source => ({
+    updateOne: {
+      filter: { key: source.key },
+      update: {
+        $set: { pollIntervalMinutes: source.pollIntervalMinutes },
+        $setOnInsert: { type: source.type, target: source.target, nextPollAt: new Date() }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return this.find({ key: { $in: sources.map(source => source.key) } });
+};
+
+/**
+ * Instance method to check whether the source should be polled now
+ */
+sourceStateSchema.methods.isDue = function(now = new Date()) {
+  return !this.nextPollAt || this.nextPollAt <= now;
+};
+
+/**
+ * Instance method to record a successful (or 304) poll and schedule the next one
+ */
+sourceStateSchema.methods.recordSuccess = function({ etag, lastModified, notModified = false } = {}) {
+  const now = new Date();
+
+  // A 304 may omit validators; keep the ones we already have
+  if (etag) this.etag = etag;
+  if (lastModified) this.lastModified = lastModified;
+
+  this.lastAttemptAt = now;
+  this.lastSuccessAt = now;
+  this.lastStatus = notModified ? 'not_modified' : 'success';
+  this.lastError = null;
+  this.consecutiveFailures = 0;
+  this.backoffMinutes = 0;
+  this.nextPollAt = new Date(now.getTime() + this.pollIntervalMinutes * 60 * 1000);
+
+  return this.save();
+};
+
+/**
+ * Instance method to record a poll skipped by the provider's quota or circuit breaker
+ * Not a failure: the source is simply retried once the provider accepts calls again
+ * @param {string} reason - Why the poll was skipped
+ * @param {Date} retryAt - When the provider accepts calls again (optional)
+ */
+sourceStateSchema.methods.recordSkipped = function(reason, retryAt = null) {
+  const now = new Date();
+
+  this.lastAttemptAt = now;
+  this.lastStatus = 'skipped';
+  this.lastError = reason;
+  this.nextPollAt = retryAt || new Date(now.getTime() + this.pollIntervalMinutes * 60 * 1000);
+
+  return this.save();
+};
+
+/**
+ * Instance method to record a failed poll with exponential backoff
+ * @param {Error} error - Failure
+ * @param {number} retryAfterSeconds - Server-provided Retry-After, if any
+ */
+sourceStateSchema.methods.recordFailure = function(error, retryAfterSeconds = 0) {
+  const now = new Date();
+
+  this.consecutiveFailures += 1;
+  this.backoffMinutes = Math.min(
+    this.pollIntervalMinutes * 2 ** this.consecutiveFailures,
+    SOURCE_POLLING.MAX_BACKOFF_MINUTES
+  );
+  this.backoffMinutes = Math.max(this.backoffMinutes, Math.ceil(retryAfterSeconds / 60));
+
+  this.lastAttemptAt = now;
+  this.lastStatus = 'error';
+  this.lastError = error?.message || String(error);
+  this.nextPollAt = new Date(now.getTime() + this.backoffMinutes * 60 * 1000);
+
+  return this.save();
+};
+
+export const SourceState = mongoose.model('SourceState', sourceStateSchema);
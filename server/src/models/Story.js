@@ -0,0 +1,103 @@
+/**
+ * Story model for Personalized News Aggregator
+ * Groups articles from different sources that cover the same event
+ */
+
+import mongoose from 'mongoose';
+import { NEWS_CATEGORIES } from '../config/constants.js';
+
+const storySchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [500, 'Title cannot exceed 500 characters']
+    },
+    // Normalized title terms used to match incoming articles
+    terms: {
+      type: [String],
+      default: []
+    },
+    leadArticle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      required: [true, 'Lead article is required']
+    },
+    articles: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article'
+    }],
+    articleCount: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    sources: {
+      type: [String],
+      default: []
+    },
+    category: {
+      type: String,
+      enum: [...NEWS_CATEGORIES, null],
+      default: null
+    },
+    tags: {
+      type: [String],
+      default: []
+    },
+    firstPublishedAt: {
+      type: Date,
+      required: [true, 'First published date is required']
+    },
+    lastPublishedAt: {
+      type: Date,
+      required: [true, 'Last published date is required']
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        delete ret.terms;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for performance
+storySchema.index({ lastPublishedAt: -1 });
+storySchema.index({ category: 1 });
+storySchema.index({ articles: 1 });
+
+// Compound indexes
+storySchema.index({ isActive: 1, lastPublishedAt: -1 });
+storySchema.index({ isActive: 1, category: 1, lastPublishedAt: -1 });
+
+/**
+ * Static method to find stories still open for new articles
+ */
+storySchema.statics.findOpen = function(since, category = null, limit = 500) {
+  const query = {
+    isActive: true,
+    lastPublishedAt: { $gte: since }
+  };
+
+  if (category) {
+    query.category = category;
+  }
+
+  return this.find(query)
+    .select('title terms category sources articleCount firstPublishedAt lastPublishedAt')
+    .sort({ lastPublishedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+export const Story = mongoose.model('Story', storySchema);
@@ -5,7 +5,59 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import { USER_ROLES } from '../config/constants.js';
+import { ENTITY_TYPES, USER_ROLES } from '../config/constants.js';
+
+const followedEntitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ENTITY_TYPES,
+    required: true
+  },
+  key: {
+    type: String, // Matches Article.entities.key
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Entity name cannot exceed 100 characters']
+  },
+  followedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const recoveryCodeSchema = new mongoose.Schema({
+  hash: {
+    type: String, // SHA-256 of the normalized code
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// An account at an OpenID Connect provider that signs in as this user
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's stable `sub` claim; emails can change, this cannot
+  subject: {
+    type: String,
+    required: true
+  },
+  email: String,
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,12 +76,24 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
     },
+    // Accounts created through a provider have no password until they set one with a reset link
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      required: [function() { return !this.identities?.length; }, 'Password is required'],
       minlength: [6, 'Password must be at least 6 characters'],
       select: false // Don't include password in queries by default
     },
+    // Tokens issued for the account before this no longer apply
+    passwordChangedAt: {
+      type: Date,
+      default: null
+    },
+    // Set to false at registration; accounts created before verification existed have no value and count as verified
+    emailVerified: Boolean,
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
     role: {
       type: String,
       enum: Object.values(USER_ROLES),
@@ -83,6 +147,10 @@ const userSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Article'
     }],
+    followedEntities: {
+      type: [followedEntitySchema],
+      default: []
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -96,6 +164,36 @@ const userSchema = new mongoose.Schema(
     },
     lockUntil: {
       type: Date
+    },
+    // TOTP two-factor authentication; secrets are encrypted and never selected by default
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Set during enrollment until the first code confirms the authenticator app has it
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // Last accepted time step, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      recoveryCodes: {
+        type: [recoveryCodeSchema],
+        select: false
+      },
+      enabledAt: Date
+    },
+    identities: {
+      type: [identitySchema],
+      default: []
     }
   },
   {
@@ -117,6 +215,10 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -128,6 +230,10 @@ userSchema.virtual('isLocked').get(function() {
  */
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   
   try {
     const salt = await bcrypt.genSalt(12);
@@ -142,6 +248,8 @@ userSchema.pre('save', async function(next) {
  * Compare password with hash
  */
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
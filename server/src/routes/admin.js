@@ -10,6 +10,8 @@ import {
   runFetchJob,
   runCleanupJob,
   runAnalyticsJob,
+  runExtractionJob,
+  runRelatedArticlesJob,
   getJobStatus,
   startJobs,
   stopJobs,
@@ -17,7 +19,14 @@ import {
   getCacheStats,
   removeDuplicates,
   getNewsSources,
+  getSourceStatus,
   getNewsCategories,
+  getFeeds,
+  getFeed,
+  createFeed,
+  updateFeed,
+  deleteFeed,
+  fetchFeed,
   getUsers,
   updateUser,
   deleteUser,
@@ -47,6 +56,8 @@ router.post('/jobs/stop', stopJobs);
 router.post('/jobs/fetch', validateAdmin.systemConfig, runFetchJob);
 router.post('/jobs/cleanup', runCleanupJob);
 router.post('/jobs/analytics', runAnalyticsJob);
+router.post('/jobs/extraction', runExtractionJob);
+router.post('/jobs/related', runRelatedArticlesJob);
 
 // Cache management
 router.delete('/cache', clearCache);
@@ -56,8 +67,17 @@ router.delete('/duplicates', removeDuplicates);
 
 // News API information
 router.get('/sources', getNewsSources);
+router.get('/sources/status', getSourceStatus);
 router.get('/categories', getNewsCategories);
 
+// Feed registry
+router.get('/feeds', validateAdmin.feedQuery, getFeeds);
+router.post('/feeds', validateAdmin.feedCreate, createFeed);
+router.get('/feeds/:id', validateParams.mongoId, getFeed);
+router.put('/feeds/:id', validateParams.mongoId, validateAdmin.feedUpdate, updateFeed);
+router.delete('/feeds/:id', validateParams.mongoId, deleteFeed);
+router.post('/feeds/:id/fetch', validateParams.mongoId, fetchFeed);
+
 // User management
 router.get('/users', getUsers);
 router.put('/users/:id', validateParams.mongoId, validateAdmin.userUpdate, updateUser);
@@ -12,10 +12,12 @@ import {
   searchArticles,
   getArticlesByCategory,
   getArticlesByTag,
+  getArticlesByEntity,
   createArticle,
   updateArticle,
   deleteArticle,
   getArticleStats,
+  getRelatedArticles,
   shareArticle
 } from '../controllers/articleController.js';
 import { authenticateToken, requireAdmin, optionalAuth } from '../middleware/auth.js';
@@ -26,13 +28,15 @@ const router = express.Router();
 
 // Public routes
 router.get('/', optionalAuth, validateArticle.query, getArticles);
-router.get('/trending', optionalAuth, getTrendingArticles);
+router.get('/trending', optionalAuth, validateArticle.trending, getTrendingArticles);
 router.get('/search', optionalAuth, searchArticles);
 router.get('/category/:category', optionalAuth, validateArticle.query, getArticlesByCategory);
 router.get('/tag/:tag', optionalAuth, validateArticle.query, getArticlesByTag);
+router.get('/entity/:type/:name', optionalAuth, validateParams.entity, validateArticle.query, getArticlesByEntity);
 router.get('/:id', optionalAuth, validateParams.mongoId, getArticle);
 router.post('/:id/share', optionalAuth, validateParams.mongoId, shareArticle);
 router.get('/:id/stats', optionalAuth, validateParams.mongoId, getArticleStats);
+router.get('/:id/related', optionalAuth, validateParams.mongoId, validateArticle.related, getRelatedArticles);
 
 // Protected routes (admin only)
 router.post('/fetch', authenticateToken, requireAdmin, validateArticle.fetch, fetchArticles);
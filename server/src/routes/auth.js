@@ -11,6 +11,18 @@ import {
   resetPassword,
   verifyEmail,
   resendVerification,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getOidcProviders,
+  startOidcLogin,
+  completeOidcLogin,
   // Legacy functions
   me,
   updateInterests,
@@ -18,24 +30,36 @@ import {
 } from '../controllers/authController.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { authRateLimiter } from '../middleware/rateLimiter.js';
-import { validateAuth } from '../middleware/validation.js';
+import { validateAuth, validateParams } from '../middleware/validation.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', authRateLimiter, validateAuth.register, register);
 router.post('/login', authRateLimiter, validateAuth.login, login);
+router.post('/2fa/verify', authRateLimiter, validateAuth.twoFactorLogin, verifyTwoFactorLogin);
+router.get('/oidc/providers', getOidcProviders);
+router.post('/oidc/:provider/start', authRateLimiter, startOidcLogin);
+router.post('/oidc/:provider/callback', authRateLimiter, validateAuth.oidcCallback, completeOidcLogin);
 router.post('/refresh-token', validateAuth.refreshToken, refreshToken);
 router.post('/forgot-password', authRateLimiter, validateAuth.forgotPassword, forgotPassword);
-router.post('/reset-password', validateAuth.resetPassword, resetPassword);
+router.post('/reset-password', authRateLimiter, validateAuth.resetPassword, resetPassword);
 router.get('/verify-email/:token', verifyEmail);
-router.post('/resend-verification', authRateLimiter, resendVerification);
 
 // Protected routes
 router.post('/logout', authenticateToken, logout);
 router.get('/profile', authenticateToken, getProfile);
 router.put('/profile', authenticateToken, validateAuth.updateProfile, updateProfile);
 router.put('/change-password', authenticateToken, validateAuth.changePassword, changePassword);
+router.post('/resend-verification', authRateLimiter, authenticateToken, resendVerification);
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+router.delete('/sessions/:id', authenticateToken, validateParams.mongoId, revokeSession);
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+router.post('/2fa/enable', authRateLimiter, authenticateToken, validateAuth.twoFactorCode, enableTwoFactor);
+router.post('/2fa/disable', authRateLimiter, authenticateToken, validateAuth.disableTwoFactor, disableTwoFactor);
+router.post('/2fa/recovery-codes', authRateLimiter, authenticateToken, validateAuth.twoFactorCode, regenerateRecoveryCodes);
 
 // Legacy routes for backward compatibility
 router.get('/me', authenticateToken, me);
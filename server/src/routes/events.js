@@ -0,0 +1,16 @@
+/**
+ * Events Routes for Personalized News Aggregator
+ * Impressions, clicks, dwell time, scroll depth and hides
+ */
+
+import express from 'express';
+import { trackEvents } from '../controllers/eventController.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { validateEvent } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Public routes
+router.post('/', optionalAuth, validateEvent.batch, trackEvents);
+
+export default router;
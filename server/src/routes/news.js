@@ -1,12 +1,12 @@
 import { Router } from 'express';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requireVerifiedEmail } from '../middleware/auth.js';
 import { getFeed, searchNews, saveArticle, listSaved, removeSaved } from '../controllers/newsController.js';
 
 const router = Router();
 
 router.get('/feed', requireAuth, getFeed);
 router.get('/search', requireAuth, searchNews);
-router.post('/save', requireAuth, saveArticle);
+router.post('/save', requireAuth, requireVerifiedEmail('save'), saveArticle);
 router.get('/saved', requireAuth, listSaved);
 router.delete('/saved/:id', requireAuth, removeSaved);
 
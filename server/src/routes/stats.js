@@ -10,6 +10,7 @@ import {
   getTrendingCategories,
   getTrendingTags,
   getTrendingSources,
+  getTrendingEntities,
   getTopSavedArticles,
   getUserActivity,
   getAnalyticsHealth,
@@ -25,6 +26,7 @@ router.get('/trending', optionalAuth, validateStats.trending, getTrending);
 router.get('/trending/categories', optionalAuth, validateStats.trending, getTrendingCategories);
 router.get('/trending/tags', optionalAuth, validateStats.trending, getTrendingTags);
 router.get('/trending/sources', optionalAuth, validateStats.trending, getTrendingSources);
+router.get('/trending/entities', optionalAuth, validateStats.trendingEntities, getTrendingEntities);
 router.get('/trending/articles', optionalAuth, validateStats.trending, getTopSavedArticles);
 
 // Protected routes (detailed analytics)
@@ -0,0 +1,18 @@
+/**
+ * Stories Routes for Personalized News Aggregator
+ * Articles grouped by the event they cover
+ */
+
+import express from 'express';
+import { getStories, getStory, getBreakingStories } from '../controllers/storyController.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { validateStory, validateParams } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', optionalAuth, validateStory.query, getStories);
+router.get('/breaking', optionalAuth, validateStory.breaking, getBreakingStories);
+router.get('/:id', optionalAuth, validateParams.mongoId, getStory);
+
+export default router;
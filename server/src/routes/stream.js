@@ -0,0 +1,19 @@
+/**
+ * Stream Routes for Personalized News Aggregator
+ * Server-Sent Events pushed to connected clients
+ */
+
+import express from 'express';
+import { streamAlerts, createStreamTicket, streamFeed } from '../controllers/streamController.js';
+import { authenticateToken, authenticateStreamTicket, requireVerifiedEmail } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/alerts', streamAlerts);
+
+// Protected routes
+router.post('/ticket', authenticateToken, requireVerifiedEmail('notifications'), createStreamTicket);
+router.get('/feed', authenticateStreamTicket, streamFeed);
+
+export default router;
@@ -9,14 +9,36 @@ import {
   unsaveArticle,
   getSavedArticles,
   isArticleSaved,
+  updateSavedNote,
+  addHighlight,
+  removeHighlight,
+  updateReadingStatus,
+  updateReadingProgress,
+  exportSavedArticles,
+  importSavedArticles,
+  exportSourcesOpml,
+  importSourcesOpml,
   getPreferences,
   updatePreferences,
   getUserStats,
   getUserAnalytics,
-  getRecommendations
+  getRecommendations,
+  getFollowedEntities,
+  followEntity,
+  unfollowEntity,
+  getFollowedEntityFeed
 } from '../controllers/userController.js';
-import { authenticateToken } from '../middleware/auth.js';
-import { validateUser, validateParams } from '../middleware/validation.js';
+import {
+  getCollections,
+  createCollection,
+  updateCollection,
+  reorderCollections,
+  deleteCollection,
+  addToCollection,
+  removeFromCollection
+} from '../controllers/collectionController.js';
+import { authenticateToken, requireVerifiedEmail } from '../middleware/auth.js';
+import { validateUser, validateCollection, validateParams, validateQuery } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -24,18 +46,51 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Saved articles management
-router.post('/saved-articles', validateUser.save, saveArticle);
+router.post('/saved-articles', requireVerifiedEmail('save'), validateUser.save, saveArticle);
 router.delete('/saved-articles/:articleId', validateParams.articleId, unsaveArticle);
 router.get('/saved-articles', validateUser.savedArticles, getSavedArticles);
+
+// Export and bookmark import (registered before the :articleId routes)
+router.get('/saved-articles/export', validateUser.exportSaved, exportSavedArticles);
+router.post('/saved-articles/import', requireVerifiedEmail('import'), validateUser.importSaved, importSavedArticles);
+
 router.get('/saved-articles/:articleId', validateParams.articleId, isArticleSaved);
 
+// Read-later state
+router.put('/saved-articles/:articleId/status', validateParams.articleId, validateUser.readingStatus, updateReadingStatus);
+router.put('/saved-articles/:articleId/progress', validateParams.articleId, validateUser.readingProgress, updateReadingProgress);
+
+// Notes and highlights on saved articles
+router.put('/saved-articles/:articleId/note', validateParams.articleId, validateUser.note, updateSavedNote);
+router.post('/saved-articles/:articleId/highlights', validateParams.articleId, validateUser.highlight, addHighlight);
+router.delete('/saved-articles/:articleId/highlights/:highlightId', validateParams.highlight, removeHighlight);
+
+// Collections of saved articles
+router.get('/collections', getCollections);
+router.post('/collections', validateCollection.create, createCollection);
+router.put('/collections/order', validateCollection.reorder, reorderCollections);
+router.put('/collections/:id', validateParams.mongoId, validateCollection.update, updateCollection);
+router.delete('/collections/:id', validateParams.mongoId, deleteCollection);
+router.post('/collections/:id/articles', validateParams.mongoId, validateCollection.moveArticles, addToCollection);
+router.delete('/collections/:id/articles/:articleId', validateParams.collectionArticle, removeFromCollection);
+
+// Followed sources as OPML
+router.get('/sources/opml', exportSourcesOpml);
+router.post('/sources/opml', requireVerifiedEmail('import'), validateUser.importOpml, importSourcesOpml);
+
 // User preferences
 router.get('/preferences', getPreferences);
 router.put('/preferences', validateUser.update, updatePreferences);
 
+// Followed entities (people, organizations, locations, phrases)
+router.get('/entities', getFollowedEntities);
+router.get('/entities/feed', validateQuery.pagination, getFollowedEntityFeed);
+router.post('/entities', validateUser.followEntity, followEntity);
+router.delete('/entities/:type/:name', validateParams.entity, unfollowEntity);
+
 // User analytics and stats
 router.get('/stats', getUserStats);
 router.get('/analytics', getUserAnalytics);
-router.get('/recommendations', getRecommendations);
+router.get('/recommendations', validateUser.recommendations, getRecommendations);
 
 export default router;
@@ -0,0 +1,163 @@
+/**
+ * Mock OpenID Connect issuer for local development and tests
+ * Approves every authorization request as one configured user, so never expose it publicly
+ *
+ * Run it with `npm run oidc:mock`, then start the API with:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:4010
+ *   OIDC_MOCK_CLIENT_ID=news-aggregator
+ *   OIDC_MOCK_CLIENT_SECRET=mock-secret
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { config } from 'dotenv';
+
+const DEFAULT_USER = {
+  sub: 'mock-user-1',
+  email: 'oidc.user@example.com',
+  email_verified: true,
+  name: 'Mock User'
+};
+
+/**
+ * Start an issuer with discovery, JWKS, authorization and token endpoints
+ * Authorization codes are single-use and bound to the redirect URI and PKCE challenge, like a real provider
+ * @param {Object} options - { port, host, clientId, clientSecret, user }
+ * @returns {Promise<Object>} { issuer, clientId, clientSecret, setUser, close }
+ */
+export const startMockIssuer = async ({
+  port = 0,
+  host = '127.0.0.1',
+  clientId = 'news-aggregator',
+  clientSecret = 'mock-secret',
+  user = {}
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  const codes = new Map();
+  let currentUser = { ...DEFAULT_USER, ...user };
+
+  const app = express();
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      scopes_supported: ['openid', 'email', 'profile']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+    if (response_type !== 'code' || client_id !== clientId || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, { redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, user: currentUser });
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', express.urlencoded({ extended: false }), (req, res) => {
+    const [scheme, encoded = ''] = (req.get('authorization') || '').split(' ');
+    const [id, secret] = scheme === 'Basic'
+      ? Buffer.from(encoded, 'base64').toString().split(':').map(decodeURIComponent)
+      : [req.body.client_id, req.body.client_secret];
+
+    if (id !== clientId || (clientSecret && secret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const { sub, ...profile } = grant.user;
+    const idToken = jwt.sign({ ...profile, ...(grant.nonce && { nonce: grant.nonce }) }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      subject: sub,
+      expiresIn: '5m'
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  const server = await new Promise((resolve, reject) => {
+    const listener = app.listen(port, host, () => resolve(listener));
+    listener.on('error', reject);
+  });
+  // Handlers only read it once the server is listening
+  const issuer = `http://${host}:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    clientSecret,
+    // Who the next authorization request signs in as
+    setUser(claims) {
+      currentUser = { ...DEFAULT_USER, ...claims };
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+// Run directly: node src/scripts/mockOidcIssuer.js
+if (process.argv[1]?.endsWith(path.join('scripts', 'mockOidcIssuer.js'))) {
+  config();
+
+  startMockIssuer({
+    port: parseInt(process.env.MOCK_OIDC_PORT) || 4010,
+    host: 'localhost',
+    clientId: process.env.OIDC_MOCK_CLIENT_ID || 'news-aggregator',
+    clientSecret: process.env.OIDC_MOCK_CLIENT_SECRET || 'mock-secret',
+    user: {
+      ...(process.env.MOCK_OIDC_SUBJECT && { sub: process.env.MOCK_OIDC_SUBJECT }),
+      ...(process.env.MOCK_OIDC_EMAIL && { email: process.env.MOCK_OIDC_EMAIL }),
+      ...(process.env.MOCK_OIDC_NAME && { name: process.env.MOCK_OIDC_NAME })
+    }
+  }).then(mock => {
+    console.log(`Mock OIDC issuer running at ${mock.issuer}`);
+    console.log(`Client ID: ${mock.clientId}  Client secret: ${mock.clientSecret}`);
+  }).catch(error => {
+    console.error('Failed to start mock OIDC issuer:', error);
+    process.exit(1);
+  });
+}
@@ -9,6 +9,9 @@ import { logger } from './config/logger.js';
 import { connectToDatabase } from './config/db.js';
 import { connectRedis } from './config/redis.js';
 import { startScheduledJobs } from './jobs/index.js';
+import { taggerService } from './services/taggerService.js';
+import { streamService } from './services/streamService.js';
+import { mailService } from './services/mailService.js';
 import app from './app.js';
 
 // Load environment variables
@@ -24,6 +27,9 @@ async function gracefulShutdown(signal) {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
   try {
+    // End open event streams so the HTTP server can close
+    streamService.closeAll();
+
     // Close HTTP server
     server.close(() => {
       logger.info('HTTP server closed');
@@ -65,6 +71,9 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
  */
 async function startServer() {
   try {
+    // Fail fast rather than run without outgoing mail
+    mailService.assertConfigured(NODE_ENV);
+
     // Connect to database
     await connectToDatabase();
     logger.info('Connected to MongoDB');
@@ -73,6 +82,12 @@ async function startServer() {
     await connectRedis();
     logger.info('Connected to Redis');
 
+    // Receive stream events published by other instances
+    await streamService.initialize();
+
+    // Build the shared TF-IDF corpus on first start (not awaited; tagging works without it)
+    taggerService.initialize();
+
     // Start scheduled jobs
     if (NODE_ENV === 'production') {
       startScheduledJobs();
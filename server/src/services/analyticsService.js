@@ -52,6 +52,9 @@ class AnalyticsService {
       // Get user activity metrics
       const userActivity = await this.getUserActivityMetrics(period);
 
+      // Get sentiment of recent coverage
+      const sentiment = await this.getSentimentBreakdown(period);
+
       const trendingData = {
         period,
         generatedAt: new Date().toISOString(),
@@ -60,6 +63,7 @@ class AnalyticsService {
         sources: trendingSources,
         topArticles,
         userActivity,
+        sentiment,
         summary: {
           totalSaves: trendingCategories.reduce((sum, cat) => sum + cat.count, 0),
           uniqueUsers: userActivity.uniqueUsers || 0,
@@ -128,6 +132,131 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Get the people, organizations, places and phrases covered by the most articles in the period
+   * @param {number} period - Period in days
+   * @param {number} limit - Maximum entities
+   * @param {string} type - Optional entity type filter
+   */
+  async getTrendingEntities(period = 7, limit = 10, type = null) {
+    try {
+      const date = new Date();
+      date.setDate(date.getDate() - period);
+
+      const pipeline = [
+        {
+          $match: {
+            isActive: true,
+            publishedAt: { $gte: date },
+            'entities.0': { $exists: true }
+          }
+        },
+        { $unwind: '$entities' }
+      ];
+
+      if (type) {
+        pipeline.push({ $match: { 'entities.type': type } });
+      }
+
+      pipeline.push(
+        {
+          $group: {
+            _id: { type: '$entities.type', key: '$entities.key' },
+            name: { $first: '$entities.name' },
+            articles: { $sum: 1 },
+            mentions: { $sum: '$entities.count' },
+            lastSeenAt: { $max: '$publishedAt' }
+          }
+        },
+        { $sort: { articles: -1, mentions: -1 } },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            type: '$_id.type',
+            key: '$_id.key',
+            name: 1,
+            articles: 1,
+            mentions: 1,
+            lastSeenAt: 1
+          }
+        }
+      );
+
+      return await Article.aggregate(pipeline);
+    } catch (error) {
+      logger.error('Error getting trending entities:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the sentiment breakdown of articles published in the period, overall and per category
+   */
+  async getSentimentBreakdown(period = 7) {
+    try {
+      const date = new Date();
+      date.setDate(date.getDate() - period);
+
+      const rows = await Article.aggregate([
+        {
+          $match: {
+            isActive: true,
+            publishedAt: { $gte: date }
+          }
+        },
+        {
+          $group: {
+            _id: {
+              category: '$category',
+              sentiment: { $ifNull: ['$meta.sentiment', 'neutral'] }
+            },
+            count: { $sum: 1 },
+            scoreSum: { $sum: { $ifNull: ['$meta.sentimentScore', 0] } }
+          }
+        }
+      ]);
+
+      return this.summarizeSentiment(rows);
+    } catch (error) {
+      logger.error('Error getting sentiment breakdown:', error);
+      return this.summarizeSentiment([]);
+    }
+  }
+
+  /**
+   * Fold { _id: { category, sentiment }, count, scoreSum } rows into overall and per-category counts
+   */
+  summarizeSentiment(rows) {
+    const emptyBucket = () => ({ positive: 0, negative: 0, neutral: 0, total: 0, scoreSum: 0 });
+    const overall = emptyBucket();
+    const categories = new Map();
+
+    rows.forEach(({ _id, count, scoreSum }) => {
+      const category = _id.category || 'general';
+      if (!categories.has(category)) {
+        categories.set(category, emptyBucket());
+      }
+
+      [overall, categories.get(category)].forEach(bucket => {
+        bucket[_id.sentiment] += count;
+        bucket.total += count;
+        bucket.scoreSum += scoreSum;
+      });
+    });
+
+    const finish = ({ scoreSum, ...bucket }) => ({
+      ...bucket,
+      averageScore: bucket.total > 0 ? Math.round((scoreSum / bucket.total) * 1000) / 1000 : 0
+    });
+
+    return {
+      ...finish(overall),
+      byCategory: Array.from(categories, ([category, bucket]) => ({ category, ...finish(bucket) }))
+        .sort((a, b) => b.total - a.total)
+    };
+  }
+
   /**
    * Get top saved articles
    */
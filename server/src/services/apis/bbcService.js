@@ -7,6 +7,7 @@ import axios from 'axios';
 import { parseString } from 'xml2js';
 import { promisify } from 'util';
 import { logger } from '../../config/logger.js';
+import { httpCache } from '../../utils/httpCache.js';
 
 const parseXML = promisify(parseString);
 
@@ -14,6 +15,22 @@ class BbcService {
   constructor() {
     this.baseUrl = 'https://feeds.bbci.co.uk';
     this.timeout = 10000;
+
+    // Provider metadata used by the ingestion pipeline
+    this.name = 'bbc';
+    this.displayName = 'BBC News';
+    this.weight = 0.8;
+    this.rateLimit = null; // Public RSS feeds
+    this.sections = {
+      general: 'world',
+      business: 'business',
+      technology: 'technology',
+      science: 'science',
+      sports: 'sport',
+      entertainment: 'entertainment',
+      health: 'health',
+      politics: 'politics'
+    };
     this.feedUrls = {
       world: `${this.baseUrl}/news/world/rss.xml`,
       uk: `${this.baseUrl}/news/uk/rss.xml`,
@@ -21,45 +38,69 @@ class BbcService {
       technology: `${this.baseUrl}/news/technology/rss.xml`,
       science: `${this.baseUrl}/news/science_and_environment/rss.xml`,
       health: `${this.baseUrl}/news/health/rss.xml`,
-      sport: `${this.baseUrl}/sport/rss.xml`
+      sport: `${this.baseUrl}/sport/rss.xml`,
+      politics: `${this.baseUrl}/news/politics/rss.xml`,
+      entertainment: `${this.baseUrl}/news/entertainment_and_arts/rss.xml`
     };
   }
 
   /**
    * Fetch headlines from BBC News
    * @param {Object} options - Fetch options
-   * @param {string} options.category - News category
+   * @param {string} options.category - Internal news category or BBC feed name
    * @param {number} options.pageSize - Number of articles to fetch
    * @returns {Promise<Array>} Normalized news articles
    */
   async fetchHeadlines(options = {}) {
+    const { articles } = await this.pollHeadlines(options);
+    return articles;
+  }
+
+  /**
+   * Fetch a section feed with a conditional request, for scheduled polling
+   * @param {Object} options - fetchHeadlines options plus stored validators
+   * @param {Object} options.validators - { etag, lastModified } from the previous poll
+   * @returns {Promise<Object>} { notModified, validators, articles }
+   */
+  async pollHeadlines(options = {}) {
     const {
-      category = 'world',
-      pageSize = 20
+      category = 'general',
+      pageSize = 20,
+      validators = null
     } = options;
 
     try {
-      const feedUrl = this.feedUrls[category] || this.feedUrls.world;
+      const feedUrl = this.feedUrls[this.sectionFor(category)];
       
       logger.info('Fetching headlines from BBC News', { category, pageSize });
       
       const response = await axios.get(feedUrl, {
         timeout: this.timeout,
         headers: {
-          'User-Agent': 'NewsAggregator/1.0'
-        }
+          'User-Agent': 'NewsAggregator/1.0',
+          ...httpCache.buildConditionalHeaders(validators)
+        },
+        validateStatus: httpCache.acceptNotModified
       });
 
+      if (httpCache.isNotModified(response)) {
+        return { notModified: true, validators: httpCache.extractValidators(response), articles: [] };
+      }
+
       const parsedData = await parseXML(response.data);
       const items = parsedData.rss.channel[0].item || [];
       
       // Limit results to requested pageSize
       const limitedItems = items.slice(0, pageSize);
-      return this.normalizeArticles(limitedItems);
+      return {
+        notModified: false,
+        validators: httpCache.extractValidators(response),
+        articles: this.normalizeArticles(limitedItems)
+      };
 
     } catch (error) {
       logger.error('BBC News fetch error:', error.message);
-      throw new Error(`Failed to fetch from BBC: ${error.message}`);
+      throw new Error(`Failed to fetch from BBC: ${error.message}`, { cause: error });
     }
   }
 
@@ -67,14 +108,14 @@ class BbcService {
    * Search news articles from BBC News
    * @param {Object} options - Search options
    * @param {string} options.query - Search query
-   * @param {string} options.category - News category
+   * @param {string} options.category - Internal news category or BBC feed name
    * @param {number} options.pageSize - Number of articles to fetch
    * @returns {Promise<Array>} Normalized news articles
    */
   async searchNews(options = {}) {
     const {
       query = '',
-      category = 'world',
+      category = 'general',
       pageSize = 20
     } = options;
 
@@ -98,7 +139,7 @@ class BbcService {
 
     } catch (error) {
       logger.error('BBC News search error:', error.message);
-      throw new Error(`Failed to search BBC: ${error.message}`);
+      throw new Error(`Failed to search BBC: ${error.message}`, { cause: error });
     }
   }
 
@@ -109,7 +150,7 @@ class BbcService {
    */
   normalizeArticles(articles) {
     return articles
-      .filter(article => article.title && article.link)
+      .filter(article => article.title && article.link && article.pubDate)
       .map(article => ({
         id: this.generateId(article),
         title: article.title[0],
@@ -154,8 +195,19 @@ class BbcService {
     return null;
   }
 
+  /**
+   * Map an internal category to a BBC feed, accepting BBC feed names as-is
+   */
+  sectionFor(category) {
+    if (this.feedUrls[category]) {
+      return category;
+    }
+    return this.sections[category] || this.sections.general;
+  }
+
   /**
    * Map BBC categories to our internal categories
+   * Returns null when unknown so the pipeline can categorize by content
    */
   mapCategory(article) {
     const categoryMap = {
@@ -164,6 +216,8 @@ class BbcService {
       'science_and_environment': 'science',
       'health': 'health',
       'sport': 'sports',
+      'politics': 'politics',
+      'entertainment_and_arts': 'entertainment',
       'world': 'politics',
       'uk': 'politics'
     };
@@ -176,7 +230,7 @@ class BbcService {
       }
     }
     
-    return 'general';
+    return null;
   }
 
   /**
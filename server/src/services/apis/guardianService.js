@@ -5,12 +5,32 @@
 
 import axios from 'axios';
 import { logger } from '../../config/logger.js';
+import { httpCache } from '../../utils/httpCache.js';
 
 class GuardianService {
   constructor() {
     this.apiKey = process.env.GUARDIAN_API_KEY;
     this.baseUrl = 'https://content.guardianapis.com';
     this.timeout = 10000;
+
+    // Provider metadata used by the ingestion pipeline
+    this.name = 'guardian';
+    this.displayName = 'The Guardian';
+    this.weight = 0.9;
+    this.rateLimit = {
+      requestsPerDay: parseInt(process.env.GUARDIAN_DAILY_QUOTA) || 500, // Developer key
+      requestsPerMinute: parseInt(process.env.GUARDIAN_MINUTE_QUOTA) || 60
+    };
+    this.sections = {
+      general: 'world',
+      business: 'business',
+      technology: 'technology',
+      science: 'science',
+      sports: 'sport',
+      entertainment: 'culture',
+      health: 'society',
+      politics: 'politics'
+    };
     
     if (!this.apiKey) {
       logger.warn('GUARDIAN_API_KEY not configured. Guardian service will be disabled.');
@@ -20,15 +40,29 @@ class GuardianService {
   /**
    * Fetch headlines from The Guardian
    * @param {Object} options - Fetch options
-   * @param {string} options.section - News section (world, politics, sport, etc.)
+   * @param {string} options.category - Internal news category
+   * @param {string} options.section - Guardian section, overrides category (world, politics, sport, etc.)
    * @param {number} options.pageSize - Number of articles to fetch
    * @returns {Promise<Array>} Normalized news articles
    */
   async fetchHeadlines(options = {}) {
+    const { articles } = await this.pollHeadlines(options);
+    return articles;
+  }
+
+  /**
+   * Fetch headlines with a conditional request, for scheduled polling
+   * @param {Object} options - fetchHeadlines options plus stored validators
+   * @param {Object} options.validators - { etag, lastModified } from the previous poll
+   * @returns {Promise<Object>} { notModified, validators, articles }
+   */
+  async pollHeadlines(options = {}) {
     const {
-      section = 'world',
-      pageSize = 20
+      category = 'general',
+      pageSize = 20,
+      validators = null
     } = options;
+    const section = options.section || this.sectionFor(category);
 
     if (!this.apiKey) {
       throw new Error('Guardian API key not configured');
@@ -37,7 +71,7 @@ class GuardianService {
     try {
       const params = {
         'api-key': this.apiKey,
-        'section': section,
+        section,
         'page-size': pageSize,
         'show-fields': 'headline,trailText,thumbnail,byline,publication',
         'show-tags': 'keyword',
@@ -50,19 +84,29 @@ class GuardianService {
         params,
         timeout: this.timeout,
         headers: {
-          'User-Agent': 'NewsAggregator/1.0'
-        }
+          'User-Agent': 'NewsAggregator/1.0',
+          ...httpCache.buildConditionalHeaders(validators)
+        },
+        validateStatus: httpCache.acceptNotModified
       });
 
+      if (httpCache.isNotModified(response)) {
+        return { notModified: true, validators: httpCache.extractValidators(response), articles: [] };
+      }
+
       if (response.data.response.status !== 'ok') {
         throw new Error(`Guardian API error: ${response.data.response.message || 'Unknown error'}`);
       }
 
-      return this.normalizeArticles(response.data.response.results);
+      return {
+        notModified: false,
+        validators: httpCache.extractValidators(response),
+        articles: this.normalizeArticles(response.data.response.results)
+      };
 
     } catch (error) {
       logger.error('Guardian API fetch error:', error.message);
-      throw new Error(`Failed to fetch from Guardian: ${error.message}`);
+      throw new Error(`Failed to fetch from Guardian: ${error.message}`, { cause: error });
     }
   }
 
@@ -70,16 +114,18 @@ class GuardianService {
    * Search news articles from The Guardian
    * @param {Object} options - Search options
    * @param {string} options.query - Search query
-   * @param {string} options.section - News section
+   * @param {string} options.category - Internal news category (general searches every section)
+   * @param {string} options.section - Guardian section, overrides category
    * @param {number} options.pageSize - Number of articles to fetch
    * @returns {Promise<Array>} Normalized news articles
    */
   async searchNews(options = {}) {
     const {
       query = '',
-      section = '',
+      category = 'general',
       pageSize = 20
     } = options;
+    const section = options.section || (category === 'general' ? '' : this.sectionFor(category));
 
     if (!this.apiKey) {
       throw new Error('Guardian API key not configured');
@@ -117,7 +163,7 @@ class GuardianService {
 
     } catch (error) {
       logger.error('Guardian API search error:', error.message);
-      throw new Error(`Failed to search Guardian: ${error.message}`);
+      throw new Error(`Failed to search Guardian: ${error.message}`, { cause: error });
     }
   }
 
@@ -155,8 +201,16 @@ class GuardianService {
     return `guardian_${Buffer.from(article.webUrl).toString('base64').slice(0, 16)}`;
   }
 
+  /**
+   * Map an internal category to a Guardian section
+   */
+  sectionFor(category) {
+    return this.sections[category] || this.sections.general;
+  }
+
   /**
    * Map Guardian sections to our internal categories
+   * Returns null when unknown so the pipeline can categorize by content
    */
   mapCategory(article) {
     const categoryMap = {
@@ -169,10 +223,11 @@ class GuardianService {
       'culture': 'entertainment',
       'lifeandstyle': 'health',
       'environment': 'science',
-      'global-development': 'politics'
+      'global-development': 'politics',
+      'society': 'health'
     };
     
-    return categoryMap[article.sectionId] || 'general';
+    return categoryMap[article.sectionId] || null;
   }
 
   /**
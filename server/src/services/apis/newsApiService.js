@@ -5,12 +5,23 @@
 
 import axios from 'axios';
 import { logger } from '../../config/logger.js';
+import { httpCache } from '../../utils/httpCache.js';
 
 class NewsApiService {
   constructor() {
     this.apiKey = process.env.NEWSAPI_KEY;
     this.baseUrl = 'https://newsapi.org/v2';
     this.timeout = 10000;
+
+    // Provider metadata used by the ingestion pipeline
+    this.name = 'newsapi';
+    this.displayName = 'NewsAPI';
+    this.weight = 1.0;
+    this.rateLimit = {
+      requestsPerDay: parseInt(process.env.NEWSAPI_DAILY_QUOTA) || 100, // Developer plan
+      requestsPerMinute: parseInt(process.env.NEWSAPI_MINUTE_QUOTA) || null
+    };
+    this.categories = ['business', 'entertainment', 'general', 'health', 'science', 'sports', 'technology'];
     
     if (!this.apiKey) {
       logger.warn('NEWSAPI_KEY not configured. NewsAPI service will be disabled.');
@@ -21,15 +32,29 @@ class NewsApiService {
    * Fetch headlines from NewsAPI
    * @param {Object} options - Fetch options
    * @param {string} options.country - Country code (us, uk, ca, etc.)
-   * @param {string} options.category - News category
+   * @param {string} options.category - Internal news category
    * @param {number} options.pageSize - Number of articles to fetch
+   * @param {number} options.page - Result page (1-based)
    * @returns {Promise<Array>} Normalized news articles
    */
   async fetchHeadlines(options = {}) {
+    const { articles } = await this.pollHeadlines(options);
+    return articles;
+  }
+
+  /**
+   * Fetch headlines with a conditional request, for scheduled polling
+   * @param {Object} options - fetchHeadlines options plus stored validators
+   * @param {Object} options.validators - { etag, lastModified } from the previous poll
+   * @returns {Promise<Object>} { notModified, validators, articles }
+   */
+  async pollHeadlines(options = {}) {
     const {
       country = 'us',
       category = 'general',
-      pageSize = 20
+      pageSize = 20,
+      page = 1,
+      validators = null
     } = options;
 
     if (!this.apiKey) {
@@ -39,30 +64,41 @@ class NewsApiService {
     try {
       const params = {
         country,
-        category,
-        pageSize,
+        category: this.sectionFor(category),
+        pageSize: Math.min(pageSize, 100), // NewsAPI max is 100
+        page,
         apiKey: this.apiKey
       };
 
-      logger.info('Fetching headlines from NewsAPI', { country, category, pageSize });
+      logger.info('Fetching headlines from NewsAPI', { country, category, pageSize, page });
       
       const response = await axios.get(`${this.baseUrl}/top-headlines`, {
         params,
         timeout: this.timeout,
         headers: {
-          'User-Agent': 'NewsAggregator/1.0'
-        }
+          'User-Agent': 'NewsAggregator/1.0',
+          ...httpCache.buildConditionalHeaders(validators)
+        },
+        validateStatus: httpCache.acceptNotModified
       });
 
+      if (httpCache.isNotModified(response)) {
+        return { notModified: true, validators: httpCache.extractValidators(response), articles: [] };
+      }
+
       if (response.data.status !== 'ok') {
         throw new Error(`NewsAPI error: ${response.data.message || 'Unknown error'}`);
       }
 
-      return this.normalizeArticles(response.data.articles);
+      return {
+        notModified: false,
+        validators: httpCache.extractValidators(response),
+        articles: this.normalizeArticles(response.data.articles, category)
+      };
 
     } catch (error) {
       logger.error('NewsAPI fetch error:', error.message);
-      throw new Error(`Failed to fetch from NewsAPI: ${error.message}`);
+      throw new Error(`Failed to fetch from NewsAPI: ${error.message}`, { cause: error });
     }
   }
 
@@ -70,37 +106,48 @@ class NewsApiService {
    * Search news articles from NewsAPI
    * @param {Object} options - Search options
    * @param {string} options.query - Search query
+   * @param {string[]} options.sources - NewsAPI source IDs to restrict the search to
    * @param {string} options.language - Language code
    * @param {string} options.sortBy - Sort by (publishedAt, relevancy, popularity)
    * @param {number} options.pageSize - Number of articles to fetch
+   * @param {number} options.page - Result page (1-based)
    * @returns {Promise<Array>} Normalized news articles
    */
   async searchNews(options = {}) {
     const {
       query = '',
+      sources = [],
       language = 'en',
       sortBy = 'publishedAt',
-      pageSize = 20
+      pageSize = 20,
+      page = 1
     } = options;
 
     if (!this.apiKey) {
       throw new Error('NewsAPI key not configured');
     }
 
-    if (!query.trim()) {
+    if (!query.trim() && sources.length === 0) {
       return this.fetchHeadlines(options);
     }
 
     try {
       const params = {
-        q: query,
         language,
         sortBy,
-        pageSize,
+        pageSize: Math.min(pageSize, 100),
+        page,
         apiKey: this.apiKey
       };
 
-      logger.info('Searching news from NewsAPI', { query, language, sortBy });
+      if (query.trim()) {
+        params.q = query;
+      }
+      if (sources.length > 0) {
+        params.sources = sources.join(',');
+      }
+
+      logger.info('Searching news from NewsAPI', { query, sources, language, sortBy, page });
       
       const response = await axios.get(`${this.baseUrl}/everything`, {
         params,
@@ -118,22 +165,44 @@ class NewsApiService {
 
     } catch (error) {
       logger.error('NewsAPI search error:', error.message);
-      throw new Error(`Failed to search NewsAPI: ${error.message}`);
+      throw new Error(`Failed to search NewsAPI: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * List the publishers NewsAPI can restrict searches to
+   * @returns {Promise<Array>} Raw NewsAPI source descriptions
+   */
+  async getSources() {
+    if (!this.apiKey) {
+      throw new Error('NewsAPI key not configured');
     }
+
+    const response = await axios.get(`${this.baseUrl}/sources`, {
+      params: { apiKey: this.apiKey },
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': 'NewsAggregator/1.0'
+      }
+    });
+
+    return response.data.sources || [];
   }
 
   /**
    * Normalize NewsAPI articles to common format
    * @param {Array} articles - Raw articles from NewsAPI
+   * @param {string} category - Category the articles were requested for (optional)
    * @returns {Array} Normalized articles
    */
-  normalizeArticles(articles) {
+  normalizeArticles(articles, category = null) {
     return articles
       .filter(article => article.title && article.url)
       .map(article => ({
         id: this.generateId(article),
         title: article.title,
         description: article.description || '',
+        content: this.cleanContent(article.content),
         url: article.url,
         urlToImage: article.urlToImage || null,
         publishedAt: new Date(article.publishedAt),
@@ -142,13 +211,20 @@ class NewsApiService {
           name: article.source?.name || 'Unknown Source'
         },
         author: article.author || null,
-        category: this.mapCategory(article),
+        category: this.mapCategory(article, category),
         tags: this.extractTags(article),
         apiSource: 'newsapi',
         raw: article
       }));
   }
 
+  /**
+   * NewsAPI sends the first 200 characters of the body with a "[+1234 chars]" marker
+   */
+  cleanContent(content) {
+    return (content || '').replace(/\s*\[\+\d+ chars\]\s*$/, '').trim();
+  }
+
   /**
    * Generate unique ID for article
    */
@@ -156,10 +232,18 @@ class NewsApiService {
     return `newsapi_${Buffer.from(article.url).toString('base64').slice(0, 16)}`;
   }
 
+  /**
+   * Map an internal category to a NewsAPI category (NewsAPI has no politics)
+   */
+  sectionFor(category) {
+    return this.categories.includes(category) ? category : 'general';
+  }
+
   /**
    * Map NewsAPI categories to our internal categories
+   * Returns null when unknown so the pipeline can categorize by content
    */
-  mapCategory(article) {
+  mapCategory(article, requestedCategory = null) {
     const categoryMap = {
       'business': 'business',
       'entertainment': 'entertainment',
@@ -170,7 +254,7 @@ class NewsApiService {
       'general': 'general'
     };
     
-    return categoryMap[article.category] || 'general';
+    return categoryMap[article.category] || categoryMap[requestedCategory] || null;
   }
 
   /**
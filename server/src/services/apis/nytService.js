@@ -5,12 +5,32 @@
 
 import axios from 'axios';
 import { logger } from '../../config/logger.js';
+import { httpCache } from '../../utils/httpCache.js';
 
 class NytService {
   constructor() {
     this.apiKey = process.env.NYT_API_KEY;
     this.baseUrl = 'https://api.nytimes.com/svc';
     this.timeout = 10000;
+
+    // Provider metadata used by the ingestion pipeline
+    this.name = 'nyt';
+    this.displayName = 'The New York Times';
+    this.weight = 0.9;
+    this.rateLimit = {
+      requestsPerDay: parseInt(process.env.NYT_DAILY_QUOTA) || 500,
+      requestsPerMinute: parseInt(process.env.NYT_MINUTE_QUOTA) || 5
+    };
+    this.sections = {
+      general: 'home',
+      business: 'business',
+      technology: 'technology',
+      science: 'science',
+      sports: 'sports',
+      entertainment: 'arts',
+      health: 'health',
+      politics: 'politics'
+    };
     
     if (!this.apiKey) {
       logger.warn('NYT_API_KEY not configured. New York Times service will be disabled.');
@@ -20,15 +40,29 @@ class NytService {
   /**
    * Fetch headlines from New York Times
    * @param {Object} options - Fetch options
-   * @param {string} options.section - News section (world, business, sports, etc.)
+   * @param {string} options.category - Internal news category
+   * @param {string} options.section - Top Stories section, overrides category (world, business, sports, etc.)
    * @param {number} options.pageSize - Number of articles to fetch
    * @returns {Promise<Array>} Normalized news articles
    */
   async fetchHeadlines(options = {}) {
+    const { articles } = await this.pollHeadlines(options);
+    return articles;
+  }
+
+  /**
+   * Fetch headlines with a conditional request, for scheduled polling
+   * @param {Object} options - fetchHeadlines options plus stored validators
+   * @param {Object} options.validators - { etag, lastModified } from the previous poll
+   * @returns {Promise<Object>} { notModified, validators, articles }
+   */
+  async pollHeadlines(options = {}) {
     const {
-      section = 'world',
-      pageSize = 20
+      category = 'general',
+      pageSize = 20,
+      validators = null
     } = options;
+    const section = options.section || this.sectionFor(category);
 
     if (!this.apiKey) {
       throw new Error('NYT API key not configured');
@@ -45,21 +79,31 @@ class NytService {
         params,
         timeout: this.timeout,
         headers: {
-          'User-Agent': 'NewsAggregator/1.0'
-        }
+          'User-Agent': 'NewsAggregator/1.0',
+          ...httpCache.buildConditionalHeaders(validators)
+        },
+        validateStatus: httpCache.acceptNotModified
       });
 
+      if (httpCache.isNotModified(response)) {
+        return { notModified: true, validators: httpCache.extractValidators(response), articles: [] };
+      }
+
       if (!response.data.results) {
         throw new Error('Invalid response from NYT API');
       }
 
       // Limit results to requested pageSize
       const limitedResults = response.data.results.slice(0, pageSize);
-      return this.normalizeArticles(limitedResults);
+      return {
+        notModified: false,
+        validators: httpCache.extractValidators(response),
+        articles: this.normalizeArticles(limitedResults)
+      };
 
     } catch (error) {
       logger.error('NYT API fetch error:', error.message);
-      throw new Error(`Failed to fetch from NYT: ${error.message}`);
+      throw new Error(`Failed to fetch from NYT: ${error.message}`, { cause: error });
     }
   }
 
@@ -112,7 +156,7 @@ class NytService {
 
     } catch (error) {
       logger.error('NYT API search error:', error.message);
-      throw new Error(`Failed to search NYT: ${error.message}`);
+      throw new Error(`Failed to search NYT: ${error.message}`, { cause: error });
     }
   }
 
@@ -122,13 +166,14 @@ class NytService {
    * @returns {Array} Normalized articles
    */
   normalizeArticles(articles) {
+    // Article Search returns headline/web_url, Top Stories returns title/url
     return articles
-      .filter(article => article.headline && article.web_url)
+      .filter(article => (article.headline?.main || article.title) && (article.web_url || article.url))
       .map(article => ({
         id: this.generateId(article),
-        title: article.headline?.main || article.title || '',
+        title: article.headline?.main || article.title,
         description: article.abstract || article.snippet || '',
-        url: article.web_url,
+        url: article.web_url || article.url,
         urlToImage: this.extractImageUrl(article),
         publishedAt: new Date(article.pub_date || article.published_date),
         source: {
@@ -191,30 +236,40 @@ class NytService {
     return null;
   }
 
+  /**
+   * Map an internal category to a Top Stories section
+   */
+  sectionFor(category) {
+    return this.sections[category] || this.sections.general;
+  }
+
   /**
    * Map NYT sections to our internal categories
+   * Returns null when unknown so the pipeline can categorize by content
    */
   mapCategory(article) {
+    // Article Search uses "Business", Top Stories uses "business"
     const categoryMap = {
-      'Business': 'business',
-      'World': 'politics',
-      'U.S.': 'politics',
-      'Politics': 'politics',
-      'Sports': 'sports',
-      'Technology': 'technology',
-      'Science': 'science',
-      'Health': 'health',
-      'Arts': 'entertainment',
-      'Movies': 'entertainment',
-      'Books': 'entertainment',
-      'Food': 'health',
-      'Travel': 'general',
-      'Real Estate': 'business',
-      'Automobiles': 'technology'
+      'business': 'business',
+      'world': 'politics',
+      'u.s.': 'politics',
+      'us': 'politics',
+      'politics': 'politics',
+      'sports': 'sports',
+      'technology': 'technology',
+      'science': 'science',
+      'health': 'health',
+      'arts': 'entertainment',
+      'movies': 'entertainment',
+      'books': 'entertainment',
+      'food': 'health',
+      'travel': 'general',
+      'real estate': 'business',
+      'automobiles': 'technology'
     };
     
-    const section = article.section_name || article.section;
-    return categoryMap[section] || 'general';
+    const section = (article.section_name || article.section || '').toLowerCase();
+    return categoryMap[section] || null;
   }
 
   /**
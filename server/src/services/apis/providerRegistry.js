@@ -0,0 +1,95 @@
+/**
+ * News Provider Registry
+ * Single list of news API plugins used by the ingestion pipeline
+ *
+ * A provider is a service object exposing:
+ * - name {string}: stable identifier, also used as the article's apiSource
+ * - displayName {string}: human readable name
+ * - weight {number}: ranking weight (0-1) when merging live results
+ * - rateLimit {Object}: { requestsPerDay, requestsPerMinute } (null when unlimited)
+ * - fetchHeadlines({ category, pageSize }) -> Promise<Array> normalized articles
+ * - searchNews({ query, category, pageSize }) -> Promise<Array> normalized articles
+ * - normalizeArticles(rawArticles) -> Array normalized articles
+ * - pollHeadlines({ category, pageSize, validators }) -> Promise<{ notModified, validators, articles }>
+ *   conditional fetchHeadlines used by scheduled polling
+ * - isAvailable() -> boolean
+ */
+
+import { newsApiService } from './newsApiService.js';
+import { guardianService } from './guardianService.js';
+import { nytService } from './nytService.js';
+import { bbcService } from './bbcService.js';
+
+const REQUIRED_METHODS = ['fetchHeadlines', 'pollHeadlines', 'searchNews', 'normalizeArticles', 'isAvailable'];
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+
+    [newsApiService, guardianService, nytService, bbcService].forEach(provider => this.register(provider));
+  }
+
+  /**
+   * Register a provider plugin
+   * @param {Object} provider - Object implementing the provider interface
+   */
+  register(provider) {
+    if (!provider?.name) {
+      throw new Error('News provider must have a name');
+    }
+
+    const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`News provider ${provider.name} is missing ${missing.join(', ')}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Get a provider by name
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Get all registered providers
+   */
+  getAll() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Get providers that are configured and can be called
+   * @param {string[]} names - Restrict to these providers (optional)
+   */
+  getAvailable(names = []) {
+    return this.getAll().filter(provider =>
+      provider.isAvailable() && (names.length === 0 || names.includes(provider.name))
+    );
+  }
+
+  /**
+   * Get ranking weight for a provider
+   */
+  getWeight(name) {
+    return this.get(name)?.weight ?? 0.5;
+  }
+
+  /**
+   * Describe a provider for API responses
+   */
+  describe(provider) {
+    return {
+      name: provider.name,
+      displayName: provider.displayName,
+      available: provider.isAvailable(),
+      weight: provider.weight,
+      rateLimit: provider.rateLimit || null
+    };
+  }
+}
+
+export const providerRegistry = new ProviderRegistry();
@@ -0,0 +1,280 @@
+/**
+ * Generic RSS/Atom/RDF Feed Adapter
+ * Parses any syndication feed into the common article format
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { parseString } from 'xml2js';
+import { promisify } from 'util';
+import { textCleaner } from '../../utils/textCleaner.js';
+import { httpCache } from '../../utils/httpCache.js';
+import { urlGuard } from '../../utils/urlGuard.js';
+import { logger } from '../../config/logger.js';
+
+const parseXML = promisify(parseString);
+
+class RssService {
+  constructor() {
+    this.timeout = 10000;
+    this.maxDescriptionLength = 2000;
+  }
+
+  /**
+   * Fetch and normalize a registered feed
+   * @param {Object} feed - Feed registry entry
+   * @param {string} feed.url - Feed URL
+   * @param {string} feed.name - Publisher name
+   * @param {string} feed.category - Category assigned to all items
+   * @param {Object} options - Fetch options
+   * @param {number} options.pageSize - Maximum number of items
+   * @returns {Promise<Array>} Normalized news articles
+   */
+  async fetchFeed(feed, options = {}) {
+    const { articles } = await this.fetchFeedConditional(feed, null, options);
+    return articles;
+  }
+
+  /**
+   * Fetch a feed with If-None-Match / If-Modified-Since from a previous poll
+   * @param {Object} feed - Feed registry entry
+   * @param {Object} state - Stored ETag / Last-Modified validators
+   * @param {Object} options - Fetch options
+   * @param {number} options.pageSize - Maximum number of items
+   * @returns {Promise<Object>} { notModified, validators, articles }
+   */
+  async fetchFeedConditional(feed, state = null, options = {}) {
+    const { pageSize = 50 } = options;
+
+    try {
+      logger.info('Fetching feed', { name: feed.name, url: feed.url });
+
+      // Feeds can be registered by users, so they must not reach the local network
+      urlGuard.assertAllowedUrl(feed.url);
+
+      const response = await axios.get(feed.url, {
+        ...urlGuard.requestOptions(),
+        timeout: this.timeout,
+        responseType: 'text',
+        headers: {
+          'User-Agent': 'NewsAggregator/1.0',
+          Accept: 'application/rss+xml, application/atom+xml, application/rdf+xml, application/xml, text/xml',
+          ...httpCache.buildConditionalHeaders(state)
+        },
+        validateStatus: httpCache.acceptNotModified
+      });
+
+      const validators = httpCache.extractValidators(response);
+
+      if (httpCache.isNotModified(response)) {
+        return { notModified: true, validators, articles: [] };
+      }
+
+      const parsed = await this.parseFeed(response.data);
+      const articles = this.normalizeArticles(parsed.items.slice(0, pageSize), feed);
+
+      return { notModified: false, validators, articles };
+    } catch (error) {
+      logger.error(`Feed fetch error (${feed.url}):`, error.message);
+      throw new Error(`Failed to fetch feed ${feed.name}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Parse feed XML and detect its format
+   * @param {string} xml - Raw feed document
+   * @returns {Promise<Object>} Feed format, title and raw items
+   */
+  async parseFeed(xml) {
+    const data = await parseXML(xml);
+
+    if (data.rss) {
+      const channel = data.rss.channel?.[0] || {};
+      return { format: 'rss', title: this.getText(channel.title), items: channel.item || [] };
+    }
+
+    if (data.feed) {
+      return { format: 'atom', title: this.getText(data.feed.title), items: data.feed.entry || [] };
+    }
+
+    if (data['rdf:RDF']) {
+      const rdf = data['rdf:RDF'];
+      return { format: 'rdf', title: this.getText(rdf.channel?.[0]?.title), items: rdf.item || [] };
+    }
+
+    throw new Error('Unrecognized feed format');
+  }
+
+  /**
+   * Normalize raw feed items to common format
+   * @param {Array} items - Raw items from xml2js
+   * @param {Object} feed - Feed registry entry
+   * @returns {Array} Normalized articles
+   */
+  normalizeArticles(items, feed) {
+    return items
+      .map(item => {
+        const url = this.extractLink(item);
+        const title = this.cleanText(this.getText(item.title));
+
+        if (!url || !title) {
+          return null;
+        }
+
+        return {
+          id: this.generateId(url),
+          title,
+          description: this.cleanText(this.extractDescription(item)).slice(0, this.maxDescriptionLength),
+          url,
+          urlToImage: this.extractImageUrl(item),
+          publishedAt: this.extractDate(item),
+          source: {
+            id: feed._id ? feed._id.toString() : null,
+            name: feed.name
+          },
+          author: this.extractAuthor(item),
+          category: feed.category || null,
+          tags: this.extractTags(item),
+          apiSource: 'rss',
+          raw: item
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Read a text node that xml2js may return as a string, array or object
+   */
+  getText(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    if (Array.isArray(value)) {
+      return this.getText(value[0]);
+    }
+
+    if (typeof value === 'object') {
+      return (value._ || '').trim();
+    }
+
+    return String(value).trim();
+  }
+
+  /**
+   * Strip markup and entities while keeping punctuation such as "&"
+   */
+  cleanText(text) {
+    const withoutTags = textCleaner.removeHtmlTags(text || '');
+    return textCleaner.normalizeWhitespace(textCleaner.decodeHtmlEntities(withoutTags));
+  }
+
+  /**
+   * Extract article link (Atom uses <link href> with rel alternates)
+   */
+  extractLink(item) {
+    const links = item.link || [];
+
+    for (const link of links) {
+      if (typeof link === 'string' && link.trim()) {
+        return link.trim();
+      }
+
+      if (link?.$?.href && (!link.$.rel || link.$.rel === 'alternate')) {
+        return link.$.href.trim();
+      }
+    }
+
+    const guid = item.guid?.[0];
+    if (guid && guid.$?.isPermaLink !== 'false') {
+      const value = this.getText(guid);
+      if (/^https?:\/\//.test(value)) {
+        return value;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract summary text, preferring the short form over full content
+   */
+  extractDescription(item) {
+    return this.getText(item.description) ||
+      this.getText(item.summary) ||
+      this.getText(item['content:encoded']) ||
+      this.getText(item.content);
+  }
+
+  /**
+   * Extract publication date from RSS, Atom or Dublin Core fields
+   */
+  extractDate(item) {
+    const value = this.getText(item.pubDate) ||
+      this.getText(item.published) ||
+      this.getText(item.updated) ||
+      this.getText(item['dc:date']);
+
+    const date = value ? new Date(value) : new Date();
+    return isNaN(date.getTime()) ? new Date() : date;
+  }
+
+  /**
+   * Extract author from RSS, Atom or Dublin Core fields
+   */
+  extractAuthor(item) {
+    if (item.author?.[0]?.name) {
+      return this.getText(item.author[0].name) || null;
+    }
+
+    return this.getText(item['dc:creator']) || this.getText(item.author) || null;
+  }
+
+  /**
+   * Extract image URL from media or enclosure elements
+   */
+  extractImageUrl(item) {
+    const candidates = [
+      ...(item['media:content'] || []),
+      ...(item['media:thumbnail'] || []),
+      ...(item.enclosure || [])
+    ];
+
+    for (const media of candidates) {
+      const attrs = media?.$ || {};
+      if (attrs.url && (!attrs.type || attrs.type.startsWith('image/') || attrs.medium === 'image')) {
+        return attrs.url;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract tags from RSS categories or Atom category terms
+   */
+  extractTags(item) {
+    const tags = (item.category || [])
+      .map(cat => (cat?.$?.term ? cat.$.term : this.getText(cat)))
+      .filter(Boolean)
+      .map(tag => tag.toLowerCase());
+
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Generate unique ID for article
+   */
+  generateId(url) {
+    return `rss_${crypto.createHash('md5').update(url).digest('hex').slice(0, 16)}`;
+  }
+
+  /**
+   * Check if service is available
+   */
+  isAvailable() {
+    return true; // Feeds need no API key
+  }
+}
+
+export const rssService = new RssService();
@@ -0,0 +1,148 @@
+/**
+ * Breaking News Service for Personalized News Aggregator
+ * Detects bursts of coverage across sources and pushes alerts to connected clients
+ */
+
+import { Article } from '../models/Article.js';
+import { BreakingAlert } from '../models/BreakingAlert.js';
+import { streamService } from './streamService.js';
+import { cacheService } from './cacheService.js';
+import { logger } from '../config/logger.js';
+import { BREAKING_CONFIG } from '../config/constants.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+class BreakingService {
+  constructor() {
+    this.config = BREAKING_CONFIG;
+  }
+
+  /**
+   * Check a story after an article joined it; store and push an alert when its
+   * coverage is a burst from enough sources
+   * @param {Object} story - Story returned by storyService.assignArticle
+   * @returns {Promise<Object|null>} Alert when one was created or grew
+   */
+  async check(story, now = new Date()) {
+    if (!story || (story.sources || []).length < this.config.MIN_SOURCES) {
+      return null;
+    }
+
+    if (new Date(story.firstPublishedAt) < new Date(now - this.config.MAX_STORY_AGE_HOURS * HOUR)) {
+      return null;
+    }
+
+    try {
+      const articles = await Article.find({ story: story._id, isActive: true })
+        .select('title source publishedAt')
+        .sort({ publishedAt: 1 })
+        .lean();
+
+      const burst = this.detectBurst(articles);
+      if (!burst) {
+        return null;
+      }
+
+      const existing = await BreakingAlert.findOne({ story: story._id }).select('sourceCount').lean();
+      if (existing && existing.sourceCount >= burst.sources.length) {
+        return null;
+      }
+
+      const alert = await BreakingAlert.findOneAndUpdate(
+        { story: story._id },
+        {
+          $set: {
+            title: burst.lead.title,
+            leadArticle: burst.lead._id,
+            articles: burst.articles,
+            sources: burst.sources,
+            sourceCount: burst.sources.length,
+            category: story.category || null,
+            tags: story.tags || [],
+            startedAt: burst.startedAt,
+            expiresAt: new Date(now.getTime() + this.config.ALERT_TTL_HOURS * HOUR)
+          },
+          $setOnInsert: { detectedAt: now }
+        },
+        { upsert: true, new: true, lean: true }
+      );
+
+      await streamService.publish('alerts', {
+        id: alert._id.toString(),
+        event: 'breaking',
+        data: this.toMessage(alert, !existing)
+      });
+      await cacheService.invalidatePattern('breaking:*');
+
+      logger.info('Breaking news detected', { story: story._id.toString(), sources: burst.sources.length, isNew: !existing });
+      return alert;
+    } catch (error) {
+      logger.error('Error checking story for breaking news:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the window with the most distinct sources
+   * @param {Array} articles - { _id, title, source, publishedAt }, earliest first
+   * @returns {Object|null} { lead, articles, sources, startedAt } when enough sources reported
+   */
+  detectBurst(articles, windowMinutes = this.config.WINDOW_MINUTES) {
+    const windowMs = windowMinutes * MINUTE;
+    let best = null;
+    let start = 0;
+
+    for (let end = 0; end < articles.length; end++) {
+      const endTime = new Date(articles[end].publishedAt).getTime();
+      while (endTime - new Date(articles[start].publishedAt).getTime() > windowMs) {
+        start++;
+      }
+
+      const window = articles.slice(start, end + 1);
+      const sources = [...new Set(window.map(article => article.source?.name).filter(Boolean))];
+      if (!best || sources.length > best.sources.length) {
+        best = { window, sources };
+      }
+    }
+
+    if (!best || best.sources.length < this.config.MIN_SOURCES) {
+      return null;
+    }
+
+    return {
+      lead: best.window[0],
+      articles: best.window.map(article => article._id),
+      sources: best.sources,
+      startedAt: best.window[0].publishedAt
+    };
+  }
+
+  /**
+   * Alerts that have not expired, newest first
+   */
+  async getActive({ category = null, limit = this.config.RECENT_ALERTS } = {}) {
+    const alerts = await BreakingAlert.findActive(category, limit);
+    return alerts.map(alert => this.toMessage(alert));
+  }
+
+  /**
+   * Shape sent to clients, over the stream and from the REST endpoint
+   */
+  toMessage(alert, isNew = false) {
+    return {
+      id: alert._id,
+      storyId: alert.story,
+      title: alert.title,
+      leadArticle: alert.leadArticle,
+      sources: alert.sources,
+      sourceCount: alert.sourceCount,
+      category: alert.category,
+      startedAt: alert.startedAt,
+      detectedAt: alert.detectedAt,
+      isNew
+    };
+  }
+}
+
+export const breakingService = new BreakingService();
@@ -0,0 +1,292 @@
+/**
+ * Collaborative Filtering Service for Personalized News Aggregator
+ * Item-to-item and similar-reader recommendations from SavedArticle co-occurrence
+ */
+
+import { Article } from '../models/Article.js';
+import { SavedArticle } from '../models/SavedArticle.js';
+import { RelatedArticles } from '../models/RelatedArticles.js';
+import { logger } from '../config/logger.js';
+import { COLLABORATIVE_CONFIG } from '../config/constants.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ARTICLE_FIELDS = 'title description url urlToImage source author category tags publishedAt views saves meta';
+
+class CollaborativeService {
+  constructor() {
+    this.config = COLLABORATIVE_CONFIG;
+  }
+
+  /**
+   * Recompute every article's "readers who saved this also saved" list from recent saves
+   * @returns {Promise<Object>} { users, saves, articles, removed }
+   */
+  async computeRelated() {
+    const startedAt = new Date();
+
+    const saves = await SavedArticle.find({ savedAt: { $gte: new Date(startedAt - this.config.LOOKBACK_DAYS * DAY) } })
+      .select('userId articleId')
+      .sort({ savedAt: -1 })
+      .lean();
+
+    const { related, users } = this.computeSimilarities(saves);
+    const entries = Array.from(related);
+
+    for (let i = 0; i < entries.length; i += this.config.BATCH_SIZE) {
+      await RelatedArticles.bulkWrite(entries.slice(i, i + this.config.BATCH_SIZE).map(([articleId, list]) => ({
+        updateOne: {
+          filter: { articleId },
+          update: { $set: { related: list, computedAt: startedAt } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    // Articles whose co-savers dropped out of the window
+    const { deletedCount } = await RelatedArticles.deleteMany({ computedAt: { $lt: startedAt } });
+
+    const result = { users, saves: saves.length, articles: related.size, removed: deletedCount };
+    logger.info('Computed related articles', result);
+    return result;
+  }
+
+  /**
+   * Item-to-item cosine similarity over the sets of users who saved each article
+   * @param {Array} saves - { userId, articleId }, newest first
+   * @returns {Object} { related: Map<articleId, [{ articleId, score, coSaves }]>, users }
+   */
+  computeSimilarities(saves) {
+    const userItems = new Map();
+    for (const save of saves) {
+      const userId = save.userId.toString();
+      const items = userItems.get(userId) || new Set();
+      if (items.size < this.config.MAX_USER_SAVES) {
+        items.add(save.articleId.toString());
+      }
+      userItems.set(userId, items);
+    }
+
+    const saverCounts = new Map();
+    const coSaves = new Map();
+    for (const items of userItems.values()) {
+      const sorted = [...items].sort();
+      for (let i = 0; i < sorted.length; i++) {
+        saverCounts.set(sorted[i], (saverCounts.get(sorted[i]) || 0) + 1);
+        for (let j = i + 1; j < sorted.length; j++) {
+          const pair = `${sorted[i]}|${sorted[j]}`;
+          coSaves.set(pair, (coSaves.get(pair) || 0) + 1);
+        }
+      }
+    }
+
+    const related = new Map();
+    const addRelated = (articleId, entry) => {
+      const list = related.get(articleId) || [];
+      list.push(entry);
+      related.set(articleId, list);
+    };
+
+    for (const [pair, count] of coSaves) {
+      if (count < this.config.MIN_CO_SAVES) continue;
+
+      const [a, b] = pair.split('|');
+      const score = Math.round(count / Math.sqrt(saverCounts.get(a) * saverCounts.get(b)) * 1000) / 1000;
+      addRelated(a, { articleId: b, score, coSaves: count });
+      addRelated(b, { articleId: a, score, coSaves: count });
+    }
+
+    for (const [articleId, list] of related) {
+      related.set(articleId, list
+        .sort((x, y) => y.score - x.score || y.coSaves - x.coSaves)
+        .slice(0, this.config.MAX_RELATED));
+    }
+
+    return { related, users: userItems.size };
+  }
+
+  /**
+   * Articles related to one article: co-saved first, then content-similar to fill cold starts
+   * @param {Object} article - Article with _id, category, tags and entities
+   * @param {number} limit - Number of articles
+   * @returns {Promise<Array>} Articles, each with related: { score, reason }
+   */
+  async getRelated(article, limit = 10) {
+    const stored = await RelatedArticles.findOne({ articleId: article._id }).lean();
+    const entries = stored?.related || [];
+
+    let related = [];
+    if (entries.length > 0) {
+      const articles = await Article.find({ _id: { $in: entries.map(entry => entry.articleId) }, isActive: true })
+        .select(ARTICLE_FIELDS)
+        .lean();
+      const byId = new Map(articles.map(item => [item._id.toString(), item]));
+
+      related = entries
+        .filter(entry => byId.has(entry.articleId.toString()))
+        .slice(0, limit)
+        .map(entry => ({
+          ...byId.get(entry.articleId.toString()),
+          related: { score: entry.score, coSaves: entry.coSaves, reason: 'co-saved' }
+        }));
+    }
+
+    if (related.length < limit) {
+      const excludeIds = [article._id, ...related.map(item => item._id)];
+      related.push(...await this.getContentSimilar(article, limit - related.length, excludeIds));
+    }
+
+    return related;
+  }
+
+  /**
+   * Recent articles sharing tags, entities or the category with an article
+   */
+  async getContentSimilar(article, limit, excludeIds = []) {
+    const tags = article.tags || [];
+    const entityKeys = (article.entities || []).map(entity => entity.key);
+
+    const matches = [];
+    if (tags.length > 0) matches.push({ tags: { $in: tags } });
+    if (entityKeys.length > 0) matches.push({ 'entities.key': { $in: entityKeys } });
+    if (matches.length === 0 && article.category) matches.push({ category: article.category });
+    if (matches.length === 0) return [];
+
+    const candidates = await Article.find({
+      _id: { $nin: excludeIds },
+      isActive: true,
+      publishedAt: { $gte: new Date(Date.now() - this.config.CONTENT_LOOKBACK_DAYS * DAY) },
+      $or: matches
+    })
+      .select(`${ARTICLE_FIELDS} entities`)
+      .sort({ publishedAt: -1 })
+      .limit(200)
+      .lean();
+
+    return candidates
+      .map(candidate => ({ candidate, score: this.getContentSimilarity(article, candidate) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ candidate, score }) => ({
+        ...candidate,
+        related: { score: Math.round(score * 1000) / 1000, reason: 'content' }
+      }));
+  }
+
+  /**
+   * 0-1 similarity from shared tags, shared entities and the same category
+   */
+  getContentSimilarity(a, b) {
+    const jaccard = (x, y) => {
+      const setX = new Set(x);
+      const setY = new Set(y);
+      const union = new Set([...setX, ...setY]).size;
+      if (union === 0) return 0;
+      return [...setX].filter(item => setY.has(item)).length / union;
+    };
+
+    return 0.5 * jaccard(a.tags || [], b.tags || []) +
+      0.3 * jaccard((a.entities || []).map(entity => entity.key), (b.entities || []).map(entity => entity.key)) +
+      0.2 * (a.category && a.category === b.category ? 1 : 0);
+  }
+
+  /**
+   * Score articles for a user from what they saved: related lists of their saves and
+   * the saves of readers who saved the same articles
+   * @param {string} userId - Reader
+   * @param {Array} saved - The reader's saves ({ articleId }), newest first
+   * @returns {Promise<Map<string, number>>} Article ID => 0-1 score; empty for users without saves
+   */
+  async getUserScores(userId, saved) {
+    const seedIds = saved.slice(0, this.config.SEED_SAVES).map(save => save.articleId);
+    if (seedIds.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const [lists, coSavers] = await Promise.all([
+        RelatedArticles.find({ articleId: { $in: seedIds } }).select('related').lean(),
+        SavedArticle.find({ articleId: { $in: seedIds }, userId: { $ne: userId } }).select('userId').lean()
+      ]);
+
+      const itemScores = new Map();
+      for (const list of lists) {
+        for (const entry of list.related) {
+          this.addScore(itemScores, entry.articleId.toString(), entry.score);
+        }
+      }
+
+      // Readers who saved the most of the same articles
+      const overlaps = new Map();
+      for (const save of coSavers) {
+        this.addScore(overlaps, save.userId.toString(), 1);
+      }
+      const neighbors = Array.from(overlaps)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, this.config.NEIGHBORS);
+
+      const neighborScores = new Map();
+      if (neighbors.length > 0) {
+        const neighborSaves = await SavedArticle.find({
+          userId: { $in: neighbors.map(([neighborId]) => neighborId) },
+          savedAt: { $gte: new Date(Date.now() - this.config.LOOKBACK_DAYS * DAY) }
+        })
+          .select('userId articleId')
+          .sort({ savedAt: -1 })
+          .limit(neighbors.length * this.config.MAX_USER_SAVES)
+          .lean();
+
+        const totals = new Map();
+        for (const save of neighborSaves) {
+          this.addScore(totals, save.userId.toString(), 1);
+        }
+
+        for (const save of neighborSaves) {
+          const neighborId = save.userId.toString();
+          const overlap = overlaps.get(neighborId);
+          const weight = overlap / Math.sqrt(seedIds.length * Math.max(totals.get(neighborId), overlap));
+          this.addScore(neighborScores, save.articleId.toString(), weight);
+        }
+      }
+
+      const seen = new Set(saved.map(save => save.articleId.toString()));
+      return this.blendScores(itemScores, neighborScores, seen);
+    } catch (error) {
+      logger.error('Error scoring articles from similar readers:', error);
+      return new Map();
+    }
+  }
+
+  addScore(scores, key, score) {
+    scores.set(key, (scores.get(key) || 0) + score);
+  }
+
+  /**
+   * Normalize item-to-item and neighborhood scores to 0-1 and blend them 60/40
+   * @param {Set<string>} excluded - Article IDs to leave out (already saved)
+   */
+  blendScores(itemScores, neighborScores, excluded = new Set()) {
+    const maxItem = Math.max(0, ...itemScores.values());
+    const maxNeighbor = Math.max(0, ...neighborScores.values());
+    const blended = new Map();
+
+    for (const articleId of new Set([...itemScores.keys(), ...neighborScores.keys()])) {
+      if (excluded.has(articleId)) continue;
+
+      const item = maxItem > 0 ? (itemScores.get(articleId) || 0) / maxItem : 0;
+      const neighbor = maxNeighbor > 0 ? (neighborScores.get(articleId) || 0) / maxNeighbor : 0;
+      blended.set(articleId, 0.6 * item + 0.4 * neighbor);
+    }
+
+    const max = Math.max(0, ...blended.values());
+    if (max > 0) {
+      for (const [articleId, score] of blended) {
+        blended.set(articleId, score / max);
+      }
+    }
+
+    return blended;
+  }
+}
+
+export const collaborativeService = new CollaborativeService();
@@ -0,0 +1,123 @@
+/**
+ * Collection Service for Personalized News Aggregator
+ * Folders, notes and highlights on saved articles
+ */
+
+import { Collection } from '../models/Collection.js';
+import { SavedArticle } from '../models/SavedArticle.js';
+import { logger } from '../config/logger.js';
+import { COLLECTION_CONFIG } from '../config/constants.js';
+
+class CollectionService {
+  constructor() {
+    this.config = COLLECTION_CONFIG;
+  }
+
+  /**
+   * A user's collections in order with their article counts
+   * @returns {Promise<Object>} { collections, unsorted } where unsorted counts articles in no collection
+   */
+  async getCollections(userId) {
+    const [collections, counts] = await Promise.all([
+      Collection.findByUser(userId),
+      SavedArticle.getCollectionCounts(userId)
+    ]);
+
+    const countById = new Map(counts.map(({ _id, count }) => [_id ? _id.toString() : null, count]));
+
+    return {
+      collections: collections.map(collection => ({
+        ...collection,
+        articleCount: countById.get(collection._id.toString()) || 0
+      })),
+      unsorted: countById.get(null) || 0
+    };
+  }
+
+  /**
+   * Set positions from the order of the given IDs; collections left out keep their
+   * relative order after the listed ones
+   * @param {Array<string>} ids - Collection IDs in the new order
+   */
+  async reorder(userId, ids) {
+    const collections = await Collection.findByUser(userId);
+    const listed = ids.map(id => id.toString());
+    const ordered = [
+      ...listed.map(id => collections.find(collection => collection._id.toString() === id)).filter(Boolean),
+      ...collections.filter(collection => !listed.includes(collection._id.toString()))
+    ];
+
+    const operations = ordered
+      .map((collection, position) => ({ collection, position }))
+      .filter(({ collection, position }) => collection.position !== position)
+      .map(({ collection, position }) => ({
+        updateOne: {
+          filter: { _id: collection._id, userId },
+          update: { $set: { position } }
+        }
+      }));
+
+    if (operations.length > 0) {
+      await Collection.bulkWrite(operations, { ordered: false });
+    }
+
+    return ordered.map((collection, position) => ({ ...collection, position }));
+  }
+
+  /**
+   * Delete a collection; its articles stay saved as unsorted
+   * @returns {Promise<Object|null>} { moved } or null when the user has no such collection
+   */
+  async remove(userId, collectionId) {
+    const deleted = await Collection.findOneAndDelete({ _id: collectionId, userId });
+    if (!deleted) {
+      return null;
+    }
+
+    const result = await SavedArticle.updateMany(
+      { userId, collectionId },
+      { $set: { collectionId: null } }
+    );
+
+    // Close the gap left in the order
+    await Collection.updateMany(
+      { userId, position: { $gt: deleted.position } },
+      { $inc: { position: -1 } }
+    );
+
+    logger.info(`Collection ${collectionId} deleted by user ${userId}`, { moved: result.modifiedCount });
+    return { moved: result.modifiedCount };
+  }
+
+  /**
+   * The text highlight offsets refer to: the extracted content, or the description
+   * when the article has none
+   */
+  getArticleBody(article) {
+    return article?.content || article?.description || '';
+  }
+
+  /**
+   * Check a highlight against the article body
+   * @param {string} body - From getArticleBody
+   * @param {Object} highlight - { start, end, text }
+   * @returns {string|null} Why the highlight is invalid, or null
+   */
+  findHighlightError(body, { start, end, text }) {
+    if (end <= start) {
+      return 'Highlight end must be after its start';
+    }
+
+    if (end > body.length) {
+      return 'Highlight is outside the article text';
+    }
+
+    if (body.slice(start, end) !== text) {
+      return 'Highlight text does not match the article at the given offsets';
+    }
+
+    return null;
+  }
+}
+
+export const collectionService = new CollectionService();
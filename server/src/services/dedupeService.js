@@ -7,11 +7,17 @@ import crypto from 'crypto';
 import { Article } from '../models/Article.js';
 import { logger } from '../config/logger.js';
 import { textCleaner } from '../utils/textCleaner.js';
+import { DEDUPE_CONFIG } from '../config/constants.js';
 
 class DedupeService {
   constructor() {
     this.cache = new Map(); // In-memory cache for URL hashes
     this.cacheSize = 10000; // Maximum cache size
+    this.simhashBits = DEDUPE_CONFIG.SIMHASH_BITS;
+    this.similarityThreshold = this.getServableThreshold(DEDUPE_CONFIG.SIMILARITY_THRESHOLD);
+    this.simhashBands = this.getBandCount(this.similarityThreshold);
+    this.lookbackDays = DEDUPE_CONFIG.LOOKBACK_DAYS;
+    this.maxCandidates = DEDUPE_CONFIG.MAX_CANDIDATES;
   }
 
   /**
@@ -20,47 +26,96 @@ class DedupeService {
    * @param {string} title - Article title (optional)
    * @param {string} source - Article source (optional)
    * @param {Date} publishedAt - Publication date (optional)
+   * @param {string} description - Article description (optional)
    * @returns {Promise<boolean>} True if duplicate
    */
-  async isDuplicate(url, title = '', source = '', publishedAt = null) {
+  async isDuplicate(url, title = '', source = '', publishedAt = null, description = '') {
+    const duplicate = await this.findDuplicate({ url, title, source, publishedAt, description });
+    return !!duplicate;
+  }
+
+  /**
+   * Find the stored article a candidate duplicates, if any
+   * @param {Object} article - Candidate article
+   * @param {string} article.url - Article URL
+   * @param {string} article.title - Article title (optional)
+   * @param {string|Object} article.source - Source name or { name } (optional)
+   * @param {Date} article.publishedAt - Publication date (optional)
+   * @param {string} article.description - Article description (optional)
+   * @param {Object} options
+   * @param {boolean} options.cache - Remember a new URL as seen; pass false when the caller
+   *   will not store an active article for it
+   * @returns {Promise<Object|null>} { reason, articleId, similarity, importOnly } or null
+   */
+  async findDuplicate({ url, title = '', source = '', publishedAt = null, description = '' }, { cache = true } = {}) {
     try {
+      const sourceName = typeof source === 'string' ? source : source?.name || '';
+
       // Primary check: URL-based deduplication
       const urlHash = this.generateUrlHash(url);
       
       if (this.cache.has(urlHash)) {
-        return true;
+        return { reason: 'url', articleId: null, similarity: 1 };
       }
 
-      const existingByUrl = await Article.findOne({ url }).select('_id').lean();
+      const existingByUrl = await Article.findOne({ url }).select('_id isActive apiSource').lean();
+      if (existingByUrl && this.isImportOnly(existingByUrl)) {
+        // Only a reader's bookmark import knows this URL; ingestion takes the article over
+        return { reason: 'url', articleId: existingByUrl._id, similarity: 1, importOnly: true };
+      }
       if (existingByUrl) {
         this.addToCache(urlHash);
-        return true;
+        return { reason: 'url', articleId: existingByUrl._id, similarity: 1 };
       }
 
       // Secondary check: Content-based deduplication
-      if (title && source && publishedAt) {
-        const contentHash = this.generateContentHash(title, source, publishedAt);
+      if (title && sourceName && publishedAt) {
+        const contentHash = this.generateContentHash(title, sourceName, publishedAt);
         
         if (this.cache.has(contentHash)) {
-          return true;
+          return { reason: 'content', articleId: null, similarity: 1 };
         }
 
         const existingByContent = await this.findByContentHash(contentHash);
         if (existingByContent) {
           this.addToCache(contentHash);
-          return true;
+          return { reason: 'content', articleId: existingByContent._id, similarity: 1 };
+        }
+      }
+
+      // Tertiary check: near-duplicate detection across sources
+      if (title) {
+        const simhash = this.computeSimHash(title, description);
+        const nearDuplicate = await this.findNearDuplicate(simhash, publishedAt);
+
+        if (nearDuplicate) {
+          logger.debug(`Near-duplicate of ${nearDuplicate.article._id} (${nearDuplicate.similarity.toFixed(3)}): ${title}`);
+          return {
+            reason: 'near_duplicate',
+            articleId: nearDuplicate.article._id,
+            similarity: nearDuplicate.similarity
+          };
         }
       }
 
       // Add to cache as non-duplicate
-      this.addToCache(urlHash);
-      return false;
+      if (cache) {
+        this.addToCache(urlHash);
+      }
+      return null;
     } catch (error) {
       logger.error('Error checking for duplicates:', error);
-      return false; // Allow on error to prevent blocking
+      return null; // Allow on error to prevent blocking
     }
   }
 
+  /**
+   * Whether an article was only created inactive by a bookmark import, so feeds have not delivered it yet
+   */
+  isImportOnly(article) {
+    return article.isActive === false && article.apiSource === 'import';
+  }
+
   /**
    * Generate hash for URL-based deduplication
    */
@@ -113,12 +168,278 @@ class DedupeService {
    * Find existing article by content hash
    */
   async findByContentHash(contentHash) {
-    // This is a simplified implementation
-    // In a production system, you might want to store content hashes in the database
-    // For now, we'll use a combination of title similarity and other factors
-    
-    // This could be enhanced with fuzzy matching or similarity algorithms
-    return null;
+    return Article.findOne({ 'fingerprint.contentHash': contentHash })
+      .select('_id')
+      .lean();
+  }
+
+  /**
+   * Generate the content fingerprint stored on an article
+   * @param {Object} article - Normalized article data
+   * @returns {Object} Fingerprint with contentHash, simhash and bands
+   */
+  generateFingerprint({ title = '', description = '', source = '', publishedAt = null }) {
+    const sourceName = typeof source === 'string' ? source : source?.name || '';
+    const simhash = this.computeSimHash(title, description);
+
+    return {
+      contentHash: title && sourceName && publishedAt
+        ? this.generateContentHash(title, sourceName, publishedAt)
+        : null,
+      simhash,
+      bands: this.getSimHashBands(simhash)
+    };
+  }
+
+  /**
+   * Compute a 64-bit SimHash over cleaned title and description
+   * @returns {string|null} Hex-encoded SimHash, or null when there is no usable text
+   */
+  computeSimHash(title, description = '') {
+    const features = this.extractFeatures(`${this.stripSourceSuffix(title)} ${description}`);
+    if (features.length === 0) {
+      return null;
+    }
+
+    const weights = new Array(this.simhashBits).fill(0);
+
+    for (const feature of features) {
+      const hash = this.hashFeature(feature);
+      for (let bit = 0; bit < this.simhashBits; bit++) {
+        weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+      }
+    }
+
+    let fingerprint = 0n;
+    for (let bit = 0; bit < this.simhashBits; bit++) {
+      if (weights[bit] > 0) {
+        fingerprint |= 1n << BigInt(bit);
+      }
+    }
+
+    return fingerprint.toString(16).padStart(this.simhashBits / 4, '0');
+  }
+
+  /**
+   * Extract SimHash features (unigrams plus word bigrams)
+   */
+  extractFeatures(text) {
+    const words = textCleaner.normalize(text)
+      .split(' ')
+      .filter(word => word.length > 1 && !textCleaner.isStopWord(word));
+
+    const features = [...words];
+    for (let i = 0; i < words.length - 1; i++) {
+      features.push(`${words[i]} ${words[i + 1]}`);
+    }
+
+    return features;
+  }
+
+  /**
+   * Remove trailing publisher suffixes such as "Headline - Reuters"
+   */
+  stripSourceSuffix(title) {
+    return (title || '').replace(/\s+[-|–—]\s+[^-|–—]{2,50}$/, '');
+  }
+
+  /**
+   * Hash a feature to a 64-bit unsigned BigInt
+   */
+  hashFeature(feature) {
+    const digest = crypto.createHash('md5').update(feature).digest('hex');
+    return BigInt(`0x${digest.slice(0, this.simhashBits / 4)}`);
+  }
+
+  /**
+   * Band counts that split the hex-encoded SimHash into equal widths
+   */
+  getBandLayouts() {
+    const hexLength = this.simhashBits / 4;
+    return Array.from({ length: hexLength }, (_, i) => i + 1)
+      .filter(count => hexLength % count === 0);
+  }
+
+  /**
+   * Most differing bits a pair can have and still meet the threshold
+   */
+  getMaxDistance(threshold) {
+    // Tolerance keeps thresholds such as 1 - 6/64 from rounding down a bit
+    return Math.floor((1 - threshold) * this.simhashBits + 1e-9);
+  }
+
+  /**
+   * Fewest bands that guarantee every pair meeting the threshold shares one
+   * Pairs n bits apart differ in at most n bands, so n + 1 bands leave one identical
+   * @param {number} threshold - SimHash similarity threshold
+   * @returns {number} Band count
+   */
+  getBandCount(threshold) {
+    const layouts = this.getBandLayouts();
+    const maxDistance = this.getMaxDistance(threshold);
+
+    return layouts.find(count => count > maxDistance) || layouts[layouts.length - 1];
+  }
+
+  /**
+   * Raise a threshold below what the narrowest bands can serve, since candidates past
+   * it would never be looked up
+   */
+  getServableThreshold(threshold) {
+    const layouts = this.getBandLayouts();
+    const minimum = 1 - (layouts[layouts.length - 1] - 1) / this.simhashBits;
+
+    if (threshold < minimum) {
+      logger.warn(`DEDUPE_SIMILARITY_THRESHOLD ${threshold} is below the ${minimum} SimHash banding can serve; using ${minimum}`);
+      return minimum;
+    }
+
+    return threshold;
+  }
+
+  /**
+   * Split a SimHash into equal-width bands used as lookup buckets
+   */
+  getSimHashBands(simhash) {
+    if (!simhash) {
+      return [];
+    }
+
+    const bandWidth = simhash.length / this.simhashBands;
+    const bands = [];
+    for (let i = 0; i < this.simhashBands; i++) {
+      bands.push(`${i}:${simhash.slice(i * bandWidth, (i + 1) * bandWidth)}`);
+    }
+
+    return bands;
+  }
+
+  /**
+   * Count differing bits between two hex-encoded SimHashes
+   */
+  hammingDistance(hash1, hash2) {
+    let diff = BigInt(`0x${hash1}`) ^ BigInt(`0x${hash2}`);
+    let distance = 0;
+
+    while (diff > 0n) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+
+    return distance;
+  }
+
+  /**
+   * Similarity between two SimHashes (1 = identical)
+   */
+  simhashSimilarity(hash1, hash2) {
+    return 1 - this.hammingDistance(hash1, hash2) / this.simhashBits;
+  }
+
+  /**
+   * Find the closest stored article whose SimHash clears the similarity threshold
+   * @param {string} simhash - Candidate SimHash
+   * @param {Date} publishedAt - Candidate publication date (optional)
+   * @returns {Promise<Object|null>} { article, similarity } or null
+   */
+  async findNearDuplicate(simhash, publishedAt = null) {
+    if (!simhash) {
+      return null;
+    }
+
+    const query = {
+      'fingerprint.bands': { $in: this.getSimHashBands(simhash) },
+      isActive: true
+    };
+
+    // Only compare against articles published around the same time
+    const reference = publishedAt ? new Date(publishedAt) : new Date();
+    const windowMs = this.lookbackDays * 24 * 60 * 60 * 1000;
+    query.publishedAt = {
+      $gte: new Date(reference.getTime() - windowMs),
+      $lte: new Date(reference.getTime() + windowMs)
+    };
+
+    // If the cap is reached, keep the newest articles rather than an arbitrary slice
+    const candidates = await Article.find(query)
+      .select('_id title source fingerprint.simhash')
+      .sort({ publishedAt: -1 })
+      .limit(this.maxCandidates)
+      .lean();
+
+    let best = null;
+    for (const candidate of candidates) {
+      const candidateHash = candidate.fingerprint?.simhash;
+      if (!candidateHash) continue;
+
+      const similarity = this.simhashSimilarity(simhash, candidateHash);
+      if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { article: candidate, similarity };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Compute fingerprints for stored articles that do not have one yet, and re-band
+   * fingerprints stored with a different band count
+   * @param {number} batchSize - Articles to process per batch
+   * @returns {Promise<number>} Number of articles updated
+   */
+  async backfillFingerprints(batchSize = 500) {
+    let updated = 0;
+    let articles = [];
+
+    try {
+      do {
+        articles = await Article.find({ 'fingerprint.simhash': { $exists: false } })
+          .select('title description source publishedAt')
+          .limit(batchSize)
+          .lean();
+
+        if (articles.length === 0) break;
+
+        const operations = articles.map(article => ({
+          updateOne: {
+            filter: { _id: article._id },
+            // Articles without usable text store a null simhash so they are not retried
+            update: { $set: { fingerprint: this.generateFingerprint(article) } }
+          }
+        }));
+
+        await Article.bulkWrite(operations, { ordered: false });
+        updated += articles.length;
+      } while (articles.length === batchSize);
+
+      do {
+        articles = await Article.find({
+          'fingerprint.simhash': { $type: 'string' },
+          'fingerprint.bands': { $not: { $size: this.simhashBands } }
+        })
+          .select('fingerprint.simhash')
+          .limit(batchSize)
+          .lean();
+
+        if (articles.length === 0) break;
+
+        const operations = articles.map(article => ({
+          updateOne: {
+            filter: { _id: article._id },
+            update: { $set: { 'fingerprint.bands': this.getSimHashBands(article.fingerprint.simhash) } }
+          }
+        }));
+
+        await Article.bulkWrite(operations, { ordered: false });
+        updated += articles.length;
+      } while (articles.length === batchSize);
+
+      logger.info(`Backfilled fingerprints for ${updated} articles`);
+      return updated;
+    } catch (error) {
+      logger.error('Error backfilling fingerprints:', error);
+      return updated;
+    }
   }
 
   /**
@@ -249,14 +570,20 @@ class DedupeService {
   async getStats() {
     try {
       const totalArticles = await Article.countDocuments({ isActive: true });
+      const fingerprintedArticles = await Article.countDocuments({
+        isActive: true,
+        'fingerprint.simhash': { $exists: true }
+      });
       const duplicates = await this.findDuplicates();
       const duplicateCount = duplicates.reduce((sum, group) => sum + group.length - 1, 0);
       
       return {
         totalArticles,
+        fingerprintedArticles,
         duplicateGroups: duplicates.length,
         duplicateCount,
         uniqueArticles: totalArticles - duplicateCount,
+        similarityThreshold: this.similarityThreshold,
         cacheSize: this.cache.size,
         cacheMaxSize: this.cacheSize
       };
@@ -0,0 +1,98 @@
+/**
+ * Email Verification Service for Personalized News Aggregator
+ * Emails confirmation links and marks addresses as verified
+ */
+
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { EmailVerificationToken } from '../models/EmailVerificationToken.js';
+import { mailService } from './mailService.js';
+import { logger } from '../config/logger.js';
+import { EMAIL_VERIFICATION_CONFIG } from '../config/constants.js';
+
+class EmailVerificationService {
+  constructor() {
+    this.config = EMAIL_VERIFICATION_CONFIG;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Email a verification link for the user's current address, replacing any pending link
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} { sent, retryAfter } - retryAfter is set when the last link went out too recently
+   */
+  async sendVerification(user, now = new Date()) {
+    const latest = await EmailVerificationToken.findOne({ userId: user._id, usedAt: null })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    if (latest) {
+      const waitMs = latest.createdAt.getTime() + this.config.RESEND_INTERVAL_SECONDS * 1000 - now.getTime();
+      if (waitMs > 0) {
+        return { sent: false, retryAfter: Math.ceil(waitMs / 1000) };
+      }
+    }
+
+    await EmailVerificationToken.deleteMany({ userId: user._id, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await EmailVerificationToken.create({
+      userId: user._id,
+      tokenHash: this.hashToken(token),
+      email: user.email,
+      expiresAt: new Date(now.getTime() + this.config.TOKEN_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    try {
+      await mailService.sendTemplate('emailVerification', user.email, {
+        name: user.name,
+        url: mailService.buildAppUrl('/verify-email', { token }),
+        expiresInHours: this.config.TOKEN_TTL_HOURS
+      });
+    } catch (error) {
+      logger.error(`Failed to send verification email to user ${user._id}:`, error);
+      return { sent: false };
+    }
+
+    logger.info(`Verification email sent to user ${user._id}`);
+    return { sent: true };
+  }
+
+  /**
+   * Mark the address a token was sent to as verified
+   * Opening a spent link again succeeds as long as that address is still verified
+   * @param {string} token - Token from the emailed link
+   * @returns {Promise<Object|null>} The user, or null when the token is invalid, expired or for an old address
+   */
+  async verify(token, now = new Date()) {
+    const tokenHash = this.hashToken(token);
+    const record = await EmailVerificationToken.consume(tokenHash, now);
+
+    if (!record) {
+      const spent = await EmailVerificationToken.findOne({ tokenHash, usedAt: { $ne: null } }).lean();
+      const user = spent && await User.findById(spent.userId);
+      return user && user.emailVerified && user.email === spent.email ? user : null;
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user || !user.isActive || user.email !== record.email) {
+      return null;
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = now;
+      await user.save();
+      logger.info(`Email verified for user ${user._id}`);
+    }
+
+    await EmailVerificationToken.deleteMany({ userId: user._id, usedAt: null });
+
+    return user;
+  }
+}
+
+export const emailVerificationService = new EmailVerificationService();
@@ -0,0 +1,450 @@
+/**
+ * Entity Service for Personalized News Aggregator
+ * Heuristic named-entity extraction (people, organizations, locations, phrases)
+ */
+
+import { Article } from '../models/Article.js';
+import { logger } from '../config/logger.js';
+import { ENTITY_CONFIG, TFIDF_CONFIG } from '../config/constants.js';
+
+const KNOWN_LOCATIONS = new Set([
+  // Countries and regions
+  'afghanistan', 'africa', 'argentina', 'asia', 'australia', 'austria', 'bangladesh', 'belgium', 'brazil',
+  'britain', 'canada', 'chile', 'china', 'colombia', 'cuba', 'denmark', 'egypt', 'england', 'ethiopia',
+  'europe', 'finland', 'france', 'gaza', 'germany', 'greece', 'haiti', 'hong kong', 'hungary', 'india',
+  'indonesia', 'iran', 'iraq', 'ireland', 'israel', 'italy', 'japan', 'jordan', 'kenya', 'latin america',
+  'lebanon', 'libya', 'malaysia', 'mexico', 'middle east', 'morocco', 'netherlands', 'new zealand', 'nigeria',
+  'north korea', 'northern ireland', 'norway', 'pakistan', 'palestine', 'peru', 'philippines', 'poland',
+  'portugal', 'qatar', 'russia', 'saudi arabia', 'scotland', 'singapore', 'somalia', 'south africa',
+  'south korea', 'spain', 'sudan', 'sweden', 'switzerland', 'syria', 'taiwan', 'thailand', 'turkey',
+  'ukraine', 'united arab emirates', 'united kingdom', 'united states', 'venezuela', 'vietnam', 'wales',
+  'west bank', 'yemen',
+  // US states
+  'alabama', 'alaska', 'arizona', 'arkansas', 'california', 'colorado', 'connecticut', 'delaware', 'florida',
+  'georgia', 'hawaii', 'idaho', 'illinois', 'indiana', 'iowa', 'kansas', 'kentucky', 'louisiana', 'maine',
+  'maryland', 'massachusetts', 'michigan', 'minnesota', 'mississippi', 'missouri', 'montana', 'nebraska',
+  'nevada', 'new hampshire', 'new jersey', 'new mexico', 'new york', 'north carolina', 'north dakota', 'ohio',
+  'oklahoma', 'oregon', 'pennsylvania', 'rhode island', 'south carolina', 'south dakota', 'tennessee', 'texas',
+  'utah', 'vermont', 'virginia', 'washington', 'west virginia', 'wisconsin', 'wyoming',
+  // Cities
+  'amsterdam', 'athens', 'atlanta', 'bangkok', 'barcelona', 'beijing', 'beirut', 'berlin', 'boston',
+  'brussels', 'buenos aires', 'cairo', 'chicago', 'dallas', 'delhi', 'detroit', 'dubai', 'dublin', 'edinburgh',
+  'geneva', 'houston', 'istanbul', 'jakarta', 'jerusalem', 'johannesburg', 'kabul', 'karachi', 'kyiv', 'lagos',
+  'las vegas', 'lisbon', 'london', 'los angeles', 'madrid', 'manchester', 'melbourne', 'miami', 'milan',
+  'moscow', 'mumbai', 'nairobi', 'new delhi', 'paris', 'philadelphia', 'prague', 'rome', 'san francisco',
+  'seattle', 'seoul', 'shanghai', 'silicon valley', 'stockholm', 'sydney', 'tehran', 'tel aviv', 'tokyo',
+  'toronto', 'vancouver', 'vienna', 'warsaw', 'wall street'
+]);
+
+const KNOWN_ORGANIZATIONS = new Set([
+  'airbnb', 'airbus', 'alibaba', 'alphabet', 'amazon', 'amd', 'anthropic', 'apple', 'arsenal', 'barclays',
+  'boeing', 'bytedance', 'chelsea', 'chevron', 'disney', 'exxonmobil', 'facebook', 'ford', 'general electric',
+  'general motors', 'goldman sachs', 'google', 'hamas', 'hezbollah', 'honda', 'huawei', 'hsbc', 'ibm',
+  'instagram', 'intel', 'jpmorgan', 'kremlin', 'meta', 'microsoft', 'moderna', 'netflix', 'nike', 'nvidia',
+  'openai', 'oracle', 'pentagon', 'pfizer', 'reuters', 'samsung', 'shell', 'sony', 'spacex', 'spotify',
+  'starbucks', 'taliban', 'tencent', 'tesla', 'tiktok', 'toyota', 'uber', 'volkswagen', 'walmart',
+  'white house', 'whatsapp', 'youtube'
+]);
+
+// Any of these words marks a span as an organization
+const ORGANIZATION_WORDS = new Set([
+  'agency', 'airlines', 'airways', 'alliance', 'army', 'association', 'authority', 'bank', 'board', 'bureau',
+  'club', 'co', 'college', 'commission', 'committee', 'company', 'congress', 'corp', 'corporation', 'council',
+  'court', 'department', 'fc', 'federation', 'force', 'foundation', 'fund', 'group', 'holdings', 'hospital',
+  'inc', 'institute', 'labs', 'league', 'llc', 'ltd', 'media', 'ministry', 'motors', 'nations', 'navy',
+  'network', 'office', 'organisation', 'organization', 'parliament', 'party', 'pharmaceuticals', 'plc',
+  'police', 'reserve', 'school', 'senate', 'society', 'studios', 'systems', 'technologies', 'trust', 'union',
+  'university'
+]);
+
+// A span ending in one of these words is a place
+const LOCATION_WORDS = new Set([
+  'avenue', 'bay', 'city', 'coast', 'county', 'desert', 'gulf', 'island', 'islands', 'lake', 'mountains',
+  'ocean', 'peninsula', 'province', 'region', 'river', 'sea', 'strait', 'street', 'valley'
+]);
+
+// Titles that introduce a person ("Prime Minister Keir Starmer")
+const HONORIFICS = new Set([
+  'ambassador', 'capt', 'captain', 'ceo', 'chair', 'chairman', 'chairwoman', 'chancellor', 'chief', 'coach',
+  'col', 'colonel', 'congressman', 'congresswoman', 'dame', 'deputy', 'director', 'dr', 'executive', 'former',
+  'founder', 'gen', 'general', 'gov', 'governor', 'judge', 'justice', 'king', 'lady', 'lord', 'mayor',
+  'minister', 'miss', 'mr', 'mrs', 'ms', 'pope', 'president', 'prime', 'prince', 'princess', 'prof',
+  'professor', 'queen', 'rep', 'representative', 'secretary', 'sen', 'senator', 'sir', 'vice'
+]);
+
+const LOCATION_ACRONYMS = new Set(['us', 'usa', 'uk', 'uae']);
+const NON_ENTITY_ACRONYMS = new Set(['ai', 'am', 'ceo', 'cfo', 'covid', 'cto', 'ev', 'evs', 'gdp', 'ipo', 'mp', 'pm', 'tv']);
+
+// Lowercase words allowed inside a name ("Bank of England", "Centers for Disease Control")
+const CONNECTORS = new Set(['al', 'bin', 'da', 'de', 'del', 'for', 'of', 'van', 'von']);
+
+// Words that end a sentence without ending it ("Mr. Smith")
+const ABBREVIATIONS = new Set(['co', 'corp', 'dr', 'gen', 'gov', 'inc', 'jr', 'ltd', 'mr', 'mrs', 'ms', 'prof', 'rep', 'sen', 'sr', 'st', 'vs']);
+
+const LOCATION_PREPOSITIONS = new Set(['across', 'at', 'from', 'in', 'inside', 'near', 'outside']);
+
+const DATE_WORDS = new Set([
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'april', 'june', 'july', 'august', 'september', 'october', 'november', 'december'
+]);
+
+// Capitalized only because they start a sentence
+const SENTENCE_START_WORDS = new Set([
+  ...TFIDF_CONFIG.STOPWORDS,
+  'according', 'all', 'also', 'although', 'amid', 'as', 'both', 'despite', 'each', 'even', 'every', 'first',
+  'here', 'his', 'how', 'however', 'if', 'its', 'just', 'last', 'like', 'many', 'meanwhile', 'more', 'most',
+  'my', 'new', 'no', 'not', 'now', 'once', 'one', 'only', 'other', 'our', 'over', 'since', 'so', 'some',
+  'still', 'such', 'their', 'then', 'there', 'today', 'two', 'under', 'unlike', 'until', 'what', 'when',
+  'where', 'while', 'who', 'why', 'yesterday', 'yet', 'your'
+]);
+
+// Too generic to form a phrase
+const PHRASE_STOPWORDS = new Set([
+  ...TFIDF_CONFIG.STOPWORDS,
+  'also', 'been', 'but', 'into', 'its', 'just', 'more', 'most', 'much', 'not', 'now', 'one', 'only', 'other',
+  'our', 'over', 'said', 'say', 'says', 'some', 'such', 'than', 'their', 'there', 'told', 'two', 'very',
+  'what', 'when', 'which', 'who', 'year', 'years', 'last', 'first', 'new', 'week', 'percent', 'million', 'billion'
+]);
+
+const TYPE_PRIORITY = { person: 0, organization: 1, location: 2, phrase: 3 };
+
+class EntityService {
+  constructor() {
+    this.maxEntities = ENTITY_CONFIG.MAX_ENTITIES;
+    this.minPhraseCount = ENTITY_CONFIG.MIN_PHRASE_COUNT;
+  }
+
+  /**
+   * Extract entities from an article's title, description and content
+   * @param {Object} article - Article data
+   * @returns {Array} [{ type, name, key, count }] ordered by mentions
+   */
+  extract(article) {
+    try {
+      const segments = [article.title, article.description, article.content]
+        .filter(Boolean)
+        .flatMap(text => text.split(/\n+/));
+
+      const entities = new Map();
+      const singles = [];
+      const titleCaseCandidates = [];
+      const phraseCounts = new Map();
+
+      segments.forEach(segment => {
+        this.splitSentences(segment).forEach(sentence => {
+          const titleCase = this.isTitleCase(sentence);
+
+          this.findSpans(sentence).forEach(span => {
+            const candidate = this.classify(span);
+            if (!candidate) return;
+
+            if (candidate.type === 'single') {
+              singles.push(candidate);
+            } else if (titleCase && !candidate.confident) {
+              // Headline capitalization says nothing; keep only if the body confirms it
+              titleCaseCandidates.push(candidate);
+            } else {
+              this.addEntity(entities, candidate);
+            }
+          });
+
+          if (!titleCase) {
+            this.countPhrases(sentence, phraseCounts);
+          }
+        });
+      });
+
+      titleCaseCandidates.forEach(candidate => {
+        const existing = entities.get(`${candidate.type}:${this.normalizeKey(candidate.name)}`);
+        if (existing) {
+          existing.count += 1;
+        } else {
+          singles.push(...candidate.tokens.map(token => ({ type: 'single', name: token, tokens: [token] })));
+        }
+      });
+
+      this.resolveSingles(entities, singles);
+
+      phraseCounts.forEach((count, phrase) => {
+        if (count >= this.minPhraseCount) {
+          this.addEntity(entities, { type: 'phrase', name: phrase }, count);
+        }
+      });
+
+      return Array.from(entities.values())
+        .sort((a, b) => b.count - a.count || TYPE_PRIORITY[a.type] - TYPE_PRIORITY[b.type])
+        .slice(0, this.maxEntities);
+    } catch (error) {
+      logger.error('Error extracting entities:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Split text into sentences, ignoring abbreviation and initial periods
+   */
+  splitSentences(text) {
+    const sentences = [];
+    let current = [];
+
+    text.split(/\s+/).filter(Boolean).forEach(token => {
+      current.push(token);
+
+      const match = token.match(/^(.*?)([.!?]+)["”'’)\]]*$/);
+      if (!match) return;
+
+      const word = match[1].replace(/^["“'‘([]+/, '').toLowerCase();
+      if (match[2] === '.' && (ABBREVIATIONS.has(word) || /^[a-z]$/.test(word) || /^([a-z]\.)+[a-z]$/.test(word))) {
+        return;
+      }
+
+      sentences.push(current.join(' '));
+      current = [];
+    });
+
+    if (current.length > 0) {
+      sentences.push(current.join(' '));
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Headlines often capitalize every word
+   */
+  isTitleCase(sentence) {
+    const words = sentence.split(/\s+/)
+      .map(word => word.replace(/[^A-Za-z]/g, ''))
+      .filter(word => word.length > 3);
+
+    if (words.length < 3) return false;
+
+    const capitalized = words.filter(word => /^[A-Z]/.test(word)).length;
+    return capitalized / words.length >= 0.8;
+  }
+
+  /**
+   * Find runs of capitalized words within a sentence
+   * @returns {Array} Spans as { tokens, preceding } where preceding is the word before the span
+   */
+  findSpans(sentence) {
+    const spans = [];
+    let span = [];
+    let preceding = null;
+    let previousWord = null;
+
+    const flush = () => {
+      while (span.length > 0 && CONNECTORS.has(span[span.length - 1])) {
+        span.pop();
+      }
+      if (span.length > 0) {
+        spans.push({ tokens: span, preceding });
+      }
+      span = [];
+    };
+
+    sentence.split(/\s+/).filter(Boolean).forEach((raw, index) => {
+      const leading = raw.match(/^["“'‘([]+/);
+      let word = raw.replace(/^["“'‘([]+/, '');
+      const trailing = word.match(/["”'’)\],.;:!?]+$/);
+      word = word.replace(/["”'’)\],.;:!?]+$/, '');
+
+      // Initials and abbreviations keep their period ("J.", "Corp."); initials and titles continue the name
+      const abbreviated = trailing?.[0] === '.' && (/^[A-Z]$/.test(word) || ABBREVIATIONS.has(word.toLowerCase()));
+      const continues = abbreviated && (/^[A-Z]$/.test(word) || HONORIFICS.has(word.toLowerCase()) || word === 'St');
+      if (abbreviated) {
+        word = `${word}.`;
+      }
+
+      const possessive = /['’]s$/.test(word);
+      word = word.replace(/['’]s$/, '');
+
+      if (leading) flush();
+
+      const lower = word.replace(/\.$/, '').toLowerCase();
+      const capitalized = /^[A-Z]/.test(word)
+        && !DATE_WORDS.has(lower)
+        && !(index === 0 && SENTENCE_START_WORDS.has(lower));
+
+      if (capitalized) {
+        if (span.length === 0) {
+          preceding = previousWord;
+        }
+        span.push(word);
+      } else if (CONNECTORS.has(word) && span.length > 0 && !trailing) {
+        span.push(word);
+      } else {
+        flush();
+      }
+
+      if ((trailing && !continues) || possessive) flush();
+      previousWord = lower;
+    });
+
+    flush();
+    return spans;
+  }
+
+  /**
+   * Decide what kind of entity a span names
+   * @returns {Object|null} { type, name, tokens, confident } where type 'single' is an unresolved lone word
+   */
+  classify({ tokens, preceding }) {
+    const name = tokens.join(' ');
+    const lower = name.toLowerCase().replace(/\./g, '');
+    const words = tokens.map(token => token.toLowerCase().replace(/\.$/, ''));
+
+    if (KNOWN_LOCATIONS.has(lower)) {
+      return { type: 'location', name, tokens, confident: true };
+    }
+    if (KNOWN_ORGANIZATIONS.has(lower)) {
+      return { type: 'organization', name, tokens, confident: true };
+    }
+
+    if (tokens.length === 1 && /^[A-Z][A-Z0-9&]{1,5}$/.test(name)) {
+      if (LOCATION_ACRONYMS.has(lower)) return { type: 'location', name, tokens, confident: true };
+      if (NON_ENTITY_ACRONYMS.has(lower)) return null;
+      return { type: 'organization', name, tokens, confident: true };
+    }
+
+    if (words.some(word => ORGANIZATION_WORDS.has(word)) && !HONORIFICS.has(words[0])) {
+      return { type: 'organization', name, tokens, confident: false };
+    }
+    if (tokens.length > 1 && LOCATION_WORDS.has(words[words.length - 1])) {
+      return { type: 'location', name, tokens, confident: false };
+    }
+
+    // Strip leading titles; a titled name is a person even when it is a lone surname
+    const firstName = words.findIndex(word => !HONORIFICS.has(word));
+    if (firstName === -1) {
+      return null;
+    }
+    if (firstName > 0) {
+      const personTokens = tokens.slice(firstName);
+      if (personTokens.some(token => CONNECTORS.has(token))) return null;
+      return { type: 'person', name: personTokens.join(' '), tokens: personTokens, confident: true };
+    }
+
+    if (tokens.length === 1) {
+      if (LOCATION_PREPOSITIONS.has(preceding)) {
+        return { type: 'location', name, tokens, confident: false };
+      }
+      return { type: 'single', name, tokens };
+    }
+
+    if (tokens.length <= 3 && tokens.every(token => /^[A-Z](?:[a-z]*['’-]?[A-Z]?[a-z]+|\.)$/.test(token))) {
+      return { type: 'person', name, tokens, confident: false };
+    }
+
+    return { type: 'phrase', name, tokens, confident: false };
+  }
+
+  /**
+   * Attach lone surnames (and confirmed lone words) to entities already found
+   */
+  resolveSingles(entities, singles) {
+    const aliases = new Map();
+    entities.forEach(entity => {
+      if (entity.type === 'person') {
+        const parts = entity.name.split(' ');
+        aliases.set(this.normalizeKey(parts[parts.length - 1]), entity);
+      }
+      aliases.set(entity.key, entity);
+    });
+
+    singles.forEach(single => {
+      const entity = aliases.get(this.normalizeKey(single.name));
+      if (entity) {
+        entity.count += 1;
+      }
+    });
+  }
+
+  /**
+   * Count repeated lowercase two-word phrases ("interest rates", "climate change")
+   */
+  countPhrases(sentence, phraseCounts) {
+    const words = sentence.split(/\s+/).map(raw => ({
+      word: raw.replace(/^["“'‘([]+|["”'’)\],.;:!?]+$/g, ''),
+      breaks: /[,.;:!?)"”]$/.test(raw)
+    }));
+
+    for (let i = 0; i < words.length - 1; i++) {
+      const [first, second] = [words[i], words[i + 1]];
+      if (first.breaks) continue;
+      if (![first.word, second.word].every(word => /^[a-z]{3,}$/.test(word) && !PHRASE_STOPWORDS.has(word))) continue;
+
+      const phrase = `${first.word} ${second.word}`;
+      phraseCounts.set(phrase, (phraseCounts.get(phrase) || 0) + 1);
+    }
+  }
+
+  /**
+   * Add a mention to the entity map
+   */
+  addEntity(entities, candidate, count = 1) {
+    const key = this.normalizeKey(candidate.name);
+    if (!key) return;
+
+    const mapKey = `${candidate.type}:${key}`;
+    const existing = entities.get(mapKey);
+
+    if (existing) {
+      existing.count += count;
+    } else {
+      entities.set(mapKey, { type: candidate.type, name: candidate.name, key, count });
+    }
+  }
+
+  /**
+   * Normalize an entity name for matching and URLs ("Coca-Cola" and "coca cola" match)
+   */
+  normalizeKey(name) {
+    return (name || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['’.]/g, '')
+      .replace(/[^a-z0-9&]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Extract entities for articles stored before entity extraction
+   * @param {number} batchSize - Articles per batch
+   * @returns {Promise<number>} Number of articles updated
+   */
+  async backfill(batchSize = ENTITY_CONFIG.BACKFILL_BATCH_SIZE) {
+    let updated = 0;
+    let articles = [];
+
+    try {
+      do {
+        articles = await Article.find({ entities: { $exists: false } })
+          .select('title description content')
+          .limit(batchSize)
+          .lean();
+
+        if (articles.length === 0) break;
+
+        const operations = articles.map(article => ({
+          updateOne: {
+            filter: { _id: article._id },
+            update: { $set: { entities: this.extract(article) } }
+          }
+        }));
+
+        await Article.bulkWrite(operations, { ordered: false });
+        updated += articles.length;
+      } while (articles.length === batchSize);
+
+      logger.info(`Backfilled entities for ${updated} articles`);
+      return updated;
+    } catch (error) {
+      logger.error('Error backfilling entities:', error);
+      return updated;
+    }
+  }
+}
+
+export const entityService = new EntityService();
@@ -0,0 +1,232 @@
+/**
+ * Event Service for Personalized News Aggregator
+ * Records implicit feedback events and rolls them up for analytics
+ */
+
+import { Event } from '../models/Event.js';
+import { Article } from '../models/Article.js';
+import { ReadingHistory } from '../models/ReadingHistory.js';
+import { cacheService } from './cacheService.js';
+import { logger } from '../config/logger.js';
+import { EVENT_TYPES, EVENT_CONFIG } from '../config/constants.js';
+
+const HOUR = 60 * 60 * 1000;
+
+class EventService {
+  /**
+   * Whether a request comes from a crawler or script rather than a reader
+   */
+  isBot(userAgent) {
+    return Boolean(userAgent) && EVENT_CONFIG.BOT_PATTERN.test(userAgent);
+  }
+
+  /**
+   * Record a batch of events, keeping one per actor, type, article and day
+   * Repeated impressions and clicks only bump `count`; dwell and scroll keep the highest value
+   * @param {Array} events - { type, articleId, value, list, position, occurredAt }
+   * @param {Object} actor - { userId, sessionId }
+   * @returns {Promise<Object>} { accepted, duplicates }
+   */
+  async record(events, { userId = null, sessionId }, now = new Date()) {
+    const normalized = events.map(event => this.normalize(event, { userId, sessionId }, now));
+
+    const operations = normalized.map(event => ({
+      updateOne: {
+        filter: { day: event.day, actor: event.actor, type: event.type, articleId: event.articleId },
+        update: this.buildUpdate(event),
+        upsert: true
+      }
+    }));
+
+    let result;
+    try {
+      result = await Event.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      // Two requests upserting the same event at once: the loser is a duplicate
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+      result = error.result;
+    }
+
+    const created = Object.keys(result.upsertedIds || {}).map(index => normalized[index]);
+    await this.applyToCounters(created, normalized, userId);
+
+    return { accepted: created.length, duplicates: events.length - created.length };
+  }
+
+  /**
+   * Clamp values and timestamps and derive the dedupe key fields
+   */
+  normalize(event, { userId, sessionId }, now = new Date()) {
+    let occurredAt = event.occurredAt ? new Date(event.occurredAt) : now;
+    if (isNaN(occurredAt) || Math.abs(now - occurredAt) > EVENT_CONFIG.MAX_CLOCK_SKEW_HOURS * HOUR) {
+      occurredAt = now;
+    }
+
+    let value = null;
+    if (event.type === 'dwell') {
+      value = Math.round(Math.min(Math.max(event.value || 0, 0), EVENT_CONFIG.MAX_DWELL_SECONDS));
+    } else if (event.type === 'scroll') {
+      value = Math.round(Math.min(Math.max(event.value || 0, 0), 100));
+    }
+
+    return {
+      type: event.type,
+      articleId: event.articleId,
+      userId,
+      sessionId,
+      actor: userId ? `u:${userId}` : `s:${sessionId}`,
+      day: this.getDay(occurredAt),
+      value,
+      context: { list: event.list, position: event.position },
+      occurredAt
+    };
+  }
+
+  buildUpdate(event) {
+    const update = {
+      $setOnInsert: {
+        userId: event.userId,
+        sessionId: event.sessionId,
+        context: event.context,
+        firstAt: event.occurredAt
+      },
+      $inc: { count: 1 },
+      $max: { lastAt: event.occurredAt }
+    };
+
+    if (event.value !== null) {
+      update.$max.value = event.value;
+    }
+
+    return update;
+  }
+
+  /**
+   * Start of the UTC day
+   */
+  getDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Update counters that depend on events:
+   * article views from first clicks, reading history dwell, and recommendations after hides
+   * @param {Array} created - Events seen for the first time
+   * @param {Array} all - Every event in the batch
+   */
+  async applyToCounters(created, all, userId) {
+    try {
+      const views = new Map();
+      for (const event of created.filter(item => item.type === 'click')) {
+        views.set(event.articleId, (views.get(event.articleId) || 0) + 1);
+      }
+      if (views.size > 0) {
+        await Article.bulkWrite(Array.from(views, ([articleId, count]) => ({
+          updateOne: { filter: { _id: articleId }, update: { $inc: { views: count } } }
+        })), { ordered: false });
+      }
+
+      if (!userId) return;
+
+      const dwells = all.filter(event => event.type === 'dwell' && event.value > 0);
+      if (dwells.length > 0) {
+        await ReadingHistory.bulkWrite(dwells.map(event => ({
+          updateOne: {
+            filter: { userId, articleId: event.articleId },
+            update: { $max: { dwellSeconds: event.value } }
+          }
+        })), { ordered: false });
+      }
+
+      if (all.some(event => event.type === 'hide')) {
+        await cacheService.invalidatePattern(`recommendations:${userId}:*`);
+      }
+    } catch (error) {
+      logger.error('Error applying events to counters:', error);
+    }
+  }
+
+  /**
+   * Articles a user has hidden, to leave out of recommendations
+   */
+  async getHiddenArticleIds(userId) {
+    return Event.distinct('articleId', { userId, type: 'hide' });
+  }
+
+  /**
+   * Roll up one day of events: totals, rates and the most clicked articles
+   * @param {Date} day - Any time on the UTC day
+   */
+  async getDailyEngagement(day) {
+    const rows = await Event.aggregate([
+      { $match: { day: this.getDay(day) } },
+      {
+        $group: {
+          _id: { articleId: '$articleId', type: '$type' },
+          events: { $sum: 1 },
+          valueSum: { $sum: { $ifNull: ['$value', 0] } }
+        }
+      }
+    ]);
+
+    return this.summarizeEngagement(rows);
+  }
+
+  /**
+   * Fold { _id: { articleId, type }, events, valueSum } rows into a rollup
+   */
+  summarizeEngagement(rows) {
+    const totals = Object.fromEntries(EVENT_TYPES.map(type => [type, 0]));
+    const valueSums = { dwell: 0, scroll: 0 };
+    const articles = new Map();
+
+    for (const row of rows) {
+      const { type } = row._id;
+      const articleId = row._id.articleId.toString();
+
+      totals[type] += row.events;
+      if (type in valueSums) valueSums[type] += row.valueSum;
+
+      const article = articles.get(articleId) ||
+        { articleId, impressions: 0, clicks: 0, hides: 0, dwells: 0, dwellSum: 0, scrolls: 0, scrollSum: 0 };
+      if (type === 'impression') article.impressions += row.events;
+      if (type === 'click') article.clicks += row.events;
+      if (type === 'hide') article.hides += row.events;
+      if (type === 'dwell') {
+        article.dwells += row.events;
+        article.dwellSum += row.valueSum;
+      }
+      if (type === 'scroll') {
+        article.scrolls += row.events;
+        article.scrollSum += row.valueSum;
+      }
+      articles.set(articleId, article);
+    }
+
+    const ratio = (a, b) => (b > 0 ? Math.round(a / b * 1000) / 1000 : 0);
+    const average = (sum, count) => (count > 0 ? Math.round(sum / count) : 0);
+
+    return {
+      totals,
+      clickThroughRate: ratio(totals.click, totals.impression),
+      avgDwellSeconds: average(valueSums.dwell, totals.dwell),
+      avgScrollDepth: average(valueSums.scroll, totals.scroll),
+      articles: Array.from(articles.values())
+        .sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions)
+        .slice(0, EVENT_CONFIG.TOP_ARTICLES)
+        .map(article => ({
+          articleId: article.articleId,
+          impressions: article.impressions,
+          clicks: article.clicks,
+          clickThroughRate: ratio(article.clicks, article.impressions),
+          avgDwellSeconds: average(article.dwellSum, article.dwells),
+          avgScrollDepth: average(article.scrollSum, article.scrolls),
+          hides: article.hides
+        }))
+    };
+  }
+}
+
+export const eventService = new EventService();
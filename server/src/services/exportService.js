@@ -0,0 +1,382 @@
+/**
+ * Export Service for Personalized News Aggregator
+ * Streams a user's saved articles as JSON, CSV, Markdown, Netscape bookmarks or EPUB
+ */
+
+import crypto from 'crypto';
+import { Collection } from '../models/Collection.js';
+import { SavedArticle } from '../models/SavedArticle.js';
+import { ZipWriter } from '../utils/zip.js';
+import { EXPORT_FORMATS } from '../config/constants.js';
+
+const ARTICLE_FIELDS = 'title description content url source author category tags publishedAt';
+
+const CSV_COLUMNS = [
+  'title', 'url', 'source', 'author', 'category', 'tags', 'collection',
+  'status', 'progress', 'note', 'highlights', 'savedAt', 'publishedAt'
+];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+class ExportService {
+  constructor() {
+    this.formats = EXPORT_FORMATS;
+  }
+
+  /**
+   * Response headers for a download in the given format
+   * @param {string} format - One of EXPORT_FORMATS
+   * @returns {Object} Content-Type and Content-Disposition
+   */
+  getHeaders(format, now = new Date()) {
+    const { contentType, extension } = this.formats[format];
+    const charset = format === 'epub' ? '' : '; charset=utf-8';
+
+    return {
+      'Content-Type': `${contentType}${charset}`,
+      'Content-Disposition': `attachment; filename="saved-articles-${now.toISOString().slice(0, 10)}.${extension}"`
+    };
+  }
+
+  /**
+   * Write every saved article of the user to a response, collection by collection
+   * Stops early when the client goes away
+   * @param {Object} res - Writable response
+   * @param {Object} user - User document
+   * @param {string} format - One of EXPORT_FORMATS
+   */
+  async write(res, user, format, now = new Date()) {
+    const writers = {
+      json: () => this.writeJson(res, user, now),
+      csv: () => this.writeCsv(res, user),
+      md: () => this.writeMarkdown(res, user, now),
+      html: () => this.writeBookmarks(res, user),
+      epub: () => this.writeEpub(res, user, now)
+    };
+
+    await writers[format]();
+  }
+
+  /**
+   * Saved articles as flat records, grouped by collection in the user's order with unsorted last
+   * @returns {AsyncGenerator<Object>} Records from toRecord
+   */
+  async *getRecords(userId) {
+    const collections = await Collection.findByUser(userId);
+    const groups = [...collections, { _id: null, name: null }];
+
+    for (const collection of groups) {
+      const cursor = SavedArticle.find({ userId, collectionId: collection._id })
+        .sort({ savedAt: -1 })
+        .populate('articleId', ARTICLE_FIELDS)
+        .lean()
+        .cursor();
+
+      for await (const saved of cursor) {
+        // Skip saves whose article was deleted
+        if (saved.articleId) {
+          yield this.toRecord(saved, collection.name);
+        }
+      }
+    }
+  }
+
+  /**
+   * Flatten a saved article with its populated article
+   */
+  toRecord(saved, collection = null) {
+    const article = saved.articleId;
+
+    return {
+      title: article.title,
+      url: article.url,
+      source: article.source?.name || null,
+      author: article.author || null,
+      category: saved.category || article.category || null,
+      tags: saved.tags?.length ? saved.tags : article.tags || [],
+      description: article.description || '',
+      content: article.content || '',
+      collection,
+      status: saved.status || 'unread',
+      progress: saved.progress || 0,
+      note: saved.note || '',
+      highlights: (saved.highlights || []).map(({ text, color, note }) => ({ text, color, note: note || '' })),
+      savedAt: toIso(saved.savedAt),
+      publishedAt: toIso(article.publishedAt)
+    };
+  }
+
+  async writeJson(res, user, now) {
+    await this.send(res, `{"exportedAt":${JSON.stringify(now.toISOString())},"articles":[`);
+
+    let first = true;
+    for await (const record of this.getRecords(user._id)) {
+      if (res.destroyed) return;
+
+      // Full text stays in the EPUB export
+      await this.send(res, `${first ? '\n' : ',\n'}${JSON.stringify({ ...record, content: undefined })}`);
+      first = false;
+    }
+
+    await this.send(res, '\n]}\n');
+  }
+
+  async writeCsv(res, user) {
+    await this.send(res, `${CSV_COLUMNS.join(',')}\r\n`);
+
+    for await (const record of this.getRecords(user._id)) {
+      if (res.destroyed) return;
+      await this.send(res, this.toCsvRow(record));
+    }
+  }
+
+  /**
+   * One CSV line; tags are comma separated and highlights one per line within their cell
+   */
+  toCsvRow(record) {
+    const values = {
+      ...record,
+      tags: record.tags.join(', '),
+      highlights: record.highlights.map(highlight => highlight.text).join('\n')
+    };
+
+    return `${CSV_COLUMNS.map(column => this.toCsvCell(values[column])).join(',')}\r\n`;
+  }
+
+  /**
+   * Quote a CSV cell, neutralising values a spreadsheet would run as a formula
+   */
+  toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  async writeMarkdown(res, user, now) {
+    await this.send(res, `# Saved articles\n\nExported ${now.toISOString().slice(0, 10)}\n`);
+
+    let collection;
+    for await (const record of this.getRecords(user._id)) {
+      if (res.destroyed) return;
+
+      if (record.collection !== collection) {
+        collection = record.collection;
+        await this.send(res, `\n## ${collection ?? 'Unsorted'}\n`);
+      }
+
+      await this.send(res, this.toMarkdown(record));
+    }
+  }
+
+  /**
+   * One article as a Markdown section with its note as a quote and highlights as a list
+   */
+  toMarkdown(record) {
+    const title = record.title.replace(/([[\]])/g, '\\$1');
+    const details = [record.source, record.status, record.savedAt && `saved ${record.savedAt.slice(0, 10)}`]
+      .filter(Boolean)
+      .join(' · ');
+    const lines = [`\n### [${title}](${encodeURI(record.url)})\n`, `${details}\n`];
+
+    if (record.tags.length > 0) {
+      lines.push(`Tags: ${record.tags.map(tag => `#${tag}`).join(' ')}\n`);
+    }
+
+    if (record.note) {
+      lines.push(`${record.note.split('\n').map(line => `> ${line}`).join('\n')}\n`);
+    }
+
+    if (record.highlights.length > 0) {
+      const highlights = record.highlights
+        .map(({ text, note }) => `- ==${text.replace(/\s+/g, ' ')}==${note ? ` — ${note}` : ''}`);
+      lines.push(`${highlights.join('\n')}\n`);
+    }
+
+    return lines.join('\n');
+  }
+
+  async writeBookmarks(res, user) {
+    await this.send(res, [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>',
+      ''
+    ].join('\n'));
+
+    let collection = null;
+    for await (const record of this.getRecords(user._id)) {
+      if (res.destroyed) return;
+
+      if (record.collection !== collection) {
+        // Unsorted articles come last and sit at the top level
+        const close = collection !== null ? '    </DL><p>\n' : '';
+        collection = record.collection;
+        const open = collection !== null ? `    <DT><H3>${escapeHtml(collection)}</H3>\n    <DL><p>\n` : '';
+        await this.send(res, close + open);
+      }
+
+      await this.send(res, this.toBookmark(record, collection !== null ? '        ' : '    '));
+    }
+
+    await this.send(res, `${collection !== null ? '    </DL><p>\n' : ''}</DL><p>\n`);
+  }
+
+  /**
+   * One Netscape bookmark; the note becomes its description
+   */
+  toBookmark(record, indent = '') {
+    const addDate = record.savedAt ? Math.floor(new Date(record.savedAt).getTime() / 1000) : '';
+    const tags = record.tags.length > 0 ? ` TAGS="${escapeHtml(record.tags.join(','))}"` : '';
+    const note = record.note ? `\n${indent}<DD>${escapeHtml(record.note)}` : '';
+
+    return `${indent}<DT><A HREF="${escapeHtml(record.url)}" ADD_DATE="${addDate}"${tags}>${escapeHtml(record.title)}</A>${note}\n`;
+  }
+
+  /**
+   * EPUB 3 book with one chapter per article; chapters are written as they are read,
+   * the package document and table of contents once all are known
+   */
+  async writeEpub(res, user, now) {
+    const zip = new ZipWriter(res, { modified: now });
+    const chapters = [];
+
+    zip.addFile('mimetype', 'application/epub+zip', { store: true });
+    zip.addFile('META-INF/container.xml', [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+      '  <rootfiles>',
+      '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+      '  </rootfiles>',
+      '</container>'
+    ].join('\n'));
+
+    for await (const record of this.getRecords(user._id)) {
+      if (res.destroyed) return;
+
+      const file = `article-${String(chapters.length + 1).padStart(4, '0')}.xhtml`;
+      zip.addFile(`OEBPS/${file}`, this.toChapter(record));
+      chapters.push({ file, title: record.title, collection: record.collection });
+      await this.drain(res);
+    }
+
+    const title = `Saved articles — ${user.username || user.name || 'reader'}`;
+    zip.addFile('OEBPS/nav.xhtml', this.toNav(title, chapters));
+    zip.addFile('OEBPS/content.opf', this.toPackage(title, chapters, now));
+    zip.finish();
+    await this.drain(res);
+  }
+
+  toChapter(record) {
+    const details = [record.source, record.author, record.publishedAt?.slice(0, 10)].filter(Boolean);
+    const body = (record.content || record.description)
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .map(paragraph => `    <p>${escapeHtml(paragraph)}</p>`);
+    const note = record.note
+      ? [`    <aside><p><strong>Note:</strong> ${escapeHtml(record.note)}</p></aside>`]
+      : [];
+    const highlights = record.highlights.length > 0
+      ? ['    <h2>Highlights</h2>', '    <ul>', ...record.highlights.map(({ text }) => `      <li>${escapeHtml(text)}</li>`), '    </ul>']
+      : [];
+
+    return this.toXhtml(record.title, [
+      `    <h1>${escapeHtml(record.title)}</h1>`,
+      `    <p>${escapeHtml(details.join(' · '))} · <a href="${escapeHtml(record.url)}">Original</a></p>`,
+      ...note,
+      ...highlights,
+      ...body
+    ]);
+  }
+
+  toNav(title, chapters) {
+    const items = chapters.map(({ file, title: chapter, collection }) =>
+      `        <li><a href="${file}">${escapeHtml(collection ? `${collection}: ${chapter}` : chapter)}</a></li>`);
+
+    return this.toXhtml(title, [
+      '    <nav epub:type="toc" id="toc">',
+      `      <h1>${escapeHtml(title)}</h1>`,
+      '      <ol>',
+      ...(items.length > 0 ? items : ['        <li><a href="nav.xhtml">No saved articles</a></li>']),
+      '      </ol>',
+      '    </nav>'
+    ]);
+  }
+
+  toPackage(title, chapters, now) {
+    const manifest = chapters.map(({ file }, index) =>
+      `    <item id="article-${index + 1}" href="${file}" media-type="application/xhtml+xml"/>`);
+    const spine = chapters.map((_, index) => `    <itemref idref="article-${index + 1}"/>`);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">',
+      '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      `    <dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>`,
+      `    <dc:title>${escapeHtml(title)}</dc:title>`,
+      '    <dc:language>en</dc:language>',
+      `    <meta property="dcterms:modified">${now.toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`,
+      '  </metadata>',
+      '  <manifest>',
+      '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      ...manifest,
+      '  </manifest>',
+      '  <spine>',
+      ...(spine.length > 0 ? spine : ['    <itemref idref="nav"/>']),
+      '  </spine>',
+      '</package>'
+    ].join('\n');
+  }
+
+  toXhtml(title, body) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE html>',
+      '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+      '  <head>',
+      `    <title>${escapeHtml(title)}</title>`,
+      '  </head>',
+      '  <body>',
+      ...body,
+      '  </body>',
+      '</html>'
+    ].join('\n');
+  }
+
+  /**
+   * Write a chunk, waiting for the client to catch up when the buffer is full
+   */
+  async send(res, chunk) {
+    res.write(chunk);
+    await this.drain(res);
+  }
+
+  drain(res) {
+    if (!res.writableNeedDrain || res.destroyed) {
+      return Promise.resolve();
+    }
+
+    // A client that disconnects never drains
+    return new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+}
+
+export const exportService = new ExportService();
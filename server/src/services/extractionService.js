@@ -0,0 +1,503 @@
+/**
+ * Extraction Service for Personalized News Aggregator
+ * Fetches article pages and extracts the full text, lead image, byline and
+ * publish time using readability-style scoring plus OpenGraph/JSON-LD metadata
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { Article } from '../models/Article.js';
+import { EXTRACTION_CONFIG } from '../config/constants.js';
+import { logger } from '../config/logger.js';
+import { urlGuard } from '../utils/urlGuard.js';
+import { cacheService } from './cacheService.js';
+import { sentimentService } from './sentimentService.js';
+import { entityService } from './entityService.js';
+
+// Class/id patterns used to prune boilerplate and weight candidates
+const UNLIKELY_CANDIDATES = /banner|breadcrumb|combx|comment|community|cookie|disqus|footer|header|menu|modal|nav|newsletter|outbrain|popup|promo|related|remark|share|sidebar|social|sponsor|subscribe|taboola|toolbar|widget|\bad\b|ad-|advert/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow|story/i;
+const POSITIVE_PATTERN = /article|body|content|entry|hentry|main|page|post|story|text/i;
+const NEGATIVE_PATTERN = /comment|footer|meta|nav|promo|related|share|sidebar|social|sponsor|subscribe|widget|\bad\b|advert/i;
+
+const REMOVED_TAGS = 'script, style, noscript, iframe, form, nav, footer, aside, svg, canvas, button, select, textarea, template, figcaption';
+const CONTENT_BLOCKS = 'p, h2, h3, h4, li, pre, blockquote';
+
+const ARTICLE_TYPES = [
+  'Article',
+  'NewsArticle',
+  'ReportageNewsArticle',
+  'AnalysisNewsArticle',
+  'OpinionNewsArticle',
+  'BlogPosting',
+  'Report'
+];
+
+const TAG_WEIGHTS = {
+  article: 10,
+  main: 10,
+  div: 5,
+  section: 3,
+  pre: 3,
+  td: 3,
+  blockquote: 3,
+  ol: -3,
+  ul: -3,
+  li: -3,
+  form: -3,
+  h1: -5,
+  h2: -5,
+  h3: -5,
+  th: -5
+};
+
+class ExtractionService {
+  constructor() {
+    this.timeout = EXTRACTION_CONFIG.TIMEOUT;
+    this.minTextLength = EXTRACTION_CONFIG.MIN_TEXT_LENGTH;
+    this.maxContentLength = EXTRACTION_CONFIG.MAX_CONTENT_LENGTH;
+  }
+
+  /**
+   * Extract pending articles (new, or failed and due for a retry)
+   * @param {number} limit - Maximum number of articles to process
+   * @returns {Promise<Object>} Processed, extracted and failed counts
+   */
+  async processPending(limit = EXTRACTION_CONFIG.BATCH_SIZE) {
+    const now = Date.now();
+    const since = new Date(now - EXTRACTION_CONFIG.LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const retryBefore = new Date(now - EXTRACTION_CONFIG.RETRY_AFTER_MINUTES * 60 * 1000);
+
+    const articles = await Article.find({
+      isActive: true,
+      publishedAt: { $gte: since },
+      $or: [
+        { 'extraction.status': 'pending' },
+        { 'extraction.status': { $exists: false } },
+        {
+          'extraction.status': 'failed',
+          'extraction.attempts': { $lt: EXTRACTION_CONFIG.MAX_ATTEMPTS },
+          'extraction.lastAttemptAt': { $lte: retryBefore }
+        }
+      ]
+    })
+      .sort({ publishedAt: -1 })
+      .limit(limit);
+
+    const result = { processed: 0, extracted: 0, failed: 0 };
+
+    for (let i = 0; i < articles.length; i += EXTRACTION_CONFIG.CONCURRENCY) {
+      const batch = articles.slice(i, i + EXTRACTION_CONFIG.CONCURRENCY);
+      const outcomes = await Promise.all(batch.map(article => this.extractArticle(article)));
+
+      outcomes.forEach(outcome => {
+        result.processed++;
+        if (outcome.success) {
+          result.extracted++;
+        } else {
+          result.failed++;
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Fetch and extract one article, recording the outcome on the article
+   * @param {Object} article - Article document
+   * @returns {Promise<Object>} { success, error }
+   */
+  async extractArticle(article) {
+    const now = new Date();
+    const attempts = (article.extraction?.attempts || 0) + 1;
+
+    try {
+      const html = await this.fetchPage(article.url);
+      const extracted = this.extract(html, article.url);
+
+      if (!extracted.content) {
+        throw new Error('No article body found');
+      }
+
+      article.content = extracted.content;
+      article.extraction = {
+        status: 'success',
+        attempts,
+        lastAttemptAt: now,
+        extractedAt: now,
+        error: null,
+        leadImage: extracted.leadImage,
+        byline: extracted.byline,
+        publishedAt: extracted.publishedAt
+      };
+
+      // The full text gives better sentiment and entity readings than the teaser
+      sentimentService.applyTo(article);
+      article.entities = entityService.extract(article);
+
+      if (!article.author && extracted.byline) {
+        article.author = extracted.byline;
+      }
+
+      // Only adopt the lead image when it passes the article's image URL validation
+      if (!article.urlToImage && extracted.leadImage) {
+        article.urlToImage = extracted.leadImage;
+        if (article.validateSync(['urlToImage'])) {
+          article.urlToImage = null;
+        }
+      }
+
+      await article.save();
+      await cacheService.del(`article:${article._id}`);
+
+      return { success: true };
+    } catch (error) {
+      logger.warn(`Extraction failed for ${article.url}: ${error.message}`);
+
+      await Article.updateOne({ _id: article._id }, {
+        $set: {
+          'extraction.status': 'failed',
+          'extraction.attempts': attempts,
+          'extraction.lastAttemptAt': now,
+          'extraction.error': error.message
+        }
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Download an article page
+   * @param {string} url - Article URL
+   * @returns {Promise<string>} HTML
+   */
+  async fetchPage(url) {
+    // Article links come from feeds, which users can register
+    urlGuard.assertAllowedUrl(url);
+
+    const response = await axios.get(url, {
+      ...urlGuard.requestOptions(),
+      timeout: this.timeout,
+      responseType: 'text',
+      maxContentLength: EXTRACTION_CONFIG.MAX_HTML_BYTES,
+      headers: {
+        'User-Agent': 'NewsAggregator/1.0',
+        'Accept': 'text/html,application/xhtml+xml'
+      }
+    });
+
+    const contentType = response.headers?.['content-type'] || '';
+    if (contentType && !/html/i.test(contentType)) {
+      throw new Error(`Unsupported content type: ${contentType}`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Extract body text and metadata from an article page
+   * @param {string} html - Page HTML
+   * @param {string} url - Page URL (for resolving relative links)
+   * @returns {Object} { title, content, leadImage, byline, publishedAt, siteName }
+   */
+  extract(html, url) {
+    const $ = cheerio.load(html);
+
+    // Metadata first: pruning below removes the elements bylines often live in
+    const metadata = this.extractMetadata($, url);
+
+    this.prune($);
+    let paragraphs = this.extractParagraphs($);
+
+    // Publishers that embed the full body in JSON-LD are more reliable than scoring
+    const jsonLdParagraphs = this.splitParagraphs(metadata.articleBody);
+    if (this.textLength(jsonLdParagraphs) > this.textLength(paragraphs)) {
+      paragraphs = jsonLdParagraphs;
+    }
+
+    const content = paragraphs.join('\n\n').slice(0, this.maxContentLength);
+
+    return {
+      title: metadata.title,
+      content: content.length >= this.minTextLength ? content : null,
+      leadImage: metadata.leadImage,
+      byline: metadata.byline,
+      publishedAt: metadata.publishedAt,
+      siteName: metadata.siteName
+    };
+  }
+
+  /**
+   * Read OpenGraph, meta tag and JSON-LD metadata
+   */
+  extractMetadata($, url) {
+    const jsonLd = this.extractJsonLd($);
+    const meta = (...names) => {
+      for (const name of names) {
+        const value = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+        if (value && value.trim()) {
+          return value.trim();
+        }
+      }
+      return null;
+    };
+
+    const metaAuthor = meta('author', 'article:author', 'byl', 'parsely-author', 'sailthru.author');
+
+    return {
+      title: this.normalizeText(jsonLd?.headline || meta('og:title', 'twitter:title') || $('title').first().text()),
+      leadImage: this.resolveUrl(
+        this.getImageUrl(jsonLd?.image) || meta('og:image', 'og:image:url', 'twitter:image', 'twitter:image:src'),
+        url
+      ),
+      byline: this.getAuthorName(jsonLd?.author)
+        || (metaAuthor && !/^https?:\/\//.test(metaAuthor) ? this.cleanByline(metaAuthor) : null)
+        || this.findBylineInPage($),
+      publishedAt: this.parseDate(
+        jsonLd?.datePublished
+        || meta('article:published_time', 'og:published_time', 'pubdate', 'publishdate', 'parsely-pub-date', 'dc.date')
+        || $('time[datetime]').first().attr('datetime')
+      ),
+      siteName: meta('og:site_name') || jsonLd?.publisher?.name || null,
+      articleBody: jsonLd?.articleBody || null
+    };
+  }
+
+  /**
+   * Find the first article object in the page's JSON-LD blocks
+   */
+  extractJsonLd($) {
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+      try {
+        const data = JSON.parse($(element).contents().text());
+        const queue = Array.isArray(data) ? [...data] : [data];
+
+        while (queue.length > 0) {
+          const node = queue.shift();
+          if (!node || typeof node !== 'object') continue;
+
+          nodes.push(node);
+          if (Array.isArray(node['@graph'])) {
+            queue.push(...node['@graph']);
+          }
+        }
+      } catch (error) {
+        // Malformed JSON-LD is common; fall back to other metadata
+      }
+    });
+
+    return nodes.find(node => {
+      const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+      return types.some(type => ARTICLE_TYPES.includes(type));
+    }) || null;
+  }
+
+  /**
+   * Look for a byline element in the page
+   */
+  findBylineInPage($) {
+    const candidates = $('[rel="author"], [itemprop="author"], .byline, .author, .article-author').toArray();
+
+    for (const element of candidates) {
+      const byline = this.cleanByline($(element).text());
+      if (byline) {
+        return byline;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove boilerplate elements before scoring
+   */
+  prune($) {
+    $(REMOVED_TAGS).remove();
+
+    $('*').each((_, element) => {
+      const tag = element.tagName?.toLowerCase();
+      if (['html', 'body', 'article', 'main'].includes(tag)) return;
+
+      const signature = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+      if (UNLIKELY_CANDIDATES.test(signature) && !MAYBE_CANDIDATES.test(signature)) {
+        $(element).remove();
+      }
+    });
+  }
+
+  /**
+   * Score paragraph containers and return the main body as paragraphs
+   */
+  extractParagraphs($) {
+    const scores = new Map();
+    const addScore = (element, score) => {
+      if (!element || element.type !== 'tag') return;
+      if (!scores.has(element)) {
+        scores.set(element, this.getInitialScore($, element));
+      }
+      scores.set(element, scores.get(element) + score);
+    };
+
+    $('p, pre, td').each((_, element) => {
+      const text = this.normalizeText($(element).text());
+      if (text.length < 25) return;
+
+      // One point per paragraph, one per comma and one per 100 characters (max 3)
+      const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      addScore(element.parent, score);
+      addScore(element.parent?.parent, score / 2);
+    });
+
+    let topCandidate = null;
+    let topScore = 0;
+    for (const [element, score] of scores) {
+      const finalScore = score * (1 - this.getLinkDensity($, element));
+      scores.set(element, finalScore);
+      if (finalScore > topScore) {
+        topCandidate = element;
+        topScore = finalScore;
+      }
+    }
+
+    if (!topCandidate) {
+      return [];
+    }
+
+    // Siblings that scored well are usually split parts of the same body
+    const threshold = Math.max(10, topScore * 0.2);
+    const containers = $(topCandidate).parent().children().toArray().filter(element =>
+      element === topCandidate || (scores.get(element) || 0) >= threshold
+    );
+
+    const paragraphs = [];
+    containers.forEach(container => {
+      $(container).find(CONTENT_BLOCKS).each((_, block) => {
+        // Blocks that hold paragraphs are covered by those paragraphs
+        if ($(block).find('p').length > 0) return;
+        if (this.getLinkDensity($, block) > 0.5) return;
+
+        const text = this.normalizeText($(block).text());
+        if (text) {
+          paragraphs.push(text);
+        }
+      });
+    });
+
+    return paragraphs;
+  }
+
+  /**
+   * Starting score for a candidate based on its tag and class/id
+   */
+  getInitialScore($, element) {
+    const signature = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+    let score = TAG_WEIGHTS[element.tagName?.toLowerCase()] || 0;
+
+    if (POSITIVE_PATTERN.test(signature)) score += 25;
+    if (NEGATIVE_PATTERN.test(signature)) score -= 25;
+
+    return score;
+  }
+
+  /**
+   * Share of an element's text that sits inside links
+   */
+  getLinkDensity($, element) {
+    const textLength = this.normalizeText($(element).text()).length;
+    if (textLength === 0) {
+      return 0;
+    }
+
+    let linkLength = 0;
+    $(element).find('a').each((_, link) => {
+      linkLength += this.normalizeText($(link).text()).length;
+    });
+
+    return linkLength / textLength;
+  }
+
+  /**
+   * Resolve the JSON-LD image forms: string, { url }, or an array of either
+   */
+  getImageUrl(image) {
+    if (!image) return null;
+    if (Array.isArray(image)) return this.getImageUrl(image[0]);
+    if (typeof image === 'string') return image;
+    return image.url || image.contentUrl || null;
+  }
+
+  /**
+   * Resolve the JSON-LD author forms: string, { name }, or an array of either
+   */
+  getAuthorName(author) {
+    if (!author) return null;
+
+    const names = (Array.isArray(author) ? author : [author])
+      .map(entry => (typeof entry === 'string' ? entry : entry?.name))
+      .filter(Boolean);
+
+    return names.length > 0 ? this.cleanByline(names.join(', ')) : null;
+  }
+
+  /**
+   * Normalize a byline, rejecting text too long to be one
+   */
+  cleanByline(text) {
+    const byline = this.normalizeText(text).replace(/^by\s+/i, '');
+    return byline && byline.length <= 100 ? byline : null;
+  }
+
+  /**
+   * Split a plain-text body into paragraphs
+   */
+  splitParagraphs(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    return text.split(/\n\s*\n|\r\n\s*\r\n|\n/)
+      .map(paragraph => this.normalizeText(paragraph))
+      .filter(Boolean);
+  }
+
+  /**
+   * Total characters across paragraphs
+   */
+  textLength(paragraphs) {
+    return paragraphs.reduce((sum, paragraph) => sum + paragraph.length, 0);
+  }
+
+  /**
+   * Collapse whitespace
+   */
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Parse a date, returning null when invalid
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Resolve a possibly relative URL against the page URL
+   */
+  resolveUrl(value, base) {
+    if (!value) return null;
+    try {
+      return new URL(value, base).href;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export const extractionService = new ExtractionService();
@@ -0,0 +1,110 @@
+/**
+ * Feed Service for Personalized News Aggregator
+ * Polls admin-registered RSS/Atom/RDF feeds and stores their articles
+ */
+
+import { Feed } from '../models/Feed.js';
+import { rssService } from './apis/rssService.js';
+import { newsService } from './newsService.js';
+import { logger } from '../config/logger.js';
+import { httpCache } from '../utils/httpCache.js';
+
+class FeedService {
+  constructor() {
+    this.pageSize = parseInt(process.env.FEED_PAGE_SIZE) || 50;
+  }
+
+  /**
+   * Poll every active feed in the registry
+   * @returns {Promise<Object>} Aggregated poll results
+   */
+  async pollFeeds() {
+    const startTime = Date.now();
+    const feeds = await Feed.findActive();
+
+    const result = {
+      feeds: feeds.length,
+      failedFeeds: 0,
+      totalFetched: 0,
+      totalSaved: 0,
+      totalSkipped: 0
+    };
+
+    for (const feed of feeds) {
+      const feedResult = await this.pollFeed(feed);
+
+      if (!feedResult.success) {
+        result.failedFeeds++;
+      }
+      result.totalFetched += feedResult.totalFetched;
+      result.totalSaved += feedResult.totalSaved;
+      result.totalSkipped += feedResult.totalSkipped;
+    }
+
+    result.duration = `${Date.now() - startTime}ms`;
+
+    logger.info('Feed polling completed', result);
+    return result;
+  }
+
+  /**
+   * Poll a single feed and record the outcome on the registry entry
+   * @param {Object} feed - Feed document
+   * @param {Object} state - Source state with stored validators (enables conditional requests)
+   * @returns {Promise<Object>} Poll result for this feed; failures carry the feed's Retry-After as retryAt
+   */
+  async pollFeed(feed, state = null) {
+    const result = {
+      feedId: feed._id,
+      success: true,
+      notModified: false,
+      validators: null,
+      retryAt: null,
+      totalFetched: 0,
+      totalSaved: 0,
+      totalSkipped: 0
+    };
+
+    try {
+      const { notModified, validators, articles } = await rssService.fetchFeedConditional(
+        feed,
+        state,
+        { pageSize: this.pageSize }
+      );
+
+      result.notModified = notModified;
+      result.validators = validators;
+      Object.assign(result, await newsService.processArticles(articles));
+
+      if (result.totalSaved > 0) {
+        await newsService.invalidateCaches([feed.category], []);
+      }
+
+      await Feed.updateOne({ _id: feed._id }, {
+        $set: {
+          lastFetchedAt: new Date(),
+          lastStatus: notModified ? 'not_modified' : 'success',
+          lastError: null,
+          ...(notModified ? {} : { lastItemCount: articles.length })
+        }
+      });
+    } catch (error) {
+      logger.error(`Error polling feed ${feed.name}:`, error);
+      result.success = false;
+      result.error = error.message;
+      result.retryAt = httpCache.getErrorRetryAt(error);
+
+      await Feed.updateOne({ _id: feed._id }, {
+        $set: {
+          lastFetchedAt: new Date(),
+          lastStatus: 'error',
+          lastError: error.message
+        }
+      });
+    }
+
+    return result;
+  }
+}
+
+export const feedService = new FeedService();
@@ -0,0 +1,233 @@
+/**
+ * Import Service for Personalized News Aggregator
+ * Saves bookmarks from Pocket, Instapaper and Netscape (browser) HTML exports
+ */
+
+import * as cheerio from 'cheerio';
+import { Article } from '../models/Article.js';
+import { Collection } from '../models/Collection.js';
+import { SavedArticle } from '../models/SavedArticle.js';
+import { User } from '../models/User.js';
+import { dedupeService } from './dedupeService.js';
+import { newsService } from './newsService.js';
+import { taggerService } from './taggerService.js';
+import { logger } from '../config/logger.js';
+import { COLLECTION_CONFIG, IMPORT_CONFIG } from '../config/constants.js';
+
+class ImportService {
+  constructor() {
+    this.config = IMPORT_CONFIG;
+  }
+
+  /**
+   * Read the links out of a bookmark export
+   * Netscape files nest <DL> lists under <H3> folder names; Pocket and Instapaper
+   * put <ul>/<ol> lists under <h1> headings (Unread, Read Archive, folders)
+   * @param {string} html - Exported file
+   * @returns {Array<Object>} { url, title, addedAt, tags, note, folder } per distinct http(s) link
+   */
+  parse(html) {
+    const $ = cheerio.load(html);
+    const bookmarks = new Map();
+
+    $('a[href]').each((_, element) => {
+      const link = $(element);
+      const url = (link.attr('href') || '').trim();
+
+      if (!/^https?:\/\//i.test(url) || bookmarks.has(url)) {
+        return;
+      }
+
+      const added = parseInt(link.attr('add_date') || link.attr('time_added'), 10);
+      const tags = (link.attr('tags') || '')
+        .split(',')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean);
+      const folder = link.closest('dl').prevAll('h3').first().text()
+        || link.closest('ul, ol').prevAll('h1').first().text();
+
+      bookmarks.set(url, {
+        url,
+        title: link.text().replace(/\s+/g, ' ').trim() || url,
+        addedAt: added > 0 ? new Date(added * 1000) : null,
+        tags,
+        note: link.closest('dt').next('dd').text().trim(),
+        folder: folder.trim() || null
+      });
+    });
+
+    return [...bookmarks.values()];
+  }
+
+  /**
+   * Where an imported bookmark goes: its reading status, and the collection named after its
+   * folder (null for unsorted). Archive folders import as read, root and Unread folders unsorted
+   */
+  getPlacement(folder) {
+    const name = (folder || '').toLowerCase();
+
+    if (this.config.ARCHIVE_FOLDERS.includes(name)) {
+      return { status: 'read', collection: null };
+    }
+
+    if (!name || this.config.UNREAD_FOLDERS.includes(name) || this.config.ROOT_FOLDERS.includes(name)) {
+      return { status: 'unread', collection: null };
+    }
+
+    return { status: 'unread', collection: folder };
+  }
+
+  /**
+   * Save every bookmark in an export for a user
+   * Bookmarks already in the catalogue reuse that article; the rest become inactive articles
+   * only their savers see, so personal reading lists never surface in shared feeds
+   * @param {Object} user - User document
+   * @param {string} html - Exported file
+   * @returns {Promise<Object>} { imported, created, alreadySaved, skipped, collections }
+   */
+  async importBookmarks(user, html, now = new Date()) {
+    const userId = user._id;
+    const bookmarks = this.parse(html);
+    const result = {
+      imported: 0,
+      created: 0,
+      alreadySaved: 0,
+      skipped: Math.max(bookmarks.length - this.config.MAX_BOOKMARKS, 0),
+      collections: []
+    };
+
+    const collections = new Map(
+      (await Collection.findByUser(userId)).map(collection => [collection.name.toLowerCase(), collection._id])
+    );
+    const savedIds = [];
+
+    for (const bookmark of bookmarks.slice(0, this.config.MAX_BOOKMARKS)) {
+      try {
+        const { article, created } = await this.findOrCreateArticle(bookmark, now);
+        if (created) {
+          result.created++;
+        }
+
+        if (await SavedArticle.exists({ userId, articleId: article._id })) {
+          result.alreadySaved++;
+          continue;
+        }
+
+        const { status, collection } = this.getPlacement(bookmark.folder);
+        const collectionId = await this.getCollectionId(userId, collection, collections, result.collections);
+
+        await SavedArticle.create({
+          userId,
+          articleId: article._id,
+          savedAt: bookmark.addedAt || now,
+          collectionId,
+          note: bookmark.note.slice(0, COLLECTION_CONFIG.MAX_NOTE_LENGTH),
+          status,
+          progress: status === 'read' ? 100 : 0,
+          readAt: status === 'read' ? bookmark.addedAt || now : null,
+          category: article.category,
+          tags: [...new Set([...bookmark.tags, ...article.tags])],
+          source: article.source?.name,
+          metadata: { referrer: 'import' }
+        });
+
+        savedIds.push(article._id);
+        result.imported++;
+      } catch (error) {
+        logger.debug(`Skipping imported bookmark ${bookmark.url}: ${error.message}`);
+        result.skipped++;
+      }
+    }
+
+    if (savedIds.length > 0) {
+      await User.findByIdAndUpdate(userId, { $addToSet: { savedArticles: { $each: savedIds } } });
+      await Article.updateMany({ _id: { $in: savedIds } }, { $inc: { saves: 1 } });
+    }
+
+    logger.info(`Imported ${result.imported} bookmarks for user ${userId} (${result.created} new articles, ${result.skipped} skipped)`);
+
+    return result;
+  }
+
+  /**
+   * The catalogue article for a bookmark, created when dedupeService knows no copy
+   * Near-duplicates are other outlets' coverage, so they do not stand in for the page bookmarked
+   * @returns {Promise<Object>} { article, created }
+   */
+  async findOrCreateArticle(bookmark, now) {
+    const source = new URL(bookmark.url).hostname.replace(/^www\./, '');
+    const publishedAt = bookmark.addedAt || now;
+
+    const duplicate = await dedupeService.findDuplicate({
+      url: bookmark.url,
+      title: bookmark.title,
+      source,
+      publishedAt
+    }, { cache: false });
+
+    if (duplicate && duplicate.reason !== 'near_duplicate') {
+      // Cache hits carry no ID
+      const existing = duplicate.articleId
+        ? await Article.findById(duplicate.articleId).lean()
+        : await Article.findOne({ url: bookmark.url }).lean();
+
+      if (existing) {
+        return { article: existing, created: false };
+      }
+    }
+
+    const normalized = newsService.normalizeArticle({
+      title: bookmark.title.slice(0, 500),
+      url: bookmark.url,
+      source: { id: '', name: source },
+      apiSource: 'import',
+      publishedAt
+    });
+
+    normalized.fingerprint = dedupeService.generateFingerprint(normalized);
+    normalized.tags = [...new Set([
+      ...bookmark.tags,
+      ...(await taggerService.extractTags(normalized.title, ''))
+    ])].slice(0, 20);
+    normalized.category = newsService.categorizeArticle(normalized);
+    normalized.isActive = false;
+
+    const article = await Article.create(normalized);
+    return { article: article.toObject(), created: true };
+  }
+
+  /**
+   * Find or create the collection for a folder, leaving bookmarks unsorted once the
+   * user has the maximum number of collections
+   * @param {Map} collections - Lowercased name to ID, updated with created collections
+   * @param {Array<string>} createdNames - Names of collections created by this import
+   */
+  async getCollectionId(userId, name, collections, createdNames) {
+    if (!name) {
+      return null;
+    }
+
+    const folder = name.slice(0, 100).trim();
+    const key = folder.toLowerCase();
+    if (collections.has(key)) {
+      return collections.get(key);
+    }
+
+    if (collections.size >= COLLECTION_CONFIG.MAX_COLLECTIONS) {
+      return null;
+    }
+
+    const collection = await Collection.create({
+      userId,
+      name: folder,
+      position: collections.size
+    });
+
+    collections.set(key, collection._id);
+    createdNames.push(collection.name);
+
+    return collection._id;
+  }
+}
+
+export const importService = new ImportService();
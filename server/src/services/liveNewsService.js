@@ -1,24 +1,17 @@
 /**
  * Live News Aggregator Service
- * Combines multiple news APIs to provide comprehensive, real-time news
+ * Combines the provider plugins into one ranked, real-time result set
+ * and stores the results through the news ingestion pipeline
  */
 
 import { logger } from '../config/logger.js';
 import { cacheService } from './cacheService.js';
-import { newsApiService } from './apis/newsApiService.js';
-import { guardianService } from './apis/guardianService.js';
-import { nytService } from './apis/nytService.js';
-import { bbcService } from './apis/bbcService.js';
+import { newsService } from './newsService.js';
+import { providerRegistry } from './apis/providerRegistry.js';
+import { providerHealthService } from './providerHealthService.js';
 
 class LiveNewsService {
   constructor() {
-    this.services = [
-      { name: 'NewsAPI', service: newsApiService, weight: 1.0 },
-      { name: 'Guardian', service: guardianService, weight: 0.9 },
-      { name: 'NYT', service: nytService, weight: 0.9 },
-      { name: 'BBC', service: bbcService, weight: 0.8 }
-    ];
-    
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
   }
 
@@ -29,6 +22,7 @@ class LiveNewsService {
    * @param {string} options.query - Search query
    * @param {number} options.limit - Maximum number of articles
    * @param {boolean} options.useCache - Whether to use cached results
+   * @param {boolean} options.persist - Whether to store results as Articles (after returning them)
    * @returns {Promise<Object>} Aggregated news results
    */
   async fetchLiveNews(options = {}) {
@@ -36,7 +30,8 @@ class LiveNewsService {
       category = 'general',
       query = '',
       limit = 50,
-      useCache = true
+      useCache = true,
+      persist = true
     } = options;
 
     // Generate cache key
@@ -60,14 +55,18 @@ class LiveNewsService {
     try {
       const results = await this.fetchFromAllSources(options);
       const processedResults = this.processResults(results, limit);
-      
+
       // Cache the results
       if (useCache) {
-        try {
-          await cacheService.set(cacheKey, processedResults, this.cacheTimeout);
-        } catch (error) {
-          logger.warn('Failed to cache results:', error.message);
-        }
+        await this.cacheResults(cacheKey, processedResults);
+      }
+
+      // Storing runs the whole ingestion pipeline, so respond first; the cache gets the stored copies
+      if (persist) {
+        const stored = { ...processedResults, metadata: { ...processedResults.metadata } };
+        this.persistResults(stored, category)
+          .then(() => useCache && this.cacheResults(cacheKey, stored))
+          .catch(error => logger.error('Background live news persistence failed:', error));
       }
 
       return processedResults;
@@ -79,56 +78,78 @@ class LiveNewsService {
   }
 
   /**
-   * Fetch news from all available sources in parallel
+   * Cache a result set; a cache failure never fails the request
+   */
+  async cacheResults(cacheKey, results) {
+    try {
+      await cacheService.set(cacheKey, results, this.cacheTimeout);
+    } catch (error) {
+      logger.warn('Failed to cache results:', error.message);
+    }
+  }
+
+  /**
+   * Fetch news from all available providers in parallel
    * @param {Object} options - Fetch options
    * @returns {Promise<Object>} Results from all sources
    */
   async fetchFromAllSources(options) {
-    const promises = this.services
-      .filter(({ service }) => service.isAvailable())
-      .map(async ({ name, service }) => {
-        try {
-          const startTime = Date.now();
-          let articles;
-          
-          if (options.query) {
-            articles = await service.searchNews(options);
-          } else {
-            articles = await service.fetchHeadlines(options);
-          }
-          
-          const duration = Date.now() - startTime;
-          logger.info(`Fetched ${articles.length} articles from ${name}`, { duration });
-          
-          return {
-            source: name,
-            articles,
-            count: articles.length,
-            success: true,
-            duration
-          };
-        } catch (error) {
-          logger.error(`Failed to fetch from ${name}:`, error.message);
-          return {
-            source: name,
-            articles: [],
-            count: 0,
-            success: false,
-            error: error.message
-          };
-        }
-      });
-
-    const results = await Promise.all(promises);
+    const results = await newsService.fetchFromProviders({
+      category: options.category,
+      query: options.query,
+      pageSize: options.pageSize
+    });
     
     return {
       sources: results,
       totalArticles: results.reduce((sum, result) => sum + result.count, 0),
       successfulSources: results.filter(result => result.success).length,
-      failedSources: results.filter(result => !result.success).length
+      failedSources: results.filter(result => !result.success && !result.skipped).length,
+      skippedSources: results.filter(result => result.skipped).length
     };
   }
 
+  /**
+   * Store ranked results as Articles and swap in the stored documents,
+   * so live results are searchable and saveable like fetched ones
+   * @param {Object} processedResults - Output of processResults (updated in place)
+   * @param {string} category - Requested category, for cache invalidation
+   */
+  async persistResults(processedResults, category) {
+    try {
+      const { articles: stored, totalSaved, totalSkipped } = await newsService.ingestArticles(
+        processedResults.articles
+      );
+
+      // Near-duplicates resolve to the same stored article; keep the first
+      const seen = new Set();
+      processedResults.articles = processedResults.articles
+        .map((article, i) => (stored[i]
+          ? { ...stored[i].toJSON(), sourceWeight: article.sourceWeight }
+          : article))
+        .filter(article => {
+          const key = article._id ? article._id.toString() : article.url;
+          if (seen.has(key)) {
+            return false;
+          }
+          seen.add(key);
+          return true;
+        });
+
+      processedResults.metadata.totalArticles = processedResults.articles.length;
+      processedResults.metadata.sourceBreakdown = this.calculateSourceStats(processedResults.articles);
+      processedResults.metadata.categoryBreakdown = this.calculateCategoryStats(processedResults.articles);
+      processedResults.metadata.persisted = { saved: totalSaved, skipped: totalSkipped };
+
+      if (totalSaved > 0) {
+        await newsService.invalidateCaches([category], []);
+      }
+    } catch (error) {
+      // Live results are still useful when storage is unavailable
+      logger.error('Failed to persist live news:', error);
+    }
+  }
+
   /**
    * Process and combine results from all sources
    * @param {Object} results - Raw results from all sources
@@ -143,7 +164,7 @@ class LiveNewsService {
         source.articles.forEach(article => {
           allArticles.push({
             ...article,
-            sourceWeight: this.getSourceWeight(source.source)
+            sourceWeight: providerRegistry.getWeight(source.provider)
           });
         });
       }
@@ -178,6 +199,7 @@ class LiveNewsService {
         totalArticles: limitedArticles.length,
         sourcesUsed: results.successfulSources,
         sourcesFailed: results.failedSources,
+        sourcesSkipped: results.skippedSources,
         sourceBreakdown: sourceStats,
         categoryBreakdown: categoryStats,
         fetchedAt: new Date().toISOString(),
@@ -239,16 +261,6 @@ class LiveNewsService {
     return intersection.length / union.length;
   }
 
-  /**
-   * Get source weight for ranking
-   * @param {string} sourceName - Name of the news source
-   * @returns {number} Weight value
-   */
-  getSourceWeight(sourceName) {
-    const source = this.services.find(s => s.name === sourceName);
-    return source ? source.weight : 0.5;
-  }
-
   /**
    * Calculate source statistics
    * @param {Array} articles - Array of articles
@@ -279,58 +291,76 @@ class LiveNewsService {
 
   /**
    * Get available news sources
-   * @returns {Array} List of available sources
+   * @returns {Array} List of available providers with rate-limit metadata
    */
   getAvailableSources() {
-    return this.services
-      .filter(({ service }) => service.isAvailable())
-      .map(({ name, service }) => ({
-        name,
-        available: true
-      }));
+    return providerRegistry.getAvailable().map(provider => providerRegistry.describe(provider));
   }
 
   /**
    * Health check for all services
+   * Reports circuit breaker and quota state without spending quota; with
+   * `probe` each callable provider is also asked for one headline
+   * @param {Object} options - Health check options
+   * @param {boolean} options.probe - Make a live call to each provider
    * @returns {Promise<Object>} Health status of all services
    */
-  async healthCheck() {
+  async healthCheck(options = {}) {
+    const { probe = false } = options;
     const healthStatus = {};
     
-    for (const { name, service } of this.services) {
-      try {
-        const startTime = Date.now();
-        
-        if (!service.isAvailable()) {
-          healthStatus[name] = {
-            status: 'disabled',
-            message: 'API key not configured',
-            responseTime: null
-          };
-          continue;
-        }
+    for (const provider of providerRegistry.getAll()) {
+      const name = provider.displayName;
 
-        // Try to fetch a small number of articles
-        const articles = await service.fetchHeadlines({ pageSize: 1 });
-        const responseTime = Date.now() - startTime;
-        
-        healthStatus[name] = {
-          status: 'healthy',
-          message: `Fetched ${articles.length} articles`,
-          responseTime,
-          articlesCount: articles.length
-        };
-      } catch (error) {
-        healthStatus[name] = {
-          status: 'error',
-          message: error.message,
-          responseTime: null
-        };
+      if (probe && provider.isAvailable()) {
+        await this.probeProvider(provider);
       }
+
+      const { status, circuit, quota } = await providerHealthService.getProviderStatus(provider);
+
+      healthStatus[name] = {
+        status,
+        message: this.getHealthMessage(status, circuit),
+        circuit,
+        quota
+      };
     }
     
     return healthStatus;
   }
+
+  /**
+   * Make one live call to a provider through its circuit breaker and quota
+   * @param {Object} provider - Provider plugin
+   */
+  async probeProvider(provider) {
+    const permit = await providerHealthService.acquire(provider.name);
+    if (!permit.allowed) {
+      return;
+    }
+
+    try {
+      await provider.fetchHeadlines({ pageSize: 1 });
+      providerHealthService.recordSuccess(provider.name);
+    } catch (error) {
+      providerHealthService.recordFailure(provider.name, error);
+    }
+  }
+
+  /**
+   * Human readable explanation of a provider status
+   */
+  getHealthMessage(status, circuit) {
+    const messages = {
+      healthy: 'Operating normally',
+      degraded: `Recovering after ${circuit.consecutiveFailures} failed calls: ${circuit.lastError}`,
+      unavailable: `Circuit open after repeated failures: ${circuit.lastError}`,
+      quota_exceeded: 'Quota exhausted; skipped until it resets',
+      disabled: 'API key not configured'
+    };
+
+    return messages[status];
+  }
 }
 
 export const liveNewsService = new LiveNewsService();
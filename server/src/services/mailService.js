@@ -0,0 +1,112 @@
+/**
+ * Mail Service for Personalized News Aggregator
+ * Sends templated email over SMTP, or writes it to disk or the log in development
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { renderEmail } from '../templates/emails.js';
+import { logger } from '../config/logger.js';
+import { MAIL_CONFIG } from '../config/constants.js';
+
+// Emailed links carry live single-use tokens, so they must not reach the log
+const redactTokens = text => String(text || '').replace(/([?&]token=)[^&\s]+/g, '$1[redacted]');
+
+class MailService {
+  constructor() {
+    this.config = MAIL_CONFIG;
+    this.transport = null;
+  }
+
+  /**
+   * Refuse to run production without real delivery; the development transports
+   * would keep reset and verification links on the server instead of sending them
+   * Called once at startup
+   */
+  assertConfigured(nodeEnv = process.env.NODE_ENV) {
+    if (nodeEnv === 'production' && this.config.TRANSPORT !== 'smtp') {
+      throw new Error(`MAIL_TRANSPORT must be smtp in production, got "${this.config.TRANSPORT}"`);
+    }
+  }
+
+  /**
+   * The configured transport, created on first use
+   * - smtp: SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+   * - file: one .eml file per message in MAIL_FILE_DIR
+   * - console: the message is logged with tokens in links redacted
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.createTransport(this.config.TRANSPORT);
+    }
+    return this.transport;
+  }
+
+  createTransport(name) {
+    switch (name) {
+      case 'smtp':
+        return nodemailer.createTransport({
+          host: process.env.SMTP_HOST || 'localhost',
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          ...(process.env.SMTP_USER && {
+            auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          })
+        });
+      case 'file':
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      case 'console':
+        return nodemailer.createTransport({ jsonTransport: true });
+      default:
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} Transport result with messageId
+   */
+  async send(message) {
+    const info = await this.getTransport().sendMail({ from: this.config.FROM, ...message });
+
+    if (this.config.TRANSPORT === 'file') {
+      await fs.mkdir(this.config.FILE_DIR, { recursive: true });
+      const file = path.join(this.config.FILE_DIR, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+      await fs.writeFile(file, info.message);
+      logger.info(`Email "${message.subject}" to ${message.to} written to ${file}`);
+    } else if (this.config.TRANSPORT === 'console') {
+      logger.info(`Email "${message.subject}" to ${message.to}:\n${redactTokens(message.text)}`);
+    } else {
+      logger.info(`Email "${message.subject}" sent to ${message.to}`, { messageId: info.messageId });
+    }
+
+    return info;
+  }
+
+  /**
+   * Render a template from templates/emails.js and send it
+   * @param {string} template - Template name
+   * @param {string} to - Recipient address
+   * @param {Object} data - Template data
+   */
+  async sendTemplate(template, to, data) {
+    return this.send({ to, ...renderEmail(template, data) });
+  }
+
+  /**
+   * Build an absolute link into the client app
+   * @param {string} pathname - Client route, e.g. /reset-password
+   * @param {Object} params - Query parameters
+   */
+  buildAppUrl(pathname, params = {}) {
+    const url = new URL(pathname, this.config.APP_URL);
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+    return url.toString();
+  }
+}
+
+export const mailService = new MailService();
@@ -1,32 +1,30 @@
 /**
  * News Service for Personalized News Aggregator
- * Comprehensive news fetching from NewsAPI with advanced features
+ * Ingestion pipeline: fetches from feeds and provider plugins (NewsAPI among them),
+ * then normalizes, dedupes, tags, categorizes and saves articles
  */
 
-import axios from 'axios';
 import { Article } from '../models/Article.js';
 import { NEWSAPI_CONFIG, NEWS_CATEGORIES } from '../config/constants.js';
 import { logger } from '../config/logger.js';
 import { dedupeService } from './dedupeService.js';
+import { storyService } from './storyService.js';
+import { breakingService } from './breakingService.js';
+import { streamService } from './streamService.js';
 import { taggerService } from './taggerService.js';
+import { sentimentService } from './sentimentService.js';
+import { entityService } from './entityService.js';
 import { cacheService } from './cacheService.js';
+import { providerRegistry } from './apis/providerRegistry.js';
+import { providerHealthService } from './providerHealthService.js';
+import { httpCache } from '../utils/httpCache.js';
 
 class NewsService {
-  constructor() {
-    this.apiKey = process.env.NEWSAPI_KEY;
-    this.baseUrl = NEWSAPI_CONFIG.BASE_URL;
-    this.timeout = NEWSAPI_CONFIG.TIMEOUT;
-    
-    if (!this.apiKey) {
-      logger.warn('NEWSAPI_KEY not found. News fetching will be limited.');
-    }
-  }
-
   /**
-   * Fetch news articles from NewsAPI
+   * Fetch news articles from NewsAPI through the provider registry
    * @param {Object} options - Fetch options
    * @param {string[]} options.categories - Categories to fetch
-   * @param {string[]} options.sources - Specific sources to fetch from
+   * @param {string[]} options.sources - Specific NewsAPI sources to fetch from
    * @param {string} options.query - Search query
    * @param {number} options.pageSize - Number of articles per page
    * @param {number} options.maxPages - Maximum pages to fetch
@@ -41,7 +39,7 @@ class NewsService {
       maxPages = NEWSAPI_CONFIG.MAX_PAGES
     } = options;
 
-    if (!this.apiKey) {
+    if (!providerRegistry.get('newsapi')?.isAvailable()) {
       throw new Error('NewsAPI key not configured');
     }
 
@@ -54,9 +52,6 @@ class NewsService {
     });
 
     const startTime = Date.now();
-    let totalFetched = 0;
-    let totalSaved = 0;
-    let totalSkipped = 0;
 
     try {
       // Fetch from multiple sources/categories
@@ -64,11 +59,11 @@ class NewsService {
 
       if (sources.length > 0) {
         // Fetch from specific sources
-        fetchPromises.push(this.fetchFromSources(sources, query, pageSize, maxPages));
+        fetchPromises.push(this.fetchNewsApiPages({ sources, query }, pageSize, maxPages));
       } else {
         // Fetch by categories
         for (const category of categories) {
-          fetchPromises.push(this.fetchFromCategory(category, query, pageSize, maxPages));
+          fetchPromises.push(this.fetchNewsApiPages({ category, query }, pageSize, maxPages));
         }
       }
 
@@ -78,30 +73,13 @@ class NewsService {
       logger.info(`Fetched ${allArticles.length} articles from API`);
 
       // Process and save articles
-      for (const articleData of allArticles) {
-        try {
-          const processed = await this.processArticle(articleData);
-          
-          if (processed.saved) {
-            totalSaved++;
-          } else {
-            totalSkipped++;
-          }
-          
-          totalFetched++;
-        } catch (error) {
-          logger.error('Error processing article:', error);
-          totalSkipped++;
-        }
-      }
+      const counts = await this.processArticles(allArticles);
 
       const duration = Date.now() - startTime;
       
       const result = {
         success: true,
-        totalFetched,
-        totalSaved,
-        totalSkipped,
+        ...counts,
         duration: `${duration}ms`,
         timestamp: new Date().toISOString()
       };
@@ -119,116 +97,227 @@ class NewsService {
   }
 
   /**
-   * Fetch articles from specific sources
+   * Page through NewsAPI results for one category or source list
+   * Every page is a separate provider call, so each one is counted against the quota
+   * @param {Object} request - { category, sources, query }
+   * @param {number} pageSize - Articles per page
+   * @param {number} maxPages - Maximum pages to fetch
+   * @returns {Promise<Array>} Normalized articles; a skipped or failed page ends paging
    */
-  async fetchFromSources(sources, query, pageSize, maxPages) {
+  async fetchNewsApiPages(request, pageSize, maxPages) {
     const articles = [];
-    
-    for (const source of sources) {
-      try {
-        const sourceArticles = await this.fetchFromSource(source, query, pageSize, maxPages);
-        articles.push(...sourceArticles);
-      } catch (error) {
-        logger.error(`Error fetching from source ${source}:`, error);
+
+    for (let page = 1; page <= maxPages; page++) {
+      const [result] = await this.fetchFromProviders({ ...request, providers: ['newsapi'], pageSize, page });
+
+      if (!result?.success) {
+        break;
+      }
+
+      articles.push(...result.articles);
+
+      if (result.count < Math.min(pageSize, 100)) {
+        break; // No more articles
       }
     }
-    
+
     return articles;
   }
 
   /**
-   * Fetch articles from a specific source
+   * Fetch from provider plugins in parallel; one provider failing never fails the others
+   * @param {Object} options - Fetch options
+   * @param {string[]} options.providers - Provider names to use (default: all available)
+   * @param {string} options.category - Internal news category
+   * @param {string} options.query - Search query (uses searchNews instead of fetchHeadlines)
+   * @param {string[]} options.sources - NewsAPI source IDs (uses searchNews)
+   * @param {number} options.pageSize - Articles per provider
+   * @param {number} options.page - Result page, for providers that page
+   * @param {Object} options.validators - Stored ETag / Last-Modified for a conditional headline poll
+   * @returns {Promise<Array>} Per-provider results with normalized articles; providers
+   *   over quota or with an open circuit are reported as skipped without being called, and
+   *   failures carry the provider's Retry-After as retryAt
    */
-  async fetchFromSource(source, query, pageSize, maxPages) {
-    const articles = [];
-    let page = 1;
-
-    while (page <= maxPages) {
-      try {
-        const params = {
-          sources: source,
-          pageSize: Math.min(pageSize, 100), // NewsAPI max is 100
-          page,
-          apiKey: this.apiKey,
-          sortBy: 'publishedAt'
+  async fetchFromProviders(options = {}) {
+    const { providers = [] } = options;
+
+    return Promise.all(providerRegistry.getAvailable(providers).map(async (provider) => {
+      const permit = await providerHealthService.acquire(provider.name);
+      if (!permit.allowed) {
+        logger.info(`Skipping ${provider.displayName}: ${permit.reason}`);
+        return {
+          provider: provider.name,
+          articles: [],
+          count: 0,
+          success: false,
+          skipped: true,
+          reason: permit.reason,
+          retryAt: permit.retryAt
         };
+      }
 
-        if (query) {
-          params.q = query;
-        }
+      const startTime = Date.now();
 
-        const response = await axios.get(`${this.baseUrl}/everything`, {
-          params,
-          timeout: this.timeout
-        });
-
-        if (response.data.status === 'ok') {
-          articles.push(...response.data.articles);
-          
-          if (response.data.articles.length < pageSize) {
-            break; // No more articles
-          }
-          
-          page++;
-        } else {
-          logger.error(`NewsAPI error for source ${source}:`, response.data);
-          break;
-        }
+      try {
+        const { articles, notModified, validators } = await this.requestProvider(provider, options);
+
+        providerHealthService.recordSuccess(provider.name);
+        const duration = Date.now() - startTime;
+        logger.info(`Fetched ${articles.length} articles from ${provider.displayName}`, { duration, notModified });
+
+        return {
+          provider: provider.name,
+          articles,
+          count: articles.length,
+          success: true,
+          notModified,
+          validators,
+          duration
+        };
       } catch (error) {
-        logger.error(`Error fetching from source ${source}, page ${page}:`, error);
-        break;
+        providerHealthService.recordFailure(provider.name, error);
+        logger.error(`Failed to fetch from ${provider.displayName}:`, error.message);
+        return {
+          provider: provider.name,
+          articles: [],
+          count: 0,
+          success: false,
+          error: error.message,
+          retryAt: httpCache.getErrorRetryAt(error)
+        };
       }
+    }));
+  }
+
+  /**
+   * Make one call to a provider: a search or a (conditional) headline poll
+   * @returns {Promise<Object>} { articles, notModified, validators }
+   */
+  async requestProvider(provider, options) {
+    const {
+      category = 'general',
+      query = '',
+      sources = [],
+      pageSize = 20,
+      page = 1,
+      validators = null
+    } = options;
+    const paging = page > 1 ? { page } : {};
+
+    if (query || sources.length > 0) {
+      const articles = await provider.searchNews({ query, category, pageSize, ...paging, ...(sources.length > 0 && { sources }) });
+      return { articles, notModified: false, validators: null };
     }
 
-    return articles;
+    return provider.pollHeadlines({ category, pageSize, ...paging, validators });
   }
 
   /**
-   * Fetch articles from a specific category
+   * Poll one provider/category pair as an independently scheduled source
+   * @param {string} providerName - Provider plugin name
+   * @param {string} category - Internal news category
+   * @param {Object} state - Source state with stored validators
+   * @param {Object} options - Page size
+   * @returns {Promise<Object>} Processing counts plus notModified and validators
    */
-  async fetchFromCategory(category, query, pageSize, maxPages) {
-    const articles = [];
-    let page = 1;
+  async pollProvider(providerName, category, state = null, options = {}) {
+    const { pageSize = parseInt(process.env.FETCH_PAGE_SIZE) || 50 } = options;
+    const stored = state ? { etag: state.etag, lastModified: state.lastModified } : null;
 
-    while (page <= maxPages) {
-      try {
-        const params = {
-          category,
-          pageSize: Math.min(pageSize, 100),
-          page,
-          apiKey: this.apiKey,
-          sortBy: 'publishedAt',
-          country: 'us' // You can make this configurable
-        };
+    const [result] = await this.fetchFromProviders({ providers: [providerName], category, pageSize, validators: stored });
 
-        if (query) {
-          params.q = query;
-        }
+    if (!result) {
+      throw new Error(`News provider ${providerName} is not available`);
+    }
+    if (result.skipped) {
+      return {
+        skipped: true,
+        reason: result.reason,
+        retryAt: result.retryAt,
+        notModified: false,
+        validators: null,
+        totalFetched: 0,
+        totalSaved: 0,
+        totalSkipped: 0
+      };
+    }
+    if (!result.success) {
+      throw Object.assign(new Error(result.error), { retryAt: result.retryAt });
+    }
 
-        const response = await axios.get(`${this.baseUrl}/top-headlines`, {
-          params,
-          timeout: this.timeout
-        });
-
-        if (response.data.status === 'ok') {
-          articles.push(...response.data.articles);
-          
-          if (response.data.articles.length < pageSize) {
-            break;
-          }
-          
-          page++;
+    if (result.notModified) {
+      logger.debug(`${providerName} ${category} not modified since last poll`);
+      return { notModified: true, validators: result.validators, totalFetched: 0, totalSaved: 0, totalSkipped: 0 };
+    }
+
+    const counts = await this.processArticles(result.articles);
+
+    if (counts.totalSaved > 0) {
+      await this.invalidateCaches([category], []);
+    }
+
+    return { notModified: false, validators: result.validators, ...counts };
+  }
+
+  /**
+   * Run articles through the pipeline and return the stored documents
+   * @param {Array} articles - Raw or provider-normalized articles
+   * @returns {Promise<Object>} Counts plus `articles` aligned with the input:
+   *   the saved article, the stored article it duplicates, or null on failure
+   */
+  async ingestArticles(articles) {
+    const articleIds = [];
+    const counts = await this.processArticles(articles, articleIds);
+
+    // Duplicates caught by the in-memory URL cache carry no ID; look those up by URL
+    const missingUrls = articles.filter((article, i) => !articleIds[i] && article.url).map(article => article.url);
+    const stored = await Article.find({
+      $or: [{ _id: { $in: articleIds.filter(Boolean) } }, { url: { $in: missingUrls } }]
+    });
+    const storedById = new Map(stored.map(article => [article._id.toString(), article]));
+    const storedByUrl = new Map(stored.map(article => [article.url, article]));
+
+    return {
+      ...counts,
+      articles: articles.map((article, i) =>
+        (articleIds[i] && storedById.get(articleIds[i].toString())) || storedByUrl.get(article.url) || null
+      )
+    };
+  }
+
+  /**
+   * Process and save a batch of raw articles
+   * @param {Array} articles - Raw articles from any source
+   * @param {Array} articleIds - Filled with the stored article ID for each input (optional)
+   * @returns {Promise<Object>} Fetched, saved and skipped counts
+   */
+  async processArticles(articles, articleIds = null) {
+    let totalFetched = 0;
+    let totalSaved = 0;
+    let totalSkipped = 0;
+
+    for (const articleData of articles) {
+      let processed = null;
+
+      try {
+        processed = await this.processArticle(articleData);
+
+        if (processed.saved) {
+          totalSaved++;
         } else {
-          logger.error(`NewsAPI error for category ${category}:`, response.data);
-          break;
+          totalSkipped++;
         }
+
+        totalFetched++;
       } catch (error) {
-        logger.error(`Error fetching category ${category}, page ${page}:`, error);
-        break;
+        logger.error('Error processing article:', error);
+        totalSkipped++;
       }
+
+      articleIds?.push(processed?.article?._id || processed?.duplicateOf || null);
     }
 
-    return articles;
+    return { totalFetched, totalSaved, totalSkipped };
   }
 
   /**
@@ -239,26 +328,59 @@ class NewsService {
       // Normalize article data
       const normalized = this.normalizeArticle(articleData);
       
-      // Check for duplicates
-      const isDuplicate = await dedupeService.isDuplicate(normalized.url);
-      if (isDuplicate) {
+      // Check for duplicates (URL, content hash, then near-duplicates across sources)
+      const duplicate = await dedupeService.findDuplicate({
+        url: normalized.url,
+        title: normalized.title,
+        source: normalized.source.name,
+        publishedAt: normalized.publishedAt,
+        description: normalized.description
+      });
+      if (duplicate && !duplicate.importOnly) {
         logger.debug(`Skipping duplicate article: ${normalized.title}`);
-        return { saved: false, reason: 'duplicate' };
+        return { saved: false, reason: 'duplicate', duplicateOf: duplicate.articleId };
       }
 
+      // Store content fingerprint for future near-duplicate checks
+      normalized.fingerprint = dedupeService.generateFingerprint(normalized);
+
       // Generate tags using TF-IDF
       const tags = await taggerService.extractTags(normalized.title, normalized.description);
       normalized.tags = tags;
 
+      // Score sentiment from title, description and any teaser text the provider sent; the teaser
+      // is not stored, since content is the extracted body that highlights point into
+      sentimentService.applyTo(normalized, { teaser: articleData.content });
+
+      // People, organizations, places and phrases users can follow
+      normalized.entities = entityService.extract(normalized);
+
       // Auto-categorize if not provided
       if (!normalized.category) {
         normalized.category = this.categorizeArticle(normalized);
       }
 
-      // Create article document
-      const article = new Article(normalized);
+      // Create article document, or publish one a bookmark import created inactive
+      const article = duplicate
+        ? await this.adoptImportedArticle(duplicate.articleId, normalized)
+        : new Article(normalized);
+      if (!article) {
+        return { saved: false, reason: 'duplicate', duplicateOf: duplicate.articleId };
+      }
       await article.save();
 
+      // Group with other coverage of the same event
+      const story = await storyService.assignArticle(article);
+
+      // Alert connected readers when several sources start reporting it at once
+      await breakingService.check(story);
+
+      // Push to readers whose feed stream matches it
+      await streamService.publishArticle(article);
+
+      // Count the article's terms in the shared IDF corpus
+      await taggerService.updateCorpus([article]);
+
       logger.debug(`Saved article: ${normalized.title}`);
       return { saved: true, article };
     } catch (error) {
@@ -268,7 +390,26 @@ class NewsService {
   }
 
   /**
-   * Normalize article data from NewsAPI
+   * Fill an import-only article with the provider's data and activate it, keeping its ID
+   * so readers' saved copies point at the published article
+   * @returns {Promise<Object|null>} Unsaved article document, or null if it is already active
+   */
+  async adoptImportedArticle(articleId, normalized) {
+    const article = await Article.findById(articleId);
+    if (!article || !dedupeService.isImportOnly(article)) {
+      return null;
+    }
+
+    article.set({
+      ...normalized,
+      tags: [...new Set([...normalized.tags, ...article.tags])].slice(0, 20),
+      isActive: true
+    });
+    return article;
+  }
+
+  /**
+   * Normalize a provider plugin's or feed's article for storage
    */
   normalizeArticle(data) {
     return {
@@ -281,6 +422,8 @@ class NewsService {
         name: data.source?.name || 'Unknown'
       },
       author: data.author || null,
+      apiSource: data.apiSource || null,
+      category: NEWS_CATEGORIES.includes(data.category) ? data.category : null,
       publishedAt: new Date(data.publishedAt),
       fetchedAt: new Date(),
       meta: {
@@ -331,6 +474,7 @@ class NewsService {
     try {
       const cacheKeys = [
         'articles:*',
+        'stories:*',
         'trending:*'
       ];
 
@@ -354,21 +498,12 @@ class NewsService {
    * Get available sources from NewsAPI
    */
   async getAvailableSources() {
-    if (!this.apiKey) {
+    const provider = providerRegistry.get('newsapi');
+    if (!provider?.isAvailable()) {
       throw new Error('NewsAPI key not configured');
     }
 
-    try {
-      const response = await axios.get(`${this.baseUrl}/sources`, {
-        params: { apiKey: this.apiKey },
-        timeout: this.timeout
-      });
-
-      return response.data.sources || [];
-    } catch (error) {
-      logger.error('Error fetching sources:', error);
-      throw error;
-    }
+    return provider.getSources();
   }
 
   /**
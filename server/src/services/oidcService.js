@@ -0,0 +1,343 @@
+/**
+ * OIDC Service for Personalized News Aggregator
+ * OpenID Connect sign-in (authorization code flow with PKCE) and linking provider identities to users
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { User } from '../models/User.js';
+import { OidcLoginState } from '../models/OidcLoginState.js';
+import { logger } from '../config/logger.js';
+import { OIDC_CONFIG, MAIL_CONFIG } from '../config/constants.js';
+
+// ID tokens must be signed with a provider key; an HMAC would let anyone holding the client secret forge one
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Unknown key ids trigger a fresh key set download at most this often
+const KEY_REFRESH_INTERVAL_MS = 60 * 1000;
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest();
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+class OidcService {
+  constructor() {
+    this.config = OIDC_CONFIG;
+    this.providers = this.loadProviders(this.config.PROVIDERS);
+    this.metadata = new Map();
+  }
+
+  /**
+   * Read each enabled provider from its OIDC_<ID>_* variables
+   * @param {Array} ids - Provider ids from OIDC_PROVIDERS
+   * @returns {Map} id -> { id, name, issuer, clientId, clientSecret, scopes }
+   */
+  loadProviders(ids, env = process.env) {
+    const providers = new Map();
+
+    for (const id of ids) {
+      const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+      const issuer = env[`${prefix}ISSUER`];
+      const clientId = env[`${prefix}CLIENT_ID`];
+
+      if (!issuer || !clientId) {
+        logger.warn(`OIDC provider "${id}" needs ${prefix}ISSUER and ${prefix}CLIENT_ID; skipping it`);
+        continue;
+      }
+
+      providers.set(id, {
+        id,
+        name: env[`${prefix}NAME`] || id,
+        issuer,
+        clientId,
+        clientSecret: env[`${prefix}CLIENT_SECRET`] || null,
+        scopes: env[`${prefix}SCOPES`] || 'openid email profile'
+      });
+    }
+
+    return providers;
+  }
+
+  /**
+   * Providers to offer on the login page
+   * @returns {Array} [{ id, name }]
+   */
+  listProviders() {
+    return [...this.providers.values()].map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Client page the provider sends the browser back to; register it with the provider
+   */
+  getRedirectUri(providerId) {
+    return new URL(`/auth/callback/${providerId}`, MAIL_CONFIG.APP_URL).toString();
+  }
+
+  /**
+   * Provider metadata from its discovery document, cached for DISCOVERY_TTL_SECONDS
+   */
+  async getMetadata(provider, now = Date.now()) {
+    const cached = this.metadata.get(provider.id);
+    if (cached && now - cached.fetchedAt < this.config.DISCOVERY_TTL_SECONDS * 1000) {
+      return cached;
+    }
+
+    const { data } = await axios.get(`${provider.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`, {
+      timeout: this.config.REQUEST_TIMEOUT_MS
+    });
+
+    if (data.issuer !== provider.issuer) {
+      throw new Error(`Discovery document is for issuer ${data.issuer}, expected ${provider.issuer}`);
+    }
+
+    const metadata = { document: data, keys: new Map(), keysFetchedAt: 0, fetchedAt: now };
+    this.metadata.set(provider.id, metadata);
+    return metadata;
+  }
+
+  /**
+   * Public key for an ID token's key id; the key set is fetched again when the id is unknown,
+   * since providers rotate keys
+   * @returns {Promise<KeyObject|null>}
+   */
+  async getSigningKey(provider, kid = '', now = Date.now()) {
+    const metadata = await this.getMetadata(provider, now);
+
+    if (!metadata.keys.has(kid) && now - metadata.keysFetchedAt >= KEY_REFRESH_INTERVAL_MS) {
+      const { data } = await axios.get(metadata.document.jwks_uri, { timeout: this.config.REQUEST_TIMEOUT_MS });
+
+      metadata.keys = new Map();
+      metadata.keysFetchedAt = now;
+      for (const jwk of data.keys || []) {
+        if (jwk.use && jwk.use !== 'sig') continue;
+        try {
+          metadata.keys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        } catch (error) {
+          logger.warn(`Ignoring unusable signing key ${jwk.kid} from ${provider.id}: ${error.message}`);
+        }
+      }
+    }
+
+    return metadata.keys.get(kid) || null;
+  }
+
+  /**
+   * Start a sign-in: remember the PKCE verifier and nonce, and build the provider's authorization URL
+   * The client keeps `state` to check that the callback belongs to the sign-in it started
+   * @returns {Promise<Object>} { authorizationUrl, state } or { reason: 'unknown_provider' | 'unavailable' }
+   */
+  async createAuthorization(providerId, now = new Date()) {
+    const provider = this.providers.get(providerId);
+    if (!provider) {
+      return { reason: 'unknown_provider' };
+    }
+
+    let metadata;
+    try {
+      metadata = await this.getMetadata(provider, now.getTime());
+    } catch (error) {
+      logger.error(`OIDC discovery failed for ${providerId}:`, error);
+      return { reason: 'unavailable' };
+    }
+
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const redirectUri = this.getRedirectUri(providerId);
+
+    await OidcLoginState.create({
+      stateHash: sha256(state).toString('hex'),
+      provider: providerId,
+      codeVerifier,
+      nonce,
+      redirectUri,
+      expiresAt: new Date(now.getTime() + this.config.STATE_TTL_SECONDS * 1000)
+    });
+
+    const url = new URL(metadata.document.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: sha256(codeVerifier).toString('base64url'),
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { authorizationUrl: url.toString(), state };
+  }
+
+  /**
+   * Finish a sign-in: redeem the code and verify the ID token
+   * @param {Object} callback - { code, state } from the redirect
+   * @returns {Promise<Object>} { claims } or { reason: 'unknown_provider' | 'invalid_state' | 'exchange_failed' | 'invalid_id_token' }
+   */
+  async completeAuthorization(providerId, { code, state }, now = new Date()) {
+    const provider = this.providers.get(providerId);
+    if (!provider) {
+      return { reason: 'unknown_provider' };
+    }
+
+    const pending = await OidcLoginState.consume(sha256(state).toString('hex'), providerId, now);
+    if (!pending) {
+      return { reason: 'invalid_state' };
+    }
+
+    let tokens;
+    try {
+      const metadata = await this.getMetadata(provider, now.getTime());
+      tokens = await this.exchangeCode(provider, metadata.document, code, pending);
+    } catch (error) {
+      logger.warn(`OIDC code exchange with ${providerId} failed: ${error.response?.data?.error || error.message}`);
+      return { reason: 'exchange_failed' };
+    }
+
+    try {
+      return { claims: await this.verifyIdToken(provider, tokens.id_token, pending.nonce, now) };
+    } catch (error) {
+      logger.warn(`Rejected ID token from ${providerId}: ${error.message}`);
+      return { reason: 'invalid_id_token' };
+    }
+  }
+
+  /**
+   * Redeem an authorization code at the token endpoint, proving possession of the PKCE verifier
+   */
+  async exchangeCode(provider, document, code, { codeVerifier, redirectUri }) {
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+
+    // client_secret_basic, the default client authentication in OpenID Connect
+    if (provider.clientSecret) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+
+    const { data } = await axios.post(document.token_endpoint, body.toString(), {
+      headers,
+      timeout: this.config.REQUEST_TIMEOUT_MS
+    });
+
+    if (!data.id_token) {
+      throw new Error('Token response has no id_token');
+    }
+    return data;
+  }
+
+  /**
+   * Check an ID token's signature, issuer, audience, times and nonce
+   * @returns {Promise<Object>} Verified claims
+   */
+  async verifyIdToken(provider, idToken, nonce, now = new Date()) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !SIGNING_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new Error(`Unsupported ID token algorithm ${decoded?.header?.alg}`);
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid, now.getTime());
+    if (!key) {
+      throw new Error(`Unknown signing key ${decoded.header.kid}`);
+    }
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: [decoded.header.alg],
+      issuer: provider.issuer,
+      audience: provider.clientId,
+      clockTolerance: this.config.CLOCK_TOLERANCE_SECONDS,
+      clockTimestamp: Math.floor(now.getTime() / 1000)
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('Nonce mismatch');
+    }
+    if (!claims.sub) {
+      throw new Error('ID token has no subject');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+      throw new Error('ID token was issued to another client');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Find the user for a provider identity, linking or creating one when it is new
+   * An identity is linked to an existing user with the same email only when the provider vouches for
+   * the address and the account verified it too; otherwise whoever registered or claimed it first
+   * could take over the other side
+   * @returns {Promise<Object>} { user, linked, created } or { reason: 'email_required' | 'email_unverified' | 'account_unverified' }
+   */
+  async findOrCreateUser(providerId, claims, now = new Date()) {
+    const subject = String(claims.sub);
+
+    const known = await User.findOne({ identities: { $elemMatch: { provider: providerId, subject } } });
+    if (known) {
+      return { user: known, linked: false, created: false };
+    }
+
+    const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : '';
+    if (!email) {
+      return { reason: 'email_required' };
+    }
+
+    // Some providers send the flag as a string
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    const identity = { provider: providerId, subject, email, linkedAt: now };
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      if (!emailVerified) {
+        return { reason: 'email_unverified' };
+      }
+      if (existing.emailVerified === false) {
+        return { reason: 'account_unverified' };
+      }
+
+      await User.updateOne(
+        { _id: existing._id, identities: { $not: { $elemMatch: { provider: providerId, subject } } } },
+        { $push: { identities: identity } }
+      );
+
+      logger.info(`Linked ${providerId} identity to user ${existing._id}`);
+      return { user: existing, linked: true, created: false };
+    }
+
+    const user = new User({
+      name: this.getDisplayName(claims, email),
+      email,
+      emailVerified,
+      ...(emailVerified && { emailVerifiedAt: now }),
+      identities: [identity]
+    });
+    await user.save();
+
+    logger.info(`Created user ${user._id} from ${providerId} sign-in`);
+    return { user, linked: false, created: true };
+  }
+
+  getDisplayName(claims, email) {
+    const candidates = [
+      claims.name,
+      [claims.given_name, claims.family_name].filter(Boolean).join(' '),
+      claims.preferred_username,
+      email.split('@')[0]
+    ];
+
+    const name = candidates.find(candidate => typeof candidate === 'string' && candidate.trim().length >= 2);
+    return (name || email).trim().slice(0, 100);
+  }
+}
+
+export const oidcService = new OidcService();
@@ -0,0 +1,242 @@
+/**
+ * OPML Service for Personalized News Aggregator
+ * Imports feed subscriptions from other readers and exports a user's followed sources
+ */
+
+import { parseString } from 'xml2js';
+import { promisify } from 'util';
+import { Feed } from '../models/Feed.js';
+import { Article } from '../models/Article.js';
+import { User } from '../models/User.js';
+import { logger } from '../config/logger.js';
+import { urlGuard } from '../utils/urlGuard.js';
+import { CATEGORY_KEYWORDS, NEWS_CATEGORIES, OPML_CONFIG } from '../config/constants.js';
+
+const parseXML = promisify(parseString);
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+
+const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+
+class OpmlService {
+  constructor() {
+    this.config = OPML_CONFIG;
+  }
+
+  /**
+   * Read feed outlines from an OPML document, at any nesting depth
+   * A feed's category comes from its `category` attribute, or else the folder outline it sits in
+   * @param {string} xml - OPML document
+   * @returns {Promise<Array<Object>>} { title, xmlUrl, category } per distinct feed URL
+   */
+  async parse(xml) {
+    const data = await parseXML(xml);
+    const body = data?.opml?.body?.[0];
+
+    if (!body) {
+      throw new Error('Not an OPML document');
+    }
+
+    const feeds = new Map();
+
+    const walk = (outlines, folder) => {
+      for (const outline of outlines || []) {
+        const attrs = outline.$ || {};
+        const xmlUrl = (attrs.xmlUrl || attrs.xmlurl || '').trim();
+        const text = (attrs.title || attrs.text || '').trim();
+
+        if (xmlUrl) {
+          if (!feeds.has(xmlUrl)) {
+            feeds.set(xmlUrl, {
+              title: text || xmlUrl,
+              xmlUrl,
+              // OPML 2.0 categories are comma-separated slash paths, e.g. "/Tech/Gadgets"
+              category: (attrs.category || '').split(',')[0].split('/').filter(Boolean)[0] || folder
+            });
+          }
+        }
+
+        walk(outline.outline, text || folder);
+      }
+    };
+
+    walk(body.outline, null);
+
+    return [...feeds.values()];
+  }
+
+  /**
+   * Map a reader's folder or category name to one of NEWS_CATEGORIES
+   * @returns {string|null} Category, or null when nothing matches
+   */
+  mapCategory(name) {
+    const folder = (name || '').toLowerCase().trim();
+    if (!folder) {
+      return null;
+    }
+
+    if (NEWS_CATEGORIES.includes(folder)) {
+      return folder;
+    }
+
+    const words = new Set(folder.split(/[^a-z0-9]+/).filter(Boolean));
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+      if (keywords.some(keyword => words.has(keyword))) {
+        return category;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Feed URLs the server may poll; local hosts are refused up front, and names that
+   * resolve to them are refused again when the feed is fetched
+   */
+  isPollableUrl(url) {
+    return urlGuard.isAllowedUrl(url);
+  }
+
+  /**
+   * Names already used by a registered feed (in any case) or carried by stored articles
+   * A reader's feed under one of them would publish into everyone's feed as that outlet
+   * @param {Array<string>} names - Candidate feed names
+   * @returns {Promise<Set>} Taken names, lower-cased
+   */
+  async findTakenNames(names) {
+    const [feeds, sources] = await Promise.all([
+      Feed.find({ name: { $in: names } }).collation({ locale: 'en', strength: 2 }).select('name').lean(),
+      Article.distinct('source.name', { 'source.name': { $in: names } })
+    ]);
+
+    return new Set([...feeds.map(feed => feed.name), ...sources].map(name => name.toLowerCase()));
+  }
+
+  /**
+   * Follow every feed in an OPML document, registering feeds the registry does not have yet
+   * Followed sources are the feeds' names, which is what their articles carry as `source.name`.
+   * New registrations are inactive until an admin approves them, and may not reuse the name
+   * of a registered feed or a known source
+   * @param {Object} user - User document
+   * @param {Array<Object>} outlines - Feeds from parse()
+   * @returns {Promise<Object>} { sources, categories, feedsCreated, skipped }
+   */
+  async importSources(user, outlines) {
+    const result = {
+      sources: [],
+      categories: [],
+      feedsCreated: 0,
+      skipped: Math.max(outlines.length - this.config.MAX_OUTLINES, 0)
+    };
+
+    const existing = await Feed.find({ url: { $in: outlines.map(outline => outline.xmlUrl) } }).lean();
+    const feedsByUrl = new Map(existing.map(feed => [feed.url, feed]));
+    const takenNames = await this.findTakenNames(
+      outlines.filter(outline => !feedsByUrl.has(outline.xmlUrl)).map(outline => outline.title.slice(0, 100))
+    );
+    const sources = new Set();
+    const categories = new Set();
+
+    for (const outline of outlines.slice(0, this.config.MAX_OUTLINES)) {
+      const category = this.mapCategory(outline.category);
+      let feed = feedsByUrl.get(outline.xmlUrl);
+
+      if (!feed) {
+        const name = outline.title.slice(0, 100);
+        if (!this.isPollableUrl(outline.xmlUrl) || takenNames.has(name.toLowerCase())) {
+          result.skipped++;
+          continue;
+        }
+
+        try {
+          feed = await Feed.create({
+            name,
+            url: outline.xmlUrl,
+            category: category || 'general',
+            isActive: false,
+            pendingApproval: true,
+            createdBy: user._id
+          });
+          feedsByUrl.set(feed.url, feed);
+          takenNames.add(name.toLowerCase());
+          result.feedsCreated++;
+        } catch (error) {
+          logger.debug(`Skipping OPML outline ${outline.xmlUrl}: ${error.message}`);
+          result.skipped++;
+          continue;
+        }
+      }
+
+      sources.add(feed.name);
+      if (category && category !== 'general') {
+        categories.add(category);
+      }
+    }
+
+    const current = user.preferences || {};
+    result.sources = [...sources].filter(source => !(current.sources || []).includes(source));
+    result.categories = [...categories].filter(category => !(current.categories || []).includes(category));
+
+    if (result.sources.length > 0 || result.categories.length > 0) {
+      await User.updateOne({ _id: user._id }, {
+        $addToSet: {
+          'preferences.sources': { $each: result.sources },
+          'preferences.categories': { $each: result.categories }
+        }
+      });
+    }
+
+    logger.info(`OPML import for user ${user._id}: ${result.sources.length} sources followed, ${result.feedsCreated} feeds awaiting approval`);
+
+    return result;
+  }
+
+  /**
+   * OPML 2.0 document of a user's followed sources
+   * Sources with a registered feed are grouped in category folders; others (news API
+   * outlets) have no feed URL and are listed by name at the end
+   * @param {Object} user - User document
+   * @returns {Promise<string>} OPML document
+   */
+  async buildOpml(user, now = new Date()) {
+    const sources = user.preferences?.sources || [];
+    const feeds = await Feed.find({ name: { $in: sources } }).sort({ category: 1, name: 1 }).lean();
+    const feedNames = new Set(feeds.map(feed => feed.name));
+
+    const folders = new Map();
+    for (const feed of feeds) {
+      if (!folders.has(feed.category)) {
+        folders.set(feed.category, []);
+      }
+      folders.get(feed.category).push(feed);
+    }
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      `    <title>${escapeXml(`Sources followed by ${user.name || 'a reader'}`)}</title>`,
+      `    <dateCreated>${now.toUTCString()}</dateCreated>`,
+      '  </head>',
+      '  <body>'
+    ];
+
+    for (const [category, categoryFeeds] of folders) {
+      lines.push(`    <outline text="${escapeXml(category)}" title="${escapeXml(category)}">`);
+      for (const feed of categoryFeeds) {
+        lines.push(`      <outline type="rss" text="${escapeXml(feed.name)}" title="${escapeXml(feed.name)}" xmlUrl="${escapeXml(feed.url)}" category="/${escapeXml(category)}"/>`);
+      }
+      lines.push('    </outline>');
+    }
+
+    for (const source of sources.filter(name => !feedNames.has(name))) {
+      lines.push(`    <outline text="${escapeXml(source)}" title="${escapeXml(source)}"/>`);
+    }
+
+    lines.push('  </body>', '</opml>', '');
+
+    return lines.join('\n');
+  }
+}
+
+export const opmlService = new OpmlService();
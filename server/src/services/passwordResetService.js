@@ -0,0 +1,114 @@
+/**
+ * Password Reset Service for Personalized News Aggregator
+ * Issues emailed single-use reset tokens and applies new passwords
+ */
+
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { PasswordResetToken } from '../models/PasswordResetToken.js';
+import { mailService } from './mailService.js';
+import { sessionService } from './sessionService.js';
+import { logger } from '../config/logger.js';
+import { PASSWORD_RESET_CONFIG } from '../config/constants.js';
+
+class PasswordResetService {
+  constructor() {
+    this.config = PASSWORD_RESET_CONFIG;
+  }
+
+  /**
+   * Tokens are stored as SHA-256 hashes so a database leak cannot be used to reset passwords
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Email a reset link to an active account
+   * Replaces any pending token. Repeat requests within RESEND_INTERVAL_SECONDS send nothing
+   * Never rejects, so callers can leave it running after responding: the lookup, token and
+   * SMTP delivery only happen for real accounts, and awaiting them would let response times
+   * reveal which emails are registered
+   * @param {string} email - Account email
+   * @param {Object} options - { ip }
+   * @returns {Promise<boolean>} Whether an email was sent; callers must not reveal it
+   */
+  async requestReset(email, { ip } = {}, now = new Date()) {
+    try {
+      return await this.issueReset(email, { ip }, now);
+    } catch (error) {
+      logger.error('Failed to handle password reset request:', error);
+      return false;
+    }
+  }
+
+  async issueReset(email, { ip }, now) {
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+    if (!user) {
+      return false;
+    }
+
+    const recent = await PasswordResetToken.exists({
+      userId: user._id,
+      usedAt: null,
+      createdAt: { $gt: new Date(now.getTime() - this.config.RESEND_INTERVAL_SECONDS * 1000) }
+    });
+    if (recent) {
+      logger.info(`Password reset for user ${user._id} requested again within the resend interval`);
+      return false;
+    }
+
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await PasswordResetToken.create({
+      userId: user._id,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(now.getTime() + this.config.TOKEN_TTL_MINUTES * 60 * 1000),
+      requestedIp: ip
+    });
+
+    await mailService.sendTemplate('passwordReset', user.email, {
+      name: user.name,
+      url: mailService.buildAppUrl('/reset-password', { token }),
+      expiresInMinutes: this.config.TOKEN_TTL_MINUTES
+    });
+
+    logger.info(`Password reset email sent to user ${user._id}`);
+    return true;
+  }
+
+  /**
+   * Set a new password with a reset token
+   * The token is spent even if the reset then fails, and is refused when the password
+   * changed after it was issued. Every device is signed out
+   * @param {string} token - Token from the emailed link
+   * @param {string} password - New password
+   * @returns {Promise<Object|null>} The user, or null when the token is invalid, used or expired
+   */
+  async resetPassword(token, password, now = new Date()) {
+    const record = await PasswordResetToken.consume(this.hashToken(token), now);
+    if (!record) {
+      return null;
+    }
+
+    const user = await User.findById(record.userId).select('+password');
+    if (!user || !user.isActive || (user.passwordChangedAt && user.passwordChangedAt > record.createdAt)) {
+      return null;
+    }
+
+    user.password = password;
+    // Proving control of the mailbox lifts a lockout from failed logins
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+    await sessionService.revokeAll(user._id, { reason: 'password_reset' }, now);
+
+    logger.info(`Password reset for user ${user._id}`);
+    return user;
+  }
+}
+
+export const passwordResetService = new PasswordResetService();
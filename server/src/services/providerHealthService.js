@@ -0,0 +1,325 @@
+/**
+ * Provider Health Service for Personalized News Aggregator
+ * Per-provider quota tracking and circuit breakers for external news APIs
+ */
+
+import { getRedis } from '../config/redis.js';
+import { logger } from '../config/logger.js';
+import { PROVIDER_HEALTH } from '../config/constants.js';
+import { providerRegistry } from './apis/providerRegistry.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class ProviderHealthService {
+  constructor() {
+    this.failureThreshold = PROVIDER_HEALTH.FAILURE_THRESHOLD;
+    this.openMs = PROVIDER_HEALTH.OPEN_SECONDS * 1000;
+    this.circuits = new Map();
+    this.localCounters = new Map(); // Fallback when Redis is unavailable
+  }
+
+  /**
+   * Ask permission to call a provider; counts the call against its quotas when granted
+   * @param {string} name - Provider name
+   * @param {number} now - Current time in ms (for testing)
+   * @returns {Promise<Object>} { allowed, reason, retryAt }
+   */
+  async acquire(name, now = Date.now()) {
+    const circuit = this.getCircuit(name);
+
+    if (circuit.state === 'open') {
+      if (now < circuit.nextAttemptAt) {
+        return { allowed: false, reason: 'circuit_open', retryAt: new Date(circuit.nextAttemptAt) };
+      }
+      circuit.state = 'half_open';
+      circuit.probeInFlight = false;
+    }
+
+    // Half-open lets a single probe through; everyone else waits for its outcome
+    if (circuit.state === 'half_open' && circuit.probeInFlight) {
+      return { allowed: false, reason: 'circuit_half_open', retryAt: new Date(now + this.openMs) };
+    }
+
+    // Claim the probe before awaiting the quota check, so concurrent callers cannot all become it
+    const probing = circuit.state === 'half_open';
+    if (probing) {
+      circuit.probeInFlight = true;
+    }
+
+    const exhausted = await this.countCall(name, now);
+    if (exhausted) {
+      if (probing) {
+        circuit.probeInFlight = false;
+      }
+      return { allowed: false, reason: 'quota_exceeded', retryAt: exhausted.resetsAt };
+    }
+
+    return { allowed: true, reason: null, retryAt: null };
+  }
+
+  /**
+   * Record a successful call and close the circuit
+   */
+  recordSuccess(name, now = Date.now()) {
+    const circuit = this.getCircuit(name);
+
+    if (circuit.state !== 'closed') {
+      logger.info(`Circuit for ${name} closed after successful probe`);
+    }
+
+    circuit.state = 'closed';
+    circuit.consecutiveFailures = 0;
+    circuit.probeInFlight = false;
+    circuit.openedAt = null;
+    circuit.nextAttemptAt = null;
+    circuit.lastSuccessAt = new Date(now);
+  }
+
+  /**
+   * Record a failed call; opens the circuit after repeated failures or a failed probe
+   */
+  recordFailure(name, error, now = Date.now()) {
+    const circuit = this.getCircuit(name);
+
+    circuit.consecutiveFailures += 1;
+    circuit.lastFailureAt = new Date(now);
+    circuit.lastError = error?.message || String(error);
+
+    if (circuit.state === 'half_open' || circuit.consecutiveFailures >= this.failureThreshold) {
+      circuit.state = 'open';
+      circuit.probeInFlight = false;
+      circuit.openedAt = new Date(now);
+      circuit.nextAttemptAt = now + this.openMs;
+
+      logger.warn(`Circuit for ${name} opened after ${circuit.consecutiveFailures} consecutive failures`, {
+        error: circuit.lastError,
+        retryAt: new Date(circuit.nextAttemptAt).toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get (or create) the circuit state for a provider
+   */
+  getCircuit(name) {
+    if (!this.circuits.has(name)) {
+      this.circuits.set(name, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        probeInFlight: false,
+        openedAt: null,
+        nextAttemptAt: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        lastError: null
+      });
+    }
+
+    return this.circuits.get(name);
+  }
+
+  /**
+   * Get calls made in the current minute and UTC day against the provider's limits
+   * Calls refused at the limit still increment the counter, so usage is capped at the limit
+   */
+  async getQuotaUsage(name, now = Date.now()) {
+    const rateLimit = providerRegistry.get(name)?.rateLimit || {};
+    const windows = this.getWindows(name, now);
+
+    const [minuteUsed, dayUsed] = await Promise.all([
+      this.readCounter(windows.minute.key, now),
+      this.readCounter(windows.day.key, now)
+    ]);
+    const usage = (used, limit, resetsAt) => ({
+      used: limit ? Math.min(used, limit) : used,
+      limit: limit || null,
+      resetsAt
+    });
+
+    return {
+      minute: usage(minuteUsed, rateLimit.requestsPerMinute, windows.minute.resetsAt),
+      day: usage(dayUsed, rateLimit.requestsPerDay, windows.day.resetsAt)
+    };
+  }
+
+  /**
+   * Count one call against the minute quota, then the daily one
+   * Each window takes a single increment whose result is compared with the limit, so concurrent
+   * callers cannot all pass a read-then-write check. A call refused by the minute quota never
+   * reaches the daily counter
+   * @returns {Promise<Object|null>} The exhausted window { used, limit, resetsAt }, or null to go ahead
+   */
+  async countCall(name, now = Date.now()) {
+    const rateLimit = providerRegistry.get(name)?.rateLimit || {};
+    const windows = this.getWindows(name, now);
+
+    for (const [window, limit] of [
+      [windows.minute, rateLimit.requestsPerMinute],
+      [windows.day, rateLimit.requestsPerDay]
+    ]) {
+      const used = await this.incrementCounter(window.key, window.resetsAt, now);
+      if (limit && used > limit) {
+        return { used, limit, resetsAt: window.resetsAt };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Counter keys for the current minute and UTC day
+   */
+  getWindows(name, now) {
+    const minuteStart = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    const dayStart = Math.floor(now / DAY_MS) * DAY_MS;
+
+    return {
+      minute: {
+        key: `provider_quota:${name}:minute:${minuteStart}`,
+        resetsAt: new Date(minuteStart + MINUTE_MS)
+      },
+      day: {
+        key: `provider_quota:${name}:day:${new Date(dayStart).toISOString().slice(0, 10)}`,
+        resetsAt: new Date(dayStart + DAY_MS)
+      }
+    };
+  }
+
+  /**
+   * Redis client when connected, otherwise null (counters fall back to memory)
+   */
+  getRedisClient() {
+    try {
+      const redis = getRedis();
+      return redis.status === 'ready' ? redis : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Increment a counter that expires when its window ends
+   */
+  async incrementCounter(key, expiresAt, now = Date.now()) {
+    const redis = this.getRedisClient();
+
+    if (redis) {
+      try {
+        const results = await redis.multi()
+          .incr(key)
+          .pexpireat(key, expiresAt.getTime())
+          .exec();
+        return results[0][1];
+      } catch (error) {
+        logger.error(`Provider quota increment error for ${key}:`, error);
+      }
+    }
+
+    let counter = this.getLocalCounter(key, now);
+    if (!counter) {
+      // A new window started; drop counters from past windows
+      for (const [counterKey, entry] of this.localCounters) {
+        if (entry.expiresAt <= now) {
+          this.localCounters.delete(counterKey);
+        }
+      }
+      counter = { count: 0, expiresAt: expiresAt.getTime() };
+    }
+    counter.count += 1;
+    this.localCounters.set(key, counter);
+
+    return counter.count;
+  }
+
+  /**
+   * Read a counter value
+   */
+  async readCounter(key, now = Date.now()) {
+    const redis = this.getRedisClient();
+
+    if (redis) {
+      try {
+        return parseInt(await redis.get(key)) || 0;
+      } catch (error) {
+        logger.error(`Provider quota read error for ${key}:`, error);
+      }
+    }
+
+    return this.getLocalCounter(key, now)?.count || 0;
+  }
+
+  /**
+   * Get an unexpired in-memory counter, dropping expired ones
+   */
+  getLocalCounter(key, now = Date.now()) {
+    const entry = this.localCounters.get(key);
+
+    if (entry && entry.expiresAt <= now) {
+      this.localCounters.delete(key);
+      return null;
+    }
+
+    return entry || null;
+  }
+
+  /**
+   * Describe one provider's health
+   * @param {Object} provider - Provider plugin
+   * @returns {Promise<Object>} Status, circuit and quota usage
+   */
+  async getProviderStatus(provider, now = Date.now()) {
+    const circuit = this.getCircuit(provider.name);
+    const quota = await this.getQuotaUsage(provider.name, now);
+    const quotaExceeded = [quota.minute, quota.day].some(window => window.limit && window.used >= window.limit);
+
+    let status = 'healthy';
+    if (!provider.isAvailable()) {
+      status = 'disabled';
+    } else if (circuit.state === 'open') {
+      status = 'unavailable';
+    } else if (quotaExceeded) {
+      status = 'quota_exceeded';
+    } else if (circuit.state === 'half_open' || circuit.consecutiveFailures > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      name: provider.name,
+      displayName: provider.displayName,
+      status,
+      circuit: {
+        state: circuit.state,
+        consecutiveFailures: circuit.consecutiveFailures,
+        openedAt: circuit.openedAt,
+        nextAttemptAt: circuit.nextAttemptAt ? new Date(circuit.nextAttemptAt) : null,
+        lastFailureAt: circuit.lastFailureAt,
+        lastSuccessAt: circuit.lastSuccessAt,
+        lastError: circuit.lastError
+      },
+      quota
+    };
+  }
+
+  /**
+   * Describe the health of every registered provider
+   * @returns {Promise<Object>} Provider statuses keyed by provider name
+   */
+  async getStatus() {
+    const statuses = await Promise.all(
+      providerRegistry.getAll().map(provider => this.getProviderStatus(provider))
+    );
+
+    return Object.fromEntries(statuses.map(status => [status.name, status]));
+  }
+
+  /**
+   * Reset circuits and in-memory counters
+   */
+  reset() {
+    this.circuits.clear();
+    this.localCounters.clear();
+  }
+}
+
+export const providerHealthService = new ProviderHealthService();
@@ -0,0 +1,85 @@
+/**
+ * Read Later Service for Personalized News Aggregator
+ * Read/unread state, reading progress and the reading queue of saved articles
+ */
+
+import { SavedArticle } from '../models/SavedArticle.js';
+import { READING_CONFIG, READING_STATUSES } from '../config/constants.js';
+
+class ReadLaterService {
+  constructor() {
+    this.config = READING_CONFIG;
+  }
+
+  /**
+   * Fields to set when the reader changes an article's status by hand
+   */
+  getStatusUpdate(status, now = new Date()) {
+    switch (status) {
+      case 'read':
+        return { status, progress: 100, readAt: now };
+      case 'unread':
+        return { status, progress: 0, readAt: null };
+      default:
+        return { status };
+    }
+  }
+
+  /**
+   * Fields to set when the reader opens or scrolls an article
+   * Progress only grows; unread articles become in-progress, and read once scrolled far enough.
+   * Articles already read or archived keep their status
+   * @param {Object} saved - Current { status, progress }
+   * @param {number} progress - Scroll depth reported by the client, percent
+   */
+  getProgressUpdate(saved, progress, now = new Date()) {
+    const update = {
+      progress: Math.max(saved.progress || 0, progress),
+      lastOpenedAt: now
+    };
+
+    const status = saved.status || 'unread';
+    if (status === 'read' || status === 'archived') {
+      return update;
+    }
+
+    if (update.progress >= this.config.READ_PROGRESS) {
+      update.status = 'read';
+      update.readAt = now;
+    } else {
+      update.status = 'in-progress';
+    }
+
+    return update;
+  }
+
+  /**
+   * Saved articles shortest read first
+   * @param {Object} options - getUserQuery filters plus limit and skip
+   * @returns {Promise<Object>} { items, total }
+   */
+  async getQueue(userId, options = {}) {
+    const [items, total] = await Promise.all([
+      SavedArticle.getReadingQueue(userId, options),
+      SavedArticle.countDocuments(SavedArticle.getUserQuery(userId, options))
+    ]);
+
+    return { items, total };
+  }
+
+  /**
+   * Saved articles per status, counting those saved before tracking as unread
+   */
+  async getStatusCounts(userId) {
+    const rows = await SavedArticle.getStatusCounts(userId);
+    const counts = Object.fromEntries(READING_STATUSES.map(status => [status, 0]));
+
+    for (const { _id, count } of rows) {
+      counts[_id || 'unread'] += count;
+    }
+
+    return counts;
+  }
+}
+
+export const readLaterService = new ReadLaterService();
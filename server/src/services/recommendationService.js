@@ -0,0 +1,386 @@
+/**
+ * Recommendation Service for Personalized News Aggregator
+ * Ranks recent articles against a profile built from each user's saves, reads and preferences
+ */
+
+import natural from 'natural';
+import { Article } from '../models/Article.js';
+import { SavedArticle } from '../models/SavedArticle.js';
+import { ReadingHistory } from '../models/ReadingHistory.js';
+import { collaborativeService } from './collaborativeService.js';
+import { eventService } from './eventService.js';
+import { RECOMMENDATION_CONFIG } from '../config/constants.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const CANDIDATE_FIELDS = 'title description url urlToImage source author category tags publishedAt views saves meta';
+
+class RecommendationService {
+  constructor() {
+    this.config = RECOMMENDATION_CONFIG;
+    // Article tags are Porter stems (see taggerService), so interests are stemmed to match
+    this.stemmer = natural.PorterStemmer;
+  }
+
+  /**
+   * Recommend articles for a user
+   * @param {Object} user - User with _id, interests and preferences
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { recommendations, profile, coldStart }
+   */
+  async getRecommendations(user, { limit = 10 } = {}) {
+    const now = new Date();
+
+    const [saved, history, hidden] = await Promise.all([
+      SavedArticle.find({ userId: user._id })
+        .select('articleId category tags source savedAt')
+        .sort({ savedAt: -1 })
+        .limit(this.config.PROFILE_SIGNALS)
+        .lean(),
+      ReadingHistory.find({ userId: user._id })
+        .select('articleId category tags source views dwellSeconds lastViewedAt')
+        .sort({ lastViewedAt: -1 })
+        .limit(this.config.PROFILE_SIGNALS)
+        .lean(),
+      eventService.getHiddenArticleIds(user._id)
+    ]);
+
+    const profile = this.buildProfile({ user, saved, history }, now);
+    // Hidden articles are never recommended again
+    const seenIds = [...saved, ...history].map(item => item.articleId).concat(hidden);
+
+    // Empty for users without saves, who get content-based ranking only
+    const collaborative = await collaborativeService.getUserScores(user._id, saved);
+
+    const candidates = await this.getCandidates(profile, seenIds, limit, now);
+    candidates.push(...await this.getCollaborativeCandidates(collaborative, candidates, seenIds, limit));
+
+    const ranked = this.diversify(
+      candidates.map(article => this.scoreArticle(article, profile, now, collaborative)),
+      limit
+    );
+
+    return {
+      recommendations: ranked.map(({ article, score, reasons }) => ({
+        ...article,
+        recommendation: {
+          score: Math.round(score * 1000) / 1000,
+          reasons,
+          explanation: this.explain(reasons)
+        }
+      })),
+      profile: this.summarizeProfile(profile),
+      coldStart: profile.isEmpty
+    };
+  }
+
+  /**
+   * Build a weighted profile of categories, sources and tags
+   * Saves count more than reads, longer reads more than short ones, and every signal fades with age
+   * @param {Object} data - { user, saved, history }
+   * @param {Date} now - Reference time for decay
+   * @returns {Object} Profile with weights normalized to 0-1
+   */
+  buildProfile({ user = {}, saved = [], history = [] }, now = new Date()) {
+    const { SIGNAL_WEIGHTS, MAX_DWELL_MINUTES } = this.config;
+    const profile = {
+      categories: new Map(),
+      sources: new Map(),
+      tags: new Map(),
+      signals: saved.length + history.length
+    };
+
+    for (const item of saved) {
+      this.addSignal(profile, item, SIGNAL_WEIGHTS.SAVE * this.getAgeFactor(now - new Date(item.savedAt)));
+    }
+
+    for (const item of history) {
+      const dwellMinutes = Math.min((item.dwellSeconds || 0) / 60, MAX_DWELL_MINUTES);
+      const weight = SIGNAL_WEIGHTS.VIEW * Math.log2(1 + (item.views || 1)) +
+        SIGNAL_WEIGHTS.DWELL_PER_MINUTE * dwellMinutes;
+
+      this.addSignal(profile, item, weight * this.getAgeFactor(now - new Date(item.lastViewedAt)));
+    }
+
+    // Explicit preferences never decay
+    for (const category of user.preferences?.categories || []) {
+      this.addWeight(profile.categories, category, SIGNAL_WEIGHTS.PREFERENCE);
+    }
+    for (const source of user.preferences?.sources || []) {
+      this.addWeight(profile.sources, source, SIGNAL_WEIGHTS.PREFERENCE);
+    }
+    for (const interest of user.interests || []) {
+      for (const tag of this.getInterestTags(interest)) {
+        this.addWeight(profile.tags, tag, SIGNAL_WEIGHTS.PREFERENCE);
+      }
+    }
+
+    profile.isEmpty = profile.categories.size === 0 && profile.sources.size === 0 && profile.tags.size === 0;
+
+    for (const weights of [profile.categories, profile.sources, profile.tags]) {
+      this.normalize(weights);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Add one save or read to a profile
+   */
+  addSignal(profile, { category, source, tags }, weight) {
+    this.addWeight(profile.categories, category, weight);
+    this.addWeight(profile.sources, source, weight);
+    for (const tag of tags || []) {
+      this.addWeight(profile.tags, tag.toLowerCase(), weight);
+    }
+  }
+
+  addWeight(weights, key, weight) {
+    if (!key || weight <= 0) return;
+    weights.set(key, (weights.get(key) || 0) + weight);
+  }
+
+  /**
+   * Scale weights so the strongest is 1
+   */
+  normalize(weights) {
+    const max = Math.max(0, ...weights.values());
+    if (max === 0) return;
+
+    for (const [key, weight] of weights) {
+      weights.set(key, weight / max);
+    }
+  }
+
+  /**
+   * Tags an interest such as "climate change" matches: the phrase and each stemmed word
+   */
+  getInterestTags(interest) {
+    const phrase = interest.trim().toLowerCase();
+    const words = phrase.split(/\s+/).filter(word => word.length >= 3);
+
+    return [...new Set([phrase, ...words, ...words.map(word => this.stemmer.stem(word))])];
+  }
+
+  getAgeFactor(elapsedMs) {
+    return 0.5 ** (Math.max(elapsedMs, 0) / (this.config.PROFILE_HALF_LIFE_DAYS * DAY));
+  }
+
+  /**
+   * Find recent unseen articles that share a category, source or tag with the profile
+   * Falls back to all recent articles for new users or thin profiles
+   */
+  async getCandidates(profile, seenIds, limit, now = new Date()) {
+    const query = {
+      isActive: true,
+      publishedAt: { $gte: new Date(now - this.config.CANDIDATE_DAYS * DAY) }
+    };
+    if (seenIds.length > 0) {
+      query._id = { $nin: seenIds };
+    }
+
+    const findArticles = (filter) => Article.find(filter)
+      .select(CANDIDATE_FIELDS)
+      .sort({ publishedAt: -1 })
+      .limit(this.config.CANDIDATE_LIMIT)
+      .lean();
+
+    if (profile.isEmpty) {
+      return findArticles(query);
+    }
+
+    const matches = [
+      { category: { $in: this.topKeys(profile.categories, 10) } },
+      { 'source.name': { $in: this.topKeys(profile.sources, 20) } },
+      { tags: { $in: this.topKeys(profile.tags, 50) } }
+    ].filter(match => Object.values(match)[0].$in.length > 0);
+
+    const candidates = await findArticles({ ...query, $or: matches });
+    if (candidates.length >= limit * 2) {
+      return candidates;
+    }
+
+    const ids = new Set(candidates.map(article => article._id.toString()));
+    const recent = await findArticles(query);
+
+    return [...candidates, ...recent.filter(article => !ids.has(article._id.toString()))];
+  }
+
+  /**
+   * Articles similar readers saved that the content match missed
+   */
+  async getCollaborativeCandidates(collaborative, candidates, seenIds, limit) {
+    const excluded = new Set([
+      ...candidates.map(article => article._id.toString()),
+      ...seenIds.map(articleId => articleId.toString())
+    ]);
+    const ids = Array.from(collaborative)
+      .filter(([articleId]) => !excluded.has(articleId))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit * 3)
+      .map(([articleId]) => articleId);
+
+    if (ids.length === 0) return [];
+
+    return Article.find({ _id: { $in: ids }, isActive: true })
+      .select(CANDIDATE_FIELDS)
+      .lean();
+  }
+
+  /**
+   * Score an article: similarity to the profile, freshness and popularity,
+   * blended with what similar readers saved when the user has collaborative scores
+   * @param {Map<string, number>} collaborative - Article ID => 0-1 score from collaborativeService
+   * @returns {Object} { article, score, reasons }
+   */
+  scoreArticle(article, profile, now = new Date(), collaborative = new Map()) {
+    const { SIMILARITY_WEIGHTS, SCORE_WEIGHTS, COLLABORATIVE_WEIGHT } = this.config;
+
+    const categoryMatch = profile.categories.get(article.category) || 0;
+    const sourceMatch = profile.sources.get(article.source?.name) || 0;
+    const tags = article.tags || [];
+    const tagMatches = tags
+      .map(tag => ({ tag, weight: profile.tags.get(tag.toLowerCase()) || 0 }))
+      .filter(match => match.weight > 0)
+      .sort((a, b) => b.weight - a.weight);
+    const tagMatch = tagMatches.length > 0
+      ? Math.min(tagMatches.reduce((sum, match) => sum + match.weight, 0) / Math.sqrt(tags.length), 1)
+      : 0;
+
+    const similarity = SIMILARITY_WEIGHTS.CATEGORY * categoryMatch +
+      SIMILARITY_WEIGHTS.TAGS * tagMatch +
+      SIMILARITY_WEIGHTS.SOURCE * sourceMatch;
+    const freshness = this.getFreshness(article.publishedAt, now);
+    const popularity = this.getPopularity(article);
+
+    const contentScore = SCORE_WEIGHTS.SIMILARITY * similarity +
+      SCORE_WEIGHTS.FRESHNESS * freshness +
+      SCORE_WEIGHTS.POPULARITY * popularity;
+    const readers = collaborative.get(article._id.toString()) || 0;
+    const score = collaborative.size > 0
+      ? (1 - COLLABORATIVE_WEIGHT) * contentScore + COLLABORATIVE_WEIGHT * readers
+      : contentScore;
+
+    // Personal reasons first, strongest contribution first
+    const reasons = [
+      { reason: { type: 'tags', values: tagMatches.slice(0, 3).map(match => match.tag) }, contribution: SIMILARITY_WEIGHTS.TAGS * tagMatch },
+      { reason: { type: 'category', value: article.category }, contribution: SIMILARITY_WEIGHTS.CATEGORY * categoryMatch },
+      { reason: { type: 'source', value: article.source?.name }, contribution: SIMILARITY_WEIGHTS.SOURCE * sourceMatch },
+      { reason: { type: 'readers' }, contribution: COLLABORATIVE_WEIGHT * readers }
+    ]
+      .filter(item => item.contribution >= 0.1)
+      .sort((a, b) => b.contribution - a.contribution)
+      .map(item => item.reason);
+
+    if (popularity >= 0.5) reasons.push({ type: 'popular' });
+    if (freshness >= 0.75) reasons.push({ type: 'fresh' });
+    if (reasons.length === 0) reasons.push({ type: 'recent' });
+
+    return { article, score, reasons };
+  }
+
+  /**
+   * 1 when just published, halving every FRESHNESS_HALF_LIFE_HOURS
+   */
+  getFreshness(publishedAt, now = new Date()) {
+    const ageHours = Math.max(now - new Date(publishedAt), 0) / HOUR;
+    return 0.5 ** (ageHours / this.config.FRESHNESS_HALF_LIFE_HOURS);
+  }
+
+  /**
+   * Log-scaled views and saves, 0-1
+   */
+  getPopularity(article) {
+    const engagement = (article.views || 0) + 3 * (article.saves || 0);
+    return Math.min(Math.log1p(engagement) / Math.log1p(this.config.POPULARITY_SCALE), 1);
+  }
+
+  /**
+   * Pick the top articles, penalizing sources and categories already picked
+   * No source may exceed MAX_SOURCE_SHARE of the results, even if that leaves fewer than limit
+   * @param {Array} scored - Results of scoreArticle
+   * @param {number} limit - Number of articles to pick
+   */
+  diversify(scored, limit) {
+    const { SOURCE_PENALTY, CATEGORY_PENALTY, MAX_SOURCE_SHARE } = this.config;
+    const maxPerSource = Math.max(1, Math.ceil(limit * MAX_SOURCE_SHARE));
+    const remaining = [...scored];
+    const sourceCounts = new Map();
+    const categoryCounts = new Map();
+    const picked = [];
+
+    while (picked.length < limit && remaining.length > 0) {
+      let bestIndex = -1;
+      let bestScore = -Infinity;
+
+      remaining.forEach((item, index) => {
+        const sourceCount = sourceCounts.get(item.article.source?.name) || 0;
+        if (sourceCount >= maxPerSource) return;
+
+        const adjusted = item.score *
+          SOURCE_PENALTY ** sourceCount *
+          CATEGORY_PENALTY ** (categoryCounts.get(item.article.category) || 0);
+
+        if (adjusted > bestScore) {
+          bestScore = adjusted;
+          bestIndex = index;
+        }
+      });
+
+      if (bestIndex === -1) break;
+
+      const [item] = remaining.splice(bestIndex, 1);
+      picked.push(item);
+      sourceCounts.set(item.article.source?.name, (sourceCounts.get(item.article.source?.name) || 0) + 1);
+      categoryCounts.set(item.article.category, (categoryCounts.get(item.article.category) || 0) + 1);
+    }
+
+    return picked;
+  }
+
+  /**
+   * One-line "why recommended" text from the strongest reason
+   */
+  explain(reasons) {
+    const [reason] = reasons;
+
+    switch (reason?.type) {
+      case 'tags':
+        return `Because you read about ${reason.values.join(', ')}`;
+      case 'category':
+        return `More ${reason.value} news, which you read often`;
+      case 'source':
+        return `From ${reason.value}, a source you read often`;
+      case 'readers':
+        return 'Readers who saved what you saved also saved this';
+      case 'popular':
+        return 'Popular with other readers';
+      case 'fresh':
+        return 'Just published';
+      default:
+        return 'Recent news';
+    }
+  }
+
+  /**
+   * Strongest profile entries, for the response's basedOn section
+   */
+  summarizeProfile(profile) {
+    return {
+      categories: this.topKeys(profile.categories, 5),
+      sources: this.topKeys(profile.sources, 5),
+      tags: this.topKeys(profile.tags, 10),
+      signals: profile.signals
+    };
+  }
+
+  topKeys(weights, count) {
+    return Array.from(weights)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, count)
+      .map(([key]) => key);
+  }
+}
+
+export const recommendationService = new RecommendationService();
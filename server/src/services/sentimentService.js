@@ -0,0 +1,123 @@
+/**
+ * Sentiment Service for Personalized News Aggregator
+ * Lexicon-based (AFINN) sentiment scoring for articles
+ */
+
+import natural from 'natural';
+import { Article } from '../models/Article.js';
+import { logger } from '../config/logger.js';
+import { SENTIMENT_CONFIG } from '../config/constants.js';
+
+class SentimentService {
+  constructor() {
+    // AFINN is a word list, so tokens are matched unstemmed; natural handles negations
+    this.analyzer = new natural.SentimentAnalyzer('English', null, 'afinn');
+    this.tokenizer = new natural.WordTokenizer();
+    this.positiveThreshold = SENTIMENT_CONFIG.POSITIVE_THRESHOLD;
+    this.negativeThreshold = SENTIMENT_CONFIG.NEGATIVE_THRESHOLD;
+  }
+
+  /**
+   * Score a piece of text
+   * @param {string} text - Text to analyze
+   * @returns {Object} { score, label }
+   */
+  analyze(text) {
+    const tokens = this.tokenizer.tokenize((text || '').toLowerCase());
+    if (tokens.length === 0) {
+      return { score: 0, label: 'neutral' };
+    }
+
+    const score = Math.round(this.analyzer.getSentiment(tokens) * 1000) / 1000;
+
+    return { score, label: this.getLabel(score) };
+  }
+
+  /**
+   * Score an article from its title, description and content
+   * @param {Object} article - Article data
+   * @returns {Object} { score, label }
+   */
+  analyzeArticle(article) {
+    return this.analyze([article.title, article.description, article.content].filter(Boolean).join('. '));
+  }
+
+  /**
+   * Map a comparative score to a label
+   */
+  getLabel(score) {
+    if (score >= this.positiveThreshold) return 'positive';
+    if (score <= this.negativeThreshold) return 'negative';
+    return 'neutral';
+  }
+
+  /**
+   * Set meta.sentiment and meta.sentimentScore on an article document or plain object
+   * @param {Object} options - { teaser }: provider text scored when the article has no content yet
+   */
+  applyTo(article, { teaser = '' } = {}) {
+    const { score, label } = this.analyzeArticle({
+      title: article.title,
+      description: article.description,
+      content: article.content || teaser
+    });
+
+    if (!article.meta) {
+      article.meta = {};
+    }
+    article.meta.sentiment = label;
+    article.meta.sentimentScore = score;
+
+    return { score, label };
+  }
+
+  /**
+   * Score existing articles that were stored before sentiment analysis
+   * @param {Object} options - { batchSize, force } (force rescores every article)
+   * @returns {Promise<number>} Number of articles updated
+   */
+  async backfill({ batchSize = SENTIMENT_CONFIG.BACKFILL_BATCH_SIZE, force = false } = {}) {
+    let updated = 0;
+    let lastId = null;
+    let articles = [];
+
+    try {
+      do {
+        const query = force ? {} : { 'meta.sentimentScore': null };
+        if (lastId) {
+          query._id = { $gt: lastId };
+        }
+
+        articles = await Article.find(query)
+          .select('title description content')
+          .sort({ _id: 1 })
+          .limit(batchSize)
+          .lean();
+
+        if (articles.length === 0) break;
+
+        const operations = articles.map(article => {
+          const { score, label } = this.analyzeArticle(article);
+          return {
+            updateOne: {
+              filter: { _id: article._id },
+              update: { $set: { 'meta.sentiment': label, 'meta.sentimentScore': score } }
+            }
+          };
+        });
+
+        await Article.bulkWrite(operations, { ordered: false });
+        updated += articles.length;
+        lastId = articles[articles.length - 1]._id;
+      } while (articles.length === batchSize);
+
+      logger.info(`Backfilled sentiment for ${updated} articles`);
+      return updated;
+    } catch (error) {
+      logger.error('Error backfilling sentiment:', error);
+      return updated;
+    }
+  }
+}
+
+export const sentimentService = new SentimentService();
@@ -0,0 +1,341 @@
+/**
+ * Session Service for Personalized News Aggregator
+ * Device sessions with rotating refresh tokens, reuse detection and access-token revocation
+ */
+
+import crypto from 'crypto';
+import { Session } from '../models/Session.js';
+import { streamService } from './streamService.js';
+import { getRedis } from '../config/redis.js';
+import { logger } from '../config/logger.js';
+import { SESSION_CONFIG } from '../config/constants.js';
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+class SessionService {
+  constructor() {
+    this.config = SESSION_CONFIG;
+  }
+
+  /**
+   * Redis client when connected, otherwise null (revocation is then checked against MongoDB)
+   */
+  getRedisClient() {
+    try {
+      const redis = getRedis();
+      return redis.status === 'ready' ? redis : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getDenylistKey(jti) {
+    return `auth:denylist:${jti}`;
+  }
+
+  getStateKey(sessionId) {
+    return `auth:session:${sessionId}`;
+  }
+
+  /**
+   * Short label for a user agent, e.g. "Firefox on Windows"
+   */
+  describeDevice(userAgent = '') {
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || 'Unknown device';
+  }
+
+  /**
+   * Refresh tokens expire after REFRESH_TOKEN_TTL_DAYS without use, and never after MAX_AGE_DAYS
+   */
+  getExpiry(createdAt, now) {
+    const idle = now.getTime() + this.config.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const max = createdAt.getTime() + this.config.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    return new Date(Math.min(idle, max));
+  }
+
+  /**
+   * Start a session for a device that just signed in
+   * @param {Object} user - User document
+   * @param {Object} client - { ip, userAgent, twoFactor }
+   * @returns {Promise<Object>} Grant { sessionId, accessJti, refreshJti, twoFactor } for signing the tokens
+   */
+  async create(user, { ip, userAgent, twoFactor = false } = {}, now = new Date()) {
+    const accessJti = crypto.randomUUID();
+    const refreshJti = crypto.randomUUID();
+
+    const session = await Session.create({
+      userId: user._id,
+      refreshJti,
+      accessTokens: [{ jti: accessJti, issuedAt: now }],
+      device: this.describeDevice(userAgent),
+      userAgent: userAgent?.slice(0, 500),
+      ip,
+      twoFactor,
+      lastUsedAt: now,
+      expiresAt: this.getExpiry(now, now)
+    });
+
+    return { sessionId: session._id, accessJti, refreshJti, twoFactor };
+  }
+
+  /**
+   * Exchange a refresh token for the next pair
+   * Presenting any refresh token but the latest one revokes the session, since one of the two holders
+   * must have stolen it. The exception is the token just replaced, within REUSE_GRACE_SECONDS, which
+   * is what two tabs refreshing at once look like
+   * @param {Object} claims - Verified refresh token claims { sid, jti }
+   * @param {Object} client - { ip }
+   * @returns {Promise<Object>} { userId, grant } or { reason: 'invalid' | 'superseded' | 'reuse' }
+   */
+  async rotate({ sid, jti }, { ip } = {}, now = new Date()) {
+    const session = await Session.findById(sid);
+    if (!session || session.revokedAt || session.expiresAt <= now) {
+      return { reason: 'invalid' };
+    }
+
+    if (jti !== session.refreshJti) {
+      return this.handleStaleToken(session, jti, now);
+    }
+
+    const accessJti = crypto.randomUUID();
+    const refreshJti = crypto.randomUUID();
+
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshJti: jti, revokedAt: null },
+      {
+        $set: {
+          refreshJti,
+          previousRefreshJti: jti,
+          rotatedAt: now,
+          lastUsedAt: now,
+          ip,
+          expiresAt: this.getExpiry(session.createdAt, now)
+        },
+        $push: { accessTokens: { $each: [{ jti: accessJti, issuedAt: now }] } }
+      },
+      { new: true }
+    );
+
+    // Another request rotated the token between the read and the update
+    if (!rotated) {
+      const current = await Session.findById(sid);
+      return current && !current.revokedAt ? this.handleStaleToken(current, jti, now) : { reason: 'invalid' };
+    }
+    await this.pruneAccessTokens(session._id, now);
+
+    return {
+      userId: session.userId,
+      grant: { sessionId: session._id, accessJti, refreshJti, twoFactor: Boolean(session.twoFactor) }
+    };
+  }
+
+  /**
+   * Mark a session as second-factor verified, e.g. right after enabling 2FA on it
+   * @returns {Promise<Object|null>} Grant with a new access token id, or null when the session is gone
+   */
+  async elevate(sessionId, now = new Date()) {
+    const accessJti = crypto.randomUUID();
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      {
+        $set: { twoFactor: true, lastUsedAt: now },
+        $push: { accessTokens: { $each: [{ jti: accessJti, issuedAt: now }] } }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      return null;
+    }
+
+    await this.pruneAccessTokens(session._id, now);
+    return { sessionId: session._id, accessJti, twoFactor: true };
+  }
+
+  /**
+   * Forget access token ids old enough to have expired; every other one must stay so revoke() can deny it
+   */
+  async pruneAccessTokens(sessionId, now) {
+    const cutoff = new Date(now.getTime() - this.config.DENYLIST_TTL_SECONDS * 1000);
+    await Session.updateOne({ _id: sessionId }, { $pull: { accessTokens: { issuedAt: { $lte: cutoff } } } });
+  }
+
+  async handleStaleToken(session, jti, now) {
+    const withinGrace = session.rotatedAt &&
+      now.getTime() - session.rotatedAt.getTime() < this.config.REUSE_GRACE_SECONDS * 1000;
+
+    if (jti === session.previousRefreshJti && withinGrace) {
+      return { reason: 'superseded' };
+    }
+
+    await this.revoke(session, 'reuse', now);
+    logger.warn(`Refresh token reuse detected for user ${session.userId}; session ${session._id} revoked`);
+    return { reason: 'reuse' };
+  }
+
+  /**
+   * Active sessions, most recently used first
+   * @returns {Promise<Array>} [{ id, device, ip, createdAt, lastUsedAt, expiresAt }]
+   */
+  async listSessions(userId, now = new Date()) {
+    const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: now } })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @returns {Promise<boolean>} False when no such active session exists
+   */
+  async revokeSession(userId, sessionId, reason = 'revoked', now = new Date()) {
+    const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null }).lean();
+    if (!session) {
+      return false;
+    }
+
+    await this.revoke(session, reason, now);
+    return true;
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping the current one
+   * @param {Object} options - { except, reason }
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAll(userId, { except = null, reason = 'revoked' } = {}, now = new Date()) {
+    const sessions = await Session.find({
+      userId,
+      revokedAt: null,
+      ...(except && { _id: { $ne: except } })
+    }).lean();
+
+    if (sessions.length === 0) {
+      return 0;
+    }
+
+    await Session.updateMany(
+      { _id: { $in: sessions.map(session => session._id) }, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: reason } }
+    );
+    await this.denylist(sessions.flatMap(session => session.accessTokens), now, sessions.map(session => session._id));
+    // Open event streams would otherwise keep pushing the feed after the tokens are gone
+    await streamService.closeSessions({ userId, except });
+
+    return sessions.length;
+  }
+
+  async revoke(session, reason, now) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: reason } }
+    );
+    await this.denylist(session.accessTokens, now, [session._id]);
+    await streamService.closeSessions({ userId: session.userId, sessionIds: [session._id] });
+  }
+
+  /**
+   * Deny access tokens until they would have expired anyway, and replace any cached state of their
+   * sessions so isRevoked() sees the revocation straight away
+   * @param {Array} accessTokens - [{ jti, issuedAt }]
+   * @param {Array} sessionIds - Sessions the tokens belong to
+   */
+  async denylist(accessTokens = [], now = new Date(), sessionIds = []) {
+    const redis = this.getRedisClient();
+    if (!redis) return;
+
+    const pipeline = redis.multi();
+    let count = 0;
+
+    for (const { jti, issuedAt } of accessTokens) {
+      const ttl = Math.ceil((new Date(issuedAt).getTime() + this.config.DENYLIST_TTL_SECONDS * 1000 - now.getTime()) / 1000);
+      if (ttl > 0) {
+        pipeline.set(this.getDenylistKey(jti), '1', 'EX', ttl);
+        count++;
+      }
+    }
+
+    for (const sessionId of sessionIds) {
+      pipeline.set(this.getStateKey(sessionId), 'revoked', 'EX', this.config.STATE_CACHE_SECONDS);
+      count++;
+    }
+
+    if (count === 0) return;
+
+    try {
+      await pipeline.exec();
+    } catch (error) {
+      logger.error('Failed to denylist access tokens:', error);
+    }
+  }
+
+  /**
+   * Whether a session can still be used: not revoked and not expired
+   * Event streams check it when they open; once open they are closed by revoke()
+   */
+  async isActive(sessionId, now = new Date()) {
+    return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: now } }));
+  }
+
+  /**
+   * Whether an access token was revoked: its id is denylisted or its session is no longer active
+   * The session is checked in MongoDB whenever the token names one, with the answer cached in Redis
+   * for STATE_CACHE_SECONDS. A revocation Redis missed is therefore honoured once the cached answer
+   * expires, instead of only when the token does
+   * @param {Object} claims - Verified access token claims { jti, sid }
+   */
+  async isRevoked({ jti, sid }) {
+    const redis = this.getRedisClient();
+
+    if (redis) {
+      try {
+        if (jti && (await redis.exists(this.getDenylistKey(jti))) === 1) return true;
+
+        const state = sid && await redis.get(this.getStateKey(sid));
+        if (state) return state === 'revoked';
+      } catch (error) {
+        logger.error('Token revocation lookup failed, checking the session:', error);
+      }
+    }
+
+    if (!sid) return false;
+    const active = Boolean(await Session.exists({ _id: sid, revokedAt: null }));
+
+    if (redis) {
+      redis.set(this.getStateKey(sid), active ? 'active' : 'revoked', 'EX', this.config.STATE_CACHE_SECONDS)
+        .catch(error => logger.error('Failed to cache session state:', error));
+    }
+
+    return !active;
+  }
+}
+
+export const sessionService = new SessionService();
@@ -0,0 +1,293 @@
+/**
+ * Story Clustering Service for Personalized News Aggregator
+ * Groups articles that cover the same event into Story documents
+ */
+
+import { Story } from '../models/Story.js';
+import { Article } from '../models/Article.js';
+import { dedupeService } from './dedupeService.js';
+import { textCleaner } from '../utils/textCleaner.js';
+import { logger } from '../config/logger.js';
+import { STORY_CONFIG } from '../config/constants.js';
+
+class StoryService {
+  constructor() {
+    this.similarityThreshold = STORY_CONFIG.SIMILARITY_THRESHOLD;
+    this.windowHours = STORY_CONFIG.WINDOW_HOURS;
+    this.maxCandidates = STORY_CONFIG.MAX_CANDIDATES;
+  }
+
+  /**
+   * Assign an article to a matching story, or start a new one
+   * @param {Object} article - Saved article document
+   * @returns {Promise<Object|null>} Story the article was added to
+   */
+  async assignArticle(article) {
+    try {
+      const terms = this.extractTerms(article.title, article.tags);
+      if (terms.length === 0) {
+        return null;
+      }
+
+      const publishedAt = new Date(article.publishedAt);
+      const since = new Date(publishedAt.getTime() - this.windowHours * 60 * 60 * 1000);
+      const candidates = await Story.findOpen(since, null, this.maxCandidates);
+      const match = this.findBestMatch(terms, candidates);
+
+      const story = match
+        ? await this.addToStory(match.story, article, terms)
+        : await this.createStory(article, terms);
+
+      await Article.updateOne({ _id: article._id }, { $set: { story: story._id } });
+
+      return story;
+    } catch (error) {
+      logger.error('Error assigning article to story:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract normalized, stemmed title terms used for matching
+   * @param {string} title - Article title
+   * @param {Array} tags - Article tags
+   * @returns {Array} Unique terms
+   */
+  extractTerms(title, tags = []) {
+    const words = textCleaner.normalize(dedupeService.stripSourceSuffix(title))
+      .split(' ')
+      .filter(word => word.length > 1 && !textCleaner.isStopWord(word));
+
+    const tagWords = (tags || [])
+      .flatMap(tag => textCleaner.normalize(tag).split(' '))
+      .filter(word => word.length > 1);
+
+    return [...new Set(textCleaner.stemWords([...words, ...tagWords]))];
+  }
+
+  /**
+   * Find the most similar story above the similarity threshold
+   * @param {Array} terms - Terms of the incoming article
+   * @param {Array} stories - Candidate stories
+   * @returns {Object|null} Best match with similarity
+   */
+  findBestMatch(terms, stories) {
+    let best = null;
+
+    for (const story of stories) {
+      if (!story.terms || story.terms.length === 0) continue;
+
+      const similarity = dedupeService.calculateSimilarity(terms.join(' '), story.terms.join(' '));
+      if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { story, similarity };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Start a new story led by the given article
+   */
+  async createStory(article, terms) {
+    return Story.create({
+      title: article.title,
+      terms,
+      leadArticle: article._id,
+      articles: [article._id],
+      articleCount: 1,
+      sources: [article.source?.name].filter(Boolean),
+      category: article.category || null,
+      tags: article.tags || [],
+      firstPublishedAt: article.publishedAt,
+      lastPublishedAt: article.publishedAt
+    });
+  }
+
+  /**
+   * Add an article to an existing story
+   * The earliest report leads the story. Adding an article that is already a member
+   * (a re-ingest or backfill rerun) leaves the story and its count unchanged
+   */
+  async addToStory(story, article, terms) {
+    const update = {
+      $addToSet: { articles: article._id },
+      $inc: { articleCount: 1 },
+      $min: { firstPublishedAt: article.publishedAt },
+      $max: { lastPublishedAt: article.publishedAt }
+    };
+
+    if (article.source?.name) {
+      update.$addToSet.sources = article.source.name;
+    }
+
+    if (new Date(article.publishedAt) < new Date(story.firstPublishedAt)) {
+      update.$set = {
+        title: article.title,
+        terms,
+        leadArticle: article._id
+      };
+    }
+
+    const updated = await Story.findOneAndUpdate(
+      { _id: story._id, articles: { $ne: article._id } },
+      update,
+      { new: true }
+    );
+
+    return updated || Story.findById(story._id);
+  }
+
+  /**
+   * Cluster recent articles that are not yet part of a story
+   * @param {number} hours - How far back to look
+   * @returns {Promise<number>} Number of articles assigned
+   */
+  async clusterUnassigned(hours = this.windowHours) {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    let assigned = 0;
+
+    try {
+      const articles = await Article.find({
+        isActive: true,
+        story: null,
+        publishedAt: { $gte: since }
+      })
+        .select('title tags source category publishedAt')
+        .sort({ publishedAt: 1 })
+        .lean();
+
+      for (const article of articles) {
+        if (await this.assignArticle(article)) {
+          assigned++;
+        }
+      }
+
+      logger.info(`Assigned ${assigned} articles to stories`);
+      return assigned;
+    } catch (error) {
+      logger.error('Error clustering articles into stories:', error);
+      return assigned;
+    }
+  }
+
+  /**
+   * Deactivate stories whose latest article is older than the cutoff
+   * @param {Date} cutoffDate - Retention cutoff
+   * @returns {Promise<number>} Number of stories deactivated
+   */
+  async deactivateOldStories(cutoffDate) {
+    try {
+      const result = await Story.updateMany(
+        { lastPublishedAt: { $lt: cutoffDate }, isActive: true },
+        { $set: { isActive: false } }
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error deactivating old stories:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Find a page of stories that still have at least one active article
+   * The total counts the same filter, so stories whose articles were all deactivated
+   * are neither returned nor counted
+   * @param {Object} query - Story filter
+   * @param {Object} options - { skip, limit }
+   * @returns {Promise<Object>} { stories, total }
+   */
+  async findStories(query, { skip = 0, limit = 20 } = {}) {
+    const [result] = await Story.aggregate([
+      { $match: query },
+      { $sort: { lastPublishedAt: -1 } },
+      {
+        $lookup: {
+          from: Article.collection.name,
+          localField: 'articles',
+          foreignField: '_id',
+          pipeline: [
+            { $match: { isActive: true } },
+            { $limit: 1 },
+            { $project: { _id: 1 } }
+          ],
+          as: 'activeArticles'
+        }
+      },
+      { $match: { 'activeArticles.0': { $exists: true } } },
+      { $project: { activeArticles: 0 } },
+      {
+        $facet: {
+          stories: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    return {
+      stories: result?.stories || [],
+      total: result?.total[0]?.count || 0
+    };
+  }
+
+  /**
+   * Build the API representation of a story: lead article plus other coverage
+   * @param {Object} story - Story document
+   * @param {Map} articlesById - Active articles keyed by id
+   * @returns {Object|null} Formatted story, or null if it has no active articles
+   */
+  formatStory(story, articlesById) {
+    const articles = story.articles
+      .map(id => articlesById.get(id.toString()))
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+
+    if (articles.length === 0) {
+      return null;
+    }
+
+    const lead = articles.find(a => a._id.toString() === story.leadArticle.toString()) || articles[0];
+
+    return {
+      _id: story._id,
+      title: story.title,
+      category: story.category,
+      tags: story.tags,
+      articleCount: articles.length,
+      sources: story.sources,
+      firstPublishedAt: story.firstPublishedAt,
+      lastPublishedAt: story.lastPublishedAt,
+      leadArticle: lead,
+      alsoCoveredBy: articles
+        .filter(a => a !== lead)
+        .map(a => ({
+          articleId: a._id,
+          source: a.source?.name,
+          title: a.title,
+          url: a.url,
+          publishedAt: a.publishedAt
+        }))
+    };
+  }
+
+  /**
+   * Load active articles for a set of stories and format them
+   * @param {Array} stories - Story documents
+   * @returns {Promise<Array>} Formatted stories
+   */
+  async hydrateStories(stories) {
+    const ids = stories.flatMap(story => story.articles);
+    const articles = await Article.find({ _id: { $in: ids }, isActive: true })
+      .select('-fingerprint')
+      .lean();
+
+    const articlesById = new Map(articles.map(a => [a._id.toString(), a]));
+
+    return stories
+      .map(story => this.formatStory(story, articlesById))
+      .filter(Boolean);
+  }
+}
+
+export const storyService = new StoryService();
@@ -0,0 +1,397 @@
+/**
+ * Stream Service for Personalized News Aggregator
+ * Server-Sent Events connections, fanned out across instances with Redis pub/sub
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Article } from '../models/Article.js';
+import { getRedis } from '../config/redis.js';
+import { logger } from '../config/logger.js';
+import { STREAM_CONFIG } from '../config/constants.js';
+
+const ARTICLE_FIELDS = 'title description url urlToImage source author category tags entities publishedAt story';
+
+class StreamService {
+  constructor() {
+    this.config = STREAM_CONFIG;
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.subscriber = null;
+  }
+
+  /**
+   * Subscribe to the shared channel so events published by any instance reach this one's clients
+   */
+  async initialize() {
+    try {
+      const subscriber = getRedis().duplicate();
+      subscriber.on('message', (channel, payload) => this.receive(payload));
+      await subscriber.subscribe(this.config.CHANNEL);
+
+      this.subscriber = subscriber;
+      logger.info('Stream service subscribed to Redis');
+    } catch (error) {
+      logger.error('Stream service could not subscribe to Redis, streams only reach this instance:', error);
+    }
+  }
+
+  /**
+   * Redis client when connected, otherwise null (events and connection counts stay in memory)
+   */
+  getRedisClient() {
+    try {
+      const redis = getRedis();
+      return redis.status === 'ready' ? redis : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Turn a request into an event stream and keep it until the client disconnects
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} options - { channel, userId, sessionId, connectionId, filter }
+   * @returns {Object} Client handle
+   */
+  open(req, res, { channel = 'alerts', userId = null, sessionId = null, connectionId = crypto.randomUUID(), filter = null } = {}) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const client = { id: connectionId, res, channel, userId, sessionId: sessionId?.toString() || null, filter, openedAt: new Date() };
+    this.clients.add(client);
+    this.write(client, `retry: ${this.config.RETRY_MS}\n\n`);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (userId) this.releaseSlot(userId, connectionId);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+
+    return client;
+  }
+
+  /**
+   * Reserve one of a user's connections, counted across instances
+   * The connection is added before counting, in one transaction, and removed again when it is
+   * over the limit; concurrent opens can then only be refused, never all let through
+   * @returns {Promise<string|null>} Connection ID, or null when the user is at the limit
+   */
+  async acquireSlot(userId, now = Date.now()) {
+    const connectionId = crypto.randomUUID();
+    const redis = this.getRedisClient();
+
+    if (redis) {
+      try {
+        const key = this.getSlotKey(userId);
+        const [, , [, count]] = await redis.multi()
+          .zremrangebyscore(key, 0, now - this.config.CONNECTION_TTL_SECONDS * 1000)
+          .zadd(key, now, connectionId)
+          .zcard(key)
+          .expire(key, this.config.CONNECTION_TTL_SECONDS)
+          .exec();
+
+        if (count > this.config.MAX_CONNECTIONS_PER_USER) {
+          await redis.zrem(key, connectionId);
+          return null;
+        }
+        return connectionId;
+      } catch (error) {
+        logger.error(`Stream connection count error for user ${userId}:`, error);
+      }
+    }
+
+    const open = [...this.clients].filter(client => client.userId?.toString() === userId.toString()).length;
+    return open >= this.config.MAX_CONNECTIONS_PER_USER ? null : connectionId;
+  }
+
+  async releaseSlot(userId, connectionId) {
+    const redis = this.getRedisClient();
+    if (!redis) return;
+
+    try {
+      await redis.zrem(this.getSlotKey(userId), connectionId);
+    } catch (error) {
+      logger.error(`Stream connection release error for user ${userId}:`, error);
+    }
+  }
+
+  getSlotKey(userId) {
+    return `stream:connections:${userId}`;
+  }
+
+  /**
+   * Publish an event to matching clients on every instance
+   * @param {string} channel - "alerts" or "feed"
+   * @param {Object} message - { id, event, data }
+   */
+  async publish(channel, message) {
+    const redis = this.getRedisClient();
+
+    if (redis && this.subscriber) {
+      try {
+        await redis.publish(this.config.CHANNEL, JSON.stringify({ channel, message }));
+        return;
+      } catch (error) {
+        logger.error('Stream publish error, delivering locally:', error);
+      }
+    }
+
+    this.deliver(channel, message);
+  }
+
+  receive(payload) {
+    try {
+      const { channel, message, close } = JSON.parse(payload);
+      if (close) {
+        this.disconnect(close);
+      } else {
+        this.deliver(channel, message);
+      }
+    } catch (error) {
+      logger.error('Invalid stream message:', error);
+    }
+  }
+
+  /**
+   * End a user's streams on every instance when their sessions are revoked
+   * @param {Object} target - { userId, sessionIds } for specific sessions, or { userId, except } for all but one
+   */
+  async closeSessions({ userId, sessionIds = null, except = null }) {
+    const target = {
+      userId: userId.toString(),
+      sessionIds: sessionIds && sessionIds.map(id => id.toString()),
+      except: except?.toString() || null
+    };
+    const redis = this.getRedisClient();
+
+    if (redis && this.subscriber) {
+      try {
+        await redis.publish(this.config.CHANNEL, JSON.stringify({ close: target }));
+        return;
+      } catch (error) {
+        logger.error('Stream close publish error, closing locally:', error);
+      }
+    }
+
+    this.disconnect(target);
+  }
+
+  /**
+   * End this instance's streams matching a closeSessions() target
+   * @returns {number} Streams ended
+   */
+  disconnect({ userId, sessionIds, except }) {
+    let closed = 0;
+
+    for (const client of this.clients) {
+      if (client.userId?.toString() !== userId) continue;
+      if (sessionIds ? !sessionIds.includes(client.sessionId) : except && client.sessionId === except) continue;
+
+      this.clients.delete(client);
+      this.releaseSlot(client.userId, client.id);
+      client.res.end();
+      closed++;
+    }
+
+    if (this.clients.size === 0) this.stopHeartbeat();
+    return closed;
+  }
+
+  /**
+   * Send a message to this instance's clients on a channel whose filter matches it
+   */
+  deliver(channel, message) {
+    for (const client of this.clients) {
+      if (client.channel !== channel) continue;
+      if (channel === 'feed' && !this.matchesFeed(client.filter, message.data)) continue;
+
+      this.send(client, message);
+    }
+  }
+
+  /**
+   * Send one event to one client
+   * @param {Object} message - { id, event, data }
+   */
+  send(client, { id, event, data }) {
+    let frame = '';
+    if (id) frame += `id: ${id}\n`;
+    if (event) frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+
+    this.write(client, frame);
+  }
+
+  write(client, frame) {
+    try {
+      client.res.write(frame);
+      // The compression middleware buffers writes until flushed
+      client.res.flush?.();
+    } catch (error) {
+      logger.warn('Dropping stream client after failed write:', error.message);
+      this.clients.delete(client);
+    }
+  }
+
+  /**
+   * What a user's feed stream lets through: preferred categories, interests and followed entities
+   * @param {Object} user - User with preferences, interests and followedEntities
+   * @param {Function} getInterestTags - Turns an interest into article tags
+   */
+  buildFeedFilter(user, getInterestTags = interest => [interest.toLowerCase()]) {
+    const categories = user.preferences?.categories || [];
+    const tags = (user.interests || []).flatMap(interest => getInterestTags(interest));
+    const entities = (user.followedEntities || []).map(entity => entity.key);
+
+    return {
+      categories,
+      tags: [...new Set(tags)],
+      entities,
+      isEmpty: categories.length === 0 && tags.length === 0 && entities.length === 0
+    };
+  }
+
+  /**
+   * Users without preferences get every article
+   */
+  matchesFeed(filter, article) {
+    if (!filter || filter.isEmpty) return true;
+
+    return filter.categories.includes(article.category) ||
+      (article.tags || []).some(tag => filter.tags.includes(tag)) ||
+      (article.entities || []).some(entity => filter.entities.includes(entity.key));
+  }
+
+  /**
+   * Push a newly ingested article to feed streams
+   */
+  async publishArticle(article) {
+    await this.publish('feed', {
+      id: article._id.toString(),
+      event: 'article',
+      data: this.toFeedMessage(article)
+    });
+  }
+
+  toFeedMessage(article) {
+    return {
+      _id: article._id,
+      title: article.title,
+      description: article.description,
+      url: article.url,
+      urlToImage: article.urlToImage,
+      source: article.source,
+      author: article.author,
+      category: article.category,
+      tags: article.tags || [],
+      entities: (article.entities || []).map(({ type, key, name }) => ({ type, key, name })),
+      publishedAt: article.publishedAt,
+      story: article.story || null
+    };
+  }
+
+  /**
+   * Articles ingested after the last one a reconnecting client saw
+   * Article IDs are the event IDs; they grow with creation time
+   * @param {string} lastEventId - Last-Event-ID sent by the client
+   */
+  async getMissedArticles(lastEventId, filter, now = new Date()) {
+    if (!lastEventId || !mongoose.Types.ObjectId.isValid(lastEventId)) {
+      return [];
+    }
+
+    const oldest = mongoose.Types.ObjectId.createFromTime(Math.floor((now - this.config.REPLAY_MAX_HOURS * 60 * 60 * 1000) / 1000));
+    const lastId = new mongoose.Types.ObjectId(lastEventId);
+    const query = {
+      _id: { $gt: lastId > oldest ? lastId : oldest },
+      isActive: true
+    };
+
+    if (filter && !filter.isEmpty) {
+      query.$or = [
+        { category: { $in: filter.categories } },
+        { tags: { $in: filter.tags } },
+        { 'entities.key': { $in: filter.entities } }
+      ];
+    }
+
+    const articles = await Article.find(query)
+      .select(ARTICLE_FIELDS)
+      .sort({ _id: 1 })
+      .limit(this.config.REPLAY_LIMIT)
+      .lean();
+
+    return articles.map(article => ({
+      id: article._id.toString(),
+      event: 'article',
+      data: this.toFeedMessage(article)
+    }));
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => this.beat(), this.config.HEARTBEAT_SECONDS * 1000);
+    this.heartbeat.unref?.();
+  }
+
+  /**
+   * Keep idle connections open and refresh this instance's connection counts
+   */
+  async beat(now = Date.now()) {
+    const redis = this.getRedisClient();
+    const pipeline = redis?.pipeline();
+
+    for (const client of this.clients) {
+      this.write(client, `: heartbeat\n\n`);
+      if (pipeline && client.userId) {
+        const key = this.getSlotKey(client.userId);
+        pipeline.zadd(key, now, client.id).expire(key, this.config.CONNECTION_TTL_SECONDS);
+      }
+    }
+
+    try {
+      await pipeline?.exec();
+    } catch (error) {
+      logger.error('Stream heartbeat refresh error:', error);
+    }
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * End every stream and the subscription (on shutdown)
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+    this.stopHeartbeat();
+
+    this.subscriber?.disconnect();
+    this.subscriber = null;
+  }
+
+  getStats() {
+    const byChannel = {};
+    for (const client of this.clients) {
+      byChannel[client.channel] = (byChannel[client.channel] || 0) + 1;
+    }
+
+    return { clients: this.clients.size, byChannel, pubsub: Boolean(this.subscriber) };
+  }
+}
+
+export const streamService = new StreamService();
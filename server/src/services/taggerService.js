@@ -5,13 +5,20 @@
 
 import natural from 'natural';
 import { logger } from '../config/logger.js';
+import { Article } from '../models/Article.js';
+import { CorpusTerm } from '../models/CorpusTerm.js';
+import { CorpusState } from '../models/CorpusState.js';
 import { textCleaner } from '../utils/textCleaner.js';
 import { TFIDF_CONFIG, CATEGORY_KEYWORDS } from '../config/constants.js';
 
 class TaggerService {
   constructor() {
     this.tfidf = new natural.TfIdf();
-    this.corpus = new Map(); // Document corpus for IDF calculation
+    this.corpus = new Map(); // Cached document frequencies from the shared corpus
+    this.totalDocs = 0;
+    this.corpusLoadedAt = 0;
+    this.corpusKey = TFIDF_CONFIG.CORPUS_KEY;
+    this.halfLifeDays = TFIDF_CONFIG.CORPUS_HALF_LIFE_DAYS;
     this.stopwords = new Set(TFIDF_CONFIG.STOPWORDS);
     this.maxKeywords = TFIDF_CONFIG.MAX_KEYWORDS;
     this.minKeywordLength = TFIDF_CONFIG.MIN_KEYWORD_LENGTH;
@@ -103,6 +110,8 @@ class TaggerService {
    */
   async calculateTfIdfScores(terms, documentText) {
     const scores = [];
+
+    await this.loadFrequencies(terms.map(([term]) => term));
     
     for (const [term, tf] of terms) {
       // Calculate IDF (Inverse Document Frequency)
@@ -122,18 +131,65 @@ class TaggerService {
    */
   async calculateIdf(term) {
     try {
-      // Get document frequency from corpus
-      const docFreq = this.corpus.get(term) || 1;
-      const totalDocs = Math.max(this.corpus.size, 1);
-      
-      // IDF = log(total_documents / document_frequency)
-      return Math.log(totalDocs / docFreq);
+      // Get document frequency from the cached corpus (see loadFrequencies)
+      const docFreq = this.corpus.get(term) || 0;
+
+      // Smoothed IDF = log((N + 1) / (df + 1)) + 1, so unseen terms and an empty corpus stay finite
+      return Math.log((this.totalDocs + 1) / (docFreq + 1)) + 1;
     } catch (error) {
       logger.error('Error calculating IDF:', error);
       return 1; // Default IDF value
     }
   }
 
+  /**
+   * Fetch document frequencies for terms from the shared corpus
+   * Frequencies are reused for CORPUS_CACHE_TTL, so every instance sees the same IDF within that window
+   * @param {string[]} terms - Stemmed terms
+   */
+  async loadFrequencies(terms) {
+    try {
+      if (Date.now() - this.corpusLoadedAt > TFIDF_CONFIG.CORPUS_CACHE_TTL * 1000) {
+        const state = await CorpusState.findOne({ key: this.corpusKey }).lean();
+        this.corpus.clear();
+        this.totalDocs = state?.totalDocs || 0;
+        this.corpusLoadedAt = Date.now();
+      }
+
+      const missing = [...new Set(terms)].filter(term => !this.corpus.has(term));
+      if (missing.length === 0) return;
+
+      const frequencies = await CorpusTerm.getFrequencies(missing);
+      for (const [term, df] of frequencies) {
+        this.corpus.set(term, df);
+      }
+    } catch (error) {
+      logger.error('Error loading corpus frequencies:', error);
+    }
+  }
+
+  /**
+   * Get the unique stemmed terms of a document, as counted in the corpus
+   * @param {string} title - Article title
+   * @param {string} description - Article description
+   * @returns {string[]} Unique terms
+   */
+  getDocumentTerms(title, description) {
+    const tokens = this.tokenizer.tokenize(textCleaner.clean(`${title || ''} ${description || ''}`));
+
+    return [...new Set(tokens
+      .filter(token => this.isValidToken(token))
+      .map(token => this.stemmer.stem(token.toLowerCase())))];
+  }
+
+  /**
+   * Weight of an article in a rebuilt corpus, as if it had been decayed since publication
+   */
+  getDecayFactor(elapsedMs) {
+    const elapsedDays = Math.max(elapsedMs, 0) / (24 * 60 * 60 * 1000);
+    return 0.5 ** (elapsedDays / this.halfLifeDays);
+  }
+
   /**
    * Map keywords to categories
    */
@@ -231,65 +287,180 @@ class TaggerService {
   }
 
   /**
-   * Update corpus with new documents
+   * Update the shared corpus with new documents
+   * Each document counts once per term (document frequency, not term frequency)
+   * @param {Array} documents - Articles with title and description
    */
   async updateCorpus(documents) {
     try {
+      const counts = new Map();
       for (const doc of documents) {
-        const text = `${doc.title} ${doc.description}`.toLowerCase();
-        const tokens = this.tokenizer.tokenize(text);
-        
-        for (const token of tokens) {
-          const cleanedToken = this.stemmer.stem(token.toLowerCase());
-          this.corpus.set(cleanedToken, (this.corpus.get(cleanedToken) || 0) + 1);
+        for (const term of this.getDocumentTerms(doc.title, doc.description)) {
+          counts.set(term, (counts.get(term) || 0) + 1);
         }
       }
 
-      logger.info(`Updated corpus with ${documents.length} documents`);
+      await CorpusTerm.incrementTerms(counts);
+      await CorpusState.addDocuments(this.corpusKey, documents.length);
+
+      logger.debug(`Updated corpus with ${documents.length} documents`);
     } catch (error) {
       logger.error('Error updating corpus:', error);
     }
   }
 
   /**
-   * Get tagging statistics
+   * Decay the shared corpus by the time since the last decay, so old coverage fades out of IDF
+   * @param {Date} now - Decay reference time
+   * @returns {Promise<number>} Number of terms pruned
+   */
+  async decayCorpus(now = new Date()) {
+    try {
+      const state = await CorpusState.findOne({ key: this.corpusKey }).lean();
+      if (!state) return 0;
+
+      const factor = this.getDecayFactor(now - new Date(state.lastDecayAt));
+      const pruned = await CorpusTerm.decay(factor, TFIDF_CONFIG.CORPUS_MIN_DF);
+
+      // $mul keeps articles added by other instances during the decay
+      await CorpusState.updateOne(
+        { key: this.corpusKey },
+        { $mul: { totalDocs: factor }, $set: { lastDecayAt: now } }
+      );
+
+      this.clearCorpus();
+      logger.info(`Decayed corpus by ${factor.toFixed(3)}, pruned ${pruned} terms`);
+      return pruned;
+    } catch (error) {
+      logger.error('Error decaying corpus:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Rebuild the shared corpus from all active articles, weighting each by its age
+   * Articles saved while the rebuild runs may be missed until the next one
+   * @returns {Promise<number>} Number of articles counted
    */
-  getStats() {
-    return {
-      corpusSize: this.corpus.size,
+  async rebuildCorpus() {
+    const batchSize = TFIDF_CONFIG.CORPUS_BATCH_SIZE;
+    const now = new Date();
+    const counts = new Map();
+    let totalDocs = 0;
+    let processed = 0;
+    let lastId = null;
+    let articles = [];
+
+    try {
+      do {
+        const query = { isActive: true };
+        if (lastId) {
+          query._id = { $gt: lastId };
+        }
+
+        articles = await Article.find(query)
+          .select('title description publishedAt')
+          .sort({ _id: 1 })
+          .limit(batchSize)
+          .lean();
+
+        if (articles.length === 0) break;
+
+        for (const article of articles) {
+          const weight = this.getDecayFactor(now - new Date(article.publishedAt || now));
+          totalDocs += weight;
+          for (const term of this.getDocumentTerms(article.title, article.description)) {
+            counts.set(term, (counts.get(term) || 0) + weight);
+          }
+        }
+
+        processed += articles.length;
+        lastId = articles[articles.length - 1]._id;
+      } while (articles.length === batchSize);
+
+      await CorpusTerm.deleteMany({});
+      const entries = Array.from(counts).filter(([, df]) => df >= TFIDF_CONFIG.CORPUS_MIN_DF);
+      for (let i = 0; i < entries.length; i += batchSize) {
+        await CorpusTerm.incrementTerms(new Map(entries.slice(i, i + batchSize)));
+      }
+
+      await CorpusState.updateOne(
+        { key: this.corpusKey },
+        { $set: { totalDocs, builtAt: now, lastDecayAt: now, lastDocumentAt: now } },
+        { upsert: true }
+      );
+
+      this.clearCorpus();
+      logger.info(`Rebuilt corpus from ${processed} articles (${entries.length} terms)`);
+      return processed;
+    } catch (error) {
+      logger.error('Error rebuilding corpus:', error);
+      return processed;
+    }
+  }
+
+  /**
+   * Get tagging statistics, with corpus size and age from the shared store
+   */
+  async getStats() {
+    const stats = {
+      corpusSize: 0,
+      totalDocuments: 0,
+      corpusBuiltAt: null,
+      corpusAgeHours: null,
+      lastDocumentAt: null,
+      lastDecayAt: null,
+      halfLifeDays: this.halfLifeDays,
+      cachedTerms: this.corpus.size,
       maxKeywords: this.maxKeywords,
       minKeywordLength: this.minKeywordLength,
       minTermFrequency: this.minTermFrequency,
       stopwordsCount: this.stopwords.size
     };
+
+    try {
+      const [state, corpusSize] = await Promise.all([
+        CorpusState.findOne({ key: this.corpusKey }).lean(),
+        CorpusTerm.estimatedDocumentCount()
+      ]);
+
+      stats.corpusSize = corpusSize;
+      if (state) {
+        stats.totalDocuments = Math.round(state.totalDocs);
+        stats.corpusBuiltAt = state.builtAt;
+        stats.corpusAgeHours = Math.round((Date.now() - new Date(state.builtAt)) / (60 * 60 * 1000));
+        stats.lastDocumentAt = state.lastDocumentAt;
+        stats.lastDecayAt = state.lastDecayAt;
+      }
+    } catch (error) {
+      logger.error('Error getting tagger stats:', error);
+    }
+
+    return stats;
   }
 
   /**
-   * Clear corpus and reset state
+   * Clear cached document frequencies (the shared corpus is untouched)
    */
   clearCorpus() {
     this.corpus.clear();
-    logger.info('Tagger service corpus cleared');
+    this.totalDocs = 0;
+    this.corpusLoadedAt = 0;
   }
 
   /**
-   * Initialize tagger service with existing articles
+   * Initialize tagger service, building the shared corpus on first start
    */
   async initialize() {
     try {
-      const { Article } = await import('../models/Article.js');
-      
-      // Load recent articles to build initial corpus
-      const recentArticles = await Article.find({ isActive: true })
-        .select('title description')
-        .sort({ publishedAt: -1 })
-        .limit(1000)
-        .lean();
-
-      if (recentArticles.length > 0) {
-        await this.updateCorpus(recentArticles);
-        logger.info(`Tagger service initialized with ${recentArticles.length} articles`);
+      const state = await CorpusState.findOne({ key: this.corpusKey }).lean();
+
+      if (state && state.totalDocs > 0) {
+        logger.info(`Tagger service using shared corpus of ${Math.round(state.totalDocs)} documents`);
+        return;
       }
+
+      await this.rebuildCorpus();
     } catch (error) {
       logger.error('Error initializing tagger service:', error);
     }
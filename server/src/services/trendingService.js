@@ -0,0 +1,207 @@
+/**
+ * Trending Service for Personalized News Aggregator
+ * Time-decayed "hot" scores and velocity-based "rising" detection
+ */
+
+import { Article } from '../models/Article.js';
+import { Story } from '../models/Story.js';
+import { SavedArticle } from '../models/SavedArticle.js';
+import { Event } from '../models/Event.js';
+import { logger } from '../config/logger.js';
+import { TRENDING_CONFIG } from '../config/constants.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class TrendingService {
+  constructor() {
+    this.config = TRENDING_CONFIG;
+  }
+
+  /**
+   * Score every article in the trending window and clear scores that fell out of it
+   * @returns {Promise<Object>} { articles, rising, removed }
+   */
+  async computeScores(now = new Date()) {
+    const articles = await Article.find({
+      isActive: true,
+      publishedAt: { $gte: new Date(now - this.config.WINDOW_DAYS * DAY) }
+    })
+      .select('views saves shares publishedAt fetchedAt story')
+      .lean();
+
+    const storyIds = [...new Set(articles.filter(article => article.story).map(article => article.story.toString()))];
+    const [stories, windows] = await Promise.all([
+      Story.find({ _id: { $in: storyIds } }).select('sources').lean(),
+      this.getEngagementWindows(now)
+    ]);
+
+    const coverage = new Map(stories.map(story => [story._id.toString(), Math.max((story.sources || []).length - 1, 0)]));
+    const empty = { recent: 0, past: 0 };
+
+    let rising = 0;
+    const operations = articles.map(article => {
+      const storyId = article.story?.toString();
+      const story = storyId && windows.stories.get(storyId);
+      const counts = this.combineWindows(
+        windows.articles.get(article._id.toString()) || empty,
+        story ? this.withoutOwnCoverage(story, article.fetchedAt, now) : empty
+      );
+
+      const velocity = this.getRisingScore(counts, article.publishedAt, now);
+      if (velocity.rising >= this.config.RISING_MIN_SCORE) rising++;
+
+      return {
+        updateOne: {
+          filter: { _id: article._id },
+          update: {
+            $set: {
+              trending: {
+                hot: this.getHotScore(article, coverage.get(storyId) || 0, now),
+                ...velocity,
+                computedAt: now
+              }
+            }
+          }
+        }
+      };
+    });
+
+    for (let i = 0; i < operations.length; i += this.config.BATCH_SIZE) {
+      await Article.bulkWrite(operations.slice(i, i + this.config.BATCH_SIZE), { ordered: false });
+    }
+
+    const { modifiedCount } = await Article.updateMany(
+      { 'trending.computedAt': { $lt: now } },
+      { $unset: { trending: 1 } }
+    );
+
+    const result = { articles: articles.length, rising, removed: modifiedCount };
+    logger.info('Computed trending scores', result);
+    return result;
+  }
+
+  /**
+   * Hacker News style gravity: (points + 1) / (age in hours + 2) ^ gravity
+   * @param {Object} article - Article with views, saves, shares and publishedAt
+   * @param {number} otherSources - Other outlets covering the same story
+   */
+  getHotScore(article, otherSources, now = new Date()) {
+    const { WEIGHTS } = this.config;
+    const points = (article.views || 0) * WEIGHTS.VIEW +
+      (article.saves || 0) * WEIGHTS.SAVE +
+      (article.shares || 0) * WEIGHTS.SHARE +
+      otherSources * WEIGHTS.SOURCE;
+
+    const ageHours = Math.max((now - new Date(article.publishedAt)) / HOUR, 0);
+    const score = (points + 1) / Math.pow(ageHours + this.config.AGE_OFFSET_HOURS, this.config.GRAVITY);
+
+    return Math.round(score * 1e6) / 1e6;
+  }
+
+  /**
+   * Compare engagement in the recent window with what the baseline rate predicts
+   * The score is a Poisson-style z-score, so small absolute numbers need a larger jump
+   * @param {Object} counts - { recent, past } weighted engagement in each window
+   * @returns {Object} { rising, velocity, baseline } with velocity and baseline per hour
+   */
+  getRisingScore({ recent, past }, publishedAt, now = new Date()) {
+    const { RECENT_HOURS, BASELINE_HOURS, MIN_RECENT } = this.config;
+
+    // Only the part of the baseline window the article existed for counts
+    const recentStart = now - RECENT_HOURS * HOUR;
+    const baselineHours = Math.min(Math.max((recentStart - new Date(publishedAt)) / HOUR, 0), BASELINE_HOURS);
+
+    const velocity = recent / RECENT_HOURS;
+    const baseline = baselineHours > 0 ? past / baselineHours : 0;
+    const expected = baseline * RECENT_HOURS;
+
+    const rising = recent >= MIN_RECENT
+      ? Math.max((recent - expected) / Math.sqrt(expected + 1), 0)
+      : 0;
+
+    return {
+      rising: Math.round(rising * 1000) / 1000,
+      velocity: Math.round(velocity * 1000) / 1000,
+      baseline: Math.round(baseline * 1000) / 1000
+    };
+  }
+
+  /**
+   * Story coverage minus the article's own arrival, so joining a story is not a signal by itself
+   */
+  withoutOwnCoverage(story, fetchedAt, now = new Date()) {
+    const { RECENT_HOURS, BASELINE_HOURS, WEIGHTS } = this.config;
+    const recentStart = now - RECENT_HOURS * HOUR;
+    const baselineStart = recentStart - BASELINE_HOURS * HOUR;
+    const fetched = new Date(fetchedAt).getTime();
+
+    return {
+      recent: Math.max(story.recent - (fetched >= recentStart ? WEIGHTS.SOURCE : 0), 0),
+      past: Math.max(story.past - (fetched >= baselineStart && fetched < recentStart ? WEIGHTS.SOURCE : 0), 0)
+    };
+  }
+
+  combineWindows(article, story) {
+    return {
+      recent: article.recent + story.recent,
+      past: article.past + story.past
+    };
+  }
+
+  /**
+   * Weighted engagement per article (clicks and saves) and per story (new coverage)
+   * in the recent window and the baseline window before it
+   * @returns {Promise<Object>} { articles: Map, stories: Map } of { recent, past }
+   */
+  async getEngagementWindows(now = new Date()) {
+    const { RECENT_HOURS, BASELINE_HOURS, WEIGHTS } = this.config;
+    const recentStart = new Date(now - RECENT_HOURS * HOUR);
+    const baselineStart = new Date(recentStart - BASELINE_HOURS * HOUR);
+
+    const windowed = (dateField, groupField) => [
+      { $match: { [dateField]: { $gte: baselineStart, $lte: now } } },
+      {
+        $group: {
+          _id: `$${groupField}`,
+          recent: { $sum: { $cond: [{ $gte: [`$${dateField}`, recentStart] }, 1, 0] } },
+          past: { $sum: { $cond: [{ $lt: [`$${dateField}`, recentStart] }, 1, 0] } }
+        }
+      }
+    ];
+
+    const [clicks, saves, coverage] = await Promise.all([
+      Event.aggregate([{ $match: { type: 'click' } }, ...windowed('firstAt', 'articleId')]),
+      SavedArticle.aggregate(windowed('savedAt', 'articleId')),
+      Article.aggregate([{ $match: { story: { $ne: null } } }, ...windowed('fetchedAt', 'story')])
+    ]);
+
+    return {
+      articles: this.weighWindows([[clicks, WEIGHTS.VIEW], [saves, WEIGHTS.SAVE]]),
+      stories: this.weighWindows([[coverage, WEIGHTS.SOURCE]])
+    };
+  }
+
+  /**
+   * Sum { _id, recent, past } rows from several sources, each with its weight
+   */
+  weighWindows(sources) {
+    const totals = new Map();
+
+    for (const [rows, weight] of sources) {
+      for (const row of rows) {
+        if (!row._id) continue;
+
+        const key = row._id.toString();
+        const total = totals.get(key) || { recent: 0, past: 0 };
+        total.recent += row.recent * weight;
+        total.past += row.past * weight;
+        totals.set(key, total);
+      }
+    }
+
+    return totals;
+  }
+}
+
+export const trendingService = new TrendingService();
@@ -0,0 +1,228 @@
+/**
+ * Two-Factor Service for Personalized News Aggregator
+ * TOTP enrollment and verification with one-time recovery codes
+ */
+
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { logger } from '../config/logger.js';
+import { TWO_FACTOR_CONFIG } from '../config/constants.js';
+import { generateSecret, verifyTotp, buildOtpauthUri, base32Encode } from '../utils/totp.js';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+class TwoFactorService {
+  constructor() {
+    this.config = TWO_FACTOR_CONFIG;
+    // TOTP secrets must be readable to check codes, so they are encrypted rather than hashed
+    this.key = crypto.createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key')
+      .digest();
+  }
+
+  /**
+   * AES-256-GCM, stored as iv.tag.ciphertext in base64url
+   */
+  encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
+
+  decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Recovery codes are compared case-insensitively and without separators
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Fresh recovery codes like "k3f9q-x7m2p"; only their hashes are stored
+   * @returns {Object} { codes, records }
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: this.config.RECOVERY_CODES }, () => {
+      const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      records: codes.map(code => ({ hash: this.hashRecoveryCode(code), usedAt: null }))
+    };
+  }
+
+  getTotpOptions(now) {
+    return {
+      time: now.getTime(),
+      stepSeconds: this.config.STEP_SECONDS,
+      digits: this.config.DIGITS,
+      window: this.config.WINDOW
+    };
+  }
+
+  loadUser(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  /**
+   * Two-factor state for the profile page
+   * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+   */
+  async getStatus(userId) {
+    const user = await this.loadUser(userId);
+    const twoFactor = user?.twoFactor || {};
+
+    return {
+      enabled: Boolean(twoFactor.enabled),
+      enabledAt: twoFactor.enabledAt || null,
+      recoveryCodesRemaining: twoFactor.enabled
+        ? (twoFactor.recoveryCodes || []).filter(code => !code.usedAt).length
+        : 0
+    };
+  }
+
+  /**
+   * Create a secret for the user to add to their authenticator app
+   * Nothing changes for login until confirmEnrollment accepts a code from the app
+   * @returns {Promise<Object|null>} { secret, otpauthUri }, or null when 2FA is already on
+   */
+  async startEnrollment(user) {
+    if (user.twoFactor?.enabled) {
+      return null;
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': this.encrypt(secret) } });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        account: user.email,
+        issuer: this.config.ISSUER,
+        digits: this.config.DIGITS,
+        stepSeconds: this.config.STEP_SECONDS
+      })
+    };
+  }
+
+  /**
+   * Turn 2FA on once a code from the pending secret checks out
+   * @returns {Promise<Array|null>} Recovery codes to show once, or null when the code is wrong
+   */
+  async confirmEnrollment(userId, code, now = new Date()) {
+    const user = await this.loadUser(userId);
+    const pending = user?.twoFactor?.pendingSecret;
+    if (!pending || user.twoFactor.enabled) {
+      return null;
+    }
+
+    const step = verifyTotp(this.decrypt(pending), code, this.getTotpOptions(now));
+    if (step === null) {
+      return null;
+    }
+
+    const { codes, records } = this.generateRecoveryCodes();
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.pendingSecret': pending },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': pending,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.recoveryCodes': records,
+          'twoFactor.enabledAt': now
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+
+    logger.info(`Two-factor authentication enabled for user ${userId}`);
+    return codes;
+  }
+
+  /**
+   * Check a TOTP code or an unused recovery code, spending it
+   * Each TOTP time step is accepted once, so an observed code cannot be replayed
+   * @returns {Promise<Object|null>} { method: 'totp' } or { method: 'recovery', recoveryCodesRemaining }, or null
+   */
+  async verify(userId, code, now = new Date()) {
+    const user = await this.loadUser(userId);
+    if (!user?.twoFactor?.enabled) {
+      return null;
+    }
+
+    const candidate = String(code).trim();
+
+    if (/^[\d\s]+$/.test(candidate)) {
+      const step = verifyTotp(this.decrypt(user.twoFactor.secret), candidate, this.getTotpOptions(now));
+      if (step === null) {
+        return null;
+      }
+
+      const result = await User.updateOne(
+        { _id: userId, 'twoFactor.lastUsedStep': { $lt: step } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return result.modifiedCount > 0 ? { method: 'totp' } : null;
+    }
+
+    const hash = this.hashRecoveryCode(candidate);
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': now } }
+    );
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+
+    const remaining = user.twoFactor.recoveryCodes.filter(record => !record.usedAt && record.hash !== hash).length;
+    logger.info(`Recovery code used by user ${userId}; ${remaining} left`);
+    return { method: 'recovery', recoveryCodesRemaining: remaining };
+  }
+
+  /**
+   * Replace all recovery codes
+   * @returns {Promise<Array>} New codes to show once
+   */
+  async regenerateRecoveryCodes(userId) {
+    const { codes, records } = this.generateRecoveryCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': records } });
+    return codes;
+  }
+
+  async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.enabledAt': 1
+        }
+      }
+    );
+    logger.info(`Two-factor authentication disabled for user ${userId}`);
+  }
+}
+
+export const twoFactorService = new TwoFactorService();
@@ -0,0 +1,81 @@
+/**
+ * Email Templates for Personalized News Aggregator
+ * Each template returns the subject with plain-text and HTML bodies
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Shared HTML frame: a heading, paragraphs and an optional call-to-action button
+ */
+const layout = ({ heading, paragraphs, action }) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+    <div style="max-width:520px;margin:0 auto;padding:32px;background:#ffffff;border-radius:12px;">
+      <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(heading)}</h1>
+${paragraphs.map(text => `      <p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(text)}</p>`).join('\n')}
+${action ? `      <p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;border-radius:8px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>
+      <p style="margin:0;font-size:12px;color:#71717a;">Or paste this link into your browser: ${escapeHtml(action.url)}</p>` : ''}
+    </div>
+  </body>
+</html>
+`;
+
+export const emailTemplates = {
+  /**
+   * @param {Object} data - { name, url, expiresInMinutes }
+   */
+  passwordReset: ({ name, url, expiresInMinutes }) => {
+    const greeting = `Hi ${name || 'there'},`;
+    const intro = 'We received a request to reset the password for your News Aggregator account.';
+    const expiry = `The link works once and expires in ${expiresInMinutes} minutes.`;
+    const ignore = 'If you did not ask for this, you can ignore this email; your password stays the same.';
+
+    return {
+      subject: 'Reset your password',
+      text: [greeting, '', intro, '', `Reset your password: ${url}`, '', expiry, ignore, ''].join('\n'),
+      html: layout({
+        heading: 'Reset your password',
+        paragraphs: [greeting, intro, expiry, ignore],
+        action: { url, label: 'Choose a new password' }
+      })
+    };
+  },
+
+  /**
+   * @param {Object} data - { name, url, expiresInHours }
+   */
+  emailVerification: ({ name, url, expiresInHours }) => {
+    const greeting = `Hi ${name || 'there'},`;
+    const intro = 'Please confirm this is your email address to finish setting up your News Aggregator account.';
+    const expiry = `The link expires in ${expiresInHours} hours. You can ask for a new one from your profile.`;
+    const ignore = 'If you did not create an account, you can ignore this email.';
+
+    return {
+      subject: 'Confirm your email address',
+      text: [greeting, '', intro, '', `Confirm your email: ${url}`, '', expiry, ignore, ''].join('\n'),
+      html: layout({
+        heading: 'Confirm your email address',
+        paragraphs: [greeting, intro, expiry, ignore],
+        action: { url, label: 'Confirm email' }
+      })
+    };
+  }
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Key of emailTemplates
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html }
+ */
+export const renderEmail = (name, data = {}) => {
+  const template = emailTemplates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
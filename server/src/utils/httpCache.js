@@ -0,0 +1,86 @@
+/**
+ * HTTP Cache Utilities for Personalized News Aggregator
+ * Conditional request helpers (ETag / Last-Modified) for upstream sources
+ */
+
+class HttpCache {
+  /**
+   * Build conditional request headers from stored validators
+   * @param {Object} state - Stored validators
+   * @param {string} state.etag - Last ETag returned by the source
+   * @param {string} state.lastModified - Last Last-Modified returned by the source
+   * @returns {Object} Request headers
+   */
+  buildConditionalHeaders(state) {
+    const headers = {};
+
+    if (state?.etag) {
+      headers['If-None-Match'] = state.etag;
+    }
+
+    if (state?.lastModified) {
+      headers['If-Modified-Since'] = state.lastModified;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Extract cache validators from a response
+   * @param {Object} response - Axios response
+   * @returns {Object} ETag and Last-Modified values (null when absent)
+   */
+  extractValidators(response) {
+    const headers = response?.headers || {};
+
+    return {
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null
+    };
+  }
+
+  /**
+   * Axios validateStatus that treats 304 Not Modified as a success
+   */
+  acceptNotModified(status) {
+    return (status >= 200 && status < 300) || status === 304;
+  }
+
+  /**
+   * When a throttled or unavailable source asks to be retried, from its Retry-After header
+   * @param {Object} response - Axios response (e.g. error.response of a 429 or 503)
+   * @param {Date} now - Reference time for delay-seconds values
+   * @returns {Date|null} Retry time, or null without a usable header
+   */
+  getRetryAt(response, now = new Date()) {
+    const value = response?.headers?.['retry-after'];
+    if (!value) {
+      return null;
+    }
+
+    if (/^\d+$/.test(String(value).trim())) {
+      return new Date(now.getTime() + parseInt(value, 10) * 1000);
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * The Retry-After time of a failed request, also when a service wrapped the axios error
+   * @param {Error} error - Error thrown by axios, or one carrying it as `cause`
+   * @returns {Date|null}
+   */
+  getErrorRetryAt(error) {
+    return this.getRetryAt(error?.response || error?.cause?.response);
+  }
+
+  /**
+   * Check whether a response means the source has not changed
+   */
+  isNotModified(response) {
+    return response?.status === 304;
+  }
+}
+
+export const httpCache = new HttpCache();
@@ -0,0 +1,137 @@
+/**
+ * TOTP Utilities for Personalized News Aggregator
+ * RFC 4226 HOTP and RFC 6238 TOTP codes, as used by authenticator apps
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32, the secret format authenticator apps accept
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Random base32 secret; 20 bytes matches the SHA-1 block apps expect
+ */
+export const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+export const hotp = (secret, counter, digits = 6) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Time step containing a moment (RFC 6238)
+ */
+export const getTimeStep = (time = Date.now(), stepSeconds = 30) => Math.floor(time / 1000 / stepSeconds);
+
+/**
+ * TOTP code for a moment
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - { time, stepSeconds, digits }
+ */
+export const totp = (secret, { time = Date.now(), stepSeconds = 30, digits = 6 } = {}) =>
+  hotp(secret, getTimeStep(time, stepSeconds), digits);
+
+/**
+ * Find the time step a code belongs to, allowing `window` steps of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options - { time, stepSeconds, digits, window }
+ * @returns {number|null} Matching time step, or null
+ */
+export const verifyTotp = (secret, code, { time = Date.now(), stepSeconds = 30, digits = 6, window = 1 } = {}) => {
+  const candidate = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) {
+    return null;
+  }
+
+  const current = getTimeStep(time, stepSeconds);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Key URI understood by authenticator apps, usually shown as a QR code
+ * @param {Object} options - { secret, account, issuer, digits, stepSeconds }
+ * @returns {string} otpauth://totp/... URI
+ */
+export const buildOtpauthUri = ({ secret, account, issuer, digits = 6, stepSeconds = 30 }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(stepSeconds)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,153 @@
+/**
+ * URL Guard Utilities for Personalized News Aggregator
+ * Keeps server-side fetches of user-supplied URLs (feeds, article pages) off the local network
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.internal'];
+
+class UrlGuard {
+  constructor() {
+    // Bound so they can be handed to axios as callbacks
+    this.lookup = this.lookup.bind(this);
+    this.beforeRedirect = this.beforeRedirect.bind(this);
+  }
+
+  /**
+   * Check whether an IP address is on the public internet
+   * Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+   * ranges are refused, including IPv4 addresses embedded in IPv6
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean}
+   */
+  isPublicAddress(address) {
+    const ip = (address || '').replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (net.isIPv4(ip)) {
+      const [a, b] = ip.split('.').map(Number);
+      return !(
+        a === 0 ||
+        a === 10 ||
+        a === 127 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 198 && (b === 18 || b === 19)) ||
+        a >= 224
+      );
+    }
+
+    if (net.isIPv6(ip)) {
+      // IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) addresses reach the IPv4 host
+      const embedded = ip.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+      if (embedded) {
+        return this.isPublicAddress(embedded[1]);
+      }
+      const mapped = ip.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+      if (mapped) {
+        const value = ((parseInt(mapped[1], 16) << 16) | parseInt(mapped[2], 16)) >>> 0;
+        return this.isPublicAddress([24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.'));
+      }
+
+      // Everything starting with :: is unspecified, loopback or IPv4-compatible
+      return !(
+        ip.startsWith('::') ||
+        /^f[cd]/.test(ip) ||
+        /^fe[89ab]/.test(ip) ||
+        ip.startsWith('ff')
+      );
+    }
+
+    return false;
+  }
+
+  /**
+   * Check a URL before fetching it: http(s) only, and no local host names or private IP literals
+   * Names that resolve to private addresses are caught by lookup() when connecting
+   * @param {string} url - URL to fetch
+   * @returns {boolean}
+   */
+  isAllowedUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return false;
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))) {
+      return false;
+    }
+
+    return net.isIP(host) ? this.isPublicAddress(host) : true;
+  }
+
+  /**
+   * dns.lookup replacement that fails when a host name resolves to a non-public address
+   * Checking at connect time covers every redirect hop and DNS answers that change between requests
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const blocked = addresses.find(({ address }) => !this.isPublicAddress(address));
+      if (blocked) {
+        const refused = new Error(`Refusing to connect to ${hostname} (${blocked.address}): not a public address`);
+        refused.code = 'EADDRNOTPUBLIC';
+        return callback(refused);
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * axios beforeRedirect hook; IP literals skip lookup(), so each hop is checked here too
+   */
+  beforeRedirect(options) {
+    if (!this.isAllowedUrl(options.href)) {
+      throw new Error(`Refusing to follow redirect to ${options.href}`);
+    }
+  }
+
+  /**
+   * axios options for fetching a user-supplied URL
+   * @returns {Object} { lookup, beforeRedirect, maxRedirects }
+   */
+  requestOptions() {
+    return {
+      lookup: this.lookup,
+      beforeRedirect: this.beforeRedirect,
+      maxRedirects: 5
+    };
+  }
+
+  /**
+   * Reject with an error when a URL may not be fetched
+   */
+  assertAllowedUrl(url) {
+    if (!this.isAllowedUrl(url)) {
+      throw new Error(`Refusing to fetch ${url}: not a public http(s) URL`);
+    }
+  }
+}
+
+export const urlGuard = new UrlGuard();
@@ -0,0 +1,131 @@
+/**
+ * Zip Utilities for Personalized News Aggregator
+ * Minimal streaming ZIP writer used to build EPUB exports
+ */
+
+import zlib from 'zlib';
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer, as required by the ZIP format
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} Unsigned checksum
+ */
+export const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Modification time
+ * @returns {Object} { time, date }
+ */
+const toDosTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Writes ZIP entries to a writable stream one at a time, so archives never sit in memory whole.
+ * Entries are compressed individually; the central directory is written by finish()
+ */
+export class ZipWriter {
+  /**
+   * @param {Object} output - Writable stream (e.g. an Express response)
+   * @param {Object} options - Options
+   * @param {Date} options.modified - Modification time recorded for every entry
+   */
+  constructor(output, { modified = new Date() } = {}) {
+    this.output = output;
+    this.modified = toDosTime(modified);
+    this.entries = [];
+    this.offset = 0;
+  }
+
+  /**
+   * Append a file to the archive
+   * @param {string} name - Path inside the archive
+   * @param {string|Buffer} content - File content
+   * @param {Object} options - Options
+   * @param {boolean} options.store - Store without compression (EPUB requires this for "mimetype")
+   */
+  addFile(name, content, { store = false } = {}) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const fileName = Buffer.from(name, 'utf8');
+    const compressed = store ? data : zlib.deflateRawSync(data);
+    const entry = {
+      fileName,
+      method: store ? 0 : 8,
+      crc: crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    this.write(Buffer.concat([header, fileName, compressed]));
+    this.entries.push(entry);
+  }
+
+  /**
+   * Write the central directory and end the archive (the output stream is left open)
+   */
+  finish() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(this.modified.time, 12);
+      header.writeUInt16LE(this.modified.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+
+      this.write(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+
+    this.write(end);
+  }
+
+  write(buffer) {
+    this.output.write(buffer);
+    this.offset += buffer.length;
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Fetch Job Tests
+ * Per-source polling outcomes recorded on SourceState
+ */
+
+import { fetchJob } from '../../src/jobs/fetchJob.js';
+import { feedService } from '../../src/services/feedService.js';
+import { newsService } from '../../src/services/newsService.js';
+
+describe('Fetch Job', () => {
+  const makeState = () => ({
+    key: 'feed:1',
+    etag: '"v1"',
+    lastModified: null,
+    consecutiveFailures: 0,
+    nextPollAt: new Date(),
+    recordSuccess: jest.fn().mockResolvedValue(),
+    recordSkipped: jest.fn().mockResolvedValue(),
+    recordFailure: jest.fn().mockResolvedValue()
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pollSource', () => {
+    it('should back a failed feed off for at least its Retry-After', async () => {
+      const state = makeState();
+      jest.spyOn(feedService, 'pollFeed').mockResolvedValue({
+        success: false,
+        error: 'Failed to fetch feed Example: Request failed with status code 429',
+        retryAt: new Date(Date.now() + 2 * 60 * 60 * 1000)
+      });
+
+      const result = await fetchJob.pollSource({ type: 'feed', feed: {} }, state);
+
+      expect(result.success).toBe(false);
+      const [, retryAfter] = state.recordFailure.mock.calls[0];
+      expect(retryAfter).toBeGreaterThan(2 * 60 * 60 - 5);
+    });
+
+    it('should send provider sources their stored validators and keep the new ones', async () => {
+      const state = makeState();
+      jest.spyOn(newsService, 'pollProvider').mockResolvedValue({
+        notModified: true,
+        validators: { etag: '"v2"', lastModified: null },
+        totalFetched: 0,
+        totalSaved: 0,
+        totalSkipped: 0
+      });
+
+      await fetchJob.pollSource({ type: 'provider', provider: 'guardian', category: 'science' }, state);
+
+      expect(newsService.pollProvider).toHaveBeenCalledWith('guardian', 'science', state);
+      expect(state.recordSuccess).toHaveBeenCalledWith({ etag: '"v2"', lastModified: null, notModified: true });
+    });
+
+    it('should back a failed provider off for at least its Retry-After', async () => {
+      const state = makeState();
+      const retryAt = new Date(Date.now() + 30 * 60 * 1000);
+      jest.spyOn(newsService, 'pollProvider').mockRejectedValue(Object.assign(new Error('Failed to fetch from NYT: 429'), { retryAt }));
+
+      await fetchJob.pollSource({ type: 'provider', provider: 'nyt', category: 'science' }, state);
+
+      expect(state.recordFailure.mock.calls[0][1]).toBeGreaterThan(30 * 60 - 5);
+    });
+  });
+});
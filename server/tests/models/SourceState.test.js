@@ -0,0 +1,84 @@
+/**
+ * SourceState Model Tests
+ * Unit tests for per-source scheduling and backoff
+ */
+
+import { SourceState } from '../../src/models/SourceState.js';
+import { SOURCE_POLLING } from '../../src/config/constants.js';
+
+const MINUTE = 60 * 1000;
+
+const createState = (overrides = {}) => {
+  const state = new SourceState({
+    key: 'feed:65a4f0c2e1b2c3d4e5f60718',
+    type: 'feed',
+    target: '65a4f0c2e1b2c3d4e5f60718',
+    pollIntervalMinutes: 30,
+    ...overrides
+  });
+  jest.spyOn(state, 'save').mockResolvedValue(state);
+  return state;
+};
+
+describe('SourceState Model', () => {
+  describe('isDue', () => {
+    it('should be due when the next poll time has passed', () => {
+      const state = createState({ nextPollAt: new Date(Date.now() - MINUTE) });
+      expect(state.isDue()).toBe(true);
+    });
+
+    it('should not be due before the next poll time', () => {
+      const state = createState({ nextPollAt: new Date(Date.now() + MINUTE) });
+      expect(state.isDue()).toBe(false);
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('should store validators and schedule the next poll on the source interval', async () => {
+      const state = createState({ consecutiveFailures: 3, backoffMinutes: 240 });
+      const before = Date.now();
+
+      await state.recordSuccess({ etag: '"v1"', lastModified: 'Mon, 15 Jan 2024 10:00:00 GMT' });
+
+      expect(state.etag).toBe('"v1"');
+      expect(state.lastStatus).toBe('success');
+      expect(state.consecutiveFailures).toBe(0);
+      expect(state.backoffMinutes).toBe(0);
+      expect(state.nextPollAt.getTime()).toBeGreaterThanOrEqual(before + 30 * MINUTE);
+    });
+
+    it('should keep existing validators when a 304 omits them', async () => {
+      const state = createState({ etag: '"v1"' });
+
+      await state.recordSuccess({ etag: null, lastModified: null, notModified: true });
+
+      expect(state.etag).toBe('"v1"');
+      expect(state.lastStatus).toBe('not_modified');
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('should back off exponentially', async () => {
+      const state = createState();
+
+      await state.recordFailure(new Error('timeout'));
+      expect(state.backoffMinutes).toBe(60);
+
+      await state.recordFailure(new Error('timeout'));
+      expect(state.backoffMinutes).toBe(120);
+      expect(state.consecutiveFailures).toBe(2);
+      expect(state.lastStatus).toBe('error');
+      expect(state.lastError).toBe('timeout');
+    });
+
+    it('should cap backoff and honour Retry-After', async () => {
+      const state = createState({ consecutiveFailures: 10 });
+      await state.recordFailure(new Error('down'));
+      expect(state.backoffMinutes).toBe(SOURCE_POLLING.MAX_BACKOFF_MINUTES);
+
+      const limited = createState({ pollIntervalMinutes: 5 });
+      await limited.recordFailure(new Error('rate limited'), 3600);
+      expect(limited.backoffMinutes).toBe(60);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Breaking News Service Tests
+ * Burst detection across sources and alert pushes
+ */
+
+import { breakingService } from '../../src/services/breakingService.js';
+import { streamService } from '../../src/services/streamService.js';
+import { cacheService } from '../../src/services/cacheService.js';
+import { Article } from '../../src/models/Article.js';
+import { BreakingAlert } from '../../src/models/BreakingAlert.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+const report = (id, source, minutesAgo) => ({
+  _id: id,
+  title: `Report from ${source}`,
+  source: { name: source },
+  publishedAt: new Date(now - minutesAgo * MINUTE)
+});
+
+const findResult = (rows) => ({
+  select: () => ({ sort: () => ({ lean: () => Promise.resolve(rows) }) })
+});
+
+describe('Breaking News Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detectBurst', () => {
+    it('should find distinct sources reporting within the window', () => {
+      const burst = breakingService.detectBurst([
+        report('a1', 'BBC News', 25),
+        report('a2', 'Reuters', 20),
+        report('a3', 'Reuters', 15),
+        report('a4', 'The Guardian', 10)
+      ]);
+
+      expect(burst.sources).toEqual(['BBC News', 'Reuters', 'The Guardian']);
+      expect(burst.articles).toEqual(['a1', 'a2', 'a3', 'a4']);
+      expect(burst.lead._id).toBe('a1');
+      expect(burst.startedAt).toEqual(new Date(now - 25 * MINUTE));
+    });
+
+    it('should ignore coverage spread over hours', () => {
+      expect(breakingService.detectBurst([
+        report('a1', 'BBC News', 300),
+        report('a2', 'Reuters', 180),
+        report('a3', 'The Guardian', 60)
+      ])).toBeNull();
+    });
+
+    it('should need enough different sources, not just articles', () => {
+      expect(breakingService.detectBurst([
+        report('a1', 'Reuters', 10),
+        report('a2', 'Reuters', 8),
+        report('a3', 'BBC News', 5),
+        report('a4', 'BBC News', 2)
+      ])).toBeNull();
+    });
+  });
+
+  describe('check', () => {
+    const story = {
+      _id: 's1',
+      category: 'world',
+      tags: ['earthquak'],
+      sources: ['BBC News', 'Reuters', 'The Guardian'],
+      firstPublishedAt: new Date(now - 25 * MINUTE)
+    };
+    const articles = [report('a1', 'BBC News', 25), report('a2', 'Reuters', 20), report('a3', 'The Guardian', 10)];
+
+    it('should skip stories with too few sources without querying', async () => {
+      jest.spyOn(Article, 'find');
+
+      expect(await breakingService.check({ ...story, sources: ['Reuters'] }, now)).toBeNull();
+      expect(await breakingService.check(null, now)).toBeNull();
+      expect(Article.find).not.toHaveBeenCalled();
+    });
+
+    it('should skip stories that started hours ago', async () => {
+      jest.spyOn(Article, 'find');
+
+      expect(await breakingService.check({ ...story, firstPublishedAt: new Date(now - 8 * 60 * MINUTE) }, now)).toBeNull();
+      expect(Article.find).not.toHaveBeenCalled();
+    });
+
+    it('should store an alert and push it to connected clients', async () => {
+      jest.spyOn(Article, 'find').mockReturnValue(findResult(articles));
+      jest.spyOn(BreakingAlert, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(null) }) });
+      jest.spyOn(BreakingAlert, 'findOneAndUpdate').mockImplementation((filter, update) => Promise.resolve({
+        _id: 'alert-1',
+        story: filter.story,
+        ...update.$set,
+        detectedAt: update.$setOnInsert.detectedAt
+      }));
+      jest.spyOn(streamService, 'publish').mockResolvedValue();
+      jest.spyOn(cacheService, 'invalidatePattern').mockResolvedValue(0);
+
+      const alert = await breakingService.check(story, now);
+
+      expect(alert.sourceCount).toBe(3);
+      expect(alert.leadArticle).toBe('a1');
+      expect(streamService.publish).toHaveBeenCalledWith('alerts', {
+        id: 'alert-1',
+        event: 'breaking',
+        data: expect.objectContaining({ storyId: 's1', title: 'Report from BBC News', sourceCount: 3, isNew: true })
+      });
+      expect(cacheService.invalidatePattern).toHaveBeenCalledWith('breaking:*');
+    });
+
+    it('should not push again until more sources join', async () => {
+      jest.spyOn(Article, 'find').mockReturnValue(findResult(articles));
+      jest.spyOn(BreakingAlert, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ sourceCount: 3 }) }) });
+      jest.spyOn(BreakingAlert, 'findOneAndUpdate');
+      jest.spyOn(streamService, 'publish').mockResolvedValue();
+
+      expect(await breakingService.check(story, now)).toBeNull();
+      expect(BreakingAlert.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(streamService.publish).not.toHaveBeenCalled();
+    });
+  });
+});
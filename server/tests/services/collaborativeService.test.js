@@ -0,0 +1,110 @@
+/**
+ * Collaborative Service Tests
+ * Co-saved article similarity, similar-reader blending and content fallback
+ */
+
+import { collaborativeService } from '../../src/services/collaborativeService.js';
+import { RelatedArticles } from '../../src/models/RelatedArticles.js';
+import { Article } from '../../src/models/Article.js';
+
+const save = (userId, articleId) => ({ userId, articleId });
+
+const findResult = (rows) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => Promise.resolve(rows)
+  };
+  return query;
+};
+
+describe('Collaborative Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('computeSimilarities', () => {
+    const saves = [
+      save('u1', 'a'), save('u1', 'b'), save('u1', 'c'),
+      save('u2', 'a'), save('u2', 'b'),
+      save('u3', 'a'), save('u3', 'b'), save('u3', 'd'),
+      save('u4', 'c'), save('u4', 'd')
+    ];
+
+    it('should relate articles saved by the same readers with cosine scores', () => {
+      const { related, users } = collaborativeService.computeSimilarities(saves);
+
+      expect(users).toBe(4);
+      // a and b are both saved by u1, u2 and u3
+      expect(related.get('a')).toEqual([{ articleId: 'b', score: 1, coSaves: 3 }]);
+      expect(related.get('b')).toEqual([{ articleId: 'a', score: 1, coSaves: 3 }]);
+    });
+
+    it('should ignore pairs with fewer than the minimum shared savers', () => {
+      const { related } = collaborativeService.computeSimilarities(saves);
+
+      expect(related.has('c')).toBe(false);
+      expect(related.has('d')).toBe(false);
+    });
+
+    it('should count each reader once per article', () => {
+      const { related } = collaborativeService.computeSimilarities([
+        save('u1', 'a'), save('u1', 'a'), save('u1', 'b'),
+        save('u2', 'a'), save('u2', 'b')
+      ]);
+
+      expect(related.get('a')).toEqual([{ articleId: 'b', score: 1, coSaves: 2 }]);
+    });
+  });
+
+  describe('blendScores', () => {
+    it('should normalize and blend item and neighbor scores, leaving out saved articles', () => {
+      const blended = collaborativeService.blendScores(
+        new Map([['x', 2], ['y', 1], ['saved', 4]]),
+        new Map([['y', 0.5], ['z', 0.25]]),
+        new Set(['saved'])
+      );
+
+      expect(blended.has('saved')).toBe(false);
+      // y: 0.6 × 0.25 + 0.4 × 1 = 0.55 is the best, so every score is divided by it
+      expect(blended.get('y')).toBe(1);
+      expect(blended.get('x')).toBeCloseTo(0.3 / 0.55);
+      expect(blended.get('z')).toBeCloseTo(0.2 / 0.55);
+    });
+  });
+
+  describe('getContentSimilarity', () => {
+    it('should combine shared tags, entities and category', () => {
+      const article = { category: 'science', tags: ['climat', 'emiss'], entities: [{ key: 'united nations' }] };
+
+      expect(collaborativeService.getContentSimilarity(article, article)).toBeCloseTo(1);
+      expect(collaborativeService.getContentSimilarity(article, { category: 'science', tags: ['climat'] })).toBeCloseTo(0.45);
+      expect(collaborativeService.getContentSimilarity(article, { category: 'sports', tags: [] })).toBe(0);
+    });
+  });
+
+  describe('getUserScores', () => {
+    it('should return nothing for readers without saves', async () => {
+      const scores = await collaborativeService.getUserScores('u1', []);
+      expect(scores.size).toBe(0);
+    });
+  });
+
+  describe('getRelated', () => {
+    it('should fill short co-save lists with content-similar articles', async () => {
+      const article = { _id: 'a', category: 'science', tags: ['climat'] };
+      jest.spyOn(RelatedArticles, 'findOne').mockReturnValue({
+        lean: () => Promise.resolve({ related: [{ articleId: 'b', score: 0.8, coSaves: 3 }] })
+      });
+      jest.spyOn(Article, 'find')
+        .mockReturnValueOnce(findResult([{ _id: 'b', title: 'Co-saved', category: 'science', tags: [] }]))
+        .mockReturnValueOnce(findResult([{ _id: 'c', title: 'Similar', category: 'science', tags: ['climat'] }]));
+
+      const related = await collaborativeService.getRelated(article, 2);
+
+      expect(related.map(item => [item._id, item.related.reason])).toEqual([['b', 'co-saved'], ['c', 'content']]);
+      expect(Article.find.mock.calls[1][0]._id).toEqual({ $nin: ['a', 'b'] });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Collection Service Tests
+ * Collection counts, ordering, deletion and highlight anchoring
+ */
+
+import mongoose from 'mongoose';
+import { collectionService } from '../../src/services/collectionService.js';
+import { Collection } from '../../src/models/Collection.js';
+import { SavedArticle } from '../../src/models/SavedArticle.js';
+
+const userId = new mongoose.Types.ObjectId();
+const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+const collections = [
+  { _id: ids[0], name: 'Climate', position: 0 },
+  { _id: ids[1], name: 'Elections', position: 1 },
+  { _id: ids[2], name: 'Long reads', position: 2 }
+];
+
+describe('Collection Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getCollections', () => {
+    it('should attach article counts and count unsorted articles', async () => {
+      jest.spyOn(Collection, 'findByUser').mockResolvedValue(collections);
+      jest.spyOn(SavedArticle, 'getCollectionCounts').mockResolvedValue([
+        { _id: ids[0], count: 4 },
+        { _id: null, count: 7 }
+      ]);
+
+      const result = await collectionService.getCollections(userId);
+
+      expect(result.collections.map(collection => collection.articleCount)).toEqual([4, 0, 0]);
+      expect(result.unsorted).toBe(7);
+    });
+  });
+
+  describe('reorder', () => {
+    it('should write only positions that changed and keep unlisted collections last', async () => {
+      jest.spyOn(Collection, 'findByUser').mockResolvedValue(collections);
+      jest.spyOn(Collection, 'bulkWrite').mockResolvedValue({});
+
+      const result = await collectionService.reorder(userId, [ids[2].toString(), ids[0].toString()]);
+
+      expect(result.map(collection => collection.name)).toEqual(['Long reads', 'Climate', 'Elections']);
+      expect(result.map(collection => collection.position)).toEqual([0, 1, 2]);
+
+      const [operations] = Collection.bulkWrite.mock.calls[0];
+      expect(operations).toHaveLength(3);
+      expect(operations[0].updateOne).toEqual({ filter: { _id: ids[2], userId }, update: { $set: { position: 0 } } });
+    });
+
+    it('should ignore IDs of collections the user does not own', async () => {
+      jest.spyOn(Collection, 'findByUser').mockResolvedValue(collections);
+      jest.spyOn(Collection, 'bulkWrite');
+
+      const result = await collectionService.reorder(userId, [new mongoose.Types.ObjectId().toString(), ids[0].toString()]);
+
+      expect(result.map(collection => collection.name)).toEqual(['Climate', 'Elections', 'Long reads']);
+      expect(Collection.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remove', () => {
+    it('should leave the articles saved as unsorted and close the gap in the order', async () => {
+      jest.spyOn(Collection, 'findOneAndDelete').mockResolvedValue(collections[1]);
+      jest.spyOn(SavedArticle, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(Collection, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await collectionService.remove(userId, ids[1])).toEqual({ moved: 2 });
+      expect(SavedArticle.updateMany).toHaveBeenCalledWith(
+        { userId, collectionId: ids[1] },
+        { $set: { collectionId: null } }
+      );
+      expect(Collection.updateMany).toHaveBeenCalledWith(
+        { userId, position: { $gt: 1 } },
+        { $inc: { position: -1 } }
+      );
+    });
+
+    it('should return null for a collection the user does not own', async () => {
+      jest.spyOn(Collection, 'findOneAndDelete').mockResolvedValue(null);
+      jest.spyOn(SavedArticle, 'updateMany');
+
+      expect(await collectionService.remove(userId, ids[1])).toBeNull();
+      expect(SavedArticle.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('highlights', () => {
+    const body = 'Sea levels rose faster than expected.\n\nScientists called for urgent action.';
+
+    it('should anchor highlights to the content, or the description without it', () => {
+      expect(collectionService.getArticleBody({ content: body, description: 'Short' })).toBe(body);
+      expect(collectionService.getArticleBody({ content: null, description: 'Short' })).toBe('Short');
+      expect(collectionService.getArticleBody(null)).toBe('');
+    });
+
+    it('should accept offsets that point at the quoted text', () => {
+      expect(collectionService.findHighlightError(body, { start: 0, end: 10, text: 'Sea levels' })).toBeNull();
+      expect(collectionService.findHighlightError(body, { start: 39, end: 49, text: 'Scientists' })).toBeNull();
+    });
+
+    it('should reject offsets that do not match the article', () => {
+      expect(collectionService.findHighlightError(body, { start: 10, end: 4, text: 'levels' })).toMatch(/after its start/);
+      expect(collectionService.findHighlightError(body, { start: 70, end: 200, text: 'action.' })).toMatch(/outside/);
+      expect(collectionService.findHighlightError(body, { start: 0, end: 10, text: 'Sea level ' })).toMatch(/does not match/);
+    });
+  });
+});
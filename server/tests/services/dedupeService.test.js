@@ -0,0 +1,238 @@
+/**
+ * Deduplication Service Tests
+ * Unit tests for content fingerprints and near-duplicate detection
+ */
+
+import crypto from 'crypto';
+import { dedupeService } from '../../src/services/dedupeService.js';
+import { Article } from '../../src/models/Article.js';
+
+const mockQuery = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+describe('Deduplication Service', () => {
+  beforeEach(() => {
+    dedupeService.clearCache();
+  });
+
+  describe('computeSimHash', () => {
+    it('should return a 64-bit hex fingerprint', () => {
+      const hash = dedupeService.computeSimHash('Central bank raises interest rates again');
+      expect(hash).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('should be deterministic', () => {
+      const a = dedupeService.computeSimHash('Storm hits coast', 'Thousands without power');
+      const b = dedupeService.computeSimHash('Storm hits coast', 'Thousands without power');
+      expect(a).toBe(b);
+    });
+
+    it('should return null when there is no usable text', () => {
+      expect(dedupeService.computeSimHash('', '')).toBeNull();
+      expect(dedupeService.computeSimHash('the a of', '')).toBeNull();
+    });
+
+    it('should ignore trailing publisher suffixes', () => {
+      const a = dedupeService.computeSimHash('Apple unveils new iPhone at September event - Reuters');
+      const b = dedupeService.computeSimHash('Apple unveils new iPhone at September event | The Verge');
+      expect(a).toBe(b);
+    });
+  });
+
+  describe('simhashSimilarity', () => {
+    it('should score the same wire story from different sources as near-duplicates', () => {
+      const description = 'The Federal Reserve raised its benchmark interest rate by a quarter point on Wednesday, citing persistent inflation and a strong labor market.';
+      const a = dedupeService.computeSimHash('Fed raises interest rates by quarter point amid inflation fears', description);
+      const b = dedupeService.computeSimHash('Fed raises interest rates by a quarter point amid inflation fears', description);
+
+      expect(dedupeService.simhashSimilarity(a, b)).toBeGreaterThanOrEqual(0.9);
+    });
+
+    it('should score unrelated stories well below the threshold', () => {
+      const a = dedupeService.computeSimHash(
+        'Fed raises interest rates by quarter point amid inflation fears',
+        'The central bank cited persistent inflation and a strong labor market.'
+      );
+      const b = dedupeService.computeSimHash(
+        'Local team wins championship after dramatic overtime finish',
+        'Fans celebrated downtown late into the night after the final whistle.'
+      );
+
+      expect(dedupeService.simhashSimilarity(a, b)).toBeLessThan(0.9);
+    });
+  });
+
+  describe('hammingDistance', () => {
+    it('should count differing bits', () => {
+      expect(dedupeService.hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+      expect(dedupeService.hammingDistance('0000000000000000', '0000000000000003')).toBe(2);
+      expect(dedupeService.hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    });
+  });
+
+  describe('getSimHashBands', () => {
+    it('should split the hash into four indexed bands', () => {
+      const bands = dedupeService.getSimHashBands('0123456789abcdef');
+      expect(bands).toEqual(['0:0123', '1:4567', '2:89ab', '3:cdef']);
+    });
+
+    it('should return no bands for a missing hash', () => {
+      expect(dedupeService.getSimHashBands(null)).toEqual([]);
+    });
+  });
+
+  describe('getBandCount', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should use four bands for the default threshold', () => {
+      expect(dedupeService.similarityThreshold).toBe(0.95);
+      expect(dedupeService.simhashBands).toBe(4);
+    });
+
+    it.each([0.95, 0.9, 1 - 6 / 64, 0.8])('should put every pair meeting %p in a shared band', (threshold) => {
+      const bandCount = dedupeService.getBandCount(threshold);
+      const maxDistance = dedupeService.getMaxDistance(threshold);
+      jest.replaceProperty(dedupeService, 'simhashBands', bandCount);
+
+      // Spread the differing bits so each lands in a different band where possible
+      const stride = Math.floor(dedupeService.simhashBits / bandCount);
+      let mask = 0n;
+      for (let i = 0; i < maxDistance; i++) {
+        mask |= 1n << BigInt((i * stride) % dedupeService.simhashBits);
+      }
+      const hash = '0123456789abcdef';
+      const other = (BigInt(`0x${hash}`) ^ mask).toString(16).padStart(16, '0');
+
+      expect(dedupeService.simhashSimilarity(hash, other)).toBeGreaterThanOrEqual(threshold);
+      const bands = dedupeService.getSimHashBands(hash);
+      expect(dedupeService.getSimHashBands(other).some(band => bands.includes(band))).toBe(true);
+    });
+
+    it('should raise a threshold the narrowest bands cannot serve', () => {
+      expect(dedupeService.getServableThreshold(0.5)).toBe(1 - 15 / 64);
+      expect(dedupeService.getBandCount(1 - 15 / 64)).toBe(16);
+      expect(dedupeService.getServableThreshold(0.9)).toBe(0.9);
+    });
+  });
+
+  describe('generateFingerprint', () => {
+    it('should include content hash, simhash and bands', () => {
+      const fingerprint = dedupeService.generateFingerprint({
+        title: 'Markets rally on jobs report',
+        description: 'Stocks climbed after hiring beat expectations.',
+        source: { name: 'Reuters' },
+        publishedAt: new Date('2024-01-15T10:00:00Z')
+      });
+
+      expect(fingerprint.contentHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(fingerprint.simhash).toMatch(/^[0-9a-f]{16}$/);
+      expect(fingerprint.bands).toHaveLength(4);
+    });
+
+    it('should omit the content hash when the date is missing', () => {
+      const fingerprint = dedupeService.generateFingerprint({ title: 'Markets rally', source: 'Reuters' });
+      expect(fingerprint.contentHash).toBeNull();
+    });
+  });
+
+  describe('findDuplicate', () => {
+    const candidate = {
+      url: 'https://example.com/guardian/fed-rates',
+      title: 'Fed raises interest rates by quarter point amid inflation fears',
+      description: 'The Federal Reserve raised its benchmark rate, citing persistent inflation.',
+      source: 'The Guardian',
+      publishedAt: new Date('2024-01-15T12:00:00Z')
+    };
+
+    it('should report URL duplicates', async () => {
+      jest.spyOn(Article, 'findOne').mockReturnValue(mockQuery({ _id: 'existing' }));
+
+      const result = await dedupeService.findDuplicate(candidate);
+      expect(result).toEqual({ reason: 'url', articleId: 'existing', similarity: 1 });
+    });
+
+    it('should report near-duplicates published by another source', async () => {
+      jest.spyOn(Article, 'findOne').mockReturnValue(mockQuery(null));
+      const stored = {
+        _id: 'wire-story',
+        title: 'Fed raises interest rates by a quarter point amid inflation fears',
+        fingerprint: {
+          simhash: dedupeService.computeSimHash(
+            'Fed raises interest rates by a quarter point amid inflation fears - Reuters',
+            candidate.description
+          )
+        }
+      };
+      const findSpy = jest.spyOn(Article, 'find').mockReturnValue(mockQuery([stored]));
+
+      const result = await dedupeService.findDuplicate(candidate);
+
+      expect(findSpy.mock.calls[0][0]['fingerprint.bands'].$in).toHaveLength(4);
+      expect(result.reason).toBe('near_duplicate');
+      expect(result.articleId).toBe('wire-story');
+      expect(result.similarity).toBeGreaterThanOrEqual(dedupeService.similarityThreshold);
+    });
+
+    it('should find the duplicate in a window with many more articles than the candidate cap', async () => {
+      const publishedAt = new Date('2024-01-15T12:00:00Z');
+      const simhash = dedupeService.computeSimHash(candidate.title, candidate.description);
+      // Three bits off: always shares a band
+      const duplicateHash = (BigInt(`0x${simhash}`) ^ 0x8000800080n).toString(16).padStart(16, '0');
+
+      // Unrelated articles that happen to share the first byte, as 8-bit bands made likely
+      const articles = Array.from({ length: 1000 }, (_, i) => ({
+        _id: `other-${i}`,
+        publishedAt: new Date(publishedAt.getTime() + (i - 500) * 60 * 1000),
+        simhash: `${simhash.slice(0, 2)}${(~Number(`0x${simhash[2]}`) & 0xf).toString(16)}${crypto.createHash('md5').update(String(i)).digest('hex').slice(0, 13)}`
+      }));
+      articles.push({ _id: 'duplicate', publishedAt: new Date(publishedAt.getTime() - 24 * 60 * 60 * 1000), simhash: duplicateHash });
+
+      // Evaluates the band, window, sort and limit the way MongoDB would
+      jest.spyOn(Article, 'find').mockImplementation(query => {
+        const matches = articles
+          .filter(article => dedupeService.getSimHashBands(article.simhash).some(band => query['fingerprint.bands'].$in.includes(band)))
+          .filter(article => article.publishedAt >= query.publishedAt.$gte && article.publishedAt <= query.publishedAt.$lte)
+          .map(article => ({ _id: article._id, publishedAt: article.publishedAt, fingerprint: { simhash: article.simhash } }));
+        const chain = {
+          select: () => chain,
+          sort: ({ publishedAt: direction }) => {
+            matches.sort((a, b) => direction * (a.publishedAt - b.publishedAt));
+            return chain;
+          },
+          limit: count => {
+            matches.splice(count);
+            return chain;
+          },
+          lean: () => Promise.resolve(matches)
+        };
+        return chain;
+      });
+
+      const result = await dedupeService.findNearDuplicate(simhash, publishedAt);
+      expect(result.article._id).toBe('duplicate');
+
+      // With 8-bit bands they all matched, and the duplicate fell outside the cap
+      const bandCount = dedupeService.simhashBands;
+      dedupeService.simhashBands = 8;
+      try {
+        expect(await dedupeService.findNearDuplicate(simhash, publishedAt)).toBeNull();
+      } finally {
+        dedupeService.simhashBands = bandCount;
+      }
+    });
+
+    it('should return null for unique articles', async () => {
+      jest.spyOn(Article, 'findOne').mockReturnValue(mockQuery(null));
+      jest.spyOn(Article, 'find').mockReturnValue(mockQuery([]));
+
+      expect(await dedupeService.findDuplicate(candidate)).toBeNull();
+      expect(await dedupeService.isDuplicate('https://example.com/other')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Email Verification Service Tests
+ * Link issuing, resend throttling and verification
+ */
+
+import mongoose from 'mongoose';
+import { emailVerificationService } from '../../src/services/emailVerificationService.js';
+import { EmailVerificationToken } from '../../src/models/EmailVerificationToken.js';
+import { User } from '../../src/models/User.js';
+import { mailService } from '../../src/services/mailService.js';
+import { requireVerifiedEmail } from '../../src/middleware/auth.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+
+const lean = value => ({ sort: () => ({ lean: () => Promise.resolve(value) }), lean: () => Promise.resolve(value) });
+
+describe('Email Verification Service', () => {
+  let user;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Ada',
+      email: 'ada@example.com',
+      isActive: true,
+      emailVerified: false,
+      emailVerifiedAt: null,
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(EmailVerificationToken, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(mailService, 'sendTemplate').mockResolvedValue({ messageId: 'id' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sendVerification', () => {
+    beforeEach(() => {
+      jest.spyOn(EmailVerificationToken, 'findOne').mockReturnValue(lean(null));
+      jest.spyOn(EmailVerificationToken, 'create').mockImplementation(async data => data);
+    });
+
+    it('should email a link and store only its hash', async () => {
+      expect(await emailVerificationService.sendVerification(user, now)).toEqual({ sent: true });
+
+      const [template, to, data] = mailService.sendTemplate.mock.calls[0];
+      const url = new URL(data.url);
+      const stored = EmailVerificationToken.create.mock.calls[0][0];
+
+      expect(template).toBe('emailVerification');
+      expect(to).toBe('ada@example.com');
+      expect(url.pathname).toBe('/verify-email');
+      expect(stored.tokenHash).toBe(emailVerificationService.hashToken(url.searchParams.get('token')));
+      expect(stored.email).toBe('ada@example.com');
+      expect(stored.expiresAt).toEqual(new Date(now.getTime() + 48 * 60 * 60 * 1000));
+      expect(EmailVerificationToken.deleteMany).toHaveBeenCalledWith({ userId: user._id, usedAt: null });
+    });
+
+    it('should ask the user to wait when the last link is recent', async () => {
+      EmailVerificationToken.findOne.mockReturnValue(lean({ createdAt: new Date(now.getTime() - 20 * 1000) }));
+
+      expect(await emailVerificationService.sendVerification(user, now)).toEqual({ sent: false, retryAfter: 40 });
+      expect(EmailVerificationToken.create).not.toHaveBeenCalled();
+      expect(mailService.sendTemplate).not.toHaveBeenCalled();
+    });
+
+    it('should replace links older than the resend interval', async () => {
+      EmailVerificationToken.findOne.mockReturnValue(lean({ createdAt: new Date(now.getTime() - 5 * 60 * 1000) }));
+
+      expect(await emailVerificationService.sendVerification(user, now)).toEqual({ sent: true });
+    });
+
+    it('should report mail failures without throwing', async () => {
+      mailService.sendTemplate.mockRejectedValue(new Error('SMTP down'));
+
+      expect(await emailVerificationService.sendVerification(user, now)).toEqual({ sent: false });
+    });
+  });
+
+  describe('verify', () => {
+    it('should mark the address as verified', async () => {
+      jest.spyOn(EmailVerificationToken, 'consume').mockResolvedValue({ userId: user._id, email: 'ada@example.com' });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      expect(await emailVerificationService.verify('token', now)).toBe(user);
+      expect(EmailVerificationToken.consume).toHaveBeenCalledWith(emailVerificationService.hashToken('token'), now);
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerifiedAt).toBe(now);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should refuse links sent to a previous address', async () => {
+      jest.spyOn(EmailVerificationToken, 'consume').mockResolvedValue({ userId: user._id, email: 'old@example.com' });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      expect(await emailVerificationService.verify('token', now)).toBeNull();
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should accept a spent link again once the address is verified', async () => {
+      jest.spyOn(EmailVerificationToken, 'consume').mockResolvedValue(null);
+      jest.spyOn(EmailVerificationToken, 'findOne').mockReturnValue(lean({ userId: user._id, email: 'ada@example.com' }));
+      jest.spyOn(User, 'findById').mockResolvedValue({ ...user, emailVerified: true });
+
+      expect(await emailVerificationService.verify('token', now)).toMatchObject({ emailVerified: true });
+    });
+
+    it('should refuse unknown or expired links', async () => {
+      jest.spyOn(EmailVerificationToken, 'consume').mockResolvedValue(null);
+      jest.spyOn(EmailVerificationToken, 'findOne').mockReturnValue(lean(null));
+
+      expect(await emailVerificationService.verify('token', now)).toBeNull();
+    });
+  });
+
+  describe('requireVerifiedEmail', () => {
+    const run = (reqUser, feature) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      requireVerifiedEmail(feature)({ user: reqUser }, res, next);
+      return { res, next };
+    };
+
+    it('should block unverified accounts from restricted features', () => {
+      const { res, next } = run(user, 'save');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('should let verified and pre-existing accounts through', () => {
+      expect(run({ ...user, emailVerified: true }, 'save').next).toHaveBeenCalled();
+      expect(run({ ...user, emailVerified: undefined }, 'save').next).toHaveBeenCalled();
+    });
+
+    it('should only restrict configured features', () => {
+      expect(run(user, 'comments').next).toHaveBeenCalled();
+    });
+  });
+});
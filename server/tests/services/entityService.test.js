@@ -0,0 +1,86 @@
+/**
+ * Entity Service Tests
+ * People, organizations, locations and phrases from article text
+ */
+
+import { entityService } from '../../src/services/entityService.js';
+
+const article = {
+  title: 'Apple Unveils New iPhone As Tim Cook Touts AI Features',
+  description: 'Apple chief executive Tim Cook said the company would invest in artificial intelligence across its product line.',
+  content: [
+    "Apple's Tim Cook on Tuesday unveiled a new iPhone at an event in Cupertino. Cook said the Federal Reserve's decision on interest rates would not affect pricing.",
+    'President Joe Biden praised the move. Biden said the White House welcomed investment in the United States. Analysts at Goldman Sachs said interest rates remain high.',
+    "The European Commission and the Bank of England are reviewing artificial intelligence rules, said Dr. Sarah O'Connor of the University of Oxford. NASA declined to comment."
+  ].join('\n\n')
+};
+
+const find = (entities, type, key) => entities.find(entity => entity.type === type && entity.key === key);
+
+describe('Entity Service', () => {
+  describe('extract', () => {
+    const entities = entityService.extract(article);
+
+    it('should find people and attach surname mentions to them', () => {
+      expect(find(entities, 'person', 'tim cook')).toEqual({ type: 'person', name: 'Tim Cook', key: 'tim cook', count: 4 });
+      expect(find(entities, 'person', 'joe biden').count).toBe(2);
+      expect(find(entities, 'person', 'sarah oconnor')).toMatchObject({ name: "Sarah O'Connor" });
+    });
+
+    it('should strip titles from names', () => {
+      expect(find(entities, 'person', 'president joe biden')).toBeUndefined();
+      expect(find(entities, 'person', 'dr sarah oconnor')).toBeUndefined();
+    });
+
+    it('should find organizations by name, suffix and acronym', () => {
+      ['apple', 'federal reserve', 'white house', 'goldman sachs', 'european commission', 'bank of england', 'university of oxford', 'nasa']
+        .forEach(key => expect(find(entities, 'organization', key)).toBeDefined());
+    });
+
+    it('should find places from gazetteers and prepositions', () => {
+      expect(find(entities, 'location', 'united states')).toBeDefined();
+      expect(find(entities, 'location', 'cupertino')).toBeDefined();
+    });
+
+    it('should find repeated multi-word phrases', () => {
+      expect(find(entities, 'phrase', 'interest rates').count).toBe(2);
+      expect(find(entities, 'phrase', 'artificial intelligence').count).toBe(2);
+    });
+
+    it('should not treat headline capitalization or dates as entities', () => {
+      const keys = entities.map(entity => entity.key);
+
+      expect(keys).not.toContain('unveils new iphone');
+      expect(keys).not.toContain('tuesday');
+      expect(keys).not.toContain('ai');
+      expect(keys).not.toContain('the');
+    });
+
+    it('should order entities by mentions', () => {
+      const counts = entities.map(entity => entity.count);
+      expect(counts).toEqual([...counts].sort((a, b) => b - a));
+    });
+
+    it('should return nothing for empty articles', () => {
+      expect(entityService.extract({ title: '' })).toEqual([]);
+    });
+  });
+
+  describe('splitSentences', () => {
+    it('should not split after titles and initials', () => {
+      expect(entityService.splitSentences('Mr. Smith met J. K. Rowling. They spoke.')).toEqual([
+        'Mr. Smith met J. K. Rowling.',
+        'They spoke.'
+      ]);
+    });
+  });
+
+  describe('normalizeKey', () => {
+    it('should make URL-friendly keys that ignore case, accents and punctuation', () => {
+      expect(entityService.normalizeKey('Coca-Cola')).toBe('coca cola');
+      expect(entityService.normalizeKey('coca cola')).toBe('coca cola');
+      expect(entityService.normalizeKey('Emmanuel Macrón')).toBe('emmanuel macron');
+      expect(entityService.normalizeKey('AT&T')).toBe('at&t');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Event Service Tests
+ * Event normalization, deduplicated recording and daily engagement rollups
+ */
+
+import { eventService } from '../../src/services/eventService.js';
+import { Event } from '../../src/models/Event.js';
+import { Article } from '../../src/models/Article.js';
+import { ReadingHistory } from '../../src/models/ReadingHistory.js';
+import { cacheService } from '../../src/services/cacheService.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const articleId = '65f0a1b2c3d4e5f6a7b8c9d0';
+
+describe('Event Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isBot', () => {
+    it('should recognize crawlers and scripts', () => {
+      expect(eventService.isBot('Mozilla/5.0 (compatible; Googlebot/2.1)')).toBe(true);
+      expect(eventService.isBot('curl/8.4.0')).toBe(true);
+      expect(eventService.isBot('Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Safari/605.1.15')).toBe(false);
+      expect(eventService.isBot(undefined)).toBe(false);
+    });
+  });
+
+  describe('normalize', () => {
+    it('should key events by actor and UTC day', () => {
+      const user = eventService.normalize({ type: 'click', articleId }, { userId: 'u1', sessionId: 'session-1' }, now);
+      const anonymous = eventService.normalize({ type: 'click', articleId }, { userId: null, sessionId: 'session-1' }, now);
+
+      expect(user.actor).toBe('u:u1');
+      expect(anonymous.actor).toBe('s:session-1');
+      expect(user.day).toEqual(new Date('2024-03-10T00:00:00Z'));
+      expect(user.value).toBeNull();
+    });
+
+    it('should clamp dwell and scroll values', () => {
+      const actor = { sessionId: 'session-1' };
+
+      expect(eventService.normalize({ type: 'dwell', articleId, value: 99999 }, actor, now).value).toBe(3600);
+      expect(eventService.normalize({ type: 'scroll', articleId, value: 250 }, actor, now).value).toBe(100);
+      expect(eventService.normalize({ type: 'scroll', articleId, value: 42.6 }, actor, now).value).toBe(43);
+    });
+
+    it('should replace timestamps too far from the server clock', () => {
+      const actor = { sessionId: 'session-1' };
+      const recent = new Date(now - 2 * HOUR);
+
+      expect(eventService.normalize({ type: 'click', articleId, occurredAt: recent }, actor, now).occurredAt).toEqual(recent);
+      expect(eventService.normalize({ type: 'click', articleId, occurredAt: new Date(now - 48 * HOUR) }, actor, now).occurredAt)
+        .toEqual(now);
+    });
+  });
+
+  describe('record', () => {
+    it('should upsert one event per key and count views from new clicks only', async () => {
+      jest.spyOn(Event, 'bulkWrite').mockResolvedValue({ upsertedIds: { 0: 'e1' } });
+      jest.spyOn(Article, 'bulkWrite').mockResolvedValue({});
+
+      const result = await eventService.record(
+        [{ type: 'click', articleId }, { type: 'impression', articleId }],
+        { sessionId: 'session-1' },
+        now
+      );
+
+      expect(result).toEqual({ accepted: 1, duplicates: 1 });
+
+      const [operations] = Event.bulkWrite.mock.calls[0];
+      expect(operations[0].updateOne.filter).toEqual({
+        day: new Date('2024-03-10T00:00:00Z'),
+        actor: 's:session-1',
+        type: 'click',
+        articleId
+      });
+      expect(operations[0].updateOne.upsert).toBe(true);
+      expect(operations[0].updateOne.update.$inc).toEqual({ count: 1 });
+
+      expect(Article.bulkWrite.mock.calls[0][0]).toEqual([
+        { updateOne: { filter: { _id: articleId }, update: { $inc: { views: 1 } } } }
+      ]);
+    });
+
+    it('should treat concurrent duplicate upserts as duplicates', async () => {
+      const error = Object.assign(new Error('E11000 duplicate key error'), {
+        writeErrors: [{ code: 11000 }],
+        result: { upsertedIds: {} }
+      });
+      jest.spyOn(Event, 'bulkWrite').mockRejectedValue(error);
+      jest.spyOn(Article, 'bulkWrite').mockResolvedValue({});
+
+      const result = await eventService.record([{ type: 'click', articleId }], { sessionId: 'session-1' }, now);
+
+      expect(result).toEqual({ accepted: 0, duplicates: 1 });
+      expect(Article.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should copy dwell time to reading history and refresh recommendations after hides', async () => {
+      jest.spyOn(Event, 'bulkWrite').mockResolvedValue({ upsertedIds: { 0: 'e1', 1: 'e2' } });
+      jest.spyOn(ReadingHistory, 'bulkWrite').mockResolvedValue({});
+      jest.spyOn(cacheService, 'invalidatePattern').mockResolvedValue(1);
+
+      await eventService.record(
+        [{ type: 'dwell', articleId, value: 120 }, { type: 'hide', articleId }],
+        { userId: 'u1', sessionId: 'session-1' },
+        now
+      );
+
+      expect(ReadingHistory.bulkWrite.mock.calls[0][0]).toEqual([
+        { updateOne: { filter: { userId: 'u1', articleId }, update: { $max: { dwellSeconds: 120 } } } }
+      ]);
+      expect(cacheService.invalidatePattern).toHaveBeenCalledWith('recommendations:u1:*');
+    });
+  });
+
+  describe('summarizeEngagement', () => {
+    it('should compute totals, rates and top articles', () => {
+      const summary = eventService.summarizeEngagement([
+        { _id: { articleId: 'a', type: 'impression' }, events: 10, valueSum: 0 },
+        { _id: { articleId: 'a', type: 'click' }, events: 4, valueSum: 0 },
+        { _id: { articleId: 'a', type: 'dwell' }, events: 2, valueSum: 180 },
+        { _id: { articleId: 'b', type: 'impression' }, events: 10, valueSum: 0 },
+        { _id: { articleId: 'b', type: 'click' }, events: 1, valueSum: 0 },
+        { _id: { articleId: 'b', type: 'scroll' }, events: 1, valueSum: 60 },
+        { _id: { articleId: 'b', type: 'hide' }, events: 2, valueSum: 0 }
+      ]);
+
+      expect(summary.totals).toEqual({ impression: 20, click: 5, dwell: 2, scroll: 1, hide: 2 });
+      expect(summary.clickThroughRate).toBe(0.25);
+      expect(summary.avgDwellSeconds).toBe(90);
+      expect(summary.avgScrollDepth).toBe(60);
+      expect(summary.articles.map(article => article.articleId)).toEqual(['a', 'b']);
+      expect(summary.articles[0]).toMatchObject({ clicks: 4, clickThroughRate: 0.4, avgDwellSeconds: 90 });
+      expect(summary.articles[1]).toMatchObject({ hides: 2, avgScrollDepth: 60 });
+    });
+
+    it('should return zeros for days without events', () => {
+      const summary = eventService.summarizeEngagement([]);
+
+      expect(summary.clickThroughRate).toBe(0);
+      expect(summary.articles).toEqual([]);
+    });
+  });
+});
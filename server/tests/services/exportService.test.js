@@ -0,0 +1,185 @@
+/**
+ * Export Service Tests
+ * Saved article records and the CSV, Markdown, bookmark and EPUB formats
+ */
+
+import mongoose from 'mongoose';
+import { exportService } from '../../src/services/exportService.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+
+const record = (overrides = {}) => ({
+  title: 'Sea levels rise faster',
+  url: 'https://example.com/sea-levels',
+  source: 'Example News',
+  author: 'Jane Doe',
+  category: 'science',
+  tags: ['climate', 'oceans'],
+  description: 'A new study.',
+  content: 'First paragraph.\n\nSecond <paragraph>.',
+  collection: null,
+  status: 'unread',
+  progress: 0,
+  note: '',
+  highlights: [],
+  savedAt: '2024-03-01T09:00:00.000Z',
+  publishedAt: '2024-02-28T08:00:00.000Z',
+  ...overrides
+});
+
+const collect = () => {
+  const chunks = [];
+  return {
+    chunks,
+    destroyed: false,
+    writableNeedDrain: false,
+    write: chunk => chunks.push(Buffer.from(chunk)),
+    text: () => Buffer.concat(chunks).toString('utf8')
+  };
+};
+
+const mockRecords = (records) => {
+  jest.spyOn(exportService, 'getRecords').mockImplementation(async function* () {
+    yield* records;
+  });
+};
+
+describe('Export Service', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), username: 'reader' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getHeaders', () => {
+    it('should name the download after the format and date', () => {
+      expect(exportService.getHeaders('md', now)).toEqual({
+        'Content-Type': 'text/markdown; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="saved-articles-2024-03-10.md"'
+      });
+      expect(exportService.getHeaders('epub', now)['Content-Type']).toBe('application/epub+zip');
+    });
+  });
+
+  describe('toRecord', () => {
+    it('should flatten a saved article and its article', () => {
+      const result = exportService.toRecord({
+        articleId: { title: 'T', url: 'https://example.com', source: { name: 'Example' }, tags: ['a'], publishedAt: now },
+        tags: [],
+        note: 'Remember this',
+        highlights: [{ _id: 'h1', text: 'quote', color: 'blue', start: 0, end: 5 }],
+        savedAt: now
+      }, 'Climate');
+
+      expect(result).toMatchObject({
+        source: 'Example',
+        tags: ['a'],
+        collection: 'Climate',
+        status: 'unread',
+        note: 'Remember this',
+        highlights: [{ text: 'quote', color: 'blue', note: '' }],
+        savedAt: now.toISOString()
+      });
+    });
+  });
+
+  describe('CSV', () => {
+    it('should quote cells with separators, quotes or line breaks', () => {
+      expect(exportService.toCsvCell('plain')).toBe('plain');
+      expect(exportService.toCsvCell('a, "b"')).toBe('"a, ""b"""');
+      expect(exportService.toCsvCell(null)).toBe('');
+    });
+
+    it('should neutralise cells a spreadsheet would evaluate', () => {
+      expect(exportService.toCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(exportService.toCsvCell('@SUM(A1)')).toBe('\'@SUM(A1)');
+    });
+
+    it('should write one line per article with highlights in a single cell', () => {
+      const row = exportService.toCsvRow(record({ highlights: [{ text: 'one' }, { text: 'two' }], collection: 'Climate' }));
+
+      expect(row).toBe('Sea levels rise faster,https://example.com/sea-levels,Example News,Jane Doe,science,"climate, oceans",Climate,unread,0,,"one\ntwo",2024-03-01T09:00:00.000Z,2024-02-28T08:00:00.000Z\r\n');
+    });
+  });
+
+  describe('Markdown', () => {
+    it('should quote the note and list highlights', () => {
+      const markdown = exportService.toMarkdown(record({
+        note: 'Line one\nLine two',
+        highlights: [{ text: 'rose  faster', note: 'key point' }]
+      }));
+
+      expect(markdown).toContain('### [Sea levels rise faster](https://example.com/sea-levels)');
+      expect(markdown).toContain('Tags: #climate #oceans');
+      expect(markdown).toContain('> Line one\n> Line two');
+      expect(markdown).toContain('- ==rose faster== — key point');
+    });
+
+    it('should group articles under their collection', async () => {
+      mockRecords([record({ collection: 'Climate' }), record({ collection: 'Climate' }), record()]);
+      const res = collect();
+
+      await exportService.write(res, user, 'md', now);
+
+      expect(res.text().match(/^## .+$/gm)).toEqual(['## Climate', '## Unsorted']);
+    });
+  });
+
+  describe('Bookmarks', () => {
+    it('should nest collections as folders and keep unsorted articles at the top level', async () => {
+      mockRecords([record({ collection: 'Climate & Sea', note: 'Read <soon>' }), record({ url: 'https://example.com/b' })]);
+      const res = collect();
+
+      await exportService.write(res, user, 'html', now);
+      const html = res.text();
+
+      expect(html).toMatch(/^<!DOCTYPE NETSCAPE-Bookmark-file-1>/);
+      expect(html).toContain('<DT><H3>Climate &amp; Sea</H3>');
+      expect(html).toContain('ADD_DATE="1709283600" TAGS="climate,oceans"');
+      expect(html).toContain('<DD>Read &lt;soon&gt;');
+      expect(html.indexOf('https://example.com/b')).toBeGreaterThan(html.indexOf('    </DL><p>'));
+    });
+  });
+
+  describe('JSON', () => {
+    it('should stream a valid document without full text', async () => {
+      mockRecords([record(), record({ url: 'https://example.com/b' })]);
+      const res = collect();
+
+      await exportService.write(res, user, 'json', now);
+      const document = JSON.parse(res.text());
+
+      expect(document.exportedAt).toBe(now.toISOString());
+      expect(document.articles).toHaveLength(2);
+      expect(document.articles[0].content).toBeUndefined();
+    });
+  });
+
+  describe('EPUB', () => {
+    it('should escape article text into XHTML chapters', () => {
+      const chapter = exportService.toChapter(record({ note: 'Mine', highlights: [{ text: 'First' }] }));
+
+      expect(chapter).toContain('<h1>Sea levels rise faster</h1>');
+      expect(chapter).toContain('<p>Second &lt;paragraph&gt;.</p>');
+      expect(chapter).toContain('<li>First</li>');
+      expect(chapter).toContain('<strong>Note:</strong> Mine');
+    });
+
+    it('should list every chapter in the package and table of contents', async () => {
+      mockRecords([record({ collection: 'Climate' }), record({ title: 'Second' })]);
+      const res = collect();
+
+      await exportService.write(res, user, 'epub', now);
+      const archive = Buffer.concat(res.chunks);
+
+      expect(archive.toString('latin1', 30, 58)).toBe('mimetypeapplication/epub+zip');
+
+      const opf = exportService.toPackage('Saved', [{ file: 'article-0001.xhtml' }, { file: 'article-0002.xhtml' }], now);
+      expect(opf).toContain('<itemref idref="article-2"/>');
+      expect(opf).toContain('<meta property="dcterms:modified">2024-03-10T12:00:00Z</meta>');
+
+      const nav = exportService.toNav('Saved', [{ file: 'article-0001.xhtml', title: 'A & B', collection: 'Climate' }]);
+      expect(nav).toContain('<a href="article-0001.xhtml">Climate: A &amp; B</a>');
+    });
+  });
+});
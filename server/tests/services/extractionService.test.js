@@ -0,0 +1,150 @@
+/**
+ * Extraction Service Tests
+ * Full-text extraction from article pages with metadata fallbacks
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { extractionService } from '../../src/services/extractionService.js';
+import { cacheService } from '../../src/services/cacheService.js';
+import { Article } from '../../src/models/Article.js';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/pages', name), 'utf8');
+
+const createArticle = (overrides = {}) => {
+  const article = new Article({
+    title: 'Council approves new transit plan',
+    description: 'The city council voted on Tuesday to approve a ten-year transit plan.',
+    url: 'https://metrotimes.example.com/news/transit-plan',
+    source: { name: 'Metro Times' },
+    publishedAt: new Date('2024-01-15T09:30:00Z'),
+    ...overrides
+  });
+  jest.spyOn(article, 'save').mockResolvedValue(article);
+  return article;
+};
+
+describe('Extraction Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('extract', () => {
+    it('should extract the article body and JSON-LD metadata', () => {
+      const result = extractionService.extract(readFixture('jsonld-article.html'), 'https://metrotimes.example.com/news/transit-plan');
+
+      expect(result).toMatchObject({
+        title: 'Council approves new transit plan',
+        leadImage: 'https://metrotimes.example.com/images/transit-lead.jpg',
+        byline: 'Dana Reyes, Sam Okafor',
+        publishedAt: new Date('2024-01-15T09:30:00Z'),
+        siteName: 'Metro Times'
+      });
+
+      const paragraphs = result.content.split('\n\n');
+      expect(paragraphs).toHaveLength(4);
+      expect(paragraphs[0]).toMatch(/^The city council voted on Tuesday/);
+      expect(paragraphs[3]).toBe('Construction on the first line is expected to begin next spring, with service starting in 2027.');
+    });
+
+    it('should leave out navigation, newsletter prompts and comments', () => {
+      const { content } = extractionService.extract(readFixture('jsonld-article.html'), 'https://metrotimes.example.com/news/transit-plan');
+
+      expect(content).not.toMatch(/Sign up for our daily newsletter/);
+      expect(content).not.toMatch(/waste of money/);
+      expect(content).not.toMatch(/Copyright/);
+      expect(content).not.toMatch(/Weather/);
+    });
+
+    it('should fall back to OpenGraph, byline elements and time tags', () => {
+      const result = extractionService.extract(readFixture('opengraph-article.html'), 'https://science.example.org/2024/coral');
+
+      expect(result).toMatchObject({
+        title: 'Researchers map deep-sea coral reef',
+        leadImage: 'https://science.example.org/media/coral.jpg',
+        byline: 'Jordan Lee',
+        publishedAt: new Date('2024-02-03T14:00:00Z')
+      });
+      expect(result.content.split('\n\n')).toHaveLength(3);
+      expect(result.content).not.toMatch(/octopuses/);
+    });
+
+    it('should prefer a JSON-LD articleBody longer than the scored body', () => {
+      const articleBody = [
+        'First paragraph of the full story, which is only in the structured data. '.repeat(3),
+        'Second paragraph of the full story, also only in the structured data. '.repeat(3)
+      ].join('\n\n');
+      const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+        '@type': ['NewsArticle'],
+        headline: 'Structured',
+        articleBody
+      })}</script></head><body><div><p>Teaser paragraph that is shown before the paywall.</p></div></body></html>`;
+
+      const { content } = extractionService.extract(html, 'https://example.com/story');
+
+      expect(content.split('\n\n')).toHaveLength(2);
+      expect(content).toMatch(/^First paragraph of the full story/);
+    });
+
+    it('should return no content for pages without an article body', () => {
+      const result = extractionService.extract(readFixture('landing-page.html'), 'https://example.com/subscribe');
+
+      expect(result.content).toBeNull();
+    });
+  });
+
+  describe('extractArticle', () => {
+    it('should store the content and fill in missing author and image', async () => {
+      const article = createArticle();
+      jest.spyOn(extractionService, 'fetchPage').mockResolvedValue(readFixture('jsonld-article.html'));
+      jest.spyOn(cacheService, 'del').mockResolvedValue(true);
+
+      const result = await extractionService.extractArticle(article);
+
+      expect(result).toEqual({ success: true });
+      expect(article.content).toMatch(/^The city council voted on Tuesday/);
+      expect(article.author).toBe('Dana Reyes, Sam Okafor');
+      expect(article.urlToImage).toBe('https://metrotimes.example.com/images/transit-lead.jpg');
+      expect(article.extraction).toMatchObject({ status: 'success', attempts: 1, error: null });
+      expect(cacheService.del).toHaveBeenCalledWith(`article:${article._id}`);
+    });
+
+    it('should keep the provider author and image', async () => {
+      const article = createArticle({ author: 'Metro Desk', urlToImage: 'https://cdn.example.com/provider.png' });
+      jest.spyOn(extractionService, 'fetchPage').mockResolvedValue(readFixture('jsonld-article.html'));
+      jest.spyOn(cacheService, 'del').mockResolvedValue(true);
+
+      await extractionService.extractArticle(article);
+
+      expect(article.author).toBe('Metro Desk');
+      expect(article.urlToImage).toBe('https://cdn.example.com/provider.png');
+    });
+
+    it('should record failed attempts for a retry', async () => {
+      const article = createArticle({ extraction: { status: 'failed', attempts: 1 } });
+      jest.spyOn(extractionService, 'fetchPage').mockResolvedValue(readFixture('landing-page.html'));
+      jest.spyOn(Article, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await extractionService.extractArticle(article);
+
+      expect(result).toEqual({ success: false, error: 'No article body found' });
+      expect(article.save).not.toHaveBeenCalled();
+      expect(Article.updateOne).toHaveBeenCalledWith({ _id: article._id }, {
+        $set: expect.objectContaining({
+          'extraction.status': 'failed',
+          'extraction.attempts': 2,
+          'extraction.error': 'No article body found'
+        })
+      });
+    });
+
+    it('should not fetch article links on the local network', async () => {
+      const article = createArticle({ url: 'http://10.0.0.8/admin' });
+      jest.spyOn(Article, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await extractionService.extractArticle(article);
+
+      expect(result).toEqual({ success: false, error: 'Refusing to fetch http://10.0.0.8/admin: not a public http(s) URL' });
+    });
+  });
+});
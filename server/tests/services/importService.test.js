@@ -0,0 +1,200 @@
+/**
+ * Import Service Tests
+ * Bookmark export parsing, folder placement and deduplicated saving
+ */
+
+import mongoose from 'mongoose';
+import { importService } from '../../src/services/importService.js';
+import { dedupeService } from '../../src/services/dedupeService.js';
+import { taggerService } from '../../src/services/taggerService.js';
+import { newsService } from '../../src/services/newsService.js';
+import { storyService } from '../../src/services/storyService.js';
+import { breakingService } from '../../src/services/breakingService.js';
+import { streamService } from '../../src/services/streamService.js';
+import { Article } from '../../src/models/Article.js';
+import { Collection } from '../../src/models/Collection.js';
+import { SavedArticle } from '../../src/models/SavedArticle.js';
+import { User } from '../../src/models/User.js';
+
+const netscape = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+  <DT><H3>Bookmarks bar</H3>
+  <DL><p>
+    <DT><H3>Climate</H3>
+    <DL><p>
+      <DT><A HREF="https://example.com/sea" ADD_DATE="1709283600" TAGS="Oceans,ice">Sea levels</A>
+      <DD>Read before Friday
+    </DL><p>
+    <DT><A HREF="https://example.com/loose">Loose link</A>
+    <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+  </DL><p>
+</DL><p>`;
+
+const pocket = `<!DOCTYPE html>
+<html><head><title>Pocket Export</title></head><body>
+<h1>Unread</h1>
+<ul>
+  <li><a href="https://example.com/a" time_added="1709283600" tags="tech">A</a></li>
+  <li><a href="https://example.com/a">A again</a></li>
+</ul>
+<h1>Read Archive</h1>
+<ul>
+  <li><a href="https://example.com/b" time_added="1709000000" tags="">B</a></li>
+</ul>
+</body></html>`;
+
+describe('Import Service', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parse', () => {
+    it('should read links, dates, tags, notes and folders from Netscape bookmarks', () => {
+      const bookmarks = importService.parse(netscape);
+
+      expect(bookmarks).toHaveLength(2);
+      expect(bookmarks[0]).toEqual({
+        url: 'https://example.com/sea',
+        title: 'Sea levels',
+        addedAt: new Date('2024-03-01T09:00:00Z'),
+        tags: ['oceans', 'ice'],
+        note: 'Read before Friday',
+        folder: 'Climate'
+      });
+      expect(bookmarks[1]).toMatchObject({ folder: 'Bookmarks bar', addedAt: null, note: '' });
+    });
+
+    it('should read Pocket sections and drop repeated links', () => {
+      const bookmarks = importService.parse(pocket);
+
+      expect(bookmarks.map(bookmark => [bookmark.url, bookmark.folder])).toEqual([
+        ['https://example.com/a', 'Unread'],
+        ['https://example.com/b', 'Read Archive']
+      ]);
+      expect(bookmarks[0].tags).toEqual(['tech']);
+    });
+  });
+
+  describe('getPlacement', () => {
+    it('should import archives as read and root folders unsorted', () => {
+      expect(importService.getPlacement('Read Archive')).toEqual({ status: 'read', collection: null });
+      expect(importService.getPlacement('Unread')).toEqual({ status: 'unread', collection: null });
+      expect(importService.getPlacement('Bookmarks bar')).toEqual({ status: 'unread', collection: null });
+      expect(importService.getPlacement('Climate')).toEqual({ status: 'unread', collection: 'Climate' });
+    });
+  });
+
+  describe('importBookmarks', () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), category: 'science', tags: ['sea'], source: { name: 'Example' } };
+
+    beforeEach(() => {
+      jest.spyOn(Collection, 'findByUser').mockResolvedValue([]);
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+      jest.spyOn(Article, 'updateMany').mockResolvedValue({});
+      jest.spyOn(taggerService, 'extractTags').mockResolvedValue(['loose']);
+    });
+
+    it('should reuse articles dedupeService already knows and create the rest inactive', async () => {
+      jest.spyOn(dedupeService, 'findDuplicate').mockImplementation(async ({ url }) =>
+        url === 'https://example.com/sea' ? { reason: 'url', articleId: existing._id, similarity: 1 } : null);
+      jest.spyOn(Article, 'findById').mockReturnValue({ lean: () => Promise.resolve(existing) });
+      jest.spyOn(Article, 'create').mockImplementation(async data => ({ toObject: () => ({ _id: new mongoose.Types.ObjectId(), ...data }) }));
+      jest.spyOn(SavedArticle, 'exists').mockResolvedValue(null);
+      jest.spyOn(SavedArticle, 'create').mockResolvedValue({});
+      jest.spyOn(Collection, 'create').mockImplementation(async data => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+
+      const result = await importService.importBookmarks(user, netscape);
+
+      expect(result).toEqual({ imported: 2, created: 1, alreadySaved: 0, skipped: 0, collections: ['Climate'] });
+
+      const created = Article.create.mock.calls[0][0];
+      expect(created).toMatchObject({ url: 'https://example.com/loose', apiSource: 'import', isActive: false });
+      expect(created.source.name).toBe('example.com');
+
+      const [saved] = SavedArticle.create.mock.calls[0];
+      expect(saved).toMatchObject({
+        articleId: existing._id,
+        note: 'Read before Friday',
+        savedAt: new Date('2024-03-01T09:00:00Z'),
+        tags: ['oceans', 'ice', 'sea']
+      });
+      expect(saved.collectionId).toBeDefined();
+      expect(SavedArticle.create.mock.calls[1][0].collectionId).toBeNull();
+      expect(Article.updateMany).toHaveBeenCalledWith(expect.any(Object), { $inc: { saves: 1 } });
+    });
+
+    it('should count articles the user already saved without saving them twice', async () => {
+      jest.spyOn(dedupeService, 'findDuplicate').mockResolvedValue({ reason: 'url', articleId: null, similarity: 1 });
+      jest.spyOn(Article, 'findOne').mockReturnValue({ lean: () => Promise.resolve(existing) });
+      jest.spyOn(SavedArticle, 'exists').mockResolvedValue({ _id: 'saved' });
+      jest.spyOn(SavedArticle, 'create');
+
+      const result = await importService.importBookmarks(user, pocket);
+
+      expect(result).toMatchObject({ imported: 0, alreadySaved: 2, created: 0 });
+      expect(SavedArticle.create).not.toHaveBeenCalled();
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should import archived Pocket items as read', async () => {
+      jest.spyOn(dedupeService, 'findDuplicate').mockResolvedValue(null);
+      jest.spyOn(Article, 'create').mockImplementation(async data => ({ toObject: () => ({ _id: new mongoose.Types.ObjectId(), ...data }) }));
+      jest.spyOn(SavedArticle, 'exists').mockResolvedValue(null);
+      jest.spyOn(SavedArticle, 'create').mockResolvedValue({});
+
+      await importService.importBookmarks(user, pocket);
+
+      expect(SavedArticle.create.mock.calls.map(([saved]) => saved.status)).toEqual(['unread', 'read']);
+      expect(SavedArticle.create.mock.calls[1][0]).toMatchObject({ progress: 100, readAt: new Date(1709000000 * 1000) });
+    });
+
+    it('should let ingestion publish an article a bookmark import created', async () => {
+      const stored = [];
+      const byUrl = filter => stored.find(article => article.url === filter.url) || null;
+      dedupeService.clearCache();
+      jest.spyOn(Article, 'findOne').mockImplementation(filter => ({
+        select: () => ({ lean: () => Promise.resolve(byUrl(filter)) }),
+        lean: () => Promise.resolve(byUrl(filter))
+      }));
+      jest.spyOn(Article, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve([]) }) }) })
+      });
+      jest.spyOn(Article, 'create').mockImplementation(async data => {
+        const article = { _id: new mongoose.Types.ObjectId(), ...data };
+        stored.push(article);
+        return { toObject: () => article };
+      });
+      jest.spyOn(SavedArticle, 'exists').mockResolvedValue(null);
+      jest.spyOn(SavedArticle, 'create').mockResolvedValue({});
+
+      await importService.importBookmarks(user, '<h1>Unread</h1><a href="https://example.com/quake">Quake</a>');
+      expect(stored).toEqual([expect.objectContaining({ isActive: false, apiSource: 'import' })]);
+
+      jest.spyOn(Article, 'findById').mockImplementation(async id => Article.hydrate(stored.find(article => article._id.equals(id))));
+      jest.spyOn(Article.prototype, 'save').mockImplementation(async function() { return this; });
+      jest.spyOn(storyService, 'assignArticle').mockResolvedValue(null);
+      jest.spyOn(breakingService, 'check').mockResolvedValue(null);
+      jest.spyOn(streamService, 'publishArticle').mockResolvedValue(null);
+      jest.spyOn(taggerService, 'updateCorpus').mockResolvedValue(null);
+
+      const result = await newsService.processArticle({
+        title: 'Earthquake strikes off the coast',
+        description: 'A magnitude 6 earthquake was recorded offshore.',
+        url: 'https://example.com/quake',
+        source: { name: 'Reuters' },
+        apiSource: 'rss',
+        publishedAt: '2024-03-01T09:00:00Z'
+      });
+
+      expect(result.saved).toBe(true);
+      expect(result.article._id).toEqual(stored[0]._id);
+      expect(result.article).toMatchObject({ isActive: true, apiSource: 'rss', title: 'Earthquake strikes off the coast' });
+      expect(result.article.source.name).toBe('Reuters');
+      expect(storyService.assignArticle).toHaveBeenCalledWith(result.article);
+    });
+  });
+});
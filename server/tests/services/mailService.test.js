@@ -0,0 +1,115 @@
+/**
+ * Mail Service Tests
+ * Template rendering and the file transport
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { mailService } from '../../src/services/mailService.js';
+import { renderEmail } from '../../src/templates/emails.js';
+import { logger } from '../../src/config/logger.js';
+
+describe('Mail Service', () => {
+  const config = mailService.config;
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+    mailService.config = { ...config, TRANSPORT: 'file', FILE_DIR: dir, APP_URL: 'https://news.example.com' };
+    mailService.transport = null;
+  });
+
+  afterEach(async () => {
+    mailService.config = config;
+    mailService.transport = null;
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('assertConfigured', () => {
+    it('should require SMTP in production', () => {
+      expect(() => mailService.assertConfigured('production')).toThrow(/MAIL_TRANSPORT must be smtp/);
+      expect(() => mailService.assertConfigured('development')).not.toThrow();
+
+      mailService.config = { ...mailService.config, TRANSPORT: 'smtp' };
+      expect(() => mailService.assertConfigured('production')).not.toThrow();
+    });
+  });
+
+  describe('renderEmail', () => {
+    it('should escape data in the HTML body', () => {
+      const email = renderEmail('passwordReset', {
+        name: '<Ada>',
+        url: 'https://news.example.com/reset-password?token=a&b',
+        expiresInMinutes: 60
+      });
+
+      expect(email.subject).toBe('Reset your password');
+      expect(email.text).toContain('Hi <Ada>,');
+      expect(email.text).toContain('https://news.example.com/reset-password?token=a&b');
+      expect(email.html).toContain('Hi &lt;Ada&gt;,');
+      expect(email.html).toContain('href="https://news.example.com/reset-password?token=a&amp;b"');
+    });
+
+    it('should render the verification email', () => {
+      const email = renderEmail('emailVerification', {
+        name: 'Ada',
+        url: 'https://news.example.com/verify-email?token=abc',
+        expiresInHours: 48
+      });
+
+      expect(email.subject).toBe('Confirm your email address');
+      expect(email.text).toContain('Confirm your email: https://news.example.com/verify-email?token=abc');
+      expect(email.text).toContain('expires in 48 hours');
+    });
+
+    it('should reject unknown templates', () => {
+      expect(() => renderEmail('missing')).toThrow(/Unknown email template/);
+    });
+  });
+
+  describe('buildAppUrl', () => {
+    it('should encode query parameters', () => {
+      expect(mailService.buildAppUrl('/reset-password', { token: 'a+b/c' }))
+        .toBe('https://news.example.com/reset-password?token=a%2Bb%2Fc');
+    });
+  });
+
+  describe('sendTemplate', () => {
+    it('should write an .eml file with the file transport', async () => {
+      await mailService.sendTemplate('passwordReset', 'ada@example.com', {
+        name: 'Ada',
+        url: 'https://news.example.com/reset-password?token=abc',
+        expiresInMinutes: 60
+      });
+
+      const files = await fs.readdir(dir);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/\.eml$/);
+
+      const message = await fs.readFile(path.join(dir, files[0]), 'utf8');
+      expect(message).toContain('To: ada@example.com');
+      expect(message).toContain('Subject: Reset your password');
+      expect(message).toContain('Content-Type: multipart/alternative');
+      // Quoted-printable body with soft line breaks removed
+      expect(message.replace(/=\r?\n/g, '')).toContain('Reset your password: https://news.example.com/reset-password?token=3Dabc');
+    });
+
+    it('should not log tokens with the console transport', async () => {
+      mailService.config = { ...mailService.config, TRANSPORT: 'console' };
+      jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+      await mailService.sendTemplate('passwordReset', 'ada@example.com', {
+        name: 'Ada',
+        url: 'https://news.example.com/reset-password?token=secret-token&lang=en',
+        expiresInMinutes: 60
+      });
+
+      const [logged] = logger.info.mock.calls[0];
+      expect(logged).toContain('Email "Reset your password" to ada@example.com');
+      expect(logged).toContain('reset-password?token=[redacted]&lang=en');
+      expect(logged).not.toContain('secret-token');
+    });
+  });
+});
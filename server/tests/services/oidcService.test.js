@@ -0,0 +1,210 @@
+/**
+ * OIDC Service Tests
+ * Authorization code + PKCE sign-in against the mock issuer, and account linking
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { oidcService } from '../../src/services/oidcService.js';
+import { OidcLoginState } from '../../src/models/OidcLoginState.js';
+import { User } from '../../src/models/User.js';
+import { startMockIssuer } from '../../src/scripts/mockOidcIssuer.js';
+
+describe('OIDC Service', () => {
+  let issuer;
+  let pending;
+
+  // Plays the browser: follows the authorization URL and reads the callback parameters
+  const authorize = async (authorizationUrl) => {
+    const response = await axios.get(authorizationUrl, { maxRedirects: 0, validateStatus: status => status === 302 });
+    const callback = new URL(response.headers.location);
+    return { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') };
+  };
+
+  beforeAll(async () => {
+    issuer = await startMockIssuer();
+  });
+
+  afterAll(async () => {
+    await issuer.close();
+  });
+
+  beforeEach(() => {
+    oidcService.providers = oidcService.loadProviders(['mock'], {
+      OIDC_MOCK_ISSUER: issuer.issuer,
+      OIDC_MOCK_CLIENT_ID: issuer.clientId,
+      OIDC_MOCK_CLIENT_SECRET: issuer.clientSecret,
+      OIDC_MOCK_NAME: 'Mock Login'
+    });
+    oidcService.metadata.clear();
+    issuer.setUser({});
+
+    pending = new Map();
+    jest.spyOn(OidcLoginState, 'create').mockImplementation(async data => {
+      pending.set(data.stateHash, data);
+      return data;
+    });
+    jest.spyOn(OidcLoginState, 'consume').mockImplementation(async (stateHash, provider) => {
+      const state = pending.get(stateHash);
+      pending.delete(stateHash);
+      return state?.provider === provider ? state : null;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('loadProviders', () => {
+    it('should read providers from the environment and skip incomplete ones', () => {
+      const providers = oidcService.loadProviders(['google', 'broken'], {
+        OIDC_GOOGLE_ISSUER: 'https://accounts.google.com',
+        OIDC_GOOGLE_CLIENT_ID: 'client-id',
+        OIDC_BROKEN_ISSUER: 'https://example.com'
+      });
+
+      expect([...providers.keys()]).toEqual(['google']);
+      expect(providers.get('google')).toEqual({
+        id: 'google',
+        name: 'google',
+        issuer: 'https://accounts.google.com',
+        clientId: 'client-id',
+        clientSecret: null,
+        scopes: 'openid email profile'
+      });
+    });
+
+    it('should list providers without their settings', () => {
+      expect(oidcService.listProviders()).toEqual([{ id: 'mock', name: 'Mock Login' }]);
+    });
+  });
+
+  describe('sign-in flow', () => {
+    it('should sign in with the authorization code and PKCE', async () => {
+      const { authorizationUrl, state } = await oidcService.createAuthorization('mock');
+      const params = new URL(authorizationUrl).searchParams;
+      const stored = [...pending.values()][0];
+
+      expect(params.get('code_challenge_method')).toBe('S256');
+      expect(params.get('code_challenge')).toBe(crypto.createHash('sha256').update(stored.codeVerifier).digest('base64url'));
+      expect(params.get('redirect_uri')).toBe(stored.redirectUri);
+      expect(stored.redirectUri).toMatch(/\/auth\/callback\/mock$/);
+      // Only a hash of the state is stored
+      expect(pending.has(state)).toBe(false);
+
+      const callback = await authorize(authorizationUrl);
+      expect(callback.state).toBe(state);
+
+      const { claims } = await oidcService.completeAuthorization('mock', callback);
+      expect(claims).toMatchObject({ sub: 'mock-user-1', email: 'oidc.user@example.com', email_verified: true, nonce: stored.nonce });
+    });
+
+    it('should accept each state once', async () => {
+      const { authorizationUrl } = await oidcService.createAuthorization('mock');
+      const callback = await authorize(authorizationUrl);
+
+      await oidcService.completeAuthorization('mock', callback);
+      expect(await oidcService.completeAuthorization('mock', callback)).toEqual({ reason: 'invalid_state' });
+    });
+
+    it('should fail when the code verifier does not match the challenge', async () => {
+      const { authorizationUrl } = await oidcService.createAuthorization('mock');
+      [...pending.values()][0].codeVerifier = 'someone-elses-verifier';
+
+      expect(await oidcService.completeAuthorization('mock', await authorize(authorizationUrl))).toEqual({ reason: 'exchange_failed' });
+    });
+
+    it('should reject an ID token for another sign-in', async () => {
+      const { authorizationUrl } = await oidcService.createAuthorization('mock');
+      [...pending.values()][0].nonce = 'another-nonce';
+
+      expect(await oidcService.completeAuthorization('mock', await authorize(authorizationUrl))).toEqual({ reason: 'invalid_id_token' });
+    });
+
+    it('should report unknown and unreachable providers', async () => {
+      expect(await oidcService.createAuthorization('nope')).toEqual({ reason: 'unknown_provider' });
+
+      oidcService.providers.get('mock').issuer = 'http://127.0.0.1:1';
+      expect(await oidcService.createAuthorization('mock')).toEqual({ reason: 'unavailable' });
+    });
+  });
+
+  describe('verifyIdToken', () => {
+    it('should reject tokens not signed by the provider', async () => {
+      const provider = oidcService.providers.get('mock');
+      await oidcService.getSigningKey(provider);
+      const kid = [...oidcService.metadata.get('mock').keys.keys()][0];
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+      const forged = jwt.sign({ nonce: 'n' }, privateKey, { algorithm: 'RS256', keyid: kid, issuer: provider.issuer, audience: provider.clientId, subject: 'x' });
+      await expect(oidcService.verifyIdToken(provider, forged, 'n')).rejects.toThrow('invalid signature');
+
+      const hmac = jwt.sign({ nonce: 'n' }, provider.clientSecret, { issuer: provider.issuer, audience: provider.clientId, subject: 'x' });
+      await expect(oidcService.verifyIdToken(provider, hmac, 'n')).rejects.toThrow('Unsupported ID token algorithm HS256');
+    });
+  });
+
+  describe('findOrCreateUser', () => {
+    const now = new Date('2024-03-10T12:00:00Z');
+    const claims = { sub: 'mock-user-1', email: 'Ada@Example.com', email_verified: true, name: 'Ada Lovelace' };
+    let existing;
+
+    beforeEach(() => {
+      existing = { _id: new mongoose.Types.ObjectId(), email: 'ada@example.com', emailVerified: true };
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('should sign in the user already linked to the identity', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValueOnce(existing);
+
+      expect(await oidcService.findOrCreateUser('mock', claims, now)).toEqual({ user: existing, linked: false, created: false });
+      expect(User.findOne).toHaveBeenCalledWith({ identities: { $elemMatch: { provider: 'mock', subject: 'mock-user-1' } } });
+    });
+
+    it('should link to an account with the same verified email', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+
+      expect(await oidcService.findOrCreateUser('mock', claims, now)).toEqual({ user: existing, linked: true, created: false });
+      expect(User.findOne).toHaveBeenLastCalledWith({ email: 'ada@example.com' });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: existing._id, identities: { $not: { $elemMatch: { provider: 'mock', subject: 'mock-user-1' } } } },
+        { $push: { identities: { provider: 'mock', subject: 'mock-user-1', email: 'ada@example.com', linkedAt: now } } }
+      );
+    });
+
+    it('should not link unless both sides verified the email', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+      expect(await oidcService.findOrCreateUser('mock', { ...claims, email_verified: false }, now)).toEqual({ reason: 'email_unverified' });
+
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ ...existing, emailVerified: false });
+      expect(await oidcService.findOrCreateUser('mock', claims, now)).toEqual({ reason: 'account_unverified' });
+
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should create a password-less account for a new email', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+        return this.validate().then(() => this);
+      });
+
+      const { user, created } = await oidcService.findOrCreateUser('mock', claims, now);
+
+      expect(created).toBe(true);
+      expect(user).toMatchObject({ name: 'Ada Lovelace', email: 'ada@example.com', emailVerified: true, emailVerifiedAt: now });
+      expect(user.password).toBeUndefined();
+      expect(user.identities.map(identity => identity.toObject())).toEqual([
+        { provider: 'mock', subject: 'mock-user-1', email: 'ada@example.com', linkedAt: now }
+      ]);
+    });
+
+    it('should require an email address', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+      expect(await oidcService.findOrCreateUser('mock', { sub: 'x' }, now)).toEqual({ reason: 'email_required' });
+    });
+  });
+});
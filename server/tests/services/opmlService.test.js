@@ -0,0 +1,159 @@
+/**
+ * OPML Service Tests
+ * Outline parsing, category mapping, feed registration and export
+ */
+
+import mongoose from 'mongoose';
+import { opmlService } from '../../src/services/opmlService.js';
+import { Feed } from '../../src/models/Feed.js';
+import { User } from '../../src/models/User.js';
+import { Article } from '../../src/models/Article.js';
+
+const opml = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head><title>Subscriptions</title></head>
+  <body>
+    <outline text="Tech News">
+      <outline type="rss" text="Ars Technica" xmlUrl="https://feeds.arstechnica.com/arstechnica/index"/>
+      <outline type="rss" text="Local wiki" xmlUrl="http://192.168.1.10/feed.xml"/>
+    </outline>
+    <outline type="rss" title="Nature" text="nature" xmlUrl="https://www.nature.com/nature.rss" category="/Science/Journals"/>
+    <outline type="rss" text="Ars again" xmlUrl="https://feeds.arstechnica.com/arstechnica/index"/>
+  </body>
+</opml>`;
+
+const lean = value => ({ sort: () => ({ lean: () => Promise.resolve(value) }), lean: () => Promise.resolve(value) });
+
+describe('OPML Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parse', () => {
+    it('should read nested outlines with their folder or category', async () => {
+      const outlines = await opmlService.parse(opml);
+
+      expect(outlines).toEqual([
+        { title: 'Ars Technica', xmlUrl: 'https://feeds.arstechnica.com/arstechnica/index', category: 'Tech News' },
+        { title: 'Local wiki', xmlUrl: 'http://192.168.1.10/feed.xml', category: 'Tech News' },
+        { title: 'Nature', xmlUrl: 'https://www.nature.com/nature.rss', category: 'Science' }
+      ]);
+    });
+
+    it('should reject documents without an OPML body', async () => {
+      await expect(opmlService.parse('<rss><channel/></rss>')).rejects.toThrow(/OPML/);
+    });
+  });
+
+  describe('mapCategory', () => {
+    it('should match category names and keywords', () => {
+      expect(opmlService.mapCategory('Science')).toBe('science');
+      expect(opmlService.mapCategory('Tech News')).toBe('technology');
+      expect(opmlService.mapCategory('Blogs')).toBeNull();
+      expect(opmlService.mapCategory(null)).toBeNull();
+    });
+  });
+
+  describe('isPollableUrl', () => {
+    it('should refuse local network hosts', () => {
+      expect(opmlService.isPollableUrl('https://example.com/feed')).toBe(true);
+      expect(opmlService.isPollableUrl('http://localhost:4000/feed')).toBe(false);
+      expect(opmlService.isPollableUrl('http://10.0.0.5/feed')).toBe(false);
+      expect(opmlService.isPollableUrl('http://[::1]/feed')).toBe(false);
+      expect(opmlService.isPollableUrl('ftp://example.com/feed')).toBe(false);
+    });
+  });
+
+  describe('importSources', () => {
+    it('should follow existing feeds, register new ones and skip local ones', async () => {
+      const user = { _id: new mongoose.Types.ObjectId(), preferences: { sources: ['Ars Technica'], categories: [] } };
+      jest.spyOn(Feed, 'find').mockReturnValue(lean([
+        { name: 'Ars Technica', url: 'https://feeds.arstechnica.com/arstechnica/index', category: 'technology' }
+      ]));
+      jest.spyOn(opmlService, 'findTakenNames').mockResolvedValue(new Set());
+      jest.spyOn(Feed, 'create').mockImplementation(async data => data);
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      const result = await opmlService.importSources(user, await opmlService.parse(opml));
+
+      expect(result).toEqual({ sources: ['Nature'], categories: ['technology', 'science'], feedsCreated: 1, skipped: 1 });
+      expect(opmlService.findTakenNames).toHaveBeenCalledWith(['Local wiki', 'Nature']);
+      expect(Feed.create).toHaveBeenCalledWith({
+        name: 'Nature',
+        url: 'https://www.nature.com/nature.rss',
+        category: 'science',
+        isActive: false,
+        pendingApproval: true,
+        createdBy: user._id
+      });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, {
+        $addToSet: {
+          'preferences.sources': { $each: ['Nature'] },
+          'preferences.categories': { $each: ['technology', 'science'] }
+        }
+      });
+    });
+
+    it('should not let imported feeds be polled before an admin approves them', async () => {
+      const user = { _id: new mongoose.Types.ObjectId(), preferences: { sources: [], categories: [] } };
+      const registry = [];
+      jest.spyOn(Feed, 'find').mockReturnValue(lean([]));
+      jest.spyOn(opmlService, 'findTakenNames').mockResolvedValue(new Set());
+      jest.spyOn(Feed, 'create').mockImplementation(async data => {
+        const feed = new Feed(data);
+        registry.push(feed);
+        return feed;
+      });
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      await opmlService.importSources(user, await opmlService.parse(opml));
+
+      expect(registry.map(feed => feed.name)).toEqual(['Ars Technica', 'Nature']);
+      // The scheduler polls Feed.findActive(), which only returns active feeds
+      Feed.find.mockRestore();
+      expect(Feed.findActive().getFilter()).toEqual({ isActive: true });
+      expect(registry.filter(feed => feed.isActive)).toEqual([]);
+      expect(registry.every(feed => feed.pendingApproval)).toBe(true);
+    });
+
+    it('should refuse names of registered feeds and known sources', async () => {
+      const user = { _id: new mongoose.Types.ObjectId(), preferences: { sources: [], categories: [] } };
+      const outlines = [
+        { title: 'reuters', xmlUrl: 'https://attacker.example.com/feed', category: null },
+        { title: 'The Verge', xmlUrl: 'https://fake.example.com/verge', category: null },
+        { title: 'My Blog', xmlUrl: 'https://blog.example.com/feed', category: null }
+      ];
+      jest.spyOn(Feed, 'find').mockImplementation(query => (query.url
+        ? lean([])
+        : { collation: () => ({ select: () => lean([{ name: 'Reuters' }]) }) }));
+      jest.spyOn(Article, 'distinct').mockResolvedValue(['The Verge']);
+      jest.spyOn(Feed, 'create').mockImplementation(async data => data);
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      const result = await opmlService.importSources(user, outlines);
+
+      expect(result).toMatchObject({ sources: ['My Blog'], feedsCreated: 1, skipped: 2 });
+      expect(Feed.find).toHaveBeenLastCalledWith({ name: { $in: ['reuters', 'The Verge', 'My Blog'] } });
+      expect(Article.distinct).toHaveBeenCalledWith('source.name', { 'source.name': { $in: ['reuters', 'The Verge', 'My Blog'] } });
+    });
+  });
+
+  describe('buildOpml', () => {
+    it('should group feeds by category and list sources without feeds by name', async () => {
+      jest.spyOn(Feed, 'find').mockReturnValue(lean([
+        { name: 'Nature', url: 'https://www.nature.com/nature.rss?a=1&b=2', category: 'science' }
+      ]));
+
+      const xml = await opmlService.buildOpml({ name: 'Ada', preferences: { sources: ['Nature', 'Reuters'] } }, new Date('2024-03-10T12:00:00Z'));
+
+      expect(xml).toContain('<dateCreated>Sun, 10 Mar 2024 12:00:00 GMT</dateCreated>');
+      expect(xml).toContain('<outline text="science" title="science">');
+      expect(xml).toContain('xmlUrl="https://www.nature.com/nature.rss?a=1&amp;b=2"');
+      expect(xml).toContain('<outline text="Reuters" title="Reuters"/>');
+
+      // Exports import back into the same feeds
+      const outlines = await opmlService.parse(xml);
+      expect(outlines).toEqual([{ title: 'Nature', xmlUrl: 'https://www.nature.com/nature.rss?a=1&b=2', category: 'science' }]);
+    });
+  });
+});
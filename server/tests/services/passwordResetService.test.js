@@ -0,0 +1,136 @@
+/**
+ * Password Reset Service Tests
+ * Token issuing, throttling and single-use redemption
+ */
+
+import mongoose from 'mongoose';
+import { passwordResetService } from '../../src/services/passwordResetService.js';
+import { PasswordResetToken } from '../../src/models/PasswordResetToken.js';
+import { User } from '../../src/models/User.js';
+import { mailService } from '../../src/services/mailService.js';
+import { sessionService } from '../../src/services/sessionService.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+
+describe('Password Reset Service', () => {
+  let user;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Ada',
+      email: 'ada@example.com',
+      isActive: true,
+      passwordChangedAt: null,
+      loginAttempts: 3,
+      lockUntil: new Date(now.getTime() + 60000),
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(PasswordResetToken, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(mailService, 'sendTemplate').mockResolvedValue({ messageId: 'id' });
+    jest.spyOn(sessionService, 'revokeAll').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestReset', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+      jest.spyOn(PasswordResetToken, 'exists').mockResolvedValue(null);
+      jest.spyOn(PasswordResetToken, 'create').mockImplementation(async data => data);
+    });
+
+    it('should store only a hash of the emailed token', async () => {
+      const sent = await passwordResetService.requestReset('Ada@Example.com', { ip: '127.0.0.1' }, now);
+
+      expect(sent).toBe(true);
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'ada@example.com', isActive: true });
+      expect(PasswordResetToken.deleteMany).toHaveBeenCalledWith({ userId: user._id, usedAt: null });
+
+      const [template, to, data] = mailService.sendTemplate.mock.calls[0];
+      const token = new URL(data.url).searchParams.get('token');
+      const stored = PasswordResetToken.create.mock.calls[0][0];
+
+      expect(template).toBe('passwordReset');
+      expect(to).toBe('ada@example.com');
+      expect(new URL(data.url).pathname).toBe('/reset-password');
+      expect(stored.tokenHash).not.toBe(token);
+      expect(stored.tokenHash).toBe(passwordResetService.hashToken(token));
+      expect(stored.expiresAt).toEqual(new Date(now.getTime() + 60 * 60 * 1000));
+      expect(stored.requestedIp).toBe('127.0.0.1');
+    });
+
+    it('should send nothing for unknown accounts', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      expect(await passwordResetService.requestReset('nobody@example.com', {}, now)).toBe(false);
+      expect(PasswordResetToken.create).not.toHaveBeenCalled();
+      expect(mailService.sendTemplate).not.toHaveBeenCalled();
+    });
+
+    it('should not send again within the resend interval', async () => {
+      PasswordResetToken.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      expect(await passwordResetService.requestReset('ada@example.com', {}, now)).toBe(false);
+      expect(PasswordResetToken.exists.mock.calls[0][0].createdAt).toEqual({ $gt: new Date(now.getTime() - 60 * 1000) });
+      expect(PasswordResetToken.create).not.toHaveBeenCalled();
+      expect(mailService.sendTemplate).not.toHaveBeenCalled();
+    });
+
+    it('should report mail and database failures without throwing', async () => {
+      mailService.sendTemplate.mockRejectedValue(new Error('SMTP down'));
+      expect(await passwordResetService.requestReset('ada@example.com', {}, now)).toBe(false);
+
+      User.findOne.mockRejectedValue(new Error('connection lost'));
+      expect(await passwordResetService.requestReset('ada@example.com', {}, now)).toBe(false);
+    });
+  });
+
+  describe('resetPassword', () => {
+    const record = (overrides = {}) => ({ userId: user._id, createdAt: new Date(now.getTime() - 5 * 60 * 1000), ...overrides });
+
+    const findUser = value => jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(value) });
+
+    it('should set the password, clear the lockout and revoke other tokens and sessions', async () => {
+      jest.spyOn(PasswordResetToken, 'consume').mockResolvedValue(record());
+      findUser(user);
+
+      const result = await passwordResetService.resetPassword('token', 'NewPassword1', now);
+
+      expect(result).toBe(user);
+      expect(PasswordResetToken.consume).toHaveBeenCalledWith(passwordResetService.hashToken('token'), now);
+      expect(user.password).toBe('NewPassword1');
+      expect(user.loginAttempts).toBe(0);
+      expect(user.lockUntil).toBeUndefined();
+      expect(user.save).toHaveBeenCalled();
+      expect(PasswordResetToken.deleteMany).toHaveBeenCalledWith({ userId: user._id, usedAt: null });
+      expect(sessionService.revokeAll).toHaveBeenCalledWith(user._id, { reason: 'password_reset' }, now);
+    });
+
+    it('should refuse used, expired or unknown tokens', async () => {
+      jest.spyOn(PasswordResetToken, 'consume').mockResolvedValue(null);
+      jest.spyOn(User, 'findById');
+
+      expect(await passwordResetService.resetPassword('token', 'NewPassword1', now)).toBeNull();
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should refuse tokens issued before the password last changed', async () => {
+      jest.spyOn(PasswordResetToken, 'consume').mockResolvedValue(record());
+      findUser({ ...user, passwordChangedAt: new Date(now.getTime() - 60 * 1000) });
+
+      expect(await passwordResetService.resetPassword('token', 'NewPassword1', now)).toBeNull();
+      expect(user.save).not.toHaveBeenCalled();
+      expect(sessionService.revokeAll).not.toHaveBeenCalled();
+    });
+
+    it('should refuse deactivated accounts', async () => {
+      jest.spyOn(PasswordResetToken, 'consume').mockResolvedValue(record());
+      findUser({ ...user, isActive: false });
+
+      expect(await passwordResetService.resetPassword('token', 'NewPassword1', now)).toBeNull();
+    });
+  });
+});
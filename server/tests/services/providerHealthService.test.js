@@ -0,0 +1,157 @@
+/**
+ * Provider Health Service Tests
+ * Quota tracking and circuit breaker transitions for news providers
+ */
+
+import { providerHealthService } from '../../src/services/providerHealthService.js';
+import { nytService } from '../../src/services/apis/nytService.js';
+import { bbcService } from '../../src/services/apis/bbcService.js';
+
+const NOW = Date.parse('2024-01-15T10:00:30Z');
+const OPEN_MS = providerHealthService.openMs;
+
+describe('Provider Health Service', () => {
+  beforeEach(() => {
+    providerHealthService.reset();
+    jest.spyOn(providerHealthService, 'getRedisClient').mockReturnValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('quotas', () => {
+    it('should count calls against the minute and daily quotas', async () => {
+      await providerHealthService.acquire('nyt', NOW);
+      await providerHealthService.acquire('nyt', NOW);
+
+      const quota = await providerHealthService.getQuotaUsage('nyt', NOW);
+
+      expect(quota.minute).toEqual({ used: 2, limit: 5, resetsAt: new Date('2024-01-15T10:01:00Z') });
+      expect(quota.day).toEqual({ used: 2, limit: 500, resetsAt: new Date('2024-01-16T00:00:00Z') });
+    });
+
+    it('should skip a provider once its minute quota is used up', async () => {
+      for (let i = 0; i < nytService.rateLimit.requestsPerMinute; i++) {
+        expect((await providerHealthService.acquire('nyt', NOW)).allowed).toBe(true);
+      }
+
+      const permit = await providerHealthService.acquire('nyt', NOW);
+
+      expect(permit).toEqual({
+        allowed: false,
+        reason: 'quota_exceeded',
+        retryAt: new Date('2024-01-15T10:01:00Z')
+      });
+      expect((await providerHealthService.acquire('nyt', NOW + 60 * 1000)).allowed).toBe(true);
+    });
+
+    it('should not let concurrent callers overrun a quota', async () => {
+      const permits = await Promise.all(Array.from({ length: 8 }, () => providerHealthService.acquire('nyt', NOW)));
+
+      expect(permits.filter(permit => permit.allowed)).toHaveLength(nytService.rateLimit.requestsPerMinute);
+      expect((await providerHealthService.getQuotaUsage('nyt', NOW)).day.used).toBe(nytService.rateLimit.requestsPerMinute);
+    });
+
+    it('should never limit providers without quotas', async () => {
+      expect(bbcService.rateLimit).toBeNull();
+
+      for (let i = 0; i < 20; i++) {
+        expect((await providerHealthService.acquire('bbc', NOW)).allowed).toBe(true);
+      }
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const failTimes = (count) => {
+      for (let i = 0; i < count; i++) {
+        providerHealthService.recordFailure('guardian', new Error('Request failed with status code 503'), NOW);
+      }
+    };
+
+    it('should open after repeated failures and skip calls while open', async () => {
+      failTimes(providerHealthService.failureThreshold - 1);
+      expect(providerHealthService.getCircuit('guardian').state).toBe('closed');
+
+      failTimes(1);
+      const permit = await providerHealthService.acquire('guardian', NOW + 1000);
+
+      expect(providerHealthService.getCircuit('guardian').state).toBe('open');
+      expect(permit).toEqual({ allowed: false, reason: 'circuit_open', retryAt: new Date(NOW + OPEN_MS) });
+    });
+
+    it('should allow a single half-open probe after the cooldown', async () => {
+      failTimes(providerHealthService.failureThreshold);
+
+      const probe = await providerHealthService.acquire('guardian', NOW + OPEN_MS);
+      const concurrent = await providerHealthService.acquire('guardian', NOW + OPEN_MS);
+
+      expect(probe.allowed).toBe(true);
+      expect(providerHealthService.getCircuit('guardian').state).toBe('half_open');
+      expect(concurrent).toMatchObject({ allowed: false, reason: 'circuit_half_open' });
+    });
+
+    it('should let only one of several concurrent callers probe', async () => {
+      failTimes(providerHealthService.failureThreshold);
+
+      const permits = await Promise.all([1, 2, 3].map(() => providerHealthService.acquire('guardian', NOW + OPEN_MS)));
+
+      expect(permits.filter(permit => permit.allowed)).toHaveLength(1);
+    });
+
+    it('should free the probe when the quota refuses it', async () => {
+      failTimes(providerHealthService.failureThreshold);
+      jest.spyOn(providerHealthService, 'countCall').mockResolvedValueOnce({ used: 61, limit: 60, resetsAt: new Date(NOW + OPEN_MS + 1000) });
+
+      expect(await providerHealthService.acquire('guardian', NOW + OPEN_MS)).toMatchObject({ allowed: false, reason: 'quota_exceeded' });
+      expect((await providerHealthService.acquire('guardian', NOW + OPEN_MS)).allowed).toBe(true);
+    });
+
+    it('should close when the probe succeeds', async () => {
+      failTimes(providerHealthService.failureThreshold);
+      await providerHealthService.acquire('guardian', NOW + OPEN_MS);
+
+      providerHealthService.recordSuccess('guardian', NOW + OPEN_MS);
+
+      expect(providerHealthService.getCircuit('guardian')).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+      expect((await providerHealthService.acquire('guardian', NOW + OPEN_MS)).allowed).toBe(true);
+    });
+
+    it('should reopen when the probe fails', async () => {
+      failTimes(providerHealthService.failureThreshold);
+      await providerHealthService.acquire('guardian', NOW + OPEN_MS);
+
+      providerHealthService.recordFailure('guardian', new Error('timeout'), NOW + OPEN_MS);
+
+      expect(providerHealthService.getCircuit('guardian')).toMatchObject({
+        state: 'open',
+        nextAttemptAt: NOW + 2 * OPEN_MS
+      });
+    });
+  });
+
+  describe('getProviderStatus', () => {
+    it('should report open circuits as unavailable', async () => {
+      jest.spyOn(nytService, 'isAvailable').mockReturnValue(true);
+      for (let i = 0; i < providerHealthService.failureThreshold; i++) {
+        providerHealthService.recordFailure('nyt', new Error('Request failed with status code 500'), NOW);
+      }
+
+      const status = await providerHealthService.getProviderStatus(nytService, NOW);
+
+      expect(status).toMatchObject({
+        name: 'nyt',
+        status: 'unavailable',
+        circuit: { state: 'open', lastError: 'Request failed with status code 500' }
+      });
+    });
+
+    it('should report providers without API keys as disabled', async () => {
+      jest.spyOn(nytService, 'isAvailable').mockReturnValue(false);
+
+      const status = await providerHealthService.getProviderStatus(nytService, NOW);
+
+      expect(status.status).toBe('disabled');
+    });
+  });
+});
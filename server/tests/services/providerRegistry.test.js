@@ -0,0 +1,259 @@
+/**
+ * News Provider Registry Tests
+ * Provider plugin interface, category mapping and parallel fetching
+ */
+
+import { providerRegistry } from '../../src/services/apis/providerRegistry.js';
+import { nytService } from '../../src/services/apis/nytService.js';
+import { guardianService } from '../../src/services/apis/guardianService.js';
+import { bbcService } from '../../src/services/apis/bbcService.js';
+import axios from 'axios';
+import { newsApiService } from '../../src/services/apis/newsApiService.js';
+import { newsService } from '../../src/services/newsService.js';
+import { liveNewsService } from '../../src/services/liveNewsService.js';
+import { cacheService } from '../../src/services/cacheService.js';
+import { providerHealthService } from '../../src/services/providerHealthService.js';
+
+describe('News Provider Registry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('register', () => {
+    it('should register the built-in providers with rate-limit metadata', () => {
+      const names = providerRegistry.getAll().map(provider => provider.name);
+
+      expect(names).toEqual(['newsapi', 'guardian', 'nyt', 'bbc']);
+      expect(providerRegistry.describe(nytService)).toMatchObject({
+        name: 'nyt',
+        displayName: 'The New York Times',
+        weight: 0.9,
+        rateLimit: { requestsPerDay: 500, requestsPerMinute: 5 }
+      });
+    });
+
+    it('should reject providers missing part of the interface', () => {
+      const provider = { name: 'partial', fetchHeadlines: async () => [], isAvailable: () => true };
+
+      expect(() => providerRegistry.register(provider)).toThrow('News provider partial is missing pollHeadlines, searchNews, normalizeArticles');
+    });
+
+    it('should only return available providers', () => {
+      jest.spyOn(guardianService, 'isAvailable').mockReturnValue(false);
+
+      const names = providerRegistry.getAvailable().map(provider => provider.name);
+
+      expect(names).not.toContain('guardian');
+      expect(names).toContain('bbc');
+    });
+  });
+
+  describe('category mapping', () => {
+    it('should translate internal categories to provider sections', () => {
+      expect(guardianService.sectionFor('sports')).toBe('sport');
+      expect(nytService.sectionFor('entertainment')).toBe('arts');
+      expect(bbcService.sectionFor('general')).toBe('world');
+      expect(bbcService.sectionFor('uk')).toBe('uk');
+    });
+
+    it('should normalize NYT Top Stories results', () => {
+      const [article] = nytService.normalizeArticles([{
+        title: 'Markets rally after rate decision',
+        abstract: 'Stocks rose sharply.',
+        url: 'https://www.nytimes.com/2024/01/15/business/markets.html',
+        section: 'business',
+        published_date: '2024-01-15T10:00:00-05:00'
+      }]);
+
+      expect(article).toMatchObject({
+        title: 'Markets rally after rate decision',
+        url: 'https://www.nytimes.com/2024/01/15/business/markets.html',
+        category: 'business',
+        apiSource: 'nyt'
+      });
+    });
+
+    it('should keep NewsAPI teaser content without the truncation marker', () => {
+      const [article] = newsApiService.normalizeArticles([{
+        title: 'Markets rally after rate decision',
+        description: 'Stocks rose sharply.',
+        content: 'Stocks rose sharply on Wednesday after the decision… [+2841 chars]',
+        url: 'https://example.com/markets',
+        publishedAt: '2024-01-15T10:00:00Z',
+        source: { name: 'Example' }
+      }]);
+
+      expect(article.content).toBe('Stocks rose sharply on Wednesday after the decision…');
+    });
+
+    it('should leave unknown sections uncategorized for the pipeline', () => {
+      expect(guardianService.mapCategory({ sectionId: 'crosswords' })).toBeNull();
+    });
+  });
+
+  describe('newsService.fetchFromProviders', () => {
+    beforeEach(() => {
+      providerHealthService.reset();
+      jest.spyOn(providerHealthService, 'getRedisClient').mockReturnValue(null);
+    });
+
+    it('should isolate provider failures', async () => {
+      const article = { title: 'Headline', url: 'https://news.bbc.co.uk/1', apiSource: 'bbc' };
+      jest.spyOn(providerRegistry, 'getAvailable').mockReturnValue([bbcService, nytService]);
+      jest.spyOn(bbcService, 'pollHeadlines').mockResolvedValue({ notModified: false, validators: null, articles: [article] });
+      jest.spyOn(nytService, 'pollHeadlines').mockRejectedValue(new Error('Failed to fetch from NYT: 429'));
+
+      const results = await newsService.fetchFromProviders({ category: 'science', pageSize: 5 });
+
+      expect(bbcService.pollHeadlines).toHaveBeenCalledWith({ category: 'science', pageSize: 5, validators: null });
+      expect(results[0]).toMatchObject({ provider: 'bbc', success: true, count: 1, articles: [article] });
+      expect(results[1]).toMatchObject({ provider: 'nyt', success: false, error: 'Failed to fetch from NYT: 429' });
+    });
+
+    it('should search instead of fetching headlines when a query is given', async () => {
+      jest.spyOn(providerRegistry, 'getAvailable').mockReturnValue([guardianService]);
+      jest.spyOn(guardianService, 'searchNews').mockResolvedValue([]);
+
+      await newsService.fetchFromProviders({ query: 'climate', category: 'science' });
+
+      expect(guardianService.searchNews).toHaveBeenCalledWith({ query: 'climate', category: 'science', pageSize: 20 });
+    });
+
+    it('should skip providers whose circuit is open without calling them', async () => {
+      jest.spyOn(providerRegistry, 'getAvailable').mockReturnValue([nytService]);
+      jest.spyOn(nytService, 'pollHeadlines').mockResolvedValue({ notModified: false, validators: null, articles: [] });
+      for (let i = 0; i < providerHealthService.failureThreshold; i++) {
+        providerHealthService.recordFailure('nyt', new Error('Request failed with status code 503'));
+      }
+
+      const [result] = await newsService.fetchFromProviders({ category: 'science' });
+
+      expect(nytService.pollHeadlines).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ provider: 'nyt', skipped: true, reason: 'circuit_open', count: 0 });
+    });
+  });
+
+  describe('NewsAPI through the registry', () => {
+    const page = count => Array.from({ length: count }, (_, i) => ({ title: `Story ${i}`, url: `https://example.com/${i}`, apiSource: 'newsapi' }));
+
+    beforeEach(() => {
+      providerHealthService.reset();
+      jest.spyOn(providerHealthService, 'getRedisClient').mockReturnValue(null);
+      jest.spyOn(newsApiService, 'isAvailable').mockReturnValue(true);
+      jest.spyOn(newsService, 'processArticles').mockResolvedValue({ totalFetched: 0, totalSaved: 0, totalSkipped: 0 });
+      jest.spyOn(newsService, 'invalidateCaches').mockResolvedValue();
+    });
+
+    it('should page through NewsAPI with one counted provider call per page', async () => {
+      jest.spyOn(newsApiService, 'pollHeadlines')
+        .mockResolvedValueOnce({ notModified: false, validators: null, articles: page(2) })
+        .mockResolvedValueOnce({ notModified: false, validators: null, articles: page(1) });
+      jest.spyOn(providerHealthService, 'acquire');
+
+      await newsService.fetchNews({ categories: ['science'], pageSize: 2, maxPages: 3 });
+
+      expect(newsApiService.pollHeadlines.mock.calls.map(([options]) => options.page)).toEqual([undefined, 2]);
+      expect(providerHealthService.acquire).toHaveBeenCalledTimes(2);
+      expect(newsService.processArticles.mock.calls[0][0]).toHaveLength(3);
+    });
+
+    it('should count a NewsAPI error payload as a failure, not a success', async () => {
+      jest.replaceProperty(newsApiService, 'apiKey', 'test-key');
+      jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers: {}, data: { status: 'error', message: 'apiKeyInvalid' } });
+      jest.spyOn(providerHealthService, 'recordSuccess');
+      jest.spyOn(providerHealthService, 'recordFailure');
+
+      const [result] = await newsService.fetchFromProviders({ providers: ['newsapi'], category: 'science' });
+
+      expect(result).toMatchObject({ success: false, error: 'Failed to fetch from NewsAPI: NewsAPI error: apiKeyInvalid' });
+      expect(providerHealthService.recordSuccess).not.toHaveBeenCalled();
+      expect(providerHealthService.recordFailure).toHaveBeenCalledWith('newsapi', expect.any(Error));
+    });
+
+    it('should search specific NewsAPI sources', async () => {
+      jest.spyOn(newsApiService, 'searchNews').mockResolvedValue(page(1));
+
+      await newsService.fetchNews({ sources: ['bbc-news'], pageSize: 10, maxPages: 1 });
+
+      expect(newsApiService.searchNews).toHaveBeenCalledWith({ query: '', category: 'general', pageSize: 10, sources: ['bbc-news'] });
+    });
+
+    it('should poll with the source\'s stored validators and keep the new ones', async () => {
+      jest.spyOn(providerRegistry, 'getAvailable').mockReturnValue([newsApiService]);
+      jest.spyOn(newsApiService, 'pollHeadlines').mockResolvedValue({
+        notModified: true,
+        validators: { etag: '"v2"', lastModified: null },
+        articles: []
+      });
+
+      const result = await newsService.pollProvider('newsapi', 'science', { etag: '"v1"', lastModified: null });
+
+      expect(newsApiService.pollHeadlines).toHaveBeenCalledWith({
+        category: 'science',
+        pageSize: 50,
+        validators: { etag: '"v1"', lastModified: null }
+      });
+      expect(result).toMatchObject({ notModified: true, validators: { etag: '"v2"', lastModified: null }, totalFetched: 0 });
+      expect(newsService.processArticles).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('conditional provider polls', () => {
+    beforeEach(() => {
+      providerHealthService.reset();
+      jest.spyOn(providerHealthService, 'getRedisClient').mockReturnValue(null);
+      jest.spyOn(newsService, 'processArticles').mockResolvedValue({ totalFetched: 0, totalSaved: 0, totalSkipped: 0 });
+    });
+
+    it.each([
+      ['guardian', guardianService],
+      ['nyt', nytService],
+      ['bbc', bbcService]
+    ])('should send %s the stored validators and keep the ones it returns', async (name, provider) => {
+      jest.spyOn(provider, 'isAvailable').mockReturnValue(true);
+      if ('apiKey' in provider) {
+        jest.replaceProperty(provider, 'apiKey', 'test-key');
+      }
+      jest.spyOn(axios, 'get').mockResolvedValue({ status: 304, data: '', headers: { etag: '"v2"' } });
+
+      const result = await newsService.pollProvider(name, 'science', { etag: '"v1"', lastModified: 'Mon, 15 Jan 2024 12:00:00 GMT' });
+
+      const { headers } = axios.get.mock.calls[0][1];
+      expect(headers).toMatchObject({ 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 15 Jan 2024 12:00:00 GMT' });
+      expect(result).toMatchObject({ notModified: true, validators: { etag: '"v2"', lastModified: null } });
+      expect(newsService.processArticles).not.toHaveBeenCalled();
+    });
+
+    it('should fail a throttled poll with the provider\'s Retry-After', async () => {
+      jest.spyOn(providerRegistry, 'getAvailable').mockReturnValue([bbcService]);
+      jest.spyOn(axios, 'get').mockRejectedValue(Object.assign(new Error('Request failed with status code 503'), {
+        response: { status: 503, headers: { 'retry-after': '600' } }
+      }));
+
+      const before = Date.now();
+      const error = await newsService.pollProvider('bbc', 'science').catch(failure => failure);
+
+      expect(error.message).toBe('Failed to fetch from BBC: Request failed with status code 503');
+      expect(error.retryAt.getTime()).toBeGreaterThanOrEqual(before + 600 * 1000);
+    });
+  });
+
+  describe('liveNewsService.fetchLiveNews', () => {
+    it('should respond before the results are stored', async () => {
+      const article = { title: 'Headline', url: 'https://news.bbc.co.uk/1', apiSource: 'bbc', publishedAt: new Date() };
+      jest.spyOn(newsService, 'fetchFromProviders').mockResolvedValue([
+        { provider: 'bbc', articles: [article], count: 1, success: true }
+      ]);
+      jest.spyOn(cacheService, 'set').mockResolvedValue(true);
+
+      let finishStoring;
+      jest.spyOn(liveNewsService, 'persistResults').mockReturnValue(new Promise(resolve => { finishStoring = resolve; }));
+
+      const result = await liveNewsService.fetchLiveNews({ category: 'science', useCache: false });
+
+      expect(result.articles).toHaveLength(1);
+      expect(liveNewsService.persistResults).toHaveBeenCalledWith(expect.objectContaining({ articles: result.articles }), 'science');
+      finishStoring();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Read Later Service Tests
+ * Status changes, reading progress and the reading queue
+ */
+
+import mongoose from 'mongoose';
+import { readLaterService } from '../../src/services/readLaterService.js';
+import { SavedArticle } from '../../src/models/SavedArticle.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+const userId = new mongoose.Types.ObjectId();
+
+describe('Read Later Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getStatusUpdate', () => {
+    it('should complete progress when marked read and reset it when marked unread', () => {
+      expect(readLaterService.getStatusUpdate('read', now)).toEqual({ status: 'read', progress: 100, readAt: now });
+      expect(readLaterService.getStatusUpdate('unread', now)).toEqual({ status: 'unread', progress: 0, readAt: null });
+    });
+
+    it('should keep progress when archiving', () => {
+      expect(readLaterService.getStatusUpdate('archived', now)).toEqual({ status: 'archived' });
+    });
+  });
+
+  describe('getProgressUpdate', () => {
+    it('should start unread articles when opened', () => {
+      expect(readLaterService.getProgressUpdate({ status: 'unread', progress: 0 }, 0, now)).toEqual({
+        progress: 0,
+        lastOpenedAt: now,
+        status: 'in-progress'
+      });
+    });
+
+    it('should never move progress backwards', () => {
+      const update = readLaterService.getProgressUpdate({ status: 'in-progress', progress: 60 }, 20, now);
+
+      expect(update.progress).toBe(60);
+      expect(update.status).toBe('in-progress');
+    });
+
+    it('should mark articles read once scrolled far enough', () => {
+      expect(readLaterService.getProgressUpdate({ status: 'in-progress', progress: 40 }, 95, now)).toEqual({
+        progress: 95,
+        lastOpenedAt: now,
+        status: 'read',
+        readAt: now
+      });
+    });
+
+    it('should not reopen read or archived articles', () => {
+      expect(readLaterService.getProgressUpdate({ status: 'archived', progress: 10 }, 30, now)).toEqual({ progress: 30, lastOpenedAt: now });
+      expect(readLaterService.getProgressUpdate({ status: 'read', progress: 100 }, 5, now).status).toBeUndefined();
+    });
+
+    it('should treat articles saved before tracking as unread', () => {
+      expect(readLaterService.getProgressUpdate({}, 10, now).status).toBe('in-progress');
+    });
+  });
+
+  describe('getStatusCounts', () => {
+    it('should count articles without a status as unread', async () => {
+      jest.spyOn(SavedArticle, 'getStatusCounts').mockResolvedValue([
+        { _id: 'unread', count: 3 },
+        { _id: null, count: 2 },
+        { _id: 'read', count: 5 }
+      ]);
+
+      expect(await readLaterService.getStatusCounts(userId)).toEqual({
+        unread: 5,
+        'in-progress': 0,
+        read: 5,
+        archived: 0
+      });
+    });
+  });
+
+  describe('getQueue', () => {
+    it('should count with the same filter as the queue', async () => {
+      jest.spyOn(SavedArticle, 'getReadingQueue').mockResolvedValue([{ _id: 's1' }]);
+      jest.spyOn(SavedArticle, 'countDocuments').mockResolvedValue(4);
+
+      const result = await readLaterService.getQueue(userId, { status: 'unread', limit: 1 });
+
+      expect(result).toEqual({ items: [{ _id: 's1' }], total: 4 });
+      expect(SavedArticle.countDocuments).toHaveBeenCalledWith({ userId, status: { $in: ['unread', null] } });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Recommendation Service Tests
+ * Reader profiles, article scoring, diversification and explanations
+ */
+
+import { recommendationService } from '../../src/services/recommendationService.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let nextId = 0;
+const createArticle = (overrides = {}) => ({
+  _id: `article-${nextId++}`,
+  title: 'Article',
+  category: 'science',
+  tags: [],
+  source: { name: 'Reuters' },
+  publishedAt: new Date(now - 2 * HOUR),
+  views: 0,
+  saves: 0,
+  ...overrides
+});
+
+describe('Recommendation Service', () => {
+  describe('buildProfile', () => {
+    it('should weight saves above reads and normalize each dimension', () => {
+      const profile = recommendationService.buildProfile({
+        saved: [{ category: 'science', source: 'Nature', tags: ['climat'], savedAt: now }],
+        history: [{ category: 'sports', source: 'ESPN', tags: ['footbal'], views: 1, dwellSeconds: 0, lastViewedAt: now }]
+      }, now);
+
+      expect(profile.categories.get('science')).toBe(1);
+      expect(profile.categories.get('sports')).toBeCloseTo(1 / 3);
+      expect(profile.tags.get('climat')).toBe(1);
+      expect(profile.signals).toBe(2);
+      expect(profile.isEmpty).toBe(false);
+    });
+
+    it('should count dwell time and let old signals fade', () => {
+      const profile = recommendationService.buildProfile({
+        history: [
+          { category: 'health', views: 1, dwellSeconds: 240, lastViewedAt: now },
+          { category: 'business', views: 1, dwellSeconds: 240, lastViewedAt: new Date(now - 30 * DAY) }
+        ]
+      }, now);
+
+      expect(profile.categories.get('health')).toBe(1);
+      expect(profile.categories.get('business')).toBeCloseTo(0.5);
+    });
+
+    it('should turn interests and preferences into profile weights', () => {
+      const profile = recommendationService.buildProfile({
+        user: {
+          interests: ['Climate Change'],
+          preferences: { categories: ['technology'], sources: ['BBC News'] }
+        }
+      }, now);
+
+      expect(profile.tags.get('climat')).toBe(1);
+      expect(profile.tags.get('climate change')).toBe(1);
+      expect(profile.categories.get('technology')).toBe(1);
+      expect(profile.sources.get('BBC News')).toBe(1);
+    });
+
+    it('should mark users without any signals as cold start', () => {
+      expect(recommendationService.buildProfile({}, now).isEmpty).toBe(true);
+    });
+  });
+
+  describe('scoreArticle', () => {
+    const profile = recommendationService.buildProfile({
+      saved: [{ category: 'science', source: 'Nature', tags: ['climat', 'emiss'], savedAt: now }]
+    }, now);
+
+    it('should rank matching articles above unrelated ones', () => {
+      const matching = recommendationService.scoreArticle(createArticle({ tags: ['climat', 'emiss'] }), profile, now);
+      const unrelated = recommendationService.scoreArticle(createArticle({ category: 'sports', tags: ['footbal'] }), profile, now);
+
+      expect(matching.score).toBeGreaterThan(unrelated.score);
+      expect(matching.reasons[0]).toEqual({ type: 'tags', values: ['climat', 'emiss'] });
+      expect(matching.reasons).toContainEqual({ type: 'category', value: 'science' });
+    });
+
+    it('should prefer fresh and popular articles among equal matches', () => {
+      const fresh = recommendationService.scoreArticle(createArticle({ tags: ['climat'] }), profile, now);
+      const stale = recommendationService.scoreArticle(createArticle({ tags: ['climat'], publishedAt: new Date(now - 4 * DAY) }), profile, now);
+      const popular = recommendationService.scoreArticle(createArticle({ tags: ['climat'], views: 2000 }), profile, now);
+
+      expect(fresh.score).toBeGreaterThan(stale.score);
+      expect(popular.score).toBeGreaterThan(fresh.score);
+      expect(popular.reasons).toContainEqual({ type: 'popular' });
+    });
+
+    it('should fall back to a generic reason', () => {
+      const { reasons } = recommendationService.scoreArticle(
+        createArticle({ category: 'sports', publishedAt: new Date(now - 3 * DAY) }),
+        profile,
+        now
+      );
+
+      expect(reasons).toEqual([{ type: 'recent' }]);
+    });
+  });
+
+  describe('collaborative blending', () => {
+    const profile = recommendationService.buildProfile({
+      saved: [{ category: 'science', source: 'Nature', tags: ['climat'], savedAt: now }]
+    }, now);
+
+    it('should lift articles saved by similar readers', () => {
+      const article = createArticle({ category: 'sports', tags: ['footbal'] });
+      const alone = recommendationService.scoreArticle(article, profile, now);
+      const blended = recommendationService.scoreArticle(article, profile, now, new Map([[article._id, 1]]));
+
+      expect(blended.score).toBeGreaterThan(alone.score);
+      expect(blended.reasons[0]).toEqual({ type: 'readers' });
+      expect(recommendationService.explain(blended.reasons)).toBe('Readers who saved what you saved also saved this');
+    });
+
+    it('should leave content scores unchanged without collaborative signals', () => {
+      const article = createArticle({ tags: ['climat'] });
+
+      expect(recommendationService.scoreArticle(article, profile, now, new Map()).score)
+        .toBe(recommendationService.scoreArticle(article, profile, now).score);
+    });
+  });
+
+  describe('diversify', () => {
+    it('should stop one source from taking over the results', () => {
+      const scored = [
+        ...Array.from({ length: 8 }, (_, i) => ({ article: createArticle({ source: { name: 'Reuters' } }), score: 0.9 - i * 0.01 })),
+        { article: createArticle({ source: { name: 'BBC News' } }), score: 0.5 },
+        { article: createArticle({ source: { name: 'AP' } }), score: 0.4 }
+      ];
+
+      const picked = recommendationService.diversify(scored, 5);
+      const sources = picked.map(item => item.article.source.name);
+
+      expect(sources.filter(source => source === 'Reuters')).toHaveLength(2);
+      expect(sources).toEqual(expect.arrayContaining(['BBC News', 'AP']));
+      expect(picked[0].score).toBe(0.9);
+    });
+
+    it('should spread picks across categories', () => {
+      const scored = [
+        { article: createArticle({ source: { name: 'A' }, category: 'science' }), score: 0.8 },
+        { article: createArticle({ source: { name: 'B' }, category: 'science' }), score: 0.75 },
+        { article: createArticle({ source: { name: 'C' }, category: 'health' }), score: 0.7 }
+      ];
+
+      const picked = recommendationService.diversify(scored, 2);
+
+      expect(picked.map(item => item.article.category)).toEqual(['science', 'health']);
+    });
+  });
+
+  describe('explain', () => {
+    it('should describe the strongest reason', () => {
+      expect(recommendationService.explain([{ type: 'tags', values: ['climat'] }, { type: 'fresh' }]))
+        .toBe('Because you read about climat');
+      expect(recommendationService.explain([{ type: 'source', value: 'Nature' }]))
+        .toBe('From Nature, a source you read often');
+      expect(recommendationService.explain([])).toBe('Recent news');
+    });
+  });
+});
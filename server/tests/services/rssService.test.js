@@ -0,0 +1,179 @@
+/**
+ * RSS Feed Adapter Tests
+ * Parses RSS 2.0, Atom 1.0 and RDF fixtures into the common article format
+ */
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { rssService } from '../../src/services/apis/rssService.js';
+import { feedService } from '../../src/services/feedService.js';
+import { Feed } from '../../src/models/Feed.js';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/feeds', name), 'utf8');
+
+const feed = {
+  _id: '65a4f0c2e1b2c3d4e5f60718',
+  name: 'Example Feed',
+  url: 'https://feeds.example.com/rss',
+  category: 'technology'
+};
+
+describe('RSS Feed Adapter', () => {
+  describe('parseFeed', () => {
+    it('should detect RSS 2.0 feeds', async () => {
+      const parsed = await rssService.parseFeed(readFixture('rss2.xml'));
+
+      expect(parsed.format).toBe('rss');
+      expect(parsed.title).toBe('Example Tech News');
+      expect(parsed.items).toHaveLength(3);
+    });
+
+    it('should detect Atom 1.0 feeds', async () => {
+      const parsed = await rssService.parseFeed(readFixture('atom.xml'));
+
+      expect(parsed.format).toBe('atom');
+      expect(parsed.title).toBe('Example Science Blog');
+      expect(parsed.items).toHaveLength(2);
+    });
+
+    it('should detect RDF feeds', async () => {
+      const parsed = await rssService.parseFeed(readFixture('rdf.xml'));
+
+      expect(parsed.format).toBe('rdf');
+      expect(parsed.title).toBe('Example Health Wire');
+      expect(parsed.items).toHaveLength(1);
+    });
+
+    it('should reject documents that are not feeds', async () => {
+      await expect(rssService.parseFeed(readFixture('invalid.xml'))).rejects.toThrow('Unrecognized feed format');
+    });
+  });
+
+  describe('normalizeArticles', () => {
+    it('should normalize RSS items and skip items without title or link', async () => {
+      const { items } = await rssService.parseFeed(readFixture('rss2.xml'));
+      const articles = rssService.normalizeArticles(items, feed);
+
+      expect(articles).toHaveLength(2);
+      expect(articles[0]).toMatchObject({
+        title: 'Chipmaker unveils faster processor & new AI accelerator',
+        description: 'The company said the new chip doubles performance.',
+        url: 'https://news.example.com/chips/faster-processor',
+        urlToImage: 'https://news.example.com/images/chip.jpg',
+        author: 'Jane Reporter',
+        category: 'technology',
+        tags: ['hardware', 'ai'],
+        source: { id: feed._id, name: 'Example Feed' },
+        apiSource: 'rss'
+      });
+      expect(articles[0].publishedAt.toISOString()).toBe('2024-01-15T10:00:00.000Z');
+    });
+
+    it('should fall back to permalink guid and ignore non-image enclosures', async () => {
+      const { items } = await rssService.parseFeed(readFixture('rss2.xml'));
+      const [, article] = rssService.normalizeArticles(items, feed);
+
+      expect(article.url).toBe('https://news.example.com/energy/battery-funding');
+      expect(article.description).toBe('Full article body about batteries.');
+      expect(article.urlToImage).toBeNull();
+    });
+
+    it('should normalize Atom entries using the alternate link', async () => {
+      const { items } = await rssService.parseFeed(readFixture('atom.xml'));
+      const articles = rssService.normalizeArticles(items, { ...feed, category: 'science' });
+
+      expect(articles[0]).toMatchObject({
+        title: 'Telescope spots distant galaxy',
+        url: 'https://science.example.org/2024/01/distant-galaxy',
+        description: 'Astronomers observed light from the early universe.',
+        author: 'Dr. Sam Astronomer',
+        category: 'science',
+        tags: ['space']
+      });
+      expect(articles[0].publishedAt.toISOString()).toBe('2024-01-15T09:15:00.000Z');
+      expect(articles[1].url).toBe('https://science.example.org/2024/01/ocean-record');
+      expect(articles[1].description).toBe('Sea surface temperatures set a new record.');
+      expect(articles[1].publishedAt.toISOString()).toBe('2024-01-14T18:00:00.000Z');
+    });
+
+    it('should normalize RDF items with Dublin Core metadata', async () => {
+      const { items } = await rssService.parseFeed(readFixture('rdf.xml'));
+      const [article] = rssService.normalizeArticles(items, { ...feed, category: 'health' });
+
+      expect(article).toMatchObject({
+        title: 'Vaccine trial shows promising results',
+        url: 'https://health.example.net/articles/vaccine-trial',
+        author: 'Health Desk',
+        category: 'health'
+      });
+      expect(article.publishedAt.toISOString()).toBe('2024-01-13T07:45:00.000Z');
+    });
+  });
+
+  describe('fetchFeed', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should download, parse and limit feed items', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({ data: readFixture('rss2.xml') });
+
+      const articles = await rssService.fetchFeed(feed, { pageSize: 1 });
+
+      expect(axios.get).toHaveBeenCalledWith(feed.url, expect.objectContaining({ responseType: 'text' }));
+      expect(articles).toHaveLength(1);
+    });
+
+    it('should send stored validators and report unchanged feeds', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({ status: 304, data: '', headers: {} });
+
+      const result = await rssService.fetchFeedConditional(feed, { etag: '"v1"', lastModified: null });
+
+      expect(axios.get.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+      expect(result).toEqual({ notModified: true, validators: { etag: null, lastModified: null }, articles: [] });
+    });
+
+    it('should return new validators with changed feeds', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({
+        status: 200,
+        data: readFixture('atom.xml'),
+        headers: { etag: '"v2"', 'last-modified': 'Mon, 15 Jan 2024 12:00:00 GMT' }
+      });
+
+      const result = await rssService.fetchFeedConditional(feed, { etag: '"v1"' });
+
+      expect(result.notModified).toBe(false);
+      expect(result.validators).toEqual({ etag: '"v2"', lastModified: 'Mon, 15 Jan 2024 12:00:00 GMT' });
+      expect(result.articles).toHaveLength(2);
+    });
+
+    it('should refuse feeds on the local network', async () => {
+      jest.spyOn(axios, 'get');
+
+      await expect(rssService.fetchFeed({ ...feed, url: 'http://169.254.169.254/latest/meta-data' }))
+        .rejects.toThrow('not a public http(s) URL');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should wrap download errors with the feed name', async () => {
+      jest.spyOn(axios, 'get').mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+      await expect(rssService.fetchFeed(feed)).rejects.toThrow('Failed to fetch feed Example Feed');
+    });
+
+    it('should report a throttled feed\'s Retry-After to the scheduler', async () => {
+      const throttled = Object.assign(new Error('Request failed with status code 429'), {
+        response: { status: 429, headers: { 'retry-after': '3600' } }
+      });
+      jest.spyOn(axios, 'get').mockRejectedValue(throttled);
+      jest.spyOn(Feed, 'updateOne').mockResolvedValue({});
+
+      const before = Date.now();
+      const result = await feedService.pollFeed({ ...feed, _id: 'feed-1' });
+
+      expect(result.success).toBe(false);
+      expect(result.retryAt.getTime()).toBeGreaterThanOrEqual(before + 3600 * 1000);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Sentiment Service Tests
+ * AFINN scoring, labelling and the trending sentiment breakdown
+ */
+
+import { sentimentService } from '../../src/services/sentimentService.js';
+import { analyticsService } from '../../src/services/analyticsService.js';
+
+describe('Sentiment Service', () => {
+  describe('analyze', () => {
+    it('should label clearly positive text', () => {
+      const result = sentimentService.analyze('Markets rally as investors celebrate strong growth and record profits');
+
+      expect(result.label).toBe('positive');
+      expect(result.score).toBeGreaterThan(0);
+    });
+
+    it('should label clearly negative text', () => {
+      const result = sentimentService.analyze('Dozens killed in devastating earthquake, thousands injured');
+
+      expect(result.label).toBe('negative');
+      expect(result.score).toBeLessThan(0);
+    });
+
+    it('should label factual text as neutral', () => {
+      expect(sentimentService.analyze('Council meets on Tuesday to discuss the budget')).toEqual({ score: 0, label: 'neutral' });
+    });
+
+    it('should account for negation', () => {
+      expect(sentimentService.analyze('The new policy is not good').label).toBe('negative');
+    });
+
+    it('should treat empty text as neutral', () => {
+      expect(sentimentService.analyze('')).toEqual({ score: 0, label: 'neutral' });
+      expect(sentimentService.analyze(null)).toEqual({ score: 0, label: 'neutral' });
+    });
+  });
+
+  describe('applyTo', () => {
+    it('should score title, description and content into meta', () => {
+      const article = {
+        title: 'Rescue teams celebrate after miners freed',
+        description: 'All twelve miners were brought out safe and healthy.',
+        content: 'Families cheered as the last of the miners reached the surface.'
+      };
+
+      const result = sentimentService.applyTo(article);
+
+      expect(article.meta).toEqual({ sentiment: 'positive', sentimentScore: result.score });
+      expect(result.label).toBe('positive');
+    });
+
+    it('should keep other meta fields', () => {
+      const article = { title: 'Flooding destroys homes', meta: { wordCount: 120 } };
+
+      sentimentService.applyTo(article);
+
+      expect(article.meta).toMatchObject({ wordCount: 120, sentiment: 'negative' });
+    });
+
+    it('should score a provider teaser without storing it', () => {
+      const article = { title: 'Officials announce results', description: '' };
+
+      const scored = sentimentService.applyTo(article, { teaser: 'Devastating floods killed dozens and destroyed homes.' });
+
+      expect(scored.label).toBe('negative');
+      expect(sentimentService.analyzeArticle(article).label).toBe('neutral');
+      expect(article).not.toHaveProperty('content');
+    });
+  });
+
+  describe('analyticsService.summarizeSentiment', () => {
+    it('should fold aggregation rows into overall and per-category breakdowns', () => {
+      const breakdown = analyticsService.summarizeSentiment([
+        { _id: { category: 'business', sentiment: 'positive' }, count: 3, scoreSum: 0.9 },
+        { _id: { category: 'business', sentiment: 'negative' }, count: 1, scoreSum: -0.5 },
+        { _id: { category: 'health', sentiment: 'neutral' }, count: 2, scoreSum: 0 }
+      ]);
+
+      expect(breakdown).toMatchObject({ positive: 3, negative: 1, neutral: 2, total: 6, averageScore: 0.067 });
+      expect(breakdown.byCategory).toEqual([
+        { category: 'business', positive: 3, negative: 1, neutral: 0, total: 4, averageScore: 0.1 },
+        { category: 'health', positive: 0, negative: 0, neutral: 2, total: 2, averageScore: 0 }
+      ]);
+    });
+
+    it('should return an empty breakdown when there are no articles', () => {
+      expect(analyticsService.summarizeSentiment([])).toEqual({
+        positive: 0, negative: 0, neutral: 0, total: 0, averageScore: 0, byCategory: []
+      });
+    });
+  });
+});
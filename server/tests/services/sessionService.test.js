@@ -0,0 +1,316 @@
+/**
+ * Session Service Tests
+ * Refresh token rotation, reuse detection and access-token revocation
+ */
+
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { sessionService } from '../../src/services/sessionService.js';
+import { Session } from '../../src/models/Session.js';
+import { User } from '../../src/models/User.js';
+import { streamService } from '../../src/services/streamService.js';
+import {
+  authenticateToken,
+  authenticateStreamTicket,
+  generateToken,
+  generateRefreshToken,
+  generateStreamTicket,
+  verifyRefreshToken
+} from '../../src/middleware/auth.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const lean = value => ({ sort: () => ({ lean: () => Promise.resolve(value) }), lean: () => Promise.resolve(value) });
+
+const fakeRedis = () => {
+  const store = new Map();
+  const values = new Map();
+  const set = (key, value, mode, ttl) => store.set(key, ttl) && values.set(key, value);
+  const pipeline = { set: jest.fn(set), exec: jest.fn().mockResolvedValue([]) };
+  return {
+    store,
+    values,
+    pipeline,
+    multi: () => pipeline,
+    exists: jest.fn(async key => (store.has(key) ? 1 : 0)),
+    get: jest.fn(async key => values.get(key) ?? null),
+    set: jest.fn(async (...args) => set(...args))
+  };
+};
+
+describe('Session Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let session;
+
+  beforeEach(() => {
+    session = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      refreshJti: 'refresh-2',
+      previousRefreshJti: 'refresh-1',
+      rotatedAt: new Date(now.getTime() - 60 * 1000),
+      accessTokens: [
+        { jti: 'access-old', issuedAt: new Date(now.getTime() - 2 * DAY) },
+        { jti: 'access-live', issuedAt: new Date(now.getTime() - 60 * 60 * 1000) }
+      ],
+      createdAt: new Date(now.getTime() - 3 * DAY),
+      expiresAt: new Date(now.getTime() + 5 * DAY),
+      revokedAt: null
+    };
+    jest.spyOn(sessionService, 'getRedisClient').mockReturnValue(null);
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+    jest.spyOn(streamService, 'closeSessions').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('describeDevice', () => {
+    it('should name the browser and platform', () => {
+      expect(sessionService.describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0'))
+        .toBe('Edge on Windows');
+      expect(sessionService.describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'))
+        .toBe('Safari on iOS');
+      expect(sessionService.describeDevice('curl/8.0')).toBe('Unknown device');
+    });
+  });
+
+  describe('create', () => {
+    it('should store the device with the first token ids', async () => {
+      jest.spyOn(Session, 'create').mockImplementation(async data => ({ _id: session._id, ...data }));
+
+      const grant = await sessionService.create({ _id: userId }, { ip: '127.0.0.1', userAgent: 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0' }, now);
+      const stored = Session.create.mock.calls[0][0];
+
+      expect(grant).toEqual({ sessionId: session._id, accessJti: expect.any(String), refreshJti: stored.refreshJti, twoFactor: false });
+      expect(stored.accessTokens).toEqual([{ jti: grant.accessJti, issuedAt: now }]);
+      expect(stored.device).toBe('Firefox on Linux');
+      expect(stored.expiresAt).toEqual(new Date(now.getTime() + 7 * DAY));
+    });
+  });
+
+  describe('rotate', () => {
+    it('should replace the refresh token and issue a new access token', async () => {
+      jest.spyOn(Session, 'findById').mockResolvedValue(session);
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({ ...session });
+
+      const result = await sessionService.rotate({ sid: session._id, jti: 'refresh-2' }, { ip: '10.0.0.1' }, now);
+
+      expect(result.userId).toBe(userId);
+      expect(result.grant.sessionId).toBe(session._id);
+
+      const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: session._id, refreshJti: 'refresh-2', revokedAt: null });
+      expect(update.$set).toMatchObject({ refreshJti: result.grant.refreshJti, previousRefreshJti: 'refresh-2', rotatedAt: now, ip: '10.0.0.1' });
+      expect(update.$push.accessTokens.$each).toEqual([{ jti: result.grant.accessJti, issuedAt: now }]);
+    });
+
+    it('should only forget access token ids that have expired', async () => {
+      jest.spyOn(Session, 'findById').mockResolvedValue(session);
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({ ...session });
+
+      await sessionService.rotate({ sid: session._id, jti: 'refresh-2' }, {}, now);
+
+      expect(Session.findOneAndUpdate.mock.calls[0][1].$push.accessTokens.$slice).toBeUndefined();
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: session._id },
+        { $pull: { accessTokens: { issuedAt: { $lte: new Date(now.getTime() - DAY) } } } }
+      );
+    });
+
+    it('should never extend a session past its maximum age', async () => {
+      session.createdAt = new Date(now.getTime() - 28 * DAY);
+      jest.spyOn(Session, 'findById').mockResolvedValue(session);
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({ ...session });
+
+      await sessionService.rotate({ sid: session._id, jti: 'refresh-2' }, {}, now);
+
+      expect(Session.findOneAndUpdate.mock.calls[0][1].$set.expiresAt).toEqual(new Date(now.getTime() + 2 * DAY));
+    });
+
+    it('should revoke the session and deny its access tokens when an old token is replayed', async () => {
+      const redis = fakeRedis();
+      sessionService.getRedisClient.mockReturnValue(redis);
+      jest.spyOn(Session, 'findById').mockResolvedValue(session);
+      jest.spyOn(Session, 'findOneAndUpdate');
+
+      expect(await sessionService.rotate({ sid: session._id, jti: 'refresh-1' }, {}, now)).toEqual({ reason: 'reuse' });
+      expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: session._id, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'reuse' } }
+      );
+      // Only tokens that have not expired yet are denylisted, for the rest of their lifetime
+      expect([...redis.store.entries()]).toEqual([
+        ['auth:denylist:access-live', 23 * 60 * 60],
+        [`auth:session:${session._id}`, 30]
+      ]);
+      expect(redis.values.get(`auth:session:${session._id}`)).toBe('revoked');
+    });
+
+    it('should not revoke when the token was replaced moments ago by another tab', async () => {
+      session.rotatedAt = new Date(now.getTime() - 2000);
+      jest.spyOn(Session, 'findById').mockResolvedValue(session);
+
+      expect(await sessionService.rotate({ sid: session._id, jti: 'refresh-1' }, {}, now)).toEqual({ reason: 'superseded' });
+      expect(Session.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should refuse revoked and expired sessions', async () => {
+      jest.spyOn(Session, 'findById').mockResolvedValue({ ...session, revokedAt: now });
+      expect(await sessionService.rotate({ sid: session._id, jti: 'refresh-2' }, {}, now)).toEqual({ reason: 'invalid' });
+
+      Session.findById.mockResolvedValue({ ...session, expiresAt: now });
+      expect(await sessionService.rotate({ sid: session._id, jti: 'refresh-2' }, {}, now)).toEqual({ reason: 'invalid' });
+    });
+  });
+
+  describe('elevate', () => {
+    it('should mark the session as second-factor verified with a new access token', async () => {
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({ ...session, twoFactor: true });
+
+      const grant = await sessionService.elevate(session._id, now);
+      const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+
+      expect(grant).toEqual({ sessionId: session._id, accessJti: expect.any(String), twoFactor: true });
+      expect(filter).toEqual({ _id: session._id, revokedAt: null });
+      expect(update.$set.twoFactor).toBe(true);
+      expect(update.$push.accessTokens.$each).toEqual([{ jti: grant.accessJti, issuedAt: now }]);
+    });
+  });
+
+  describe('revokeAll', () => {
+    it('should revoke every other session', async () => {
+      const current = new mongoose.Types.ObjectId();
+      jest.spyOn(Session, 'find').mockReturnValue(lean([session]));
+      jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+
+      expect(await sessionService.revokeAll(userId, { except: current, reason: 'password_change' }, now)).toBe(1);
+      expect(Session.find).toHaveBeenCalledWith({ userId, revokedAt: null, _id: { $ne: current } });
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [session._id] }, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'password_change' } }
+      );
+      expect(streamService.closeSessions).toHaveBeenCalledWith({ userId, except: current });
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should close the session\'s event streams', async () => {
+      jest.spyOn(Session, 'findOne').mockReturnValue(lean(session));
+
+      expect(await sessionService.revokeSession(userId, session._id, 'logout', now)).toBe(true);
+      expect(streamService.closeSessions).toHaveBeenCalledWith({ userId, sessionIds: [session._id] });
+    });
+  });
+
+  describe('isRevoked', () => {
+    it('should check the denylist and then the session', async () => {
+      const redis = fakeRedis();
+      redis.store.set('auth:denylist:access-live', 60);
+      sessionService.getRedisClient.mockReturnValue(redis);
+      jest.spyOn(Session, 'exists').mockResolvedValue({ _id: session._id });
+
+      expect(await sessionService.isRevoked({ jti: 'access-live', sid: session._id })).toBe(true);
+      expect(Session.exists).not.toHaveBeenCalled();
+
+      expect(await sessionService.isRevoked({ jti: 'access-other', sid: session._id })).toBe(false);
+      expect(Session.exists).toHaveBeenCalledWith({ _id: session._id, revokedAt: null });
+      expect(redis.set).toHaveBeenCalledWith(`auth:session:${session._id}`, 'active', 'EX', 30);
+
+      // The cached answer saves the next lookup
+      expect(await sessionService.isRevoked({ jti: 'access-other', sid: session._id })).toBe(false);
+      expect(Session.exists).toHaveBeenCalledTimes(1);
+    });
+
+    it('should honour a revocation made while Redis was unavailable', async () => {
+      jest.spyOn(Session, 'findOne').mockReturnValue(lean(session));
+      expect(await sessionService.revokeSession(userId, session._id, 'logout', now)).toBe(true);
+
+      // Redis is back, but nothing was denylisted
+      const redis = fakeRedis();
+      sessionService.getRedisClient.mockReturnValue(redis);
+      jest.spyOn(Session, 'exists').mockResolvedValue(null);
+
+      expect(await sessionService.isRevoked({ jti: 'access-live', sid: session._id })).toBe(true);
+    });
+
+    it('should fall back to the session state without Redis', async () => {
+      jest.spyOn(Session, 'exists').mockResolvedValue(null);
+      expect(await sessionService.isRevoked({ jti: 'access-live', sid: session._id })).toBe(true);
+
+      Session.exists.mockResolvedValue({ _id: session._id });
+      expect(await sessionService.isRevoked({ jti: 'access-live', sid: session._id })).toBe(false);
+    });
+  });
+
+  describe('tokens', () => {
+    const user = { _id: userId, email: 'ada@example.com', role: 'user' };
+    const grant = { sessionId: new mongoose.Types.ObjectId(), accessJti: 'access-1', refreshJti: 'refresh-1' };
+
+    const authenticate = async (token) => {
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await authenticateToken(req, res, next);
+      return { req, res, next };
+    };
+
+    it('should only accept refresh tokens for refreshing', () => {
+      const claims = verifyRefreshToken(generateRefreshToken(user, grant));
+
+      expect(claims).toMatchObject({ type: 'refresh', sid: grant.sessionId.toString(), jti: 'refresh-1' });
+      expect(() => verifyRefreshToken(generateToken(user, grant))).toThrow('Invalid refresh token');
+    });
+
+    it('should reject refresh tokens used as access tokens', async () => {
+      const { res, next } = await authenticate(generateRefreshToken(user, grant));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should reject tokens for other audiences', async () => {
+      const token = jwt.sign({ userId, type: 'access' }, process.env.JWT_SECRET || 'your-super-secret-jwt-key', { audience: 'news-aggregator-stream', issuer: 'news-aggregator' });
+      const { res, next } = await authenticate(token);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should reject revoked access tokens', async () => {
+      jest.spyOn(sessionService, 'isRevoked').mockResolvedValue(true);
+      const { res, next } = await authenticate(generateToken(user, grant));
+
+      expect(sessionService.isRevoked).toHaveBeenCalledWith(expect.objectContaining({ jti: 'access-1', sid: grant.sessionId.toString() }));
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].error.message).toBe('Token has been revoked');
+    });
+
+    it('should refuse stream tickets once their session is revoked', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ ...user, isActive: true }) });
+      jest.spyOn(Session, 'exists').mockResolvedValue({ _id: grant.sessionId });
+
+      const ticket = generateStreamTicket(user, grant.sessionId);
+      const open = async () => {
+        const req = { query: { ticket } };
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const next = jest.fn();
+        await authenticateStreamTicket(req, res, next);
+        return { req, res, next };
+      };
+
+      const accepted = await open();
+      expect(accepted.next).toHaveBeenCalled();
+      expect(accepted.req.auth).toEqual({ sessionId: grant.sessionId.toString() });
+      expect(Session.exists).toHaveBeenCalledWith({ _id: grant.sessionId.toString(), revokedAt: null, expiresAt: { $gt: expect.any(Date) } });
+
+      Session.exists.mockResolvedValue(null);
+      const refused = await open();
+      expect(refused.next).not.toHaveBeenCalled();
+      expect(refused.res.json.mock.calls[0][0].error.message).toBe('Session has been revoked');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Story Service Tests
+ * Unit tests for clustering articles into stories
+ */
+
+import mongoose from 'mongoose';
+import { storyService } from '../../src/services/storyService.js';
+import { Story } from '../../src/models/Story.js';
+
+describe('Story Service', () => {
+  describe('extractTerms', () => {
+    it('should stem title words and drop stopwords and publisher suffixes', () => {
+      const terms = storyService.extractTerms('Fed raises interest rates - Reuters');
+
+      expect(terms).toEqual(expect.arrayContaining(['fed', 'rais', 'interest', 'rate']));
+      expect(terms).not.toContain('reuter');
+    });
+
+    it('should include tag terms', () => {
+      const terms = storyService.extractTerms('Markets rally', ['inflation']);
+      expect(terms).toContain('inflat');
+    });
+  });
+
+  describe('findBestMatch', () => {
+    const stories = [
+      { _id: 'fed', terms: storyService.extractTerms('Fed raises interest rates to fight inflation') },
+      { _id: 'sports', terms: storyService.extractTerms('Local team wins championship in overtime') }
+    ];
+
+    it('should match coverage of the same event from another outlet', () => {
+      const terms = storyService.extractTerms('Federal Reserve raises interest rates again to fight inflation');
+      const match = storyService.findBestMatch(terms, stories);
+
+      expect(match.story._id).toBe('fed');
+      expect(match.similarity).toBeGreaterThanOrEqual(storyService.similarityThreshold);
+    });
+
+    it('should return null when no story is similar enough', () => {
+      const terms = storyService.extractTerms('New smartphone launches with longer battery life');
+      expect(storyService.findBestMatch(terms, stories)).toBeNull();
+    });
+  });
+
+  describe('addToStory', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should count an article assigned twice once', async () => {
+      const lead = new mongoose.Types.ObjectId();
+      const stored = { _id: new mongoose.Types.ObjectId(), articles: [lead], articleCount: 1, sources: ['Reuters'], firstPublishedAt: new Date('2024-01-15T08:00:00Z') };
+      const article = { _id: new mongoose.Types.ObjectId(), title: 'Fed raises rates', source: { name: 'AP' }, publishedAt: new Date('2024-01-15T09:00:00Z') };
+
+      // Applies the membership filter and the update the way MongoDB would
+      jest.spyOn(Story, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        if (stored.articles.some(id => id.equals(filter.articles.$ne))) {
+          return null;
+        }
+        stored.articles.push(update.$addToSet.articles);
+        stored.articleCount += update.$inc.articleCount;
+        return { ...stored };
+      });
+      jest.spyOn(Story, 'findById').mockImplementation(async () => ({ ...stored }));
+
+      const first = await storyService.addToStory(stored, article, ['fed']);
+      const second = await storyService.addToStory(stored, article, ['fed']);
+
+      expect(first.articleCount).toBe(2);
+      expect(second.articleCount).toBe(2);
+      expect(stored.articles).toHaveLength(2);
+      expect(Story.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: stored._id, articles: { $ne: article._id } });
+    });
+  });
+
+  describe('findStories', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should leave stories without active articles out of the page and the total', async () => {
+      const active = new Set(['a1', 'a3']);
+      const stored = [
+        { _id: 's1', articles: ['a1'] },
+        { _id: 's2', articles: ['a2'] },
+        { _id: 's3', articles: ['a2', 'a3'] }
+      ];
+
+      // Joins the articles and pages the survivors the way the pipeline would
+      jest.spyOn(Story, 'aggregate').mockImplementation(async (pipeline) => {
+        const lookup = pipeline.find(stage => stage.$lookup).$lookup;
+        const joined = stored.map(story => ({
+          ...story,
+          [lookup.as]: story.articles.filter(id => lookup.pipeline[0].$match.isActive === active.has(id))
+        }));
+        const remaining = joined.filter(story => story[lookup.as].length > 0);
+        const [skip, limit] = pipeline.find(stage => stage.$facet).$facet.stories;
+
+        return [{
+          stories: remaining.slice(skip.$skip, skip.$skip + limit.$limit),
+          total: [{ count: remaining.length }]
+        }];
+      });
+
+      const { stories, total } = await storyService.findStories({ isActive: true }, { skip: 0, limit: 1 });
+
+      expect(stories.map(s => s._id)).toEqual(['s1']);
+      expect(total).toBe(2);
+    });
+
+    it('should return an empty page when nothing matches', async () => {
+      jest.spyOn(Story, 'aggregate').mockResolvedValue([{ stories: [], total: [] }]);
+
+      expect(await storyService.findStories({ isActive: true })).toEqual({ stories: [], total: 0 });
+    });
+  });
+
+  describe('formatStory', () => {
+    const article = (id, source, publishedAt) => ({
+      _id: id,
+      title: `Headline from ${source}`,
+      url: `https://example.com/${id}`,
+      source: { name: source },
+      publishedAt: new Date(publishedAt)
+    });
+
+    it('should return the lead article and other coverage', () => {
+      const articles = [
+        article('a1', 'Reuters', '2024-01-15T10:00:00Z'),
+        article('a2', 'BBC News', '2024-01-15T11:00:00Z')
+      ];
+      const story = { _id: 's1', title: 'Headline', articles: ['a2', 'a1'], leadArticle: 'a1', sources: ['Reuters', 'BBC News'] };
+
+      const formatted = storyService.formatStory(story, new Map(articles.map(a => [a._id, a])));
+
+      expect(formatted.leadArticle._id).toBe('a1');
+      expect(formatted.articleCount).toBe(2);
+      expect(formatted.alsoCoveredBy).toEqual([
+        expect.objectContaining({ articleId: 'a2', source: 'BBC News' })
+      ]);
+    });
+
+    it('should skip inactive articles and fall back to the earliest remaining lead', () => {
+      const remaining = article('a2', 'BBC News', '2024-01-15T11:00:00Z');
+      const story = { _id: 's1', title: 'Headline', articles: ['a1', 'a2'], leadArticle: 'a1', sources: [] };
+
+      const formatted = storyService.formatStory(story, new Map([['a2', remaining]]));
+
+      expect(formatted.leadArticle._id).toBe('a2');
+      expect(formatted.alsoCoveredBy).toHaveLength(0);
+    });
+
+    it('should return null when no articles are active', () => {
+      const story = { _id: 's1', title: 'Headline', articles: ['a1'], leadArticle: 'a1', sources: [] };
+      expect(storyService.formatStory(story, new Map())).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Stream Service Tests
+ * Server-Sent Events framing, feed filtering, resume and connection limits
+ */
+
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import { streamService } from '../../src/services/streamService.js';
+import { Article } from '../../src/models/Article.js';
+
+const createResponse = () => {
+  const res = {
+    frames: [],
+    headers: null,
+    status: jest.fn(() => res),
+    set: jest.fn((headers) => {
+      res.headers = headers;
+      return res;
+    }),
+    flushHeaders: jest.fn(),
+    write: jest.fn((frame) => res.frames.push(frame)),
+    end: jest.fn()
+  };
+  return res;
+};
+
+describe('Stream Service', () => {
+  beforeEach(() => {
+    // Without Redis, events and connection counts stay on this instance
+    jest.spyOn(streamService, 'getRedisClient').mockReturnValue(null);
+  });
+
+  afterEach(() => {
+    streamService.closeAll();
+    jest.restoreAllMocks();
+  });
+
+  it('should open an event stream and drop the client on disconnect', () => {
+    const req = new EventEmitter();
+    const res = createResponse();
+
+    streamService.open(req, res);
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(res.frames[0]).toBe('retry: 5000\n\n');
+    expect(streamService.getStats().clients).toBe(1);
+
+    req.emit('close');
+    expect(streamService.getStats().clients).toBe(0);
+  });
+
+  it('should frame published events with id, event name and JSON data', async () => {
+    const res = createResponse();
+    streamService.open(new EventEmitter(), res);
+
+    await streamService.publish('alerts', { id: 'alert-1', event: 'breaking', data: { title: 'Earthquake' } });
+
+    expect(res.frames[1]).toBe('id: alert-1\nevent: breaking\ndata: {"title":"Earthquake"}\n\n');
+  });
+
+  it('should deliver articles only to feed clients whose filter matches', async () => {
+    const alerts = createResponse();
+    const sports = createResponse();
+    const ai = createResponse();
+    streamService.open(new EventEmitter(), alerts);
+    streamService.open(new EventEmitter(), sports, {
+      channel: 'feed',
+      userId: 'u1',
+      filter: streamService.buildFeedFilter({ preferences: { categories: ['sports'] } })
+    });
+    streamService.open(new EventEmitter(), ai, {
+      channel: 'feed',
+      userId: 'u2',
+      filter: streamService.buildFeedFilter({ interests: ['AI'] })
+    });
+
+    await streamService.publishArticle({ _id: 'a1', title: 'New model released', category: 'technology', tags: ['ai'] });
+
+    expect(alerts.frames).toHaveLength(1);
+    expect(sports.frames).toHaveLength(1);
+    expect(ai.frames[1]).toMatch(/^id: a1\nevent: article\ndata: .*"New model released"/);
+  });
+
+  describe('matchesFeed', () => {
+    const filter = streamService.buildFeedFilter({
+      preferences: { categories: ['business'] },
+      interests: ['Climate'],
+      followedEntities: [{ type: 'organization', key: 'organization:nasa' }]
+    });
+
+    it('should match on category, tag or followed entity', () => {
+      expect(streamService.matchesFeed(filter, { category: 'business' })).toBe(true);
+      expect(streamService.matchesFeed(filter, { category: 'science', tags: ['climate'] })).toBe(true);
+      expect(streamService.matchesFeed(filter, { category: 'science', entities: [{ key: 'organization:nasa' }] })).toBe(true);
+      expect(streamService.matchesFeed(filter, { category: 'sports', tags: ['football'] })).toBe(false);
+    });
+
+    it('should let everything through for users without preferences', () => {
+      expect(streamService.matchesFeed(streamService.buildFeedFilter({}), { category: 'sports' })).toBe(true);
+    });
+  });
+
+  describe('acquireSlot', () => {
+    it('should refuse connections over the per-user limit', async () => {
+      for (let i = 0; i < streamService.config.MAX_CONNECTIONS_PER_USER; i++) {
+        const connectionId = await streamService.acquireSlot('u1');
+        streamService.open(new EventEmitter(), createResponse(), { channel: 'feed', userId: 'u1', connectionId });
+      }
+
+      expect(await streamService.acquireSlot('u1')).toBeNull();
+      expect(await streamService.acquireSlot('u2')).toEqual(expect.any(String));
+    });
+
+    it('should not let concurrent opens past the limit', async () => {
+      // Sorted sets whose transactions run all at once, like MULTI/EXEC
+      const sets = new Map();
+      const members = key => sets.get(key) || sets.set(key, new Map()).get(key);
+      const commands = {
+        zremrangebyscore: (key, min, max) => [...members(key)].filter(([, score]) => score >= min && score <= max).forEach(([id]) => members(key).delete(id)),
+        zadd: (key, score, id) => members(key).set(id, score),
+        zcard: key => members(key).size,
+        expire: () => 1
+      };
+      const redis = {
+        multi() {
+          const queued = [];
+          const chain = new Proxy({}, {
+            get: (target, name) => name === 'exec'
+              ? async () => queued.map(([command, args]) => [null, commands[command](...args)])
+              : (...args) => {
+                queued.push([name, args]);
+                return chain;
+              }
+          });
+          return chain;
+        },
+        zrem: async (key, id) => members(key).delete(id)
+      };
+      streamService.getRedisClient.mockReturnValue(redis);
+
+      const limit = streamService.config.MAX_CONNECTIONS_PER_USER;
+      const slots = await Promise.all(Array.from({ length: limit + 3 }, () => streamService.acquireSlot('u1')));
+
+      expect(slots.filter(Boolean).length).toBeLessThanOrEqual(limit);
+      expect(members(streamService.getSlotKey('u1')).size).toBeLessThanOrEqual(limit);
+      expect(await streamService.acquireSlot('u1')).toBeNull();
+    });
+  });
+
+  describe('closeSessions', () => {
+    const openFeed = (userId, sessionId) => {
+      const res = createResponse();
+      streamService.open(new EventEmitter(), res, { channel: 'feed', userId, sessionId });
+      return res;
+    };
+
+    it('should end the streams of a revoked session', async () => {
+      const revoked = openFeed('u1', 's1');
+      const other = openFeed('u1', 's2');
+
+      await streamService.closeSessions({ userId: 'u1', sessionIds: ['s1'] });
+
+      expect(revoked.end).toHaveBeenCalled();
+      expect(other.end).not.toHaveBeenCalled();
+      expect(streamService.getStats().clients).toBe(1);
+    });
+
+    it('should end all of a user\'s streams except the current session\'s', async () => {
+      const current = openFeed('u1', 's1');
+      const elsewhere = openFeed('u1', 's2');
+      const legacy = openFeed('u1', null);
+      const otherUser = openFeed('u2', 's3');
+
+      await streamService.closeSessions({ userId: 'u1', except: 's1' });
+
+      expect(current.end).not.toHaveBeenCalled();
+      expect(elsewhere.end).toHaveBeenCalled();
+      expect(legacy.end).toHaveBeenCalled();
+      expect(otherUser.end).not.toHaveBeenCalled();
+    });
+
+    it('should close streams on other instances through Redis', async () => {
+      const redis = { publish: jest.fn().mockResolvedValue(1), zrem: jest.fn().mockResolvedValue(1) };
+      streamService.getRedisClient.mockReturnValue(redis);
+      streamService.subscriber = { disconnect: jest.fn() };
+      const res = openFeed('u1', 's1');
+
+      await streamService.closeSessions({ userId: 'u1', sessionIds: ['s1'] });
+      expect(res.end).not.toHaveBeenCalled();
+
+      streamService.receive(redis.publish.mock.calls[0][1]);
+      expect(res.end).toHaveBeenCalled();
+    });
+  });
+
+  describe('getMissedArticles', () => {
+    const now = new Date('2024-03-10T12:00:00Z');
+
+    const findResult = (rows) => ({
+      select: () => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve(rows) }) }) })
+    });
+
+    it('should replay matching articles after the last event ID', async () => {
+      const lastEventId = mongoose.Types.ObjectId.createFromTime(now / 1000 - 60).toString();
+      const next = new mongoose.Types.ObjectId();
+      jest.spyOn(Article, 'find').mockReturnValue(findResult([{ _id: next, title: 'Missed', category: 'business' }]));
+
+      const filter = streamService.buildFeedFilter({ preferences: { categories: ['business'] } });
+      const missed = await streamService.getMissedArticles(lastEventId, filter, now);
+
+      const query = Article.find.mock.calls[0][0];
+      expect(query._id.$gt.toString()).toBe(lastEventId);
+      expect(query.$or[0]).toEqual({ category: { $in: ['business'] } });
+      expect(missed).toEqual([expect.objectContaining({ id: next.toString(), event: 'article' })]);
+    });
+
+    it('should not replay further back than the replay window', async () => {
+      const lastEventId = mongoose.Types.ObjectId.createFromTime(now / 1000 - 7 * 24 * 60 * 60).toString();
+      jest.spyOn(Article, 'find').mockReturnValue(findResult([]));
+
+      await streamService.getMissedArticles(lastEventId, null, now);
+
+      const after = Article.find.mock.calls[0][0]._id.$gt;
+      expect(after.getTimestamp()).toEqual(new Date(now - streamService.config.REPLAY_MAX_HOURS * 60 * 60 * 1000));
+    });
+
+    it('should skip the query without a valid last event ID', async () => {
+      jest.spyOn(Article, 'find');
+
+      expect(await streamService.getMissedArticles(undefined, null, now)).toEqual([]);
+      expect(await streamService.getMissedArticles('not-an-id', null, now)).toEqual([]);
+      expect(Article.find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tagger Service Tests
+ * Document frequencies and IDF from the shared TF-IDF corpus
+ */
+
+import { taggerService } from '../../src/services/taggerService.js';
+import { CorpusTerm } from '../../src/models/CorpusTerm.js';
+import { CorpusState } from '../../src/models/CorpusState.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const mockState = (state) => {
+  jest.spyOn(CorpusState, 'findOne').mockReturnValue({ lean: () => Promise.resolve(state) });
+};
+
+describe('Tagger Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    taggerService.clearCorpus();
+  });
+
+  describe('getDocumentTerms', () => {
+    it('should return each stemmed term once', () => {
+      const terms = taggerService.getDocumentTerms('Climate talks stall', 'Climate negotiators said talks would resume');
+
+      expect(terms.filter(term => term === 'climat')).toHaveLength(1);
+      expect(terms).toEqual(expect.arrayContaining(['climat', 'talk', 'stall', 'negoti']));
+      expect(terms).not.toContain('the');
+    });
+  });
+
+  describe('updateCorpus', () => {
+    it('should count document frequency rather than term frequency', async () => {
+      jest.spyOn(CorpusTerm, 'incrementTerms').mockResolvedValue();
+      jest.spyOn(CorpusState, 'addDocuments').mockResolvedValue({});
+
+      await taggerService.updateCorpus([
+        { title: 'Storm storm storm', description: 'Storm hits coast' },
+        { title: 'Storm warning', description: 'Election results delayed' }
+      ]);
+
+      const counts = CorpusTerm.incrementTerms.mock.calls[0][0];
+      expect(counts.get('storm')).toBe(2);
+      expect(counts.get('coast')).toBe(1);
+      expect(counts.get('elect')).toBe(1);
+      expect(CorpusState.addDocuments).toHaveBeenCalledWith('articles', 2);
+    });
+  });
+
+  describe('calculateIdf', () => {
+    it('should score rare terms above common ones', async () => {
+      mockState({ totalDocs: 1000 });
+      jest.spyOn(CorpusTerm, 'getFrequencies').mockResolvedValue(new Map([['elect', 400], ['quokka', 2], ['zzz', 0]]));
+
+      await taggerService.loadFrequencies(['elect', 'quokka', 'zzz']);
+
+      const common = await taggerService.calculateIdf('elect');
+      const rare = await taggerService.calculateIdf('quokka');
+      const unseen = await taggerService.calculateIdf('zzz');
+
+      expect(rare).toBeGreaterThan(common);
+      expect(unseen).toBeGreaterThan(rare);
+      expect(common).toBeGreaterThan(0);
+    });
+
+    it('should give every term the same weight on an empty corpus', async () => {
+      mockState(null);
+      jest.spyOn(CorpusTerm, 'getFrequencies').mockResolvedValue(new Map([['storm', 0]]));
+
+      await taggerService.loadFrequencies(['storm']);
+
+      expect(await taggerService.calculateIdf('storm')).toBe(1);
+    });
+
+    it('should only fetch terms that are not cached', async () => {
+      mockState({ totalDocs: 10 });
+      jest.spyOn(CorpusTerm, 'getFrequencies')
+        .mockResolvedValueOnce(new Map([['storm', 3]]))
+        .mockResolvedValueOnce(new Map([['coast', 1]]));
+
+      await taggerService.loadFrequencies(['storm']);
+      await taggerService.loadFrequencies(['storm', 'coast']);
+
+      expect(CorpusState.findOne).toHaveBeenCalledTimes(1);
+      expect(CorpusTerm.getFrequencies).toHaveBeenLastCalledWith(['coast']);
+    });
+  });
+
+  describe('decayCorpus', () => {
+    it('should halve frequencies after one half-life', async () => {
+      const now = new Date('2024-03-01T02:00:00Z');
+      mockState({ totalDocs: 800, lastDecayAt: new Date(now - taggerService.halfLifeDays * DAY) });
+      jest.spyOn(CorpusTerm, 'decay').mockResolvedValue(12);
+      jest.spyOn(CorpusState, 'updateOne').mockResolvedValue({});
+
+      const pruned = await taggerService.decayCorpus(now);
+
+      expect(pruned).toBe(12);
+      expect(CorpusTerm.decay).toHaveBeenCalledWith(0.5, 0.1);
+      expect(CorpusState.updateOne).toHaveBeenCalledWith(
+        { key: 'articles' },
+        { $mul: { totalDocs: 0.5 }, $set: { lastDecayAt: now } }
+      );
+    });
+
+    it('should do nothing before the corpus exists', async () => {
+      mockState(null);
+      jest.spyOn(CorpusTerm, 'decay');
+
+      expect(await taggerService.decayCorpus()).toBe(0);
+      expect(CorpusTerm.decay).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStats', () => {
+    it('should report corpus size and age from the shared store', async () => {
+      const builtAt = new Date(Date.now() - 2 * DAY);
+      mockState({ totalDocs: 1234.6, builtAt, lastDecayAt: builtAt, lastDocumentAt: builtAt });
+      jest.spyOn(CorpusTerm, 'estimatedDocumentCount').mockResolvedValue(5678);
+
+      const stats = await taggerService.getStats();
+
+      expect(stats).toMatchObject({
+        corpusSize: 5678,
+        totalDocuments: 1235,
+        corpusBuiltAt: builtAt,
+        corpusAgeHours: 48,
+        halfLifeDays: taggerService.halfLifeDays
+      });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Trending Service Tests
+ * Gravity-decayed hot scores and velocity-based rising detection
+ */
+
+import { trendingService } from '../../src/services/trendingService.js';
+import { Article } from '../../src/models/Article.js';
+import { Story } from '../../src/models/Story.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('Trending Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getHotScore', () => {
+    it('should let a fresh article outrank an older one with more engagement', () => {
+      const fresh = trendingService.getHotScore({ saves: 10, views: 50, publishedAt: new Date(now - 2 * HOUR) }, 0, now);
+      const viral = trendingService.getHotScore({ saves: 500, views: 20000, publishedAt: new Date(now - 6 * DAY) }, 0, now);
+
+      expect(fresh).toBeGreaterThan(viral);
+    });
+
+    it('should reward engagement and cross-source coverage at the same age', () => {
+      const publishedAt = new Date(now - 3 * HOUR);
+      const quiet = trendingService.getHotScore({ publishedAt }, 0, now);
+      const saved = trendingService.getHotScore({ saves: 5, publishedAt }, 0, now);
+      const covered = trendingService.getHotScore({ saves: 5, publishedAt }, 3, now);
+
+      expect(saved).toBeGreaterThan(quiet);
+      expect(covered).toBeGreaterThan(saved);
+    });
+  });
+
+  describe('getRisingScore', () => {
+    const publishedAt = new Date(now - 3 * DAY);
+
+    it('should flag engagement well above the baseline rate', () => {
+      // 48 over the 48h baseline predicts 6 in the 6h window; 30 arrived
+      const { rising, velocity, baseline } = trendingService.getRisingScore({ recent: 30, past: 48 }, publishedAt, now);
+
+      expect(baseline).toBe(1);
+      expect(velocity).toBe(5);
+      expect(rising).toBeCloseTo(24 / Math.sqrt(7), 2);
+    });
+
+    it('should not flag steady engagement', () => {
+      expect(trendingService.getRisingScore({ recent: 6, past: 48 }, publishedAt, now).rising).toBe(0);
+    });
+
+    it('should ignore tiny absolute numbers', () => {
+      expect(trendingService.getRisingScore({ recent: 2, past: 0 }, publishedAt, now).rising).toBe(0);
+    });
+
+    it('should only use the part of the baseline window the article existed for', () => {
+      const { baseline } = trendingService.getRisingScore({ recent: 10, past: 12 }, new Date(now - 18 * HOUR), now);
+
+      expect(baseline).toBe(1);
+    });
+  });
+
+  describe('withoutOwnCoverage', () => {
+    it('should not count an article joining its own story', () => {
+      const story = { recent: 30, past: 10 };
+
+      expect(trendingService.withoutOwnCoverage(story, new Date(now - HOUR), now)).toEqual({ recent: 20, past: 10 });
+      expect(trendingService.withoutOwnCoverage(story, new Date(now - 12 * HOUR), now)).toEqual({ recent: 30, past: 0 });
+      expect(trendingService.withoutOwnCoverage(story, new Date(now - 5 * DAY), now)).toEqual(story);
+    });
+  });
+
+  describe('weighWindows', () => {
+    it('should sum weighted windows per key', () => {
+      const totals = trendingService.weighWindows([
+        [[{ _id: 'a', recent: 3, past: 1 }], 1],
+        [[{ _id: 'a', recent: 1, past: 0 }, { _id: null, recent: 9, past: 9 }], 5]
+      ]);
+
+      expect(totals.get('a')).toEqual({ recent: 8, past: 1 });
+      expect(totals.size).toBe(1);
+    });
+  });
+
+  describe('computeScores', () => {
+    it('should store scores on articles and clear stale ones', async () => {
+      jest.spyOn(Article, 'find').mockReturnValue({
+        select: () => ({
+          lean: () => Promise.resolve([
+            { _id: 'a1', saves: 2, views: 10, publishedAt: new Date(now - 5 * HOUR), fetchedAt: new Date(now - 5 * HOUR), story: 's1' }
+          ])
+        })
+      });
+      jest.spyOn(Story, 'find').mockReturnValue({
+        select: () => ({ lean: () => Promise.resolve([{ _id: 's1', sources: ['BBC News', 'Reuters'] }]) })
+      });
+      jest.spyOn(trendingService, 'getEngagementWindows').mockResolvedValue({
+        articles: new Map([['a1', { recent: 20, past: 0 }]]),
+        stories: new Map()
+      });
+      jest.spyOn(Article, 'bulkWrite').mockResolvedValue({});
+      jest.spyOn(Article, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+      const result = await trendingService.computeScores(now);
+
+      expect(result).toEqual({ articles: 1, rising: 1, removed: 4 });
+
+      const [[operation]] = Article.bulkWrite.mock.calls[0];
+      const { trending } = operation.updateOne.update.$set;
+      expect(trending.hot).toBe(trendingService.getHotScore({ saves: 2, views: 10, publishedAt: new Date(now - 5 * HOUR) }, 1, now));
+      expect(trending.rising).toBeGreaterThan(2);
+      expect(trending.computedAt).toBe(now);
+      expect(Article.updateMany.mock.calls[0][0]).toEqual({ 'trending.computedAt': { $lt: now } });
+    });
+  });
+});
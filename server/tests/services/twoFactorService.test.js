@@ -0,0 +1,197 @@
+/**
+ * Two-Factor Service Tests
+ * Enrollment, TOTP replay protection, recovery codes and the admin policy
+ */
+
+import mongoose from 'mongoose';
+import { twoFactorService } from '../../src/services/twoFactorService.js';
+import { User } from '../../src/models/User.js';
+import { totp } from '../../src/utils/totp.js';
+import { requireAdmin, generateTwoFactorChallenge, verifyTwoFactorChallenge } from '../../src/middleware/auth.js';
+
+const now = new Date('2024-03-10T12:00:00Z');
+
+const selectable = value => ({ select: () => Promise.resolve(value) });
+
+describe('Two-Factor Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const secret = 'JBSWY3DPEHPK3PXP';
+  let user;
+
+  beforeEach(() => {
+    user = { _id: userId, email: 'ada@example.com', twoFactor: { enabled: false, recoveryCodes: [] } };
+    jest.spyOn(User, 'findById').mockImplementation(() => selectable(user));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('secret encryption', () => {
+    it('should round-trip and detect tampering', () => {
+      const encrypted = twoFactorService.encrypt(secret);
+
+      expect(encrypted).not.toContain(secret);
+      expect(twoFactorService.decrypt(encrypted)).toBe(secret);
+
+      const [iv, tag, body] = encrypted.split('.');
+      expect(() => twoFactorService.decrypt([iv, tag, `A${body.slice(1)}`].join('.'))).toThrow();
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate distinct codes and store only their hashes', () => {
+      const { codes, records } = twoFactorService.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/));
+      expect(records[0]).toEqual({ hash: twoFactorService.hashRecoveryCode(codes[0]), usedAt: null });
+      expect(JSON.stringify(records)).not.toContain(codes[0]);
+    });
+
+    it('should ignore case and separators', () => {
+      expect(twoFactorService.hashRecoveryCode('ABCDE-FGHIJ')).toBe(twoFactorService.hashRecoveryCode('abcdefghij'));
+    });
+  });
+
+  describe('enrollment', () => {
+    it('should keep the new secret pending and return an otpauth URI', async () => {
+      const enrollment = await twoFactorService.startEnrollment(user);
+      const [, update] = User.updateOne.mock.calls[0];
+
+      expect(enrollment.otpauthUri).toContain(`secret=${enrollment.secret}`);
+      expect(enrollment.otpauthUri).toContain('ada%40example.com');
+      expect(twoFactorService.decrypt(update.$set['twoFactor.pendingSecret'])).toBe(enrollment.secret);
+    });
+
+    it('should not start over when 2FA is already enabled', async () => {
+      user.twoFactor.enabled = true;
+
+      expect(await twoFactorService.startEnrollment(user)).toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should enable 2FA once a code from the app checks out', async () => {
+      user.twoFactor.pendingSecret = twoFactorService.encrypt(secret);
+
+      const codes = await twoFactorService.confirmEnrollment(userId, totp(secret, { time: now.getTime() }), now);
+      const [filter, update] = User.updateOne.mock.calls[0];
+
+      expect(codes).toHaveLength(10);
+      expect(filter).toEqual({ _id: userId, 'twoFactor.pendingSecret': user.twoFactor.pendingSecret });
+      expect(update.$set).toMatchObject({
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.lastUsedStep': Math.floor(now.getTime() / 30000),
+        'twoFactor.enabledAt': now
+      });
+      expect(update.$unset).toEqual({ 'twoFactor.pendingSecret': 1 });
+    });
+
+    it('should reject a wrong code', async () => {
+      user.twoFactor.pendingSecret = twoFactorService.encrypt(secret);
+
+      expect(await twoFactorService.confirmEnrollment(userId, '000000', now)).toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verify', () => {
+    beforeEach(() => {
+      user.twoFactor = {
+        enabled: true,
+        secret: twoFactorService.encrypt(secret),
+        lastUsedStep: 0,
+        recoveryCodes: [
+          { hash: twoFactorService.hashRecoveryCode('aaaaa-bbbbb'), usedAt: null },
+          { hash: twoFactorService.hashRecoveryCode('ccccc-ddddd'), usedAt: null },
+          { hash: twoFactorService.hashRecoveryCode('eeeee-fffff'), usedAt: now }
+        ]
+      };
+    });
+
+    it('should accept a current code only for a later time step than the last one used', async () => {
+      const step = Math.floor(now.getTime() / 30000);
+
+      expect(await twoFactorService.verify(userId, totp(secret, { time: now.getTime() }), now)).toEqual({ method: 'totp' });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: userId, 'twoFactor.lastUsedStep': { $lt: step } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+
+      // The step was already used: the conditional update matches nothing
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      expect(await twoFactorService.verify(userId, totp(secret, { time: now.getTime() }), now)).toBeNull();
+    });
+
+    it('should reject wrong codes without touching the user', async () => {
+      expect(await twoFactorService.verify(userId, '123456', now)).toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should spend a recovery code once', async () => {
+      const result = await twoFactorService.verify(userId, 'AAAAA-BBBBB', now);
+
+      expect(result).toEqual({ method: 'recovery', recoveryCodesRemaining: 1 });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { hash: twoFactorService.hashRecoveryCode('aaaaa-bbbbb'), usedAt: null } } },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': now } }
+      );
+
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      expect(await twoFactorService.verify(userId, 'eeeee-fffff', now)).toBeNull();
+    });
+
+    it('should refuse codes when 2FA is disabled', async () => {
+      user.twoFactor.enabled = false;
+
+      expect(await twoFactorService.verify(userId, totp(secret, { time: now.getTime() }), now)).toBeNull();
+    });
+  });
+
+  describe('challenge tokens', () => {
+    it('should only accept two-factor challenges', () => {
+      expect(verifyTwoFactorChallenge(generateTwoFactorChallenge(user))).toMatchObject({ userId: userId.toString(), type: '2fa' });
+      expect(() => verifyTwoFactorChallenge('not-a-token')).toThrow('Invalid two-factor challenge');
+    });
+  });
+
+  describe('requireAdmin', () => {
+    const check = (reqUser, auth) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      requireAdmin({ user: reqUser, auth }, res, next);
+      return { res, next };
+    };
+
+    it('should require admins to have 2FA enabled', () => {
+      const { res, next } = check({ role: 'admin', twoFactor: { enabled: false } }, { twoFactor: false });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('TWO_FACTOR_REQUIRED');
+    });
+
+    it('should require the session to have used 2FA', () => {
+      const { res, next } = check({ role: 'admin', twoFactor: { enabled: true } }, { twoFactor: false });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].error.message).toMatch(/Sign in again/);
+    });
+
+    it('should pass admins signed in with 2FA', () => {
+      const { next } = check({ role: 'admin', twoFactor: { enabled: true } }, { twoFactor: true });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should still refuse other roles', () => {
+      const { res, next } = check({ role: 'user', twoFactor: { enabled: true } }, { twoFactor: true });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].error.code).toBe('AUTHORIZATION_ERROR');
+    });
+  });
+});
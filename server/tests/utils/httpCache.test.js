@@ -0,0 +1,72 @@
+/**
+ * HTTP Cache Utility Tests
+ * Unit tests for conditional request helpers
+ */
+
+import { httpCache } from '../../src/utils/httpCache.js';
+
+describe('HTTP Cache Utility', () => {
+  describe('buildConditionalHeaders', () => {
+    it('should send stored validators', () => {
+      const headers = httpCache.buildConditionalHeaders({
+        etag: '"abc123"',
+        lastModified: 'Mon, 15 Jan 2024 10:00:00 GMT'
+      });
+
+      expect(headers).toEqual({
+        'If-None-Match': '"abc123"',
+        'If-Modified-Since': 'Mon, 15 Jan 2024 10:00:00 GMT'
+      });
+    });
+
+    it('should send nothing on the first poll', () => {
+      expect(httpCache.buildConditionalHeaders(null)).toEqual({});
+      expect(httpCache.buildConditionalHeaders({ etag: null, lastModified: null })).toEqual({});
+    });
+  });
+
+  describe('extractValidators', () => {
+    it('should read ETag and Last-Modified response headers', () => {
+      const validators = httpCache.extractValidators({
+        headers: { etag: 'W/"v2"', 'last-modified': 'Tue, 16 Jan 2024 08:00:00 GMT' }
+      });
+
+      expect(validators).toEqual({ etag: 'W/"v2"', lastModified: 'Tue, 16 Jan 2024 08:00:00 GMT' });
+    });
+
+    it('should return nulls when headers are missing', () => {
+      expect(httpCache.extractValidators({})).toEqual({ etag: null, lastModified: null });
+    });
+  });
+
+  describe('acceptNotModified', () => {
+    it('should accept 2xx and 304 responses only', () => {
+      expect(httpCache.acceptNotModified(200)).toBe(true);
+      expect(httpCache.acceptNotModified(304)).toBe(true);
+      expect(httpCache.acceptNotModified(404)).toBe(false);
+      expect(httpCache.acceptNotModified(429)).toBe(false);
+    });
+  });
+
+  describe('getRetryAt', () => {
+    const now = new Date('2024-01-16T08:00:00Z');
+
+    it('should read delay seconds and HTTP dates', () => {
+      expect(httpCache.getRetryAt({ headers: { 'retry-after': '120' } }, now)).toEqual(new Date('2024-01-16T08:02:00Z'));
+      expect(httpCache.getRetryAt({ headers: { 'retry-after': 'Tue, 16 Jan 2024 09:00:00 GMT' } }, now)).toEqual(new Date('2024-01-16T09:00:00Z'));
+    });
+
+    it('should return null without a usable header', () => {
+      expect(httpCache.getRetryAt({ headers: {} }, now)).toBeNull();
+      expect(httpCache.getRetryAt({ headers: { 'retry-after': 'soon' } }, now)).toBeNull();
+      expect(httpCache.getRetryAt(undefined, now)).toBeNull();
+    });
+
+    it('should find the response of a wrapped axios error', () => {
+      const throttled = Object.assign(new Error('Request failed with status code 429'), { response: { headers: { 'retry-after': '60' } } });
+
+      expect(httpCache.getErrorRetryAt(new Error('Failed to fetch', { cause: throttled }))).toBeInstanceOf(Date);
+      expect(httpCache.getErrorRetryAt(new Error('timeout'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * TOTP Utilities Tests
+ * RFC 4226 and RFC 6238 reference values
+ */
+
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  buildOtpauthUri
+} from '../../src/utils/totp.js';
+
+// The RFC test key "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utilities', () => {
+  describe('base32', () => {
+    it('should round-trip bytes', () => {
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+    });
+
+    it('should reject characters outside the alphabet', () => {
+      expect(() => base32Decode('MZXW1')).toThrow(/Invalid base32/);
+    });
+
+    it('should generate 160-bit secrets', () => {
+      expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+  });
+
+  describe('hotp', () => {
+    it('should match the RFC 4226 test values', () => {
+      expect([0, 1, 2, 3, 9].map(counter => hotp(RFC_SECRET, counter)))
+        .toEqual(['755224', '287082', '359152', '969429', '520489']);
+    });
+  });
+
+  describe('totp', () => {
+    it('should match the RFC 6238 SHA-1 test values', () => {
+      expect(totp(RFC_SECRET, { time: 59 * 1000, digits: 8 })).toBe('94287082');
+      expect(totp(RFC_SECRET, { time: 1111111109 * 1000, digits: 8 })).toBe('07081804');
+      expect(totp(RFC_SECRET, { time: 2000000000 * 1000, digits: 8 })).toBe('69279037');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const time = 1111111109 * 1000;
+
+    it('should return the time step of a valid code', () => {
+      expect(verifyTotp(RFC_SECRET, '081804', { time })).toBe(37037036);
+    });
+
+    it('should allow one step of clock drift', () => {
+      const previous = totp(RFC_SECRET, { time: time - 30 * 1000 });
+      const older = totp(RFC_SECRET, { time: time - 60 * 1000 });
+
+      expect(verifyTotp(RFC_SECRET, previous, { time })).toBe(37037035);
+      expect(verifyTotp(RFC_SECRET, older, { time })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(RFC_SECRET, '08180', { time })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should label the key with issuer and account', () => {
+      expect(buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'ada@example.com', issuer: 'News Aggregator' }))
+        .toBe('otpauth://totp/News%20Aggregator%3Aada%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=News+Aggregator&algorithm=SHA1&digits=6&period=30');
+    });
+  });
+});
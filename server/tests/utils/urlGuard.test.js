@@ -0,0 +1,91 @@
+/**
+ * URL Guard Utility Tests
+ * Address filtering, connect-time DNS checks and redirect checks
+ */
+
+import dns from 'dns';
+import http from 'http';
+import axios from 'axios';
+import { urlGuard } from '../../src/utils/urlGuard.js';
+
+describe('URL Guard Utility', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isPublicAddress', () => {
+    it('should refuse loopback, private, link-local and reserved IPv4 ranges', () => {
+      for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']) {
+        expect(urlGuard.isPublicAddress(address)).toBe(false);
+      }
+      for (const address of ['93.184.216.34', '172.32.0.1', '8.8.8.8']) {
+        expect(urlGuard.isPublicAddress(address)).toBe(true);
+      }
+    });
+
+    it('should refuse local IPv6 ranges and IPv4 hosts embedded in IPv6', () => {
+      for (const address of ['::1', '::', 'fd00::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '64:ff9b::10.0.0.1']) {
+        expect(urlGuard.isPublicAddress(address)).toBe(false);
+      }
+      expect(urlGuard.isPublicAddress('2606:4700:4700::1111')).toBe(true);
+      expect(urlGuard.isPublicAddress('::ffff:8.8.8.8')).toBe(true);
+    });
+  });
+
+  describe('isAllowedUrl', () => {
+    it('should allow public http(s) URLs only', () => {
+      expect(urlGuard.isAllowedUrl('https://example.com/feed')).toBe(true);
+      expect(urlGuard.isAllowedUrl('http://localhost:4000/feed')).toBe(false);
+      expect(urlGuard.isAllowedUrl('http://metadata.google.internal/')).toBe(false);
+      expect(urlGuard.isAllowedUrl('http://169.254.169.254/latest/meta-data')).toBe(false);
+      expect(urlGuard.isAllowedUrl('http://[::ffff:127.0.0.1]/')).toBe(false);
+      expect(urlGuard.isAllowedUrl('file:///etc/passwd')).toBe(false);
+      expect(urlGuard.isAllowedUrl('not a url')).toBe(false);
+    });
+  });
+
+  describe('lookup', () => {
+    const resolveTo = (...addresses) => jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+    });
+
+    it('should pass public addresses through', (done) => {
+      resolveTo('93.184.216.34');
+
+      urlGuard.lookup('example.com', {}, (error, address, family) => {
+        expect(error).toBeNull();
+        expect([address, family]).toEqual(['93.184.216.34', 4]);
+        done();
+      });
+    });
+
+    it('should fail when any resolved address is private', (done) => {
+      resolveTo('93.184.216.34', '10.0.0.5');
+
+      urlGuard.lookup('rebind.example.com', { all: true }, (error) => {
+        expect(error.code).toBe('EADDRNOTPUBLIC');
+        done();
+      });
+    });
+
+    it('should stop requests to names that resolve to the local network', async () => {
+      const server = http.createServer((req, res) => res.end('internal'));
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      resolveTo('127.0.0.1');
+
+      try {
+        await expect(axios.get(`http://feeds.example.com:${server.address().port}/`, urlGuard.requestOptions()))
+          .rejects.toMatchObject({ code: 'EADDRNOTPUBLIC' });
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+
+  describe('beforeRedirect', () => {
+    it('should refuse redirects to local addresses', () => {
+      expect(() => urlGuard.beforeRedirect({ href: 'http://127.0.0.1:6379/' })).toThrow('Refusing to follow redirect');
+      expect(() => urlGuard.beforeRedirect({ href: 'https://example.com/feed' })).not.toThrow();
+    });
+  });
+});
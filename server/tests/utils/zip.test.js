@@ -0,0 +1,72 @@
+/**
+ * Zip Utility Tests
+ * Unit tests for the streaming ZIP writer
+ */
+
+import zlib from 'zlib';
+import { ZipWriter, crc32 } from '../../src/utils/zip.js';
+
+const collect = () => {
+  const chunks = [];
+  return { chunks, write: chunk => chunks.push(chunk) };
+};
+
+// Read entries back through the central directory, as unzip tools do
+const readZip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = local + 30 + buffer.readUInt16LE(local + 26);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    entries.push({ name, method, content: (method === 0 ? data : zlib.inflateRawSync(data)).toString('utf8') });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+describe('Zip Utility', () => {
+  describe('crc32', () => {
+    it('should match the standard check value', () => {
+      expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    });
+  });
+
+  describe('ZipWriter', () => {
+    it('should write entries that read back through the central directory', () => {
+      const output = collect();
+      const zip = new ZipWriter(output, { modified: new Date('2024-03-10T12:00:00Z') });
+
+      zip.addFile('mimetype', 'application/epub+zip', { store: true });
+      zip.addFile('OEBPS/chapter.xhtml', '<p>Café</p>'.repeat(50));
+      zip.finish();
+
+      const entries = readZip(Buffer.concat(output.chunks));
+
+      expect(entries.map(entry => entry.name)).toEqual(['mimetype', 'OEBPS/chapter.xhtml']);
+      expect(entries[0]).toMatchObject({ method: 0, content: 'application/epub+zip' });
+      expect(entries[1].method).toBe(8);
+      expect(entries[1].content).toBe('<p>Café</p>'.repeat(50));
+    });
+
+    it('should start with the stored entry so the archive begins with its name', () => {
+      const output = collect();
+      const zip = new ZipWriter(output);
+
+      zip.addFile('mimetype', 'application/epub+zip', { store: true });
+
+      // EPUB readers sniff "mimetypeapplication/epub+zip" at byte 30
+      expect(Buffer.concat(output.chunks).toString('latin1', 30, 58)).toBe('mimetypeapplication/epub+zip');
+    });
+  });
+});